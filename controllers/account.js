@@ -0,0 +1,46 @@
+/**
+ * Fastify account controller
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const httpErrors = require('http-errors');
+
+/** Utils */
+const DataExport = require('./../helpers/fastify/auth/data-export');
+
+/**
+ * Account controller
+ * @description fastify routes
+ */
+module.exports = async ( fastify, opts, next ) => {
+	const {findByToken} = DataExport(fastify);
+
+	fastify
+		/**
+		 * Download the personal data export (link sent by `requestDataExport` mutation)
+		 * @example GET /account/data-export/:token
+		 */
+		.get('/account/data-export/:token', async ( request, reply ) => {
+			/** @type {?{model: User, path: string}} */
+			const found = await findByToken(request.params.token);
+
+			if ( found === null ) {
+				return httpErrors.NotFound(request.t('The download link is invalid or has expired.'));
+			}
+
+			const {content} = await fastify.fs.get(found.path);
+
+			reply
+				.header('Cache-Control', 'no-store')
+				.header('Content-Disposition', `attachment; filename="account-data-${found.model.id}.json"`)
+				.type('application/json; charset=utf-8');
+
+			return content;
+		})
+		;
+
+	next();
+};
@@ -0,0 +1,25 @@
+/**
+ * Fastify well-known URIs controller
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Well-known controller
+ * @description fastify routes
+ */
+module.exports = async ( fastify, opts, next ) => {
+	fastify
+		/**
+		 * Public keys to verify the auth tokens (empty in HS512 mode)
+		 * @example GET /.well-known/jwks.json
+		 */
+		.get('/.well-known/jwks.json', async ( request, reply ) => {
+			reply.header('Cache-Control', 'public, max-age=3600');
+			return fastify.jwtKeys.toJwks();
+		})
+		;
+
+	next();
+};
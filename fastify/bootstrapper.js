@@ -22,14 +22,17 @@ const {
  * Fastify server instance
  * @typedef FastifyServer
  * @mixes FastifyInstance
+ * @property {FastifyAuthEvents} authEvents - Authentication events
  * @property {FastifyAbstractCache} cache - Abstract cache
  * @property {FastifyJsonConfig} config - Application configuration
  * @property {FastifyDataLoader} dataLoaders - Data loaders
  * @property {FastifySequelize} db - Database instance
  * @property {FastifyFileSystem} fs - Filesystem storage
  * @property {FastifyJwt} jwt - JWT instance
+ * @property {FastifyJwtKeys} jwtKeys - JWT signing/verification keys
  * @property {FastifyMailer} mailer - Nodemailer instance
- * @property {FastifyIdentity} user - User identifier
+ * @property {FastifyRbac} rbac - Roles and permissions registry
+ * @property {FastifySms} sms - SMS sender
  */
 module.exports = async () => {
 	//<editor-fold desc="SSL settings">
@@ -87,13 +90,20 @@ module.exports = async () => {
 		.register(require('./../plugins/fastify/fastify-session'))
 		.register(require('./../plugins/fastify/fastify-sequelize'))
 		.register(require('./../plugins/fastify/fastify-jwt'))
+		.register(require('./../plugins/fastify/fastify-rbac'))
 		.register(require('./../plugins/fastify/fastify-i18n'))
 		.register(require('./../plugins/fastify/fastify-auth-decorator'))
 		.register(require('./../plugins/fastify/fastify-mailer'))
+		.register(require('./../plugins/fastify/fastify-sms'))
+		.register(require('./../plugins/fastify/fastify-auth-events'))
+		.register(require('./../plugins/fastify/fastify-auth-audit'))
 		
 		.register(require('./../plugins/fastify/fastify-data-loaders'))
+		.register(require('./../plugins/fastify/fastify-account-cleanup'))
+		.register(require('./../plugins/fastify/fastify-impersonation-sweeper'))
 		.register(require('./../plugins/fastify/graphql/fastify-apollo-server'))
 		.register(require('./../plugins/fastify/graphql/fastify-apollo-subscription'))
+		.register(require('./../plugins/fastify/fastify-social-login'))
 		
 		.register(require('./../plugins/fastify/fastify-auto-routes'))
 		
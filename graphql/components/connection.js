@@ -0,0 +1,200 @@
+/**
+ * Connection helper, paginates a model by the `PagerOptions` input (cursor or number pagination)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+// Utils
+const RequestError = require('./RequestError');
+
+/**
+ * Sort order, a list of [column, direction] pairs (e.g., [['created_at', 'DESC']])
+ * @typedef {Array<[string, ('ASC'|'DESC')]>} ConnectionOrder
+ */
+
+/**
+ * Connection options
+ * @typedef {Object} ConnectionOptions
+ * @property {ConnectionOrder} [order=[['id', 'DESC']]] - Sort order (the primary key is appended as the tiebreaker)
+ * @property {number} [maxLimit=100] - Max nodes per page
+ * @property {number} [defaultLimit=10] - Nodes per page when no limit is given
+ * @property {function(sequelize.Model): *} [toNode] - Convert the model into the node (e.g., `User.toGraphObject`)
+ * @property {?FastifyRequest} [request=null] - Request instance (to translate messages)
+ */
+
+/**
+ * Connection edge
+ * @typedef {Object} ConnectionEdge
+ * @property {*} node - The node
+ * @property {string} cursor - Cursor of the node (same for both pagination styles)
+ */
+
+/**
+ * Connection data
+ * @typedef {Object} Connection
+ * @property {ConnectionEdge[]} edges - Edges
+ * @property {Array<*>} nodes - Nodes of the edges
+ * @property {{cursors: Object, pager: ?NumberPaginationResultPager, total: number}} pageInfo - `PageInfo` data
+ */
+
+/**
+ * Primary key (the tiebreaker of the sort order)
+ * @type {string} */
+const PRIMARY_KEY = 'id';
+
+/**
+ * @private
+ * Normalize the order, the primary key is appended unless present (so the order of the rows is stable)
+ * @param {ConnectionOrder} order - Sort order
+ * @returns {ConnectionOrder} - Normalized order
+ */
+function normalizeOrder ( order ) {
+	/** @type {ConnectionOrder} */
+	const normalized = order.map(([column, direction = 'ASC']) => [
+		column,
+		String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC',
+	]);
+
+	return normalized.some(([column]) => column === PRIMARY_KEY)
+		? normalized
+		: [...normalized, [PRIMARY_KEY, 'ASC']];
+}
+
+/**
+ * @public
+ * @static
+ * Create the cursor of the model, encodes the values of the sort columns
+ * @param {sequelize.Model} model - Model instance
+ * @param {ConnectionOrder} order - Normalized sort order
+ * @returns {string} - The cursor
+ */
+function createCursor ( model, order ) {
+	return Buffer.from(JSON.stringify(order.map(([column]) => model.get(column)))).toString('base64');
+}
+
+/**
+ * @public
+ * @static
+ * Finds out the cursor belongs to the sort order
+ * @param {?string} cursor - The cursor
+ * @param {ConnectionOrder} order - Normalized sort order
+ * @returns {boolean} - True when valid / False otherwise
+ */
+function isValidCursor ( cursor, order ) {
+	try {
+		/** @type {*} */
+		const values = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+		return Array.isArray(values) && values.length === order.length;
+	} catch ( e ) {
+		return false;
+	}
+}
+
+/**
+ * @public
+ * @static
+ * @async
+ * Paginate the model (requires `CursorPaginationTrait` and `NumberPaginationTrait`)
+ * @param {sequelize.Model} Model - Model class
+ * @param {sequelize.FindOptions} findOptions - Sequelize find options (the selected attributes must include the sort columns)
+ * @param {Object} [pager={}] - `PagerOptions` input
+ * @param {ConnectionOptions} [options={}] - Connection options
+ * @returns {Promise<Connection>} - Connection data
+ * @throws {RequestError} - Invalid cursor
+ * @example
+ * const {nodes, edges, pageInfo} = await paginate(User, {where}, pager, {
+ *   order: [['created_at', 'DESC']],
+ *   toNode: model => User.toGraphObject(model),
+ * });
+ */
+async function paginate ( Model, findOptions, pager = {}, options = {} ) {
+	const {
+		order: orderOption = [[PRIMARY_KEY, 'DESC']],
+		maxLimit = 100,
+		defaultLimit = 10,
+		toNode = model => model,
+		request = null,
+	} = options;
+
+	const {type = 'CURSOR', page = 1, before = null, after = null} = pager || {};
+
+	/** @type {ConnectionOrder} */
+	const order = normalizeOrder(orderOption);
+
+	/** @type {number} */
+	const limit = Math.min(Number((pager || {}).limit) || defaultLimit, maxLimit);
+
+	/**
+	 * @param {sequelize.Model[]} rows - Models
+	 * @returns {ConnectionEdge[]} - Edges
+	 */
+	const toEdges = rows => rows.map(model => ({node: toNode(model), cursor: createCursor(model, order)}));
+
+	if ( type === 'NUMBER' ) {
+		const {total, rows, pager: pageInfoPager} = await Model.numberPagination({
+			...findOptions,
+			order,
+		}, {current: page, perPage: limit});
+
+		/** @type {ConnectionEdge[]} */
+		const edges = toEdges(rows);
+
+		return {
+			edges,
+			nodes: edges.map(({node}) => node),
+			pageInfo: {
+				cursors: {
+					before: edges.length ? edges[0].cursor : null,
+					after: edges.length ? edges[edges.length - 1].cursor : null,
+					hasNext: Boolean(pageInfoPager.next),
+					hasPrevious: Boolean(pageInfoPager.previous),
+				},
+				pager: pageInfoPager,
+				total,
+			},
+		};
+	}
+
+	//<editor-fold desc="Error: Invalid cursor">
+	for ( const [name, cursor] of Object.entries({before, after}) ) {
+		if ( cursor && !isValidCursor(cursor, order) ) {
+			/** @type {string} */
+			const msg = request ? request.t('Invalid pagination cursor.') : 'Invalid pagination cursor.';
+			throw new RequestError(msg, 'INVALID_CURSOR', {[name]: msg});
+		}
+	}
+	//</editor-fold>
+
+	const {totalCount, edges: rows, pageInfo} = await Model.cursorPaginate({
+		...findOptions,
+		order,
+		limit,
+		before: before || undefined,
+		after: after || undefined,
+	});
+
+	/** @type {ConnectionEdge[]} */
+	const edges = toEdges(rows.map(({node}) => node));
+
+	return {
+		edges,
+		nodes: edges.map(({node}) => node),
+		pageInfo: {
+			cursors: {
+				before: pageInfo.startCursor,
+				after: pageInfo.endCursor,
+				hasNext: pageInfo.hasNextPage,
+				hasPrevious: pageInfo.hasPreviousPage,
+			},
+			pager: null,
+			total: totalCount,
+		},
+	};
+}
+
+module.exports = {
+	createCursor,
+	isValidCursor,
+	paginate,
+};
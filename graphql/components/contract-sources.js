@@ -0,0 +1,30 @@
+/**
+ * Sample source objects of the GraphQL types (checked by the schema contract checker)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @returns {Object.<string, Object>} - Source objects by type name
+ */
+module.exports = fastify => {
+	const {User} = fastify.db.models;
+
+	/** @type {User} */
+	const model = User.build({
+		id: 1,
+		name: 'John Doe',
+		email: 'john.doe@example.com',
+		role: 1,
+		status: User.STATUS_ACTIVE,
+		meta: {},
+		created_at: new Date(),
+	});
+
+	return {
+		Me: User.toGraphMeObject(model),
+		User: User.toGraphObject(model),
+	};
+};
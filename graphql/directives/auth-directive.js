@@ -10,20 +10,7 @@ const {defaultFieldResolver} = require('graphql');
 const {SchemaDirectiveVisitor} = require('graphql-tools');
 
 const RequestError = require('./../components/RequestError');
-
-/** @type {Object} */
-const rolesMap = {
-	3: 'CUSTOMER',
-};
-
-/** @type {Object} */
-const statusesMap = {
-	1: 'ACTIVE',
-	2: 'INACTIVE',
-	0: 'DELETED',
-	3: 'BLOCKED',
-	4: 'DISABLED',
-};
+const {getIdentity} = require('./../../helpers/fastify/auth/identity');
 
 /**
  * @class AuthDirective
@@ -80,6 +67,7 @@ class AuthDirective extends SchemaDirectiveVisitor {
 			role: this.args.role || [],
 			status: this.args.status || [],
 			id: this.args.id || [],
+			scope: this.args.scope || [],
 		};
 	}
 	
@@ -141,6 +129,9 @@ class AuthDirective extends SchemaDirectiveVisitor {
 						id: AuthDirective.getAuthProp(field, 'id')
 							|| AuthDirective.getAuthProp(objectType, 'id')
 							|| [],
+						scope: AuthDirective.getAuthProp(field, 'scope')
+							|| AuthDirective.getAuthProp(objectType, 'scope')
+							|| [],
 					};
 					
 					AuthDirective.checkPermission(context, funcArg);
@@ -167,6 +158,7 @@ class AuthDirective extends SchemaDirectiveVisitor {
 					role: AuthDirective.getAuthProp(arg, 'role') || [],
 					status: AuthDirective.getAuthProp(arg, 'status') || [],
 					id: AuthDirective.getAuthProp(arg, 'id') || [],
+					scope: AuthDirective.getAuthProp(arg, 'scope') || [],
 				});
 			}
 		});
@@ -178,9 +170,11 @@ class AuthDirective extends SchemaDirectiveVisitor {
 	 * Check query/field permission(s) and validate based on current auth user
 	 * @param {Query~GraphQLContext} context - contain per-request state, including authentication information and anything else
 	 * @param {Array<number>} id - Allowed user primary key IDs
-	 * @param {Array<'OWNER'|'AGENT'|'DEVELOPER'>} role - Allowed roles
+	 * @param {Array<string>} role - Allowed roles (or the roles inheriting them, see `fastify.rbac`)
 	 * @param {Array<'ACTIVE'|'INACTIVE'|'DELETED'|'BLOCKED'|'DISABLED'>} status - Allowed statuses
+	 * @param {Array<string>} scope - API key scopes required (API keys can't access the fields without scope)
 	 * @throws {RequestError} - Access Forbidden
+	 * @throws {RequestError} - Insufficient API key scope
 	 * @throws {RequestError} - Bad user role
 	 * @throws {RequestError} - Bad account status
 	 * @throws {RequestError} - Only specific users are allowed
@@ -188,23 +182,30 @@ class AuthDirective extends SchemaDirectiveVisitor {
 	 * // Will throw error
 	 * AuthDirective.checkPermission(context, {role, status, id});
 	 */
-	static checkPermission ( context, {role = [], status = [], id = []} ) {
+	static checkPermission ( context, {role = [], status = [], id = [], scope = []} ) {
 		const request = op.get(context, 'request', {
 			t: v => v,
 		});
-		const user = op.get(context, 'app.user', {
-			isGuest: true,
-		});
+		const user = getIdentity(context);
 		
 		// Guest user / not allowed
 		if ( user.isGuest ) {
 			throw new RequestError(request.t('Not Authorized'), 'UNAUTHORIZED');
 		}
 		
+		//<editor-fold desc="Check API key scope(s)">
+		if ( Array.isArray(user.scopes)
+			&& (!scope.length || !scope.every(v => user.scopes.includes(v))) ) {
+			throw new RequestError(request.t('The API key is not allowed to perform this action'), 'INSUFFICIENT_SCOPE');
+		}
+		//</editor-fold>
+		
 		//<editor-fold desc="Check Role(s)">
 		if ( role.length ) {
-			let userRole = rolesMap[user.identity.role];
-			if ( !role.includes(userRole) ) {
+			/** @type {?FastifyRbac} */
+			const rbac = op.get(context, 'app.rbac', null);
+			
+			if ( !rbac || !rbac.hasRole(user.identity.role, role) ) {
 				throw new RequestError(request.t('Bad user role'), 'BAD_ROLE');
 			}
 		}
@@ -212,7 +213,8 @@ class AuthDirective extends SchemaDirectiveVisitor {
 		
 		//<editor-fold desc="Check Status(es)">
 		if ( status.length ) {
-			let userStatus = statusesMap[user.identity.status];
+			/** @type {?string} */
+			const userStatus = op.get(context, 'app.db.models.User').getStatusName(user.identity.status);
 			if ( !status.includes(userStatus) ) {
 				throw new RequestError(request.t('Bad account status'), 'BAD_STATUS');
 			}
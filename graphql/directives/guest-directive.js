@@ -6,6 +6,7 @@
  */
 
 const RequestError = require('./../components/RequestError');
+const {getIdentity} = require('./../../helpers/fastify/auth/identity');
 const {SchemaDirectiveVisitor} = require('graphql-tools');
 const {defaultFieldResolver} = require('graphql');
 
@@ -103,12 +104,12 @@ class GuestDirective extends SchemaDirectiveVisitor {
 	 * @throws {RequestError} When any error occurred
 	 */
 	static validateArguments ( args, ctx, details = {} ) {
-		const {app, reply} = ctx;
+		const {reply} = ctx;
 		const {request} = reply;
 
 		args.forEach(arg => {
 			if ( (arg.hasOwnProperty('_guestOnly') && details.hasOwnProperty(arg.name))
-				&& !app.user.isGuest ) {
+				&& !getIdentity(ctx).isGuest ) {
 				let msg = request.t('Argument `%s` can only access by non-authenticated user(s).', arg.name);
 				throw new RequestError(msg, 'NOT_ALLOWED');
 			}
@@ -135,10 +136,9 @@ class GuestDirective extends SchemaDirectiveVisitor {
 	 * GuestDirective.checkPermission(context);
 	 */
 	static async checkPermission ( context ) {
-		const {app, request} = context;
-		const {user} = app;
+		const {request} = context;
 		
-		if ( !user.isGuest ) {
+		if ( !getIdentity(context).isGuest ) {
 			throw new RequestError(request.t('This can only access by non-authenticated users'), 'NOT_ALLOWED');
 		}
 	}
@@ -0,0 +1,117 @@
+/**
+ * GraphQL @hasPermission directive
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+const {defaultFieldResolver} = require('graphql');
+const {SchemaDirectiveVisitor} = require('graphql-tools');
+
+const RequestError = require('./../components/RequestError');
+const AuthDirective = require('./auth-directive');
+const {getIdentity} = require('./../../helpers/fastify/auth/identity');
+
+/**
+ * @class HasPermissionDirective
+ * This directive will only allow users whose role grants the permissions (see `fastify.rbac`)
+ */
+class HasPermissionDirective extends SchemaDirectiveVisitor {
+	/**
+	 * @inheritDoc
+	 */
+	visitObject ( type ) {
+		this.ensureFieldsWrapped(type);
+		type._permissions = this.args.perm || [];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	visitFieldDefinition ( field, details ) {
+		this.ensureFieldsWrapped(details.objectType);
+		field._permissions = this.args.perm || [];
+	}
+
+	/**
+	 * @protected
+	 * Wrap fields and validate permissions
+	 * @param {(GraphQLObjectType|GraphQLInterfaceType)} objectType - The container object
+	 */
+	ensureFieldsWrapped ( objectType ) {
+		//<editor-fold desc="Mark the GraphQLObjectType object to avoid re-wrapping">
+		if ( objectType._permissionFieldsWrapped ) {
+			return;
+		}
+
+		objectType._permissionFieldsWrapped = true;
+		//</editor-fold>
+
+		/** @type {GraphQLField[]} */
+		const fields = objectType.getFields();
+
+		Object.keys(fields).forEach(/** @type {string}*/ name => {
+			const field = fields[name];
+			const {resolve = defaultFieldResolver} = field;
+
+			field.resolve = async function ( ...args ) {
+				/** [source, argument, context, info] */
+				const [, , context] = args;
+
+				/** @type {?string[]} */
+				const permissions = field._permissions || objectType._permissions || null;
+
+				if ( permissions !== null ) {
+					HasPermissionDirective.checkPermission(context, permissions, {
+						scope: AuthDirective.getAuthProp(field, 'scope')
+							|| AuthDirective.getAuthProp(objectType, 'scope')
+							|| [],
+					});
+				}
+
+				return resolve.apply(this, args);
+			};
+		});
+	}
+
+	/**
+	 * @protected
+	 * @static
+	 * Check that the role of current user grants all the permissions
+	 * @param {Query~GraphQLContext} context - contain per-request state, including authentication information and anything else
+	 * @param {Array<string>} permissions - Required permissions
+	 * @param {Array<string>} scope - API key scopes declared by `@auth` (API keys can't access the fields without scope)
+	 * @throws {RequestError} - Access Forbidden
+	 * @throws {RequestError} - Insufficient API key scope
+	 * @throws {RequestError} - Missing permission
+	 * @example
+	 * // Will throw error
+	 * HasPermissionDirective.checkPermission(context, ['users.manage'], {scope: []});
+	 */
+	static checkPermission ( context, permissions, {scope = []} ) {
+		const request = op.get(context, 'request', {
+			t: v => v,
+		});
+		const user = getIdentity(context);
+
+		// Guest user / not allowed
+		if ( user.isGuest ) {
+			throw new RequestError(request.t('Not Authorized'), 'UNAUTHORIZED');
+		}
+
+		// The scopes are checked by `@auth`, fields without a scope are closed for API keys
+		if ( Array.isArray(user.scopes) && !scope.length ) {
+			throw new RequestError(request.t('The API key is not allowed to perform this action'), 'INSUFFICIENT_SCOPE');
+		}
+
+		/** @type {?FastifyRbac} */
+		const rbac = op.get(context, 'app.rbac', null);
+
+		if ( !rbac || !rbac.hasPermissions(user.identity.role, permissions) ) {
+			throw new RequestError(request.t('You are not allowed to perform this action'), 'MISSING_PERMISSION');
+		}
+	}
+}
+
+module.exports = HasPermissionDirective;
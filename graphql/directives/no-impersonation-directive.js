@@ -0,0 +1,88 @@
+/**
+ * GraphQL @noImpersonation directive
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+const {defaultFieldResolver} = require('graphql');
+const {SchemaDirectiveVisitor} = require('graphql-tools');
+
+const RequestError = require('./../components/RequestError');
+const {getIdentity} = require('./../../helpers/fastify/auth/identity');
+
+/**
+ * @class NoImpersonationDirective
+ * This directive blocks the sensitive actions (e.g., password change) while an admin impersonates the user
+ */
+class NoImpersonationDirective extends SchemaDirectiveVisitor {
+	/**
+	 * @inheritDoc
+	 */
+	visitObject ( type ) {
+		this.ensureFieldsWrapped(type);
+		type._noImpersonation = true;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	visitFieldDefinition ( field, details ) {
+		this.ensureFieldsWrapped(details.objectType);
+		field._noImpersonation = true;
+	}
+
+	/**
+	 * @protected
+	 * Wrap fields and validate the identity
+	 * @param {(GraphQLObjectType|GraphQLInterfaceType)} objectType - The container object
+	 */
+	ensureFieldsWrapped ( objectType ) {
+		//<editor-fold desc="Mark the GraphQLObjectType object to avoid re-wrapping">
+		if ( objectType._noImpersonationFieldsWrapped ) {
+			return;
+		}
+
+		objectType._noImpersonationFieldsWrapped = true;
+		//</editor-fold>
+
+		/** @type {GraphQLField[]} */
+		const fields = objectType.getFields();
+
+		Object.keys(fields).forEach(/** @type {string}*/ name => {
+			const field = fields[name];
+			const {resolve = defaultFieldResolver} = field;
+
+			field.resolve = async function ( ...args ) {
+				/** [source, argument, context, info] */
+				const [, , context] = args;
+
+				if ( field._noImpersonation || objectType._noImpersonation ) {
+					NoImpersonationDirective.checkPermission(context);
+				}
+
+				return resolve.apply(this, args);
+			};
+		});
+	}
+
+	/**
+	 * @protected
+	 * @static
+	 * Check that current user isn't impersonated
+	 * @param {Query~GraphQLContext} context - contain per-request state, including authentication information and anything else
+	 * @throws {RequestError} - Not allowed while impersonating
+	 */
+	static checkPermission ( context ) {
+		const request = op.get(context, 'request', {
+			t: v => v,
+		});
+
+		if ( getIdentity(context).impersonatedBy ) {
+			throw new RequestError(request.t('This action is not allowed while impersonating a user'), 'IMPERSONATION_NOT_ALLOWED');
+		}
+	}
+}
+
+module.exports = NoImpersonationDirective;
@@ -12,6 +12,7 @@
  * @property {FastifyReply|FastifyResponse} reply - Fastify reply instance
  * @property {FastifyRequest|FastifyRequest} request - Fastify request instance
  * @property {FastifyRequest|FastifyRequest} reply.request - Fastify request instance
+ * @property {Object.<string, DataLoader>} loaders - Data loaders of current request (see `fastify.dataLoaders`)
  */
 
 /**
@@ -0,0 +1,21 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( defs, fastify ) => {
+	//<editor-fold desc="Mutation">
+	require('./mutation/change-password')(defs, fastify);
+	require('./mutation/request-email-change')(defs, fastify);
+	require('./mutation/confirm-email-change')(defs, fastify);
+	require('./mutation/set-phone-number')(defs, fastify);
+	require('./mutation/verify-phone-number')(defs, fastify);
+	require('./mutation/delete-my-account')(defs, fastify);
+	require('./mutation/request-data-export')(defs, fastify);
+	//</editor-fold>
+};
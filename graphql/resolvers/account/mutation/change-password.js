@@ -0,0 +1,86 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const RefreshToken = require('../../../../helpers/fastify/auth/refresh-token');
+const PasswordPolicy = require('../../../../helpers/fastify/auth/password-policy');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {issueToken} = UserAuth(fastify);
+	const {revokeAllByUser} = RefreshToken(fastify);
+	const {validate: validatePassword} = PasswordPolicy(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Change the password of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.changePassword = async ( root, {current, next, cookie}, ctx ) => {
+		const {request, reply} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Invalid current password">
+		if ( !identity.validatePassword(current) ) {
+			/** @type {string} */
+			const msg = request.t('The current password is incorrect.');
+			throw new RequestError(msg, 'INVALID_PASSWORD', {current: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Same password">
+		if ( current === next ) {
+			/** @type {string} */
+			const msg = request.t('The new password must be different from the current one.');
+			throw new RequestError(msg, 'SAME_PASSWORD', {next: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Password policy">
+		/** @type {?PasswordPolicyViolation} */
+		const violation = validatePassword(next, request, identity);
+		
+		if ( violation ) {
+			throw new RequestError(violation.message, violation.code, {next: violation.message});
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const authKey = identity.getAuthKey();
+		
+		identity.setPassword(next);
+		identity.updateJsonCounter('password.changed.counts');
+		identity.setJsonValue('password.changed.lastChangedOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+		
+		// Invalidates all the issued tokens, current session gets a new one below
+		identity.generateAuthKey();
+		await identity.save();
+		
+		await fastify.dataLoaders.clear('authUsers', authKey);
+		await revokeAllByUser(identity.id, 'PASSWORD_CHANGED');
+		
+		return {
+			me: await User.toGraphMeObject(identity, request.language),
+			token: await issueToken(identity, request, reply, cookie),
+		};
+	};
+};
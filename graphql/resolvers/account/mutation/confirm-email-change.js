@@ -0,0 +1,89 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const RefreshToken = require('../../../../helpers/fastify/auth/refresh-token');
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {issueToken} = UserAuth(fastify);
+	const {revokeAllByUser} = RefreshToken(fastify);
+	const {sendEmailChangedMail} = AccountMailer(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Confirm the email change of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.confirmEmailChange = async ( root, {token, cookie}, ctx ) => {
+		const {request, reply} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Invalid or expired token">
+		if ( !identity.isEmailChangeTokenValid(token, {
+			expire: fastify.config.get('account.emailChange.tokenExpire', 86400),
+		}) ) {
+			/** @type {string} */
+			const msg = request.t('The email change token is invalid or has expired.');
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const email = identity.getJsonValue('emailChange.email');
+		
+		//<editor-fold desc="Error: Email address taken in the meantime">
+		if ( await User.findByEmail(email) !== null ) {
+			/** @type {string} */
+			const msg = request.t('This email address has already been taken.');
+			throw new RequestError(msg, 'EMAIL_EXISTS', {token: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const oldEmail = identity.email;
+		
+		/** @type {string} */
+		const authKey = identity.getAuthKey();
+		
+		identity.set('email', email);
+		identity.removeEmailChangeToken();
+		
+		// Invalidates all the issued tokens, current session gets a new one below
+		identity.generateAuthKey();
+		await identity.save();
+		
+		await fastify.dataLoaders.clear('authUsers', authKey);
+		await revokeAllByUser(identity.id, 'EMAIL_CHANGED');
+		
+		try {
+			await sendEmailChangedMail(identity, oldEmail, request.language);
+		} catch ( err ) {
+			// Email is already changed, the notification is informative only
+			fastify.log.error(err);
+		}
+		
+		return {
+			me: await User.toGraphMeObject(identity, request.language),
+			token: await issueToken(identity, request, reply, cookie),
+		};
+	};
+};
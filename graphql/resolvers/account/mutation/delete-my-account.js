@@ -0,0 +1,53 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const AccountDeletion = require('../../../../helpers/fastify/auth/account-deletion');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {getClientInfo} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {clearAuthCookie} = UserAuth(fastify);
+	const {softDelete} = AccountDeletion(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Delete the account of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.deleteMyAccount = async ( root, {password}, ctx ) => {
+		const {request, reply} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Invalid password">
+		if ( !identity.validatePassword(password) ) {
+			/** @type {string} */
+			const msg = request.t('The current password is incorrect.');
+			throw new RequestError(msg, 'INVALID_PASSWORD', {password: msg});
+		}
+		//</editor-fold>
+		
+		await softDelete(identity);
+		
+		clearAuthCookie(request, reply);
+		
+		fastify.authEvents.emit('account.deleted', {user: identity, ...getClientInfo(request)});
+		
+		return true;
+	};
+};
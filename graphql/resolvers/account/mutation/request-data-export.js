@@ -0,0 +1,59 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const DataExport = require('../../../../helpers/fastify/auth/data-export');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {create, toDownloadUrl} = DataExport(fastify);
+	const {sendDataExportMail} = AccountMailer(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Export the personal data of current user, the download link is emailed
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.requestDataExport = async ( root, args, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Requested too recently">
+		/** @type {?string} */
+		const requestedOn = identity.getJsonValue('dataExport.requestedOn');
+		
+		/** @type {number} */
+		const waitSeconds = fastify.config.get('account.dataExport.throttleSeconds', 3600);
+		
+		if ( requestedOn && moment.utc(requestedOn).add(waitSeconds, 'seconds').isAfter(moment.utc()) ) {
+			/** @type {string} */
+			const msg = request.t('Please wait a moment before requesting another export.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS');
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const token = await create(identity);
+		
+		await sendDataExportMail(identity, toDownloadUrl(token), request.language);
+		
+		return true;
+	};
+};
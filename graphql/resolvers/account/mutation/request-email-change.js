@@ -0,0 +1,78 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {sendEmailChangeMail} = AccountMailer(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Request to change the email address of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.requestEmailChange = async ( root, {newEmail}, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		/** @type {string} */
+		const email = String(newEmail).toLowerCase();
+		
+		//<editor-fold desc="Error: Same email address">
+		if ( email === identity.email ) {
+			/** @type {string} */
+			const msg = request.t('The new email address must be different from the current one.');
+			throw new RequestError(msg, 'SAME_EMAIL', {newEmail: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Email address already taken">
+		if ( await User.findByEmail(email) !== null ) {
+			/** @type {string} */
+			const msg = request.t('This email address has already been taken.');
+			throw new RequestError(msg, 'EMAIL_EXISTS', {newEmail: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Requested too recently">
+		/** @type {?string} */
+		const requestedOn = identity.getJsonValue('emailChange.requestedOn');
+		
+		/** @type {number} */
+		const waitSeconds = fastify.config.get('account.emailChange.throttleSeconds', 60);
+		
+		if ( requestedOn && moment.utc(requestedOn).add(waitSeconds, 'seconds').isAfter(moment.utc()) ) {
+			/** @type {string} */
+			const msg = request.t('Please wait a moment before requesting another email.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS', {newEmail: msg});
+		}
+		//</editor-fold>
+		
+		identity.generateEmailChangeToken(email);
+		await identity.save();
+		
+		await sendEmailChangeMail(identity, request.language);
+		
+		return true;
+	};
+};
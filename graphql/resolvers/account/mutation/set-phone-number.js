@@ -0,0 +1,82 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Set the phone number of current user and send the verification code
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.setPhoneNumber = async ( root, {number}, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Same phone number">
+		if ( number === identity.getJsonValue('phone.number')
+			&& identity.getJsonValue('phone.isVerified', false) ) {
+			/** @type {string} */
+			const msg = request.t('This phone number is already verified.');
+			throw new RequestError(msg, 'SAME_PHONE', {number: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Phone number already taken">
+		/** @type {?User} */
+		const owner = await User.findByPhoneNumber(number);
+		
+		if ( owner !== null && owner.id !== identity.id ) {
+			/** @type {string} */
+			const msg = request.t('This phone number has already been taken.');
+			throw new RequestError(msg, 'PHONE_EXISTS', {number: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Requested too recently">
+		/** @type {?string} */
+		const requestedOn = identity.getJsonValue('phone.requestedOn');
+		
+		/** @type {number} */
+		const waitSeconds = fastify.config.get('account.phoneVerification.throttleSeconds', 60);
+		
+		if ( requestedOn && moment.utc(requestedOn).add(waitSeconds, 'seconds').isAfter(moment.utc()) ) {
+			/** @type {string} */
+			const msg = request.t('Please wait a moment before requesting another code.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS', {number: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const code = identity.generatePhoneVerificationCode(number);
+		await identity.save();
+		
+		/** @type {number} */
+		const minutes = Math.ceil(fastify.config.get('account.phoneVerification.codeExpire', 600) / 60);
+		
+		await fastify.sms.send(number, request.t('Your verification code is {{code}}, it expires in {{minutes}} minutes.', {
+			code, minutes,
+		}));
+		
+		return true;
+	};
+};
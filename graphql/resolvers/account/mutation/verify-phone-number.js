@@ -0,0 +1,85 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Verify the pending phone number of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.verifyPhoneNumber = async ( root, {code}, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: No pending verification">
+		if ( !identity.getJsonValue('phone.verification.code') ) {
+			/** @type {string} */
+			const msg = request.t('There is no phone number pending verification.');
+			throw new RequestError(msg, 'NO_PENDING_VERIFICATION', {code: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Invalid or expired code">
+		if ( !identity.isPhoneVerificationCodeValid(code, {
+			expire: fastify.config.get('account.phoneVerification.codeExpire', 600),
+		}) ) {
+			/** @type {number} */
+			const attempts = identity.getJsonValue('phone.verification.attempts', 0) + 1;
+			
+			if ( attempts >= fastify.config.get('account.phoneVerification.maxAttempts', 5) ) {
+				identity.removePhoneVerificationCode();
+				await identity.save();
+				
+				/** @type {string} */
+				const msg = request.t('Too many invalid codes, please request a new one.');
+				throw new RequestError(msg, 'TOO_MANY_ATTEMPTS', {code: msg});
+			}
+			
+			identity.setJsonValue('phone.verification.attempts', attempts);
+			await identity.save();
+			
+			/** @type {string} */
+			const msg = request.t('The verification code is invalid or has expired.');
+			throw new RequestError(msg, 'INVALID_CODE', {code: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Phone number taken in the meantime">
+		/** @type {?User} */
+		const owner = await User.findByPhoneNumber(identity.getJsonValue('phone.verification.number'));
+		
+		if ( owner !== null && owner.id !== identity.id ) {
+			identity.removePhoneVerificationCode();
+			await identity.save();
+			
+			/** @type {string} */
+			const msg = request.t('This phone number has already been taken.');
+			throw new RequestError(msg, 'PHONE_EXISTS', {code: msg});
+		}
+		//</editor-fold>
+		
+		identity.verifyPhoneNumber();
+		await identity.save();
+		
+		return User.toGraphMeObject(identity, request.language);
+	};
+};
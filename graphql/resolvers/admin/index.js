@@ -0,0 +1,25 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( defs, fastify ) => {
+	//<editor-fold desc="Query">
+	require('./query/users')(defs, fastify);
+	require('./query/user')(defs, fastify);
+	//</editor-fold>
+	
+	//<editor-fold desc="Mutation">
+	require('./mutation/update-user-status')(defs, fastify);
+	require('./mutation/update-user-role')(defs, fastify);
+	require('./mutation/force-logout')(defs, fastify);
+	require('./mutation/reset-user-password')(defs, fastify);
+	require('./mutation/impersonate-user')(defs, fastify);
+	require('./mutation/stop-impersonation')(defs, fastify);
+	//</editor-fold>
+};
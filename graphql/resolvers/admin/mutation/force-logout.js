@@ -0,0 +1,42 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const AdminUtils = require('./../utils/admin-utils');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {findUser, validateNotSelf, validateManageable, logoutUser, record} = AdminUtils(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Log the user out from all the sessions
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` and `@hasPermission` directives
+	 */
+	Mutation.forceLogout = async ( root, {userId}, ctx ) => {
+		const {AdminAction} = fastify.db.models;
+		
+		/** @type {User} */
+		const model = await findUser(userId, ctx.request, 'userId');
+		
+		validateNotSelf(model, ctx, 'userId');
+		validateManageable(model, ctx, 'userId');
+		
+		await logoutUser(model, 'FORCED_LOGOUT');
+		await record(ctx, AdminAction.ACTION_FORCE_LOGOUT, model);
+		
+		return true;
+	};
+};
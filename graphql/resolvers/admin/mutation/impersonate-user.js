@@ -0,0 +1,57 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const AdminUtils = require('./../utils/admin-utils');
+const Impersonation = require('./../../../../helpers/fastify/auth/impersonation');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {findUser, validateNotSelf, validateManageable} = AdminUtils(fastify);
+	const {start} = Impersonation(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Issue a time-limited token acting as the user
+	 * <br>Admins can only impersonate the roles they have or inherit
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth`, `@hasPermission` and `@noImpersonation` directives
+	 */
+	Mutation.impersonateUser = async ( root, {id}, ctx ) => {
+		const {User} = fastify.db.models;
+		const {request} = ctx;
+		const { /** @type {User} */ identity} = getIdentity(ctx);
+		
+		/** @type {User} */
+		const model = await findUser(id, request);
+		
+		validateNotSelf(model, ctx);
+		validateManageable(model, ctx);
+		
+		//<editor-fold desc="Error: Account is not active">
+		if ( !User.validateStatusOnLogin(model.get('status')) ) {
+			/** @type {string} */
+			const msg = request.t('The account is not active.');
+			throw new RequestError(msg, 'ACCESS_REVOKED', {id: msg});
+		}
+		//</editor-fold>
+		
+		return {
+			...await start(identity, model, request),
+			user: User.toGraphObject(model, request.language),
+		};
+	};
+};
@@ -0,0 +1,55 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const AdminUtils = require('./../utils/admin-utils');
+const AccountMailer = require('./../../../../helpers/fastify/auth/account-mailer');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {findUser, validateNotSelf, validateManageable, logoutUser, record} = AdminUtils(fastify);
+	const {sendPasswordResetMail} = AccountMailer(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Invalidate the password of the user and send the password reset email
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` and `@hasPermission` directives
+	 */
+	Mutation.resetUserPassword = async ( root, {id}, ctx ) => {
+		const {AdminAction} = fastify.db.models;
+		const {request} = ctx;
+		
+		/** @type {User} */
+		const model = await findUser(id, request);
+		
+		validateNotSelf(model, ctx);
+		validateManageable(model, ctx);
+		
+		// The current password stops working, the user sets a new one by the emailed token/code
+		model.set('password_hash', null);
+		model.generatePasswordResetToken();
+		model.generatePasswordResetCode();
+		model.setJsonValue('password.reset.requestedOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+		
+		await logoutUser(model, 'PASSWORD_RESET_BY_ADMIN');
+		await record(ctx, AdminAction.ACTION_RESET_PASSWORD, model);
+		
+		await sendPasswordResetMail(model, request.language);
+		
+		return true;
+	};
+};
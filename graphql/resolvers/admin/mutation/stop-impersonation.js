@@ -0,0 +1,42 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const Impersonation = require('./../../../../helpers/fastify/auth/impersonation');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {stop} = Impersonation(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Stop the impersonation of current token
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.stopImpersonation = async ( root, args, ctx ) => {
+		const {request} = ctx;
+		
+		//<editor-fold desc="Error: Not impersonating">
+		if ( !await stop(request) ) {
+			/** @type {string} */
+			const msg = request.t('You are not impersonating a user.');
+			throw new RequestError(msg, 'NOT_IMPERSONATING');
+		}
+		//</editor-fold>
+		
+		return true;
+	};
+};
@@ -0,0 +1,83 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const AdminUtils = require('./../utils/admin-utils');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {findUser, validateNotSelf, validateManageable, record} = AdminUtils(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Change the role of the user
+	 * <br>Admins can only grant (and take) the roles they have or inherit
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` and `@hasPermission` directives
+	 */
+	Mutation.updateUserRole = async ( root, {id, role}, ctx ) => {
+		const {User, AdminAction} = fastify.db.models;
+		const {request} = ctx;
+		const {rbac} = fastify;
+		
+		/** @type {User} */
+		const model = await findUser(id, request);
+		
+		validateNotSelf(model, ctx);
+		validateManageable(model, ctx);
+		
+		/** @type {?number} */
+		const roleId = rbac.getRoleId(role);
+		
+		//<editor-fold desc="Error: Unknown role">
+		if ( roleId === null ) {
+			/** @type {string} */
+			const msg = request.t('Unknown role.');
+			throw new RequestError(msg, 'UNKNOWN_ROLE', {role: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {number} */
+		const adminRole = getIdentity(ctx).identity.role;
+		
+		/** @type {?string} */
+		const previous = rbac.getRoleName(model.get('role'));
+		
+		//<editor-fold desc="Error: Granted role is above the admin">
+		if ( !rbac.hasRole(adminRole, [role]) ) {
+			/** @type {string} */
+			const msg = request.t('You are not allowed to manage this role.');
+			throw new RequestError(msg, 'ROLE_NOT_ALLOWED', {role: msg});
+		}
+		//</editor-fold>
+		
+		if ( +model.get('role') === roleId ) {
+			return User.toGraphObject(model, request.language);
+		}
+		
+		model.set('role', roleId);
+		await model.save();
+		
+		// The role is cached along with the identity
+		await fastify.dataLoaders.clear('authUsers', model.getAuthKey());
+		
+		await record(ctx, AdminAction.ACTION_UPDATE_ROLE, model, {
+			role: {from: previous, to: role},
+		});
+		
+		return User.toGraphObject(model, request.language);
+	};
+};
@@ -0,0 +1,69 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const AdminUtils = require('./../utils/admin-utils');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {findUser, validateNotSelf, validateManageable, logoutUser, record} = AdminUtils(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Change the status of the user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` and `@hasPermission` directives
+	 */
+	Mutation.updateUserStatus = async ( root, {id, status}, ctx ) => {
+		const {User, AdminAction} = fastify.db.models;
+		const {request} = ctx;
+		
+		/** @type {User} */
+		const model = await findUser(id, request);
+		
+		validateNotSelf(model, ctx);
+		validateManageable(model, ctx);
+		
+		//<editor-fold desc="Error: Invalid status">
+		if ( User.getStatusName(status) === null || +status === User.STATUS_DELETED ) {
+			/** @type {string} */
+			const msg = request.t('Invalid status.');
+			throw new RequestError(msg, 'INVALID_STATUS', {status: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {number} */
+		const previous = +model.get('status');
+		
+		if ( previous === +status ) {
+			return User.toGraphObject(model, request.language);
+		}
+		
+		model.set('status', +status);
+		
+		if ( +status === User.STATUS_ACTIVE ) {
+			await model.save();
+			await fastify.dataLoaders.clear('authUsers', model.getAuthKey());
+		} else {
+			await logoutUser(model, 'ACCOUNT_DISABLED');
+		}
+		
+		await record(ctx, AdminAction.ACTION_UPDATE_STATUS, model, {
+			status: {from: previous, to: +status},
+		});
+		
+		return User.toGraphObject(model, request.language);
+	};
+};
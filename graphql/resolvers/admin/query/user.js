@@ -0,0 +1,33 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Query}, fastify ) => {
+	/**
+	 * @public
+	 * @async
+	 * (Query) Find the user by ID
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Query~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<?Object>}
+	 * @see Uses `@auth` and `@hasPermission` directives
+	 */
+	Query.user = async ( root, {id}, ctx ) => {
+		const {User} = fastify.db.models;
+
+		/** @type {?User} */
+		const model = await User.findByPk(id);
+
+		return model === null
+			? null
+			: User.toGraphObject(model, ctx.request.language);
+	};
+};
@@ -0,0 +1,80 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+const {Op} = require('sequelize');
+
+// Utils
+const {paginate} = require('./../../../components/connection');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Query}, fastify ) => {
+	/**
+	 * @private
+	 * Convert `UsersFilter` input into sequelize conditions
+	 * @param {Object} filter - `UsersFilter` input
+	 * @returns {Object} - Where conditions
+	 */
+	const toWhere = filter => {
+		const {status, role, email, createdFrom, createdTo} = filter;
+
+		/** @type {Object} */
+		const where = {};
+
+		if ( status && status.length ) {
+			where.status = status;
+		}
+
+		if ( role && role.length ) {
+			where.role = role.map(name => fastify.rbac.getRoleId(name)).filter(id => id !== null);
+		}
+
+		if ( email && String(email).trim() ) {
+			where.email = {[Op.iLike]: `%${String(email).trim().replace(/[\\%_]/g, '\\$&')}%`};
+		}
+
+		if ( createdFrom || createdTo ) {
+			where.created_at = {
+				...(createdFrom ? {[Op.gte]: moment.utc(createdFrom).toDate()} : {}),
+				...(createdTo ? {[Op.lt]: moment.utc(createdTo).toDate()} : {}),
+			};
+		}
+
+		return where;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * (Query) Find the users
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Query~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<Object>}
+	 * @see Uses `@auth` and `@hasPermission` directives
+	 */
+	Query.users = async ( root, {filter, pager}, ctx ) => {
+		const {User} = fastify.db.models;
+
+		const {nodes, edges, pageInfo} = await paginate(User, {
+			where: toWhere(filter || {}),
+		}, pager, {
+			toNode: model => User.toGraphObject(model, ctx.request.language),
+			request: ctx.request,
+		});
+
+		return {
+			users: nodes,
+			edges,
+			pageInfo,
+		};
+	};
+};
@@ -0,0 +1,132 @@
+/**
+ * Shared checks and audit of the admin user management
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RefreshToken = require('./../../../../helpers/fastify/auth/refresh-token');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {getRequestIP} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	const {revokeAllByUser} = RefreshToken(fastify);
+
+	/**
+	 * @public
+	 * @async
+	 * Find the target user
+	 * @param {number} id - User ID
+	 * @param {FastifyRequest} request - Request instance
+	 * @param {string} [field='id'] - Argument name (reported in the error state)
+	 * @returns {Promise<User>} - User model
+	 * @throws {RequestError} - Unknown user
+	 */
+	const findUser = async ( id, request, field = 'id' ) => {
+		const {User} = fastify.db.models;
+
+		/** @type {?User} */
+		const model = await User.findByPk(id);
+
+		//<editor-fold desc="Error: Unknown user">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('User not found.');
+			throw new RequestError(msg, 'UNKNOWN_USER', {[field]: msg});
+		}
+		//</editor-fold>
+
+		return model;
+	};
+
+	/**
+	 * @public
+	 * Validate the admin doesn't change their own account
+	 * @param {User} model - Target user model
+	 * @param {Mutation~GraphQLContext} ctx - GraphQL context
+	 * @param {string} [field='id'] - Argument name (reported in the error state)
+	 * @throws {RequestError} - Own account
+	 */
+	const validateNotSelf = ( model, ctx, field = 'id' ) => {
+		//<editor-fold desc="Error: Own account">
+		if ( +model.id === +getIdentity(ctx).id ) {
+			/** @type {string} */
+			const msg = ctx.request.t('You can not change your own account.');
+			throw new RequestError(msg, 'CANNOT_MODIFY_SELF', {[field]: msg});
+		}
+		//</editor-fold>
+	};
+
+	/**
+	 * @public
+	 * Validate the admin's role covers the role of the user (admins only manage the roles they have or inherit)
+	 * @param {User} model - Target user model
+	 * @param {Mutation~GraphQLContext} ctx - GraphQL context
+	 * @param {string} [field='id'] - Argument name (reported in the error state)
+	 * @throws {RequestError} - Role is above the admin
+	 */
+	const validateManageable = ( model, ctx, field = 'id' ) => {
+		/** @type {?string} */
+		const role = fastify.rbac.getRoleName(model.get('role'));
+
+		//<editor-fold desc="Error: Role is above the admin">
+		if ( role === null || !fastify.rbac.hasRole(getIdentity(ctx).identity.role, [role]) ) {
+			/** @type {string} */
+			const msg = ctx.request.t('You are not allowed to manage this user.');
+			throw new RequestError(msg, 'ROLE_NOT_ALLOWED', {[field]: msg});
+		}
+		//</editor-fold>
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Log the user out from all the sessions (the issued tokens are invalidated)
+	 * @param {User} model - User model
+	 * @param {string} reason - Reason code (reported by `token.revoked` event)
+	 * @returns {Promise<void>}
+	 */
+	const logoutUser = async ( model, reason ) => {
+		/** @type {string} */
+		const authKey = model.getAuthKey();
+
+		model.generateAuthKey();
+		await model.save();
+
+		await fastify.dataLoaders.clear('authUsers', authKey);
+		await revokeAllByUser(model.id, reason);
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Record the change with the acting admin
+	 * @param {Mutation~GraphQLContext} ctx - GraphQL context
+	 * @param {string} action - Action (see `AdminAction.ACTION_*`)
+	 * @param {User} model - Target user model
+	 * @param {Object} [changes={}] - Changed values (e.g., `{status: {from: 10, to: 3}}`)
+	 * @returns {Promise<AdminAction>}
+	 */
+	const record = async ( ctx, action, model, changes = {} ) => {
+		return fastify.db.models.AdminAction.record(action, {
+			adminId: getIdentity(ctx).id,
+			userId: model.id,
+			changes,
+			ip: getRequestIP(ctx.request),
+		});
+	};
+
+	return {
+		findUser,
+		validateNotSelf,
+		validateManageable,
+		logoutUser,
+		record,
+	};
+};
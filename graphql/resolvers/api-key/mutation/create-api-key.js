@@ -0,0 +1,85 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+
+/** Utils */
+const ApiKeys = require('./../../../../helpers/fastify/auth/api-key');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {create, getAvailableScopes} = ApiKeys(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Create a personal API key
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.createApiKey = async ( root, {input}, ctx ) => {
+		const {ApiKey} = fastify.db.models;
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		const {name, scopes, expiresAt = null} = input;
+		
+		//<editor-fold desc="Error: Empty name">
+		if ( !String(name || '').trim() || String(name).trim().length > 60 ) {
+			/** @type {string} */
+			const msg = request.t('The name must be 1 to 60 characters long.');
+			throw new RequestError(msg, 'INVALID_NAME', {name: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Unknown scope">
+		/** @type {string[]} */
+		const unknown = scopes.filter(scope => !getAvailableScopes().includes(scope));
+		
+		if ( !scopes.length || unknown.length ) {
+			/** @type {string} */
+			const msg = request.t('Unknown or missing scopes: {{scopes}}', {scopes: unknown.join(', ')});
+			throw new RequestError(msg, 'INVALID_SCOPE', {scopes: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Expiry date in the past">
+		if ( expiresAt && !moment.utc(expiresAt).isAfter(moment.utc()) ) {
+			/** @type {string} */
+			const msg = request.t('The expiry date must be in the future.');
+			throw new RequestError(msg, 'INVALID_EXPIRY', {expiresAt: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Too many keys">
+		/** @type {number} */
+		const count = await ApiKey.count({where: {user_id: identity.id, revoked_at: null}});
+		
+		if ( count >= fastify.config.get('account.apiKeys.maxPerUser', 20) ) {
+			/** @type {string} */
+			const msg = request.t('You have reached the maximum number of API keys.');
+			throw new RequestError(msg, 'TOO_MANY_KEYS', {name: msg});
+		}
+		//</editor-fold>
+		
+		const {apiKey, secret} = await create(identity, {name, scopes, expiresAt});
+		
+		return {
+			apiKey: ApiKey.toGraphObject(apiKey),
+			secret,
+		};
+	};
+};
@@ -0,0 +1,56 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const ApiKeys = require('./../../../../helpers/fastify/auth/api-key');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {getClientInfo} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {revoke} = ApiKeys(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Revoke a personal API key
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.revokeApiKey = async ( root, {id}, ctx ) => {
+		const {ApiKey} = fastify.db.models;
+		const {request} = ctx;
+		
+		/** @type {ApiKey|null} */
+		const apiKey = await ApiKey.findOne({
+			where: {id, user_id: getIdentity(ctx).id, revoked_at: null},
+		});
+		
+		//<editor-fold desc="Error: Unknown key">
+		if ( apiKey === null ) {
+			/** @type {string} */
+			const msg = request.t('API key not found.');
+			throw new RequestError(msg, 'UNKNOWN_API_KEY', {id: msg});
+		}
+		//</editor-fold>
+		
+		await revoke(apiKey);
+		
+		fastify.authEvents.emit('token.revoked', {
+			userId: apiKey.user_id, ...getClientInfo(request), reason: 'API_KEY_REVOKED',
+		});
+		
+		return true;
+	};
+};
@@ -0,0 +1,39 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+// Utils
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Query}, fastify ) => {
+	/**
+	 * @public
+	 * @async
+	 * (Query) Active personal API keys of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Query~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<Object[]>}
+	 * @see Uses `@auth` directive
+	 */
+	Query.myApiKeys = async ( root, args, ctx ) => {
+		const {ApiKey} = fastify.db.models;
+		
+		/** @type {ApiKey[]} */
+		const keys = await ApiKey.findAll({
+			where: {user_id: getIdentity(ctx).id, revoked_at: null},
+			order: [['id', 'DESC']],
+		});
+		
+		return keys
+			.filter(model => model.isActive())
+			.map(ApiKey.toGraphObject);
+	};
+};
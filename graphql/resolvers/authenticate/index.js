@@ -11,6 +11,10 @@
 module.exports = ( defs, fastify ) => {
 	//<editor-fold desc="Mutation">
 	require('./mutation/login')(defs, fastify);
+	require('./mutation/login-with-magic-link')(defs, fastify);
 	require('./mutation/logout')(defs, fastify);
+	require('./mutation/refresh-token')(defs, fastify);
+	require('./mutation/request-magic-link')(defs, fastify);
+	require('./mutation/unlock-account')(defs, fastify);
 	//</editor-fold>
 };
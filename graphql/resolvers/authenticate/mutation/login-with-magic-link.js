@@ -0,0 +1,69 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const TwoFactor = require('../../../../helpers/fastify/auth/two-factor');
+const MagicLink = require('../../../../helpers/fastify/auth/magic-link');
+const {getClientInfo} = require('../../../../helpers/fastify/request');
+const RequestError = require('./../../../components/RequestError');
+const LoginChecks = require('./../utils/login-checks');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {completeLogin} = UserAuth(fastify);
+	const {isEnabled: isTwoFactorEnabled, createChallenge} = TwoFactor(fastify);
+	const {consume} = MagicLink(fastify);
+	const {validateStatus, validateActivation} = LoginChecks(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Login user by the emailed login link
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.loginWithMagicLink = async ( root, {token, cookie}, {request, reply} ) => {
+		/** @type {?number} */
+		const userId = await consume(token);
+		
+		/** @type {User|null} */
+		const model = userId ? await User.findByPk(userId) : null;
+		
+		//<editor-fold desc="Error: Invalid or expired link">
+		if ( model === null ) {
+			fastify.authEvents.emit('login.failed', {user: null, ...getClientInfo(request), reason: 'INVALID_MAGIC_LINK'});
+			
+			/** @type {string} */
+			const msg = request.t('The login link is invalid or has expired.');
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		validateStatus(model, request);
+		validateActivation(model, request);
+		
+		// The link replaces the password only, the code is still required
+		if ( isTwoFactorEnabled(model) ) {
+			return {
+				me: null,
+				token: null,
+				challenge: await createChallenge(model),
+			};
+		}
+		
+		return completeLogin(model, request, reply, cookie);
+	};
+};
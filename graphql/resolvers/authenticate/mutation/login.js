@@ -4,12 +4,14 @@
  * @since 2021-06-17
  */
 
-const moment = require('moment');
-
 /** Utils */
 const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
-const JWTIdentity = require('../../../../helpers/fastify/auth/jwt-identity');
+const TwoFactor = require('../../../../helpers/fastify/auth/two-factor');
+const LoginLockout = require('../../../../helpers/fastify/auth/login-lockout');
+const {getClientInfo} = require('../../../../helpers/fastify/request');
 const RequestError = require('./../../../components/RequestError');
+const LoginChecks = require('./../utils/login-checks');
+const PasswordPolicy = require('../../../../helpers/fastify/auth/password-policy');
 
 /**
  * @param {ResolversDefs} defs - Resolvers definitions
@@ -18,10 +20,12 @@ const RequestError = require('./../../../components/RequestError');
  */
 module.exports = async ( {Mutation}, fastify ) => {
 	const {User} = fastify.db.models;
-	const {authUsers} = fastify.dataLoaders;
 	
-	const {setAuthCookie} = UserAuth(fastify);
-	const {createToken} = JWTIdentity(fastify);
+	const {completeLogin} = UserAuth(fastify);
+	const {isEnabled: isTwoFactorEnabled, createChallenge} = TwoFactor(fastify);
+	const Lockout = LoginLockout(fastify);
+	const {validateStatus, validateActivation, lockedError, registerFailure} = LoginChecks(fastify);
+	const {isExpired: isPasswordExpired} = PasswordPolicy(fastify);
 	
 	/**
 	 * Find and validate user identity
@@ -33,43 +37,40 @@ module.exports = async ( {Mutation}, fastify ) => {
 	const findIdentity = async ( input, {request} ) => {
 		const {email, password} = {...input};
 		
+		const {ip} = getClientInfo(request);
+		
+		//<editor-fold desc="Error: Email and IP pair is locked">
+		/** @type {LoginLock|null} */
+		const pairLock = await Lockout.findLock(null, email, ip);
+		
+		if ( pairLock ) {
+			fastify.authEvents.emit('login.failed', {user: null, email, ...getClientInfo(request), reason: 'ACCOUNT_LOCKED'});
+			throw lockedError(pairLock, request);
+		}
+		//</editor-fold>
+		
 		/** @type {User#} */
 		const model = await User.findByEmail(email);
 		
 		//<editor-fold desc="Error: Unknown email address.">
 		if ( model === null ) {
+			await registerFailure(null, email, request, 'UNKNOWN_EMAIL');
+			
 			/** @type {string} */
 			const msg = request.t('Unknown email address.');
 			throw new RequestError(msg, 'UNKNOWN_EMAIL', {email: msg});
 		}
 		//</editor-fold>
 		
-		/** @type {number} */
-		const accountStatus = model.get('status');
+		validateStatus(model, request);
 		
-		//<editor-fold desc="Error: Not a valid status">
-		if ( accountStatus === User.STATUS_INACTIVE ) {
-			const status = model.toStatus();
-			
-			/** @type {string} */
-			const message = request.t('Your account has pending activation.', {
-				status: request.t(status)
-			});
-			
-			throw new RequestError(message, `PENDING_ACTIVATION`, {email: message});
-		}
-		//</editor-fold>
+		//<editor-fold desc="Error: Account is locked">
+		/** @type {LoginLock|null} */
+		const accountLock = await Lockout.findLock(model, email, ip);
 		
-		//<editor-fold desc="Error: Not a valid status">
-		if ( !User.validateStatusOnLogin(model.get('status')) ) {
-			const status = model.toStatus();
-			
-			/** @type {string} */
-			const message = request.t('Your account has been {{status}}.', {
-				status: request.t(status)
-			});
-			
-			throw new RequestError(message, `ACCESS_REVOKED`, {email: message});
+		if ( accountLock ) {
+			fastify.authEvents.emit('login.failed', {user: model, email, ...getClientInfo(request), reason: 'ACCOUNT_LOCKED'});
+			throw lockedError(accountLock, request);
 		}
 		//</editor-fold>
 		
@@ -81,32 +82,45 @@ module.exports = async ( {Mutation}, fastify ) => {
 			model.updateJsonCounter('login.history.failed.counts');
 			await model.save();
 			
+			/** @type {LoginLock|null} */
+			const lock = await registerFailure(model, email, request, 'INVALID_PASSWORD');
+			
+			if ( lock ) {
+				throw lockedError(lock, request);
+			}
+			
 			throw new RequestError(message, 'INVALID_PASSWORD', {password: message});
 		}
 		//</editor-fold>
 		
-		//<editor-fold desc="Error: Pending activation">
-		if ( model.getJsonValue('activation.pending', false) ) {
+		await Lockout.clearFailures(model, email, ip);
+		
+		// Upgrade the hash made by an outdated algorithm or parameters
+		if ( model.needsPasswordRehash() ) {
+			model.rehashPassword(password);
+			await model.save();
+		}
+		
+		validateActivation(model, request);
+		
+		//<editor-fold desc="Error: Password expired">
+		if ( isPasswordExpired(model) ) {
+			// The password is verified, the client sets a new one by `resetPassword` with this token
+			model.generatePasswordResetToken();
+			await model.save();
+			
 			/** @type {string} */
-			const message = request.t('Your account is not activated.');
-			throw new RequestError(message, 'NOT_ACTIVATED', {email: message});
+			const message = request.t('Your password has expired, please choose a new one.');
+			throw new RequestError(message, 'PASSWORD_EXPIRED', {
+				password: message,
+				token: model.get('password_reset_token'),
+			});
 		}
 		//</editor-fold>
 		
 		return model;
 	};
 	
-	/**
-	 * Get request IP address
-	 * @return {string}
-	 */
-	const getRequestIP = request => {
-		return request.ip
-			|| request.headers['x-forwarded-for']
-			|| request.raw.connection.remoteAddress
-			|| '';
-	};
-	
 	/**
 	 * @public
 	 * @async
@@ -123,42 +137,15 @@ module.exports = async ( {Mutation}, fastify ) => {
 		/** @type {User#} */
 		const model = await findIdentity(input, ctx);
 		
-		//<editor-fold desc="Update auth details">
-		model.setJsonValue('login.history', {
-			lastIp: getRequestIP(request),
-			lastDate: moment().utc().format('YYYY-MM-DD HH:mm:ss'),
-			failed: {counts: 0}
-		});
-		
-		model.setJsonValue('security.token.invalidate', false);
-		model.updateJsonCounter('login.history.successful.counts');
-		
-		await model.save();
-		//</editor-fold>
-		
-		/** @type {string} */
-		const authKey = model.getAuthKey();
-		
-		/**
-		 * Token data
-		 * @type {Object} */
-		const data = await createToken(authKey, model.get('role'));
-		
-		// Clear user from dataloader
-		authUsers.clear(authKey).prime(authKey, model);
-		
-		if ( cookie ) {
-			// Set auth cookie
-			setAuthCookie({data: {data}}, request, reply);
+		// Password is verified, the code is still required
+		if ( isTwoFactorEnabled(model) ) {
+			return {
+				me: null,
+				token: null,
+				challenge: await createChallenge(model),
+			};
 		}
 		
-		return {
-			me: await User.toGraphMeObject(model, request.language),
-			token: {
-				token: data.auth_token,
-				expiresAt: data.expires_at,
-				issuedAt: data.issued_at,
-			}
-		};
+		return completeLogin(model, request, reply, cookie);
 	};
 };
@@ -6,6 +6,9 @@
 
 // Utils
 const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const Impersonation = require('../../../../helpers/fastify/auth/impersonation');
+const {getIdentity} = require('../../../../helpers/fastify/auth/identity');
+const {getClientInfo} = require('../../../../helpers/fastify/request');
 
 /**
  * @param {ResolversDefs} defs - Resolvers definitions
@@ -14,11 +17,11 @@ const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
  */
 module.exports = async ( {Mutation, Subscription}, fastify ) => {
 	const {User} = fastify.db.models;
-	const {authUsers} = fastify.dataLoaders;
 	
-	const {clearAuthCookie} = UserAuth(fastify);
+	const {clearAuthCookie, revokeCurrentToken} = UserAuth(fastify);
+	const {stop: stopImpersonation} = Impersonation(fastify);
 	
-	const {pubSub, USER_LOGOUT} = require('./../../../subscription')(fastify);
+	const {publish, subscribe, USER_LOGOUT} = require('./../../../subscription')(fastify);
 	
 	/**
 	 * @public
@@ -34,24 +37,36 @@ module.exports = async ( {Mutation, Subscription}, fastify ) => {
 	Mutation.logout = async ( root, args, ctx, info ) => {
 		const {request, reply} = ctx;
 		
-		const { /** @type {User#} */ identity} = fastify.user;
+		const { /** @type {User#} */ identity, sessionId, impersonatedBy} = getIdentity(ctx);
 		
 		// Clear cookies
 		clearAuthCookie(request, reply);
 		
+		// Ends the impersonation only, the user stays logged in elsewhere
+		if ( impersonatedBy ) {
+			return await stopImpersonation(request, 'LOGOUT');
+		}
+		
 		// Clear user from dataloader
-		await authUsers.clear(identity.authorization_key);
+		await fastify.dataLoaders.clear('authUsers', identity.getAuthKey());
+		
+		// Revoke current session only
+		await revokeCurrentToken(request);
 		
-		// Invalidate token
-		identity.setJsonValue('security.token.invalidate', true);
-		await identity.save();
+		fastify.authEvents.emit('logout', {user: identity, ...getClientInfo(request), sessionId});
 		
-		await pubSub.publish(USER_LOGOUT, {[USER_LOGOUT]: await User.toGraphMeObject(identity)});
+		// Delivered to the user's own connections only
+		await publish(USER_LOGOUT, User.toGraphMeObject(identity), {userIds: [identity.id]});
 		
 		return true;
 	};
 	
+	/**
+	 * @public
+	 * (Subscription) Logout of current user
+	 * @see Uses `@auth` directive
+	 */
 	Subscription[USER_LOGOUT] = {
-		subscribe: () => pubSub.asyncIterator(USER_LOGOUT),
+		subscribe: subscribe(USER_LOGOUT, {auth: {scope: ['profile:read']}}),
 	};
 };
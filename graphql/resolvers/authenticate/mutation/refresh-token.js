@@ -0,0 +1,73 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const RefreshToken = require('../../../../helpers/fastify/auth/refresh-token');
+const AuthCookie = require('../../../../helpers/fastify/auth/cookie');
+const RequestError = require('./../../../components/RequestError');
+const {getClientInfo} = require('../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {issueToken} = UserAuth(fastify);
+	const {rotate, revokeFamily} = RefreshToken(fastify);
+	const {getRefreshCookie} = AuthCookie(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Exchange a refresh token for a new access token (the refresh token is rotated)
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 */
+	Mutation.refreshToken = async ( root, {token, cookie}, {request, reply} ) => {
+		/** @type {string} */
+		const msg = request.t('The refresh token is invalid or has expired.');
+		
+		/** @type {?Object} */
+		const record = await rotate(token || getRefreshCookie(request));
+		
+		//<editor-fold desc="Error: Unknown, expired or reused token">
+		if ( record === null ) {
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {User|null} */
+		const model = await User.findByPk(record.userId);
+		
+		//<editor-fold desc="Error: Credentials changed or account disabled">
+		if ( model === null
+			|| !model.validateAuthKey(record.authKey)
+			|| !User.validateStatusOnLogin(model.get('status')) ) {
+			await revokeFamily(record.family);
+			
+			fastify.authEvents.emit('token.revoked', {
+				userId: record.userId, ...getClientInfo(request), sessionId: record.family, reason: 'CREDENTIALS_CHANGED',
+			});
+			
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		// The token read from cookie has to be replaced in cookie as well
+		/** @type {Object} */
+		const authToken = await issueToken(model, request, reply, cookie || !token, await record.next());
+		
+		fastify.authEvents.emit('token.refreshed', {user: model, ...getClientInfo(request), sessionId: record.family});
+		
+		return authToken;
+	};
+};
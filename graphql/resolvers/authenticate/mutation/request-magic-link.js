@@ -0,0 +1,64 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const MagicLink = require('../../../../helpers/fastify/auth/magic-link');
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const RequestError = require('./../../../components/RequestError');
+const LoginChecks = require('./../utils/login-checks');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {acquireRequest, create} = MagicLink(fastify);
+	const {sendMagicLinkMail} = AccountMailer(fastify);
+	const {validateStatus, validateActivation} = LoginChecks(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Email a passwordless login link
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.requestMagicLink = async ( root, {email}, {request} ) => {
+		/** @type {User#} */
+		const model = await User.findByEmail(String(email).toLowerCase());
+		
+		//<editor-fold desc="Error: Unknown email address.">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('Unknown email address.');
+			throw new RequestError(msg, 'UNKNOWN_EMAIL', {email: msg});
+		}
+		//</editor-fold>
+		
+		validateStatus(model, request);
+		validateActivation(model, request);
+		
+		//<editor-fold desc="Error: Requested too recently">
+		if ( !(await acquireRequest(model)) ) {
+			/** @type {string} */
+			const msg = request.t('Please wait a moment before requesting another email.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS', {email: msg});
+		}
+		//</editor-fold>
+		
+		// Replaces any previously issued link
+		await sendMagicLinkMail(model, await create(model),
+			model.getJsonValue('language', request.language));
+		
+		return true;
+	};
+};
@@ -0,0 +1,52 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const LoginLockout = require('../../../../helpers/fastify/auth/login-lockout');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {consumeUnlockToken, unlock} = LoginLockout(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Unlock the account by the token sent in the account locked email
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.unlockAccount = async ( root, {token}, {request} ) => {
+		/** @type {?number} */
+		const userId = await consumeUnlockToken(token);
+		
+		/** @type {User|null} */
+		const model = userId ? await User.findByPk(userId) : null;
+		
+		//<editor-fold desc="Error: Invalid token">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('The unlock token is invalid or expired.');
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		await unlock(model);
+		
+		fastify.authEvents.emit('account.unlocked', {user: model});
+		
+		return true;
+	};
+};
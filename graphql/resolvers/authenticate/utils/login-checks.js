@@ -0,0 +1,134 @@
+/**
+ * Account checks shared by the login mutations
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RequestError = require('./../../../components/RequestError');
+const LoginLockout = require('./../../../../helpers/fastify/auth/login-lockout');
+const AccountMailer = require('./../../../../helpers/fastify/auth/account-mailer');
+const {getClientInfo} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	const {User} = fastify.db.models;
+
+	const Lockout = LoginLockout(fastify);
+	const {sendAccountLockedMail} = AccountMailer(fastify);
+
+	/**
+	 * @public
+	 * Validate the account status allows to login
+	 * @param {User} model - User model
+	 * @param {FastifyRequest} request - Request instance
+	 * @throws {RequestError} - Pending activation or access revoked
+	 */
+	const validateStatus = ( model, request ) => {
+		//<editor-fold desc="Error: Not a valid status">
+		if ( model.get('status') === User.STATUS_INACTIVE ) {
+			const status = model.toStatus();
+
+			/** @type {string} */
+			const message = request.t('Your account has pending activation.', {
+				status: request.t(status)
+			});
+
+			throw new RequestError(message, `PENDING_ACTIVATION`, {email: message});
+		}
+		//</editor-fold>
+
+		//<editor-fold desc="Error: Not a valid status">
+		if ( !User.validateStatusOnLogin(model.get('status')) ) {
+			const status = model.toStatus();
+
+			/** @type {string} */
+			const message = request.t('Your account has been {{status}}.', {
+				status: request.t(status)
+			});
+
+			throw new RequestError(message, `ACCESS_REVOKED`, {email: message});
+		}
+		//</editor-fold>
+	};
+
+	/**
+	 * @public
+	 * Validate the account is activated
+	 * @param {User} model - User model
+	 * @param {FastifyRequest} request - Request instance
+	 * @throws {RequestError} - Pending activation
+	 */
+	const validateActivation = ( model, request ) => {
+		//<editor-fold desc="Error: Pending activation">
+		if ( model.getJsonValue('activation.pending', false) ) {
+			/** @type {string} */
+			const message = request.t('Your account is not activated.');
+			throw new RequestError(message, 'NOT_ACTIVATED', {email: message});
+		}
+		//</editor-fold>
+	};
+
+	/**
+	 * @public
+	 * Create the account locked error
+	 * @param {LoginLock} lock - Active lock
+	 * @param {FastifyRequest} request - Request instance
+	 * @returns {RequestError} - Error instance
+	 */
+	const lockedError = ( {retryAfter}, request ) => {
+		/** @type {string} */
+		const msg = request.t('Too many failed login attempts, try again in {{minutes}} minutes.', {
+			minutes: Math.ceil(retryAfter / 60),
+		});
+
+		return new RequestError(msg, 'ACCOUNT_LOCKED', {email: msg, retryAfter});
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Record the failed attempt, lock and notify on too many failures
+	 * @param {?User} model - User model (null for unknown email)
+	 * @param {string} email - Email address
+	 * @param {FastifyRequest} request - Request instance
+	 * @param {string} reason - Failure reason code
+	 * @returns {Promise<LoginLock|null>} - Lock just applied / Not locked
+	 */
+	const registerFailure = async ( model, email, request, reason ) => {
+		const {ip, userAgent} = getClientInfo(request);
+
+		/** @type {LoginLock|null} */
+		const lock = await Lockout.registerFailure(model, email, ip);
+
+		fastify.authEvents.emit('login.failed', {user: model, email, ip, userAgent, reason});
+
+		if ( !lock ) {
+			return null;
+		}
+
+		fastify.authEvents.emit('account.locked', {user: model, email, ip, userAgent, ...lock});
+
+		if ( model ) {
+			try {
+				await sendAccountLockedMail(model, await Lockout.createUnlockToken(model),
+					lock.retryAfter, model.getJsonValue('language', request.language));
+			} catch ( err ) {
+				fastify.log.error(err);
+			}
+		}
+
+		return lock;
+	};
+
+	return {
+		validateStatus,
+		validateActivation,
+		lockedError,
+		registerFailure,
+	};
+};
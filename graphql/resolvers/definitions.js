@@ -26,6 +26,7 @@ const {
 	NonNegativeFloatResolver: NonNegativeFloat,
 	NegativeFloatResolver: NegativeFloat,
 	EmailAddressResolver: EmailAddress,
+	PhoneNumberResolver: PhoneNumber,
 	URLResolver: URL,
 	JSONResolver: JSON,
 	GraphQLDate: Date,
@@ -60,6 +61,7 @@ const Resolvers = {
 	NonNegativeFloat,
 	NegativeFloat,
 	EmailAddress,
+	PhoneNumber,
 	URL,
 	
 	Date, Time, DateTime,
@@ -11,5 +11,6 @@
 module.exports = ( defs, fastify ) => {
 	//<editor-fold desc="Query">
 	require('./query/me')(defs, fastify);
+	require('./query/my-login-history')(defs, fastify);
 	//</editor-fold>
 };
@@ -4,6 +4,9 @@
  * @since 2021-06-25
  */
 
+// Utils
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
 /**
  * @param {ResolversDefs} defs - Resolvers definitions
  * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
@@ -23,7 +26,13 @@ module.exports = async ( {Query}, fastify ) => {
 	 */
 	Query.me = async ( root, args, ctx, info ) => {
 		const {User} = fastify.db.models;
-		const { /** @type {User#} */ identity} = fastify.user;
-		return await User.toGraphMeObject(identity);
+		const { /** @type {User#} */ identity, impersonatedBy} = getIdentity(ctx);
+		
+		return {
+			...await User.toGraphMeObject(identity),
+			impersonatedBy: impersonatedBy
+				? {id: impersonatedBy.id, name: impersonatedBy.name, email: impersonatedBy.email}
+				: null,
+		};
 	};
 };
@@ -0,0 +1,72 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+
+// Utils
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {describeDevice} = require('./../../../../helpers/fastify/request');
+const {paginate} = require('./../../../components/connection');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Query}, fastify ) => {
+	/**
+	 * @private
+	 * Convert the event into `AuthEvent` type
+	 * @param {AuthEvent} model - Event model
+	 * @returns {Object} - Event data
+	 */
+	const toGraphObject = model => ({
+		id: model.id,
+		type: model.type,
+		reason: model.reason,
+		ip: model.ip,
+		userAgent: model.user_agent,
+		device: model.user_agent ? describeDevice(model.user_agent) : null,
+		createdAt: moment(model.created_at).utc().format(),
+	});
+	
+	/**
+	 * @public
+	 * @async
+	 * (Query) Login history of current user (summary and the audit log events)
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Query~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<Object>}
+	 * @see Uses `@auth` directive
+	 */
+	Query.myLoginHistory = async ( root, {pager, types}, ctx ) => {
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		/** @type {Object} */
+		const history = identity.getJsonValue('login.history', {});
+		
+		const {AuthEvent} = fastify.db.models;
+		
+		const {nodes, edges, pageInfo} = await paginate(AuthEvent, {
+			where: {
+				user_id: identity.id,
+				...(types && types.length ? {type: types} : {}),
+			},
+		}, pager, {toNode: toGraphObject, request: ctx.request});
+		
+		return {
+			lastIp: history.lastIp || null,
+			lastDate: history.lastDate ? moment.utc(history.lastDate).format() : null,
+			successful: {counts: Number((history.successful || {}).counts || 0)},
+			failed: {counts: Number((history.failed || {}).counts || 0)},
+			events: nodes,
+			edges,
+			pageInfo,
+		};
+	};
+};
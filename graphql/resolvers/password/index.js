@@ -0,0 +1,17 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( defs, fastify ) => {
+	//<editor-fold desc="Mutation">
+	require('./mutation/request-password-reset')(defs, fastify);
+	require('./mutation/verify-password-reset-code')(defs, fastify);
+	require('./mutation/reset-password')(defs, fastify);
+	//</editor-fold>
+};
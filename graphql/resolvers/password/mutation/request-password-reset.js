@@ -0,0 +1,77 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {sendPasswordResetMail} = AccountMailer(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Request a password reset
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.requestPasswordReset = async ( root, {email}, {request} ) => {
+		/** @type {User#} */
+		const model = await User.findByEmail(String(email).toLowerCase());
+		
+		//<editor-fold desc="Error: Unknown email address.">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('Unknown email address.');
+			throw new RequestError(msg, 'UNKNOWN_EMAIL', {email: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Account is not active">
+		if ( !User.validateStatusOnLogin(model.get('status')) ) {
+			/** @type {string} */
+			const msg = request.t('Your account has been deactivated.');
+			throw new RequestError(msg, 'ACCESS_REVOKED', {email: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Requested too recently">
+		/** @type {?string} */
+		const requestedOn = model.getJsonValue('password.reset.requestedOn');
+		
+		/** @type {number} */
+		const waitSeconds = fastify.config.get('account.passwordReset.throttleSeconds', 60);
+		
+		if ( requestedOn && moment.utc(requestedOn).add(waitSeconds, 'seconds').isAfter(moment.utc()) ) {
+			/** @type {string} */
+			const msg = request.t('Please wait a moment before requesting another email.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS', {email: msg});
+		}
+		//</editor-fold>
+		
+		// Replaces any previously issued token and code
+		model.generatePasswordResetToken();
+		model.generatePasswordResetCode();
+		model.setJsonValue('password.reset.requestedOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+		await model.save();
+		
+		await sendPasswordResetMail(model, request.language);
+		
+		return true;
+	};
+};
@@ -0,0 +1,101 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const RefreshToken = require('../../../../helpers/fastify/auth/refresh-token');
+const LoginLockout = require('../../../../helpers/fastify/auth/login-lockout');
+const PasswordPolicy = require('../../../../helpers/fastify/auth/password-policy');
+const {getClientInfo} = require('../../../../helpers/fastify/request');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {sendPasswordResetCompleteMail} = AccountMailer(fastify);
+	const {revokeAllByUser} = RefreshToken(fastify);
+	const {unlock} = LoginLockout(fastify);
+	const {validate: validatePassword} = PasswordPolicy(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Set a new password by the password reset token
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.resetPassword = async ( root, {token, newPassword}, {request} ) => {
+		/** @type {number} */
+		const expire = fastify.config.get('account.passwordReset.tokenExpire', 3600);
+		
+		//<editor-fold desc="Error: Expired token">
+		if ( !User.isPasswordResetTokenValid(token, {expire}) ) {
+			/** @type {string} */
+			const msg = request.t('The password reset token has expired.');
+			throw new RequestError(msg, 'TOKEN_EXPIRED', {token: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {User|null} */
+		const model = await User.findByPasswordResetToken(token, {}, {expire});
+		
+		//<editor-fold desc="Error: Unknown token">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('The password reset token is invalid.');
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Password policy">
+		/** @type {?PasswordPolicyViolation} */
+		const violation = validatePassword(newPassword, request, model);
+		
+		if ( violation ) {
+			throw new RequestError(violation.message, violation.code, {newPassword: violation.message});
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const authKey = model.get('authorization_key');
+		
+		model.setPassword(newPassword);
+		model.removePasswordResetCode();
+		model.updateJsonCounter('password.reset.counts');
+		model.setJsonValue('password.reset.lastResetOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+		
+		// Invalidates all the issued tokens
+		model.generateAuthKey();
+		await model.save();
+		
+		await fastify.dataLoaders.clear('authUsers', authKey);
+		await revokeAllByUser(model.id, 'PASSWORD_RESET');
+		
+		// Proved the email ownership, release the failed logins lockout
+		await unlock(model);
+		
+		fastify.authEvents.emit('password.reset', {user: model, ...getClientInfo(request)});
+		
+		try {
+			await sendPasswordResetCompleteMail(model, request.language);
+		} catch ( err ) {
+			// Password is already changed, the notification is informative only
+			fastify.log.error(err);
+		}
+		
+		return true;
+	};
+};
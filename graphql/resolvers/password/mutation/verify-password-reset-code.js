@@ -0,0 +1,103 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RequestError = require('./../../../components/RequestError');
+const {getRequestIP} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Exchange the password reset code for the password reset token
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|string)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.verifyPasswordResetCode = async ( root, {email, code}, {request} ) => {
+		//<editor-fold desc="Error: Too many attempts from the IP address">
+		/** @type {string} */
+		const throttleKey = `auth:reset-code:ip:${getRequestIP(request)}`;
+		
+		/** @type {number} */
+		const requests = await fastify.redis.incr(throttleKey);
+		
+		requests === 1 && await fastify.redis.expire(throttleKey,
+			fastify.config.get('account.passwordReset.ipWindowSeconds', 900));
+		
+		if ( requests > fastify.config.get('account.passwordReset.ipMaxAttempts', 20) ) {
+			/** @type {string} */
+			const msg = request.t('Too many attempts, please try again later.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS', {code: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {?User} */
+		const model = await User.findByEmail(String(email).toLowerCase());
+		
+		//<editor-fold desc="Error: No pending password reset">
+		if ( model === null
+			|| !model.getJsonValue('password.resetCode.code')
+			|| !model.get('password_reset_token') ) {
+			/** @type {string} */
+			const msg = request.t('The password reset code is invalid.');
+			throw new RequestError(msg, 'INVALID_CODE', {code: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Expired code">
+		if ( model.isPasswordResetCodeExpired({
+			expire: fastify.config.get('account.passwordReset.tokenExpire', 3600),
+		}) ) {
+			/** @type {string} */
+			const msg = request.t('The password reset code has expired.');
+			throw new RequestError(msg, 'CODE_EXPIRED', {code: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Invalid code">
+		if ( !model.isPasswordResetCodeValid(code) ) {
+			/** @type {number} */
+			const attempts = model.getJsonValue('password.resetCode.attempts', 0) + 1;
+			
+			if ( attempts >= fastify.config.get('account.passwordReset.maxAttempts', 5) ) {
+				// The token goes along with the code, a new reset must be requested
+				model.removePasswordResetCode();
+				await model.save();
+				
+				/** @type {string} */
+				const msg = request.t('Too many invalid codes, please request a new one.');
+				throw new RequestError(msg, 'TOO_MANY_ATTEMPTS', {code: msg});
+			}
+			
+			model.setJsonValue('password.resetCode.attempts', attempts);
+			await model.save();
+			
+			/** @type {string} */
+			const msg = request.t('The password reset code is invalid.');
+			throw new RequestError(msg, 'INVALID_CODE', {code: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {string} */
+		const token = model.get('password_reset_token');
+		
+		// The code is single use, the token stays valid until the password is reset
+		model.setJsonValue('password.resetCode', null);
+		await model.save();
+		
+		return token;
+	};
+};
@@ -0,0 +1,17 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( defs, fastify ) => {
+	//<editor-fold desc="Mutation">
+	require('./mutation/register')(defs, fastify);
+	require('./mutation/activate-account')(defs, fastify);
+	require('./mutation/resend-activation')(defs, fastify);
+	//</editor-fold>
+};
@@ -0,0 +1,55 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Activate account by token
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.activateAccount = async ( root, {token}, {request} ) => {
+		/** @type {User|null|boolean} */
+		const model = await User.findByActivationToken(token, {}, {
+			expire: fastify.config.get('account.activation.tokenExpire', 86400),
+		});
+		
+		//<editor-fold desc="Error: Unknown token">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('The activation token is invalid.');
+			throw new RequestError(msg, 'INVALID_TOKEN', {token: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Expired token">
+		if ( model === false ) {
+			/** @type {string} */
+			const msg = request.t('The activation token has expired.');
+			throw new RequestError(msg, 'TOKEN_EXPIRED', {token: msg});
+		}
+		//</editor-fold>
+		
+		model.activate();
+		await model.save();
+		
+		return true;
+	};
+};
@@ -0,0 +1,103 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const PasswordPolicy = require('../../../../helpers/fastify/auth/password-policy');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {sendActivationMail} = AccountMailer(fastify);
+	const {validate: validatePassword} = PasswordPolicy(fastify);
+	
+	/**
+	 * Validate registration input
+	 * @param {Object} input - Input data
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<string>} - Full name
+	 * @throws {RequestError} - On validation failed
+	 */
+	const validateInput = async ( input, {request} ) => {
+		/** @type {string} */
+		const name = [input.firstName, input.lastName]
+			.map(v => String(v || '').trim())
+			.filter(v => v)
+			.join(' ');
+		
+		//<editor-fold desc="Error: Invalid name">
+		if ( !name || name.length > 40 ) {
+			/** @type {string} */
+			const msg = request.t('Name must be between 1 and 40 characters.');
+			throw new RequestError(msg, 'INVALID_NAME', {firstName: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Email address already taken">
+		if ( await User.findByEmail(String(input.email).toLowerCase()) !== null ) {
+			/** @type {string} */
+			const msg = request.t('This email address has already been taken.');
+			throw new RequestError(msg, 'EMAIL_EXISTS', {email: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Password policy">
+		/** @type {?PasswordPolicyViolation} */
+		const violation = validatePassword(input.password, request);
+		
+		if ( violation ) {
+			throw new RequestError(violation.message, violation.code, {password: violation.message});
+		}
+		//</editor-fold>
+		
+		return name;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Register a new account
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.register = async ( root, {input}, ctx ) => {
+		const {request} = ctx;
+		
+		/** @type {string} */
+		const name = await validateInput(input, ctx);
+		
+		/** @type {User#} */
+		const model = User.build();
+		model.loadDefaults();
+		
+		model.set('name', name);
+		model.set('email', input.email);
+		model.setPassword(input.password);
+		model.generateAuthKey();
+		model.generateActivationToken();
+		model.setJsonValue('language', request.language || 'en-US');
+		
+		await model.save();
+		
+		try {
+			await sendActivationMail(model, request.language);
+		} catch ( err ) {
+			// Account is created, email can be requested again via `resendActivation`
+			fastify.log.error(err);
+		}
+		
+		return true;
+	};
+};
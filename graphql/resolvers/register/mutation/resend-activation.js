@@ -0,0 +1,74 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/** Utils */
+const AccountMailer = require('../../../../helpers/fastify/auth/account-mailer');
+const RequestError = require('./../../../components/RequestError');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {sendActivationMail} = AccountMailer(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Resend account activation email
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.resendActivation = async ( root, {email}, {request} ) => {
+		/** @type {User#} */
+		const model = await User.findByEmail(String(email).toLowerCase());
+		
+		//<editor-fold desc="Error: Unknown email address.">
+		if ( model === null ) {
+			/** @type {string} */
+			const msg = request.t('Unknown email address.');
+			throw new RequestError(msg, 'UNKNOWN_EMAIL', {email: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Already activated">
+		if ( !model.getJsonValue('activation.pending', false) ) {
+			/** @type {string} */
+			const msg = request.t('Your account is already activated.');
+			throw new RequestError(msg, 'ALREADY_ACTIVATED', {email: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Requested too recently">
+		/** @type {?string} */
+		const requestedOn = model.getJsonValue('activation.requestedOn');
+		
+		/** @type {number} */
+		const waitSeconds = fastify.config.get('account.activation.resendAfterSeconds', 60);
+		
+		if ( requestedOn && moment.utc(requestedOn).add(waitSeconds, 'seconds').isAfter(moment.utc()) ) {
+			/** @type {string} */
+			const msg = request.t('Please wait a moment before requesting another email.');
+			throw new RequestError(msg, 'TOO_MANY_REQUESTS', {email: msg});
+		}
+		//</editor-fold>
+		
+		model.generateActivationToken();
+		await model.save();
+		
+		await sendActivationMail(model, request.language);
+		
+		return true;
+	};
+};
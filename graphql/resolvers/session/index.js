@@ -0,0 +1,20 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( defs, fastify ) => {
+	//<editor-fold desc="Query">
+	require('./query/my-sessions')(defs, fastify);
+	//</editor-fold>
+	
+	//<editor-fold desc="Mutation">
+	require('./mutation/revoke-session')(defs, fastify);
+	require('./mutation/revoke-other-sessions')(defs, fastify);
+	//</editor-fold>
+};
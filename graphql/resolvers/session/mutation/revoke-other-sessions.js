@@ -0,0 +1,48 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RefreshToken = require('./../../../../helpers/fastify/auth/refresh-token');
+const SessionStore = require('./../../../../helpers/fastify/auth/session-store');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {getClientInfo} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {revokeFamily} = RefreshToken(fastify);
+	const {findAllByUser} = SessionStore(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Logout all the devices except the current one
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|number)>} - Revoked sessions count
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.revokeOtherSessions = async ( root, args, ctx ) => {
+		const {id, sessionId} = getIdentity(ctx);
+		
+		/** @type {SessionRecord[]} */
+		const others = (await findAllByUser(id)).filter(session => session.id !== sessionId);
+		
+		await Promise.all(others.map(session => revokeFamily(session.id, 'OTHER_SESSIONS_REVOKED')));
+		
+		for ( const session of others ) {
+			fastify.authEvents.emit('token.revoked', {
+				userId: id, ...getClientInfo(ctx.request), sessionId: session.id, reason: 'OTHER_SESSIONS_REVOKED',
+			});
+		}
+		
+		return others.length;
+	};
+};
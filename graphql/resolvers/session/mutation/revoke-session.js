@@ -0,0 +1,55 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const RefreshToken = require('./../../../../helpers/fastify/auth/refresh-token');
+const SessionStore = require('./../../../../helpers/fastify/auth/session-store');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {getClientInfo} = require('./../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {revokeFamily} = RefreshToken(fastify);
+	const {find} = SessionStore(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Logout the device by session ID
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.revokeSession = async ( root, {id}, ctx ) => {
+		const {request} = ctx;
+		
+		/** @type {SessionRecord|null} */
+		const session = await find(id);
+		
+		//<editor-fold desc="Error: Unknown session">
+		if ( session === null || session.userId !== getIdentity(ctx).id ) {
+			/** @type {string} */
+			const msg = request.t('Session not found.');
+			throw new RequestError(msg, 'UNKNOWN_SESSION', {id: msg});
+		}
+		//</editor-fold>
+		
+		await revokeFamily(session.id, 'SESSION_REVOKED');
+		
+		fastify.authEvents.emit('token.revoked', {
+			userId: session.userId, ...getClientInfo(request), sessionId: session.id, reason: 'SESSION_REVOKED',
+		});
+		
+		return true;
+	};
+};
@@ -0,0 +1,37 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+// Utils
+const SessionStore = require('./../../../../helpers/fastify/auth/session-store');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Query}, fastify ) => {
+	const {findAllByUser} = SessionStore(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Query) Logged in devices of current user
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Query~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<Object[]>}
+	 * @see Uses `@auth` directive
+	 */
+	Query.mySessions = async ( root, args, ctx ) => {
+		const {id, sessionId} = getIdentity(ctx);
+		
+		return (await findAllByUser(id)).map(session => ({
+			...session,
+			current: session.id === sessionId,
+		}));
+	};
+};
@@ -0,0 +1,18 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( defs, fastify ) => {
+	//<editor-fold desc="Mutation">
+	require('./mutation/enable-two-factor')(defs, fastify);
+	require('./mutation/confirm-two-factor')(defs, fastify);
+	require('./mutation/verify-two-factor-login')(defs, fastify);
+	require('./mutation/disable-two-factor')(defs, fastify);
+	//</editor-fold>
+};
@@ -0,0 +1,56 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const TwoFactor = require('../../../../helpers/fastify/auth/two-factor');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {isEnabled, verify, enable} = TwoFactor(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Confirm two-factor setup by a code from the authenticator app
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|string[])>} - One-time recovery codes
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.confirmTwoFactor = async ( root, {code}, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Already enabled">
+		if ( isEnabled(identity) ) {
+			/** @type {string} */
+			const msg = request.t('Two-factor authentication is already enabled.');
+			throw new RequestError(msg, 'TWO_FACTOR_ENABLED');
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Invalid code (or setup not started)">
+		if ( !verify(identity, code, false) ) {
+			/** @type {string} */
+			const msg = request.t('The verification code is invalid.');
+			throw new RequestError(msg, 'INVALID_CODE', {code: msg});
+		}
+		//</editor-fold>
+		
+		/** @type {string[]} */
+		const recoveryCodes = enable(identity);
+		await identity.save();
+		
+		return recoveryCodes;
+	};
+};
@@ -0,0 +1,55 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const TwoFactor = require('../../../../helpers/fastify/auth/two-factor');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {isEnabled, verify, disable} = TwoFactor(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Disable two-factor authentication
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|boolean)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.disableTwoFactor = async ( root, {code}, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Not enabled">
+		if ( !isEnabled(identity) ) {
+			/** @type {string} */
+			const msg = request.t('Two-factor authentication is not enabled.');
+			throw new RequestError(msg, 'TWO_FACTOR_DISABLED');
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Invalid code">
+		if ( !verify(identity, code) ) {
+			/** @type {string} */
+			const msg = request.t('The verification code is invalid.');
+			throw new RequestError(msg, 'INVALID_CODE', {code: msg});
+		}
+		//</editor-fold>
+		
+		disable(identity);
+		await identity.save();
+		
+		return true;
+	};
+};
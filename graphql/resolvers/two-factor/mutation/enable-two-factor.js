@@ -0,0 +1,56 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const TwoFactor = require('../../../../helpers/fastify/auth/two-factor');
+const RequestError = require('./../../../components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {isEnabled, isAvailable, setup} = TwoFactor(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Start two-factor authentication setup
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@auth` directive
+	 */
+	Mutation.enableTwoFactor = async ( root, args, ctx ) => {
+		const {request} = ctx;
+		const { /** @type {User#} */ identity} = getIdentity(ctx);
+		
+		//<editor-fold desc="Error: Not available">
+		if ( !isAvailable() ) {
+			/** @type {string} */
+			const msg = request.t('Two-factor authentication is not available.');
+			throw new RequestError(msg, 'TWO_FACTOR_UNAVAILABLE');
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Already enabled">
+		if ( isEnabled(identity) ) {
+			/** @type {string} */
+			const msg = request.t('Two-factor authentication is already enabled.');
+			throw new RequestError(msg, 'TWO_FACTOR_ENABLED');
+		}
+		//</editor-fold>
+		
+		// Replaces any unconfirmed setup
+		const result = setup(identity);
+		await identity.save();
+		
+		return result;
+	};
+};
@@ -0,0 +1,101 @@
+/**
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Utils */
+const UserAuth = require('../../../../helpers/fastify/auth/authenticate');
+const TwoFactor = require('../../../../helpers/fastify/auth/two-factor');
+const LoginLockout = require('../../../../helpers/fastify/auth/login-lockout');
+const RequestError = require('./../../../components/RequestError');
+const LoginChecks = require('./../../authenticate/utils/login-checks');
+const {getClientInfo} = require('../../../../helpers/fastify/request');
+
+/**
+ * @param {ResolversDefs} defs - Resolvers definitions
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @return {Promise<void>} - Promise instance
+ */
+module.exports = async ( {Mutation}, fastify ) => {
+	const {User} = fastify.db.models;
+	
+	const {completeLogin} = UserAuth(fastify);
+	const {verify, findChallenge, attemptChallenge, removeChallenge} = TwoFactor(fastify);
+	const Lockout = LoginLockout(fastify);
+	const {lockedError, registerFailure} = LoginChecks(fastify);
+	
+	/**
+	 * @public
+	 * @async
+	 * (Mutation) Complete the login by the two-factor challenge
+	 * @param {Object} root - The object that contains the result returned from the resolver on the parent field
+	 * @param {Object} args - The arguments passed into the field in the query
+	 * @param {Mutation~GraphQLContext} ctx - Fastify reply instance
+	 * @returns {Promise<(Error|Object)>}
+	 * @see Uses `@guest` directive
+	 */
+	Mutation.verifyTwoFactorLogin = async ( root, {challenge, code, cookie}, {request, reply} ) => {
+		/** @type {TwoFactorChallenge|null} */
+		const pending = await findChallenge(challenge);
+		
+		/** @type {User|null} */
+		const model = pending ? await User.findByPk(pending.userId) : null;
+		
+		//<editor-fold desc="Error: Unknown or expired challenge">
+		if ( model === null || !User.validateStatusOnLogin(model.get('status')) ) {
+			/** @type {string} */
+			const msg = request.t('The login attempt has expired, please login again.');
+			throw new RequestError(msg, 'INVALID_CHALLENGE', {challenge: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Account is locked">
+		/** @type {LoginLock|null} */
+		const accountLock = await Lockout.findLock(model, model.get('email'), getClientInfo(request).ip);
+		
+		if ( accountLock ) {
+			await removeChallenge(challenge);
+			fastify.authEvents.emit('login.failed', {user: model, ...getClientInfo(request), reason: 'ACCOUNT_LOCKED'});
+			throw lockedError(accountLock, request);
+		}
+		//</editor-fold>
+		
+		/** @type {number} */
+		const attemptsLeft = await attemptChallenge(challenge);
+		
+		//<editor-fold desc="Error: No attempt left">
+		if ( attemptsLeft < 0 ) {
+			/** @type {string} */
+			const msg = request.t('The login attempt has expired, please login again.');
+			throw new RequestError(msg, 'INVALID_CHALLENGE', {challenge: msg});
+		}
+		//</editor-fold>
+		
+		//<editor-fold desc="Error: Invalid code">
+		if ( !verify(model, code) ) {
+			// Running out of the attempts counts as a failed login (same lockout as the password)
+			if ( attemptsLeft === 0 ) {
+				await removeChallenge(challenge);
+				
+				/** @type {LoginLock|null} */
+				const lock = await registerFailure(model, model.get('email'), request, 'INVALID_CODE');
+				
+				if ( lock ) {
+					throw lockedError(lock, request);
+				}
+			} else {
+				fastify.authEvents.emit('login.failed', {user: model, ...getClientInfo(request), reason: 'INVALID_CODE'});
+			}
+			
+			/** @type {string} */
+			const msg = request.t('The verification code is invalid.');
+			throw new RequestError(msg, 'INVALID_CODE', {code: msg});
+		}
+		//</editor-fold>
+		
+		await removeChallenge(challenge);
+		
+		return completeLogin(model, request, reply, cookie);
+	};
+};
@@ -0,0 +1,126 @@
+/**
+ * Graphql subscription events filtering (per user, role or topic delivery)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Delivery target of the event, all the given conditions must match (none = every subscriber)
+ * @typedef {Object} SubscriptionTarget
+ * @property {number[]} [userIds] - Users ID
+ * @property {string[]} [roles] - Role names (or the roles inheriting them, see `fastify.rbac`)
+ * @property {string} [topic] - Topic key (e.g., `session:15`)
+ */
+
+/**
+ * Payload property carrying the target (removed before the delivery)
+ * @type {string} */
+const TARGET_KEY = '__target';
+
+/**
+ * @public
+ * @static
+ * Create the published payload
+ * @param {string} trigger - Event name (e.g., userLogout)
+ * @param {*} data - Event data
+ * @param {SubscriptionTarget} [target={}] - Delivery target
+ * @returns {Object} - Payload
+ */
+function createPayload ( trigger, data, target = {} ) {
+	return {[trigger]: data, [TARGET_KEY]: target || {}};
+}
+
+/**
+ * @public
+ * @static
+ * Get the target of the payload
+ * @param {Object} payload - Published payload
+ * @returns {SubscriptionTarget} - Delivery target
+ */
+function getTarget ( payload ) {
+	return (payload && payload[TARGET_KEY]) || {};
+}
+
+/**
+ * @public
+ * @static
+ * Finds out the event is targeted at the subscriber
+ * @param {SubscriptionTarget} target - Delivery target
+ * @param {FastifyIdentity} user - Subscriber identity
+ * @param {?string} [topic=null] - Topic key of the subscriber
+ * @param {?FastifyRbac} [rbac=null] - RBAC registry (to check the roles)
+ * @returns {boolean} - True when delivered / False otherwise
+ */
+function isTargeted ( target, user, topic = null, rbac = null ) {
+	const {userIds = [], roles = [], topic: targetTopic = null} = target || {};
+
+	if ( userIds.length && (user.isGuest || !userIds.map(Number).includes(Number(user.id))) ) {
+		return false;
+	}
+
+	if ( roles.length && (user.isGuest || !rbac || !rbac.hasRole(user.identity.role, roles)) ) {
+		return false;
+	}
+
+	return targetTopic === null || targetTopic === topic;
+}
+
+/**
+ * @public
+ * @static
+ * Filter the events of an async iterator, the rejected events are skipped (a failed check rejects the event)
+ * @param {AsyncIterator} iterator - Pub-sub async iterator
+ * @param {function(Object): (boolean|Promise<boolean>)} predicate - Delivery check of the payload
+ * @returns {AsyncIterator} - Filtered iterator
+ */
+function filterIterator ( iterator, predicate ) {
+	/**
+	 * @returns {Promise<IteratorResult>}
+	 */
+	const next = async () => {
+		for ( ;; ) {
+			/** @type {IteratorResult} */
+			const result = await iterator.next();
+
+			if ( result.done ) {
+				return result;
+			}
+
+			/** @type {boolean} */
+			const allowed = await Promise.resolve()
+				.then(() => predicate(result.value))
+				.catch(() => false);
+
+			if ( allowed === true ) {
+				const {[TARGET_KEY]: target, ...value} = result.value;
+				return {done: false, value};
+			}
+		}
+	};
+
+	return {
+		next,
+		return () {
+			return iterator.return
+				? iterator.return()
+				: Promise.resolve({value: undefined, done: true});
+		},
+		throw ( error ) {
+			return iterator.throw
+				? iterator.throw(error)
+				: Promise.reject(error);
+		},
+		[Symbol.asyncIterator] () {
+			return this;
+		},
+	};
+}
+
+module.exports = {
+	TARGET_KEY,
+	createPayload,
+	getTarget,
+	isTargeted,
+	filterIterator,
+};
@@ -12,6 +12,8 @@ const {USER_LOGOUT} = require('./types/authenticate/auth');
  * @typedef SubscriptionOutput
  * @type {Object}
  * @property {Object} pubSub - Pub-sub instance
+ * @property {function(string, *, SubscriptionTarget=): Promise<void>} publish - Publish the event to the targeted subscribers
+ * @property {function(string, SubscribeOptions=): function} subscribe - Create the filtered subscribe resolver
  * @property {string} USER_LOGOUT
  */
 
@@ -21,10 +23,12 @@ const {USER_LOGOUT} = require('./types/authenticate/auth');
  * @return {SubscriptionOutput}
  */
 module.exports = fastify => {
-	const {pubSub} = require('./subscribe')(fastify);
+	const {pubSub, publish, subscribe} = require('./subscribe')(fastify);
 	
 	return {
 		pubSub,
+		publish,
+		subscribe,
 		
 		// authenticate/auth
 		USER_LOGOUT,
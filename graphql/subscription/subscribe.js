@@ -7,6 +7,19 @@
 
 const { RedisPubSub } = require('graphql-redis-subscriptions');
 
+// Utils
+const AuthDirective = require('./../directives/auth-directive');
+const {getIdentity} = require('./../../helpers/fastify/auth/identity');
+const {createPayload, getTarget, isTargeted, filterIterator} = require('./filter');
+
+/**
+ * Subscribe options
+ * @typedef {Object} SubscribeOptions
+ * @property {?Object} [auth={}] - Subscriber permission ({role, status, id, scope}, see `AuthDirective.checkPermission`), null allows guests
+ * @property {function(Object, Object): ?string} [topic] - Topic key of the subscriber (args, ctx)
+ * @property {function(Object, Object, Object): (boolean|Promise<boolean>)} [filter] - Additional check (payload, args, ctx)
+ */
+
 /**
  * @constructor
  * @param {FastifyInstance&FastifyServer} fastify fastify instance
@@ -17,27 +30,49 @@ module.exports = fastify => {
 	 * @kind Object
 	 */
 	const pubSub = new RedisPubSub({connection: fastify.config.get('redis', {})});
-	
-	/*pubsub.asyncAuthIterator = ( messages, authPromise ) => {
-		const asyncIterator = pubsub.asyncIterator(messages);
-		
-		return {
-			next() {
-				return authPromise.then(() => asyncIterator.next());
-			},
-			return() {
-				return authPromise.then(() => asyncIterator.return());
-			},
-			throw(error) {
-				return asyncIterator.throw(error);
-			},
-			[$$asyncIterator]() {
-				return asyncIterator;
-			},
-		};
-	};*/
-	
+
+	/**
+	 * @public
+	 * @async
+	 * Publish the event to the targeted subscribers
+	 * @param {string} trigger - Event name (e.g., userLogout)
+	 * @param {*} data - Event data (the subscription field value)
+	 * @param {SubscriptionTarget} [target={}] - Delivery target (none = every subscriber)
+	 * @returns {Promise<void>}
+	 * @example
+	 * await publish(USER_LOGOUT, me, {userIds: [identity.id]});
+	 */
+	const publish = async ( trigger, data, target = {} ) => {
+		await pubSub.publish(trigger, createPayload(trigger, data, target));
+	};
+
+	/**
+	 * @public
+	 * Create the subscribe resolver, the subscriber permission and the target are checked per event
+	 * @param {string} trigger - Event name (e.g., userLogout)
+	 * @param {SubscribeOptions} [options={}] - Subscribe options
+	 * @returns {function(Object, Object, Object): AsyncIterator} - Subscribe resolver
+	 * @example
+	 * Subscription[USER_LOGOUT] = {subscribe: subscribe(USER_LOGOUT)};
+	 */
+	const subscribe = ( trigger, options = {} ) => ( root, args, ctx ) => {
+		const {auth = {}, topic = () => null, filter = () => true} = options;
+
+		/** @type {?string} */
+		const topicKey = topic(args, ctx);
+
+		return filterIterator(pubSub.asyncIterator(trigger), async payload => {
+			// Throws when the subscriber isn't allowed (anymore)
+			auth && AuthDirective.checkPermission(ctx, auth);
+
+			return isTargeted(getTarget(payload), getIdentity(ctx), topicKey, fastify.rbac || null)
+				&& await filter(payload, args, ctx) === true;
+		});
+	};
+
 	return ({
 		pubSub,
+		publish,
+		subscribe,
 	});
 };
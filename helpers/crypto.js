@@ -58,7 +58,79 @@ function createHashJson ( value, algorithm = 'sha256' ) {
 	return createHash(json, algorithm);
 }
 
+/**
+ * @private
+ * Derive a 256-bit key from the given secret
+ * @param {string} secret - The secret
+ * @returns {Buffer} - Encryption key
+ * @throws {Error} - Empty secret
+ */
+function deriveKey ( secret ) {
+	if ( !secret ) {
+		throw new Error ('Encryption secret was empty');
+	}
+	
+	return crypto
+		.createHash('sha256')
+		.update(String(secret))
+		.digest();
+}
+
+/**
+ * @public
+ * @static
+ * @namespace CryptoHelper
+ * Encrypt a value (AES-256-GCM)
+ * @param {string} value - Plain text
+ * @param {string} secret - The secret
+ * @returns {string} - Encrypted payload (`iv.tag.data`, base64 parts)
+ * @throws {Error} - Empty secret
+ */
+function encrypt ( value, secret ) {
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+	
+	const data = Buffer.concat([
+		cipher.update(String(value), 'utf8'),
+		cipher.final(),
+	]);
+	
+	return [iv, cipher.getAuthTag(), data]
+		.map(v => v.toString('base64'))
+		.join('.');
+}
+
+/**
+ * @public
+ * @static
+ * @namespace CryptoHelper
+ * Decrypt a value encrypted by `encrypt()`
+ * @param {string} payload - Encrypted payload
+ * @param {string} secret - The secret
+ * @returns {string} - Plain text
+ * @throws {Error} - Empty secret / Malformed or tampered payload
+ */
+function decrypt ( payload, secret ) {
+	const [iv, tag, data] = String(payload)
+		.split('.')
+		.map(v => Buffer.from(v, 'base64'));
+	
+	if ( !iv || !tag || !data ) {
+		throw new Error ('Malformed encrypted payload');
+	}
+	
+	const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), iv);
+	decipher.setAuthTag(tag);
+	
+	return Buffer.concat([
+		decipher.update(data),
+		decipher.final(),
+	]).toString('utf8');
+}
+
 module.exports = {
 	createHash,
 	createHashJson,
+	encrypt,
+	decrypt,
 };
@@ -0,0 +1,128 @@
+/**
+ * Account self-deletion: soft delete, then anonymization of the personal data after the grace period
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+const {Op} = require('sequelize');
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	const RefreshToken = require('./refresh-token')(fastify);
+	const DataExport = require('./data-export')(fastify);
+
+	/**
+	 * @private
+	 * Current date in the meta data format
+	 * @returns {string}
+	 */
+	const now = () => moment.utc().format('YYYY-MM-DD HH:mm:ss');
+
+	/**
+	 * @public
+	 * @async
+	 * Soft-delete the account (the login is blocked), revoke all the sessions and API keys and remove the data export
+	 * @param {User} model - User model
+	 * @returns {Promise<void>}
+	 */
+	const softDelete = async model => {
+		const {User, ApiKey} = fastify.db.models;
+
+		/** @type {string} */
+		const authKey = model.getAuthKey();
+
+		model.set('status', User.STATUS_DELETED);
+		model.setJsonValue('deletion', {
+			requestedOn: now(),
+			anonymizeOn: moment.utc()
+				.add(fastify.config.get('account.deletion.graceDays', 30), 'days')
+				.format('YYYY-MM-DD HH:mm:ss'),
+			anonymizedOn: null,
+		});
+
+		await DataExport.remove(model);
+
+		// Invalidates all the issued tokens
+		model.generateAuthKey();
+		await model.save();
+
+		await fastify.dataLoaders.clear('authUsers', authKey);
+		await RefreshToken.revokeAllByUser(model.id, 'ACCOUNT_DELETED');
+		await ApiKey.update({revoked_at: moment.utc().toDate()}, {
+			where: {user_id: model.id, revoked_at: null},
+		});
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Replace the personal data by placeholders (irreversible)
+	 * <br>The record is kept for the references, the audit events lose the email, IP and user agent
+	 * @param {User} model - Soft-deleted user model
+	 * @returns {Promise<void>}
+	 */
+	const anonymize = async model => {
+		const {User, AuthEvent, ApiKey, UserIdentity} = fastify.db.models;
+
+		await DataExport.remove(model);
+
+		/** @type {Object} */
+		const deletion = model.getJsonValue('deletion', {}) || {};
+
+		model.set({
+			email: `deleted-${model.id}@deleted.invalid`,
+			name: 'Deleted User',
+			password_hash: null,
+			password_reset_token: null,
+		});
+		model.set(User.jsonbAttribute, {
+			deletion: {...deletion, anonymizedOn: now()},
+		});
+		model.generateAuthKey();
+		await model.save();
+
+		await UserIdentity.destroy({where: {user_id: model.id}});
+		await ApiKey.update({last_used_ip: null}, {where: {user_id: model.id}});
+		await AuthEvent.update({email: null, ip: null, user_agent: null}, {where: {user_id: model.id}});
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Anonymize the accounts whose grace period has ended
+	 * @param {number} [limit=100] - Maximum accounts per run
+	 * @returns {Promise<number>} - Anonymized accounts count
+	 */
+	const anonymizeExpired = async ( limit = 100 ) => {
+		const {User} = fastify.db.models;
+
+		/** @type {User[]} */
+		const models = await User.findAll({
+			where: {
+				status: User.STATUS_DELETED,
+				[`${User.jsonbAttribute}.deletion.anonymizeOn::VARCHAR`]: {[Op.lte]: now()},
+				[`${User.jsonbAttribute}.deletion.anonymizedOn::VARCHAR`]: null,
+			},
+			order: [['id', 'ASC']],
+			limit,
+		});
+
+		for ( const model of models ) {
+			await anonymize(model);
+		}
+
+		return models.length;
+	};
+
+	return {
+		softDelete,
+		anonymize,
+		anonymizeExpired,
+	};
+};
@@ -0,0 +1,182 @@
+/**
+ * User account emails (bundled twig templates in `mail/`)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * @private
+	 * @async
+	 * Send the bundled template (e.g., `user-activation` renders `mail/user-activation-html.twig`)
+	 * @param {string} name - Template name
+	 * @param {{string: string}} to - Receiver email address and name
+	 * @param {string} subject - Message subject
+	 * @param {Object} params - Template variables
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const send = async ( name, to, subject, params, language = 'en-US' ) => {
+		return fastify.mailer.sendTemplateFile(name, to, subject, params, {
+			layoutOptions: {
+				lang: language || 'en-US',
+				title: subject,
+			},
+		});
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Send account activation email
+	 * @param {User} model - User model (with a generated activation token)
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendActivationMail = async ( model, language = 'en-US' ) => {
+		return send('user-activation', {[model.email]: model.name}, 'Activate your account', {
+			name: model.name,
+			email: model.email,
+			token: model.getJsonValue('activation.token'),
+		}, language);
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Send password reset email (token and code)
+	 * @param {User} model - User model (with a generated password reset token and code)
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendPasswordResetMail = async ( model, language = 'en-US' ) => {
+		return send('user-password-reset', {[model.email]: model.name}, 'Reset your password', {
+			name: model.name,
+			email: model.email,
+			token: model.get('password_reset_token'),
+			code: model.getJsonValue('password.resetCode.code'),
+		}, language);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Send notification after the password has been reset
+	 * @param {User} model - User model
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendPasswordResetCompleteMail = async ( model, language = 'en-US' ) => {
+		return send('user-password-reset-complete', {[model.email]: model.name}, 'Your password has been changed', {
+			name: model.name,
+			email: model.email,
+		}, language);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Send confirmation email to the new (pending) email address
+	 * @param {User} model - User model (with a generated email change token)
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendEmailChangeMail = async ( model, language = 'en-US' ) => {
+		/** @type {string} */
+		const email = model.getJsonValue('emailChange.email');
+		
+		return send('user-email-change', {[email]: model.name}, 'Confirm your new email address', {
+			name: model.name,
+			email,
+			token: model.getJsonValue('emailChange.token'),
+		}, language);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Notify the previous email address that the email has been changed
+	 * @param {User} model - User model (with the new email address)
+	 * @param {string} oldEmail - Previous email address
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendEmailChangedMail = async ( model, oldEmail, language = 'en-US' ) => {
+		return send('user-email-changed', {[oldEmail]: model.name}, 'Your email address has been changed', {
+			name: model.name,
+			email: oldEmail,
+			newEmail: model.email,
+		}, language);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Send account locked notification (with the unlock token)
+	 * @param {User} model - User model
+	 * @param {string} token - Unlock token
+	 * @param {number} retryAfter - Seconds until the lock expires
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendAccountLockedMail = async ( model, token, retryAfter, language = 'en-US' ) => {
+		return send('user-account-locked', {[model.email]: model.name}, 'Your account has been locked', {
+			name: model.name,
+			email: model.email,
+			token,
+			minutes: Math.ceil(retryAfter / 60),
+		}, language);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Send passwordless login link
+	 * @param {User} model - User model
+	 * @param {string} token - Login token
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendMagicLinkMail = async ( model, token, language = 'en-US' ) => {
+		return send('user-magic-link', {[model.email]: model.name}, 'Your sign in link', {
+			name: model.name,
+			email: model.email,
+			token,
+			minutes: Math.ceil(fastify.config.get('account.magicLink.tokenExpire', 900) / 60),
+		}, language);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Send the download link of the personal data export
+	 * @param {User} model - User model
+	 * @param {string} url - Download URL
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX]
+	 * @returns {Promise<SentMessageInfo>} - Promise instance
+	 */
+	const sendDataExportMail = async ( model, url, language = 'en-US' ) => {
+		return send('user-data-export', {[model.email]: model.name}, 'Your data export is ready', {
+			name: model.name,
+			email: model.email,
+			url,
+			hours: Math.ceil(fastify.config.get('account.dataExport.linkExpire', 86400) / 3600),
+		}, language);
+	};
+	
+	return {
+		sendAccountLockedMail,
+		sendActivationMail,
+		sendDataExportMail,
+		sendEmailChangeMail,
+		sendEmailChangedMail,
+		sendMagicLinkMail,
+		sendPasswordResetMail,
+		sendPasswordResetCompleteMail,
+	};
+};
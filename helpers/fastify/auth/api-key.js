@@ -0,0 +1,136 @@
+/**
+ * Personal API keys helper
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+const {nanoid} = require('nanoid');
+
+// Utils
+const {createHash} = require('./../../crypto');
+
+/**
+ * Identity found by the API key
+ * @typedef {Object} ApiKeyIdentity
+ * @property {User} model - User model
+ * @property {ApiKey} apiKey - API key model
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * Write the last used time at most once per these seconds
+	 * @type {number}
+	 */
+	const TOUCH_INTERVAL = 60;
+
+	/**
+	 * @private
+	 * Keys prefix (e.g., `ak_`)
+	 * @returns {string}
+	 */
+	const getPrefix = () => `${fastify.config.get('account.apiKeys.prefix', 'ak')}_`;
+
+	/**
+	 * @public
+	 * Finds out the value looks like an API key (not a JWT)
+	 * @param {*} value - The value
+	 * @returns {boolean}
+	 */
+	const isApiKey = value => typeof value === 'string' && value.startsWith(getPrefix());
+
+	/**
+	 * @public
+	 * Scopes a key may be granted
+	 * @returns {string[]}
+	 */
+	const getAvailableScopes = () => fastify.config.get('account.apiKeys.scopes', []) || [];
+
+	/**
+	 * @public
+	 * @async
+	 * Create a key (the secret is returned only here, the hash is stored)
+	 * @param {User} model - User model
+	 * @param {Object} input - Key details
+	 * @param {string} input.name - Name
+	 * @param {string[]} input.scopes - Granted scopes
+	 * @param {?string} [input.expiresAt=null] - Expiry date (never when null)
+	 * @returns {Promise<{apiKey: ApiKey, secret: string}>} - Created key and its secret
+	 */
+	const create = async ( model, {name, scopes, expiresAt = null} ) => {
+		const {ApiKey} = fastify.db.models;
+
+		/** @type {string} */
+		const secret = `${getPrefix()}${nanoid(40)}`;
+
+		/** @type {ApiKey} */
+		const apiKey = await ApiKey.create({
+			user_id: model.id,
+			name: String(name).trim(),
+			prefix: secret.substr(0, getPrefix().length + 6),
+			key_hash: createHash(secret),
+			scopes: [...new Set(scopes)],
+			expires_at: expiresAt ? moment.utc(expiresAt).toDate() : null,
+		});
+
+		return {apiKey, secret};
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Find the user by API key, records the last use
+	 * @param {string} secret - API key
+	 * @param {?string} [ip=null] - Request IP address
+	 * @returns {Promise<ApiKeyIdentity|null>} - Identity / Invalid, revoked or expired key
+	 */
+	const findIdentityByKey = async ( secret, ip = null ) => {
+		const {ApiKey, User} = fastify.db.models;
+
+		/** @type {ApiKey|null} */
+		const apiKey = isApiKey(secret) ? await ApiKey.findByHash(createHash(secret)) : null;
+
+		if ( apiKey === null || !apiKey.isActive() ) {
+			return null;
+		}
+
+		/** @type {User|null} */
+		const model = await User.findByPk(apiKey.user_id);
+
+		if ( model === null || !User.validateStatusOnLogin(model.get('status')) ) {
+			return null;
+		}
+
+		if ( !apiKey.last_used_at
+			|| moment.utc().diff(moment.utc(apiKey.last_used_at), 'seconds') >= TOUCH_INTERVAL ) {
+			await apiKey.update({last_used_at: moment.utc().toDate(), last_used_ip: ip || null});
+		}
+
+		return {model, apiKey};
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Revoke the key
+	 * @param {ApiKey} apiKey - API key model
+	 * @returns {Promise<void>}
+	 */
+	const revoke = async apiKey => {
+		await apiKey.update({revoked_at: moment.utc().toDate()});
+	};
+
+	return {
+		isApiKey,
+		getAvailableScopes,
+		create,
+		findIdentityByKey,
+		revoke,
+	};
+};
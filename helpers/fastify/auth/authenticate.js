@@ -10,16 +10,19 @@ const op = require('object-path');
 const moment = require('moment');
 const createError = require('http-errors');
 
+// Utils
+const {getIdentity} = require('./identity');
+const {getRequestIP, getClientInfo} = require('./../request');
+
 /**
  * @constructor
  * @param {FastifyInstance&FastifyServer} fastify fastify instance
  */
 module.exports = ( fastify ) => {
-	/** Auth user data loader */
-	const authUsersLoader = fastify.dataLoaders.authUsers;
-	
 	const Cookie = require('./cookie')(fastify);
-	const {getTokenFromAll, decodeToken, formatTokenTime} = require('./jwt-identity')(fastify);
+	const RefreshToken = require('./refresh-token')(fastify);
+	const Sessions = require('./session-store')(fastify);
+	const {getTokenFromAll, decodeToken, formatTokenTime, createToken} = require('./jwt-identity')(fastify);
 	
 	/**
 	 * Clear auth cookies
@@ -35,7 +38,7 @@ module.exports = ( fastify ) => {
 		}
 		
 		// Clear/Delete auth cookie if the user is guest
-		fastify.user.isGuest && Cookie.clearAuthCookie(request, reply);
+		getIdentity(request).isGuest && Cookie.clearAuthCookie(request, reply);
 	};
 	
 	/**
@@ -59,6 +62,99 @@ module.exports = ( fastify ) => {
 		Cookie.setAuthCookie(reply, authToken, moment(expiresAt).valueOf());
 	};
 	
+	/**
+	 * @async
+	 * Issue a new access token (and a refresh token) for the given user
+	 * <br>A new token family is recorded as a new session, a rotated one renews its session
+	 * @param {User} model - User model
+	 * @param {FastifyRequest} request - Request instance
+	 * @param {FastifyReply|FastifyResponse} reply - Response instance
+	 * @param {boolean} [cookie=false] - Whatever set the auth cookies too
+	 * @param {?RefreshTokenData} [refresh=null] - Rotated refresh token (a new token family otherwise)
+	 * @returns {Promise<Object>} - Auth token (`AuthToken` type)
+	 */
+	const issueToken = async ( model, request, reply, cookie = false, refresh = null ) => {
+		/** @type {string} */
+		const authKey = model.getAuthKey();
+		
+		/** @type {RefreshTokenData} */
+		const refreshData = refresh || await RefreshToken.create(model);
+		
+		refresh
+			? await Sessions.touch(refreshData.family, request, true)
+			: await Sessions.create(refreshData.family, model, request);
+		
+		/**
+		 * Token data
+		 * @type {Object} */
+		const data = await createToken(authKey, model.get('role'), refreshData.family);
+		
+		// Clear the shared user, current request's loader gets the fresh one
+		await fastify.dataLoaders.clear('authUsers', authKey);
+		request.loaders && request.loaders.authUsers.clear(authKey).prime(authKey, model);
+		
+		if ( cookie ) {
+			// Set auth cookies
+			setAuthCookie({data: {data}}, request, reply);
+			Cookie.setRefreshCookie(reply, refreshData.token, moment(refreshData.expiresAt).valueOf());
+		}
+		
+		return {
+			token: data.auth_token,
+			expiresAt: data.expires_at,
+			issuedAt: data.issued_at,
+			refreshToken: refreshData.token,
+			refreshExpiresAt: refreshData.expiresAt,
+		};
+	};
+	
+	/**
+	 * @async
+	 * Complete the login of a verified user: update login history and issue the tokens
+	 * @param {User} model - User model
+	 * @param {FastifyRequest} request - Request instance
+	 * @param {FastifyReply|FastifyResponse} reply - Response instance
+	 * @param {boolean} [cookie=false] - Whatever set the auth cookies too
+	 * @returns {Promise<Object>} - Login response (`LoginResponse` type)
+	 */
+	const completeLogin = async ( model, request, reply, cookie = false ) => {
+		const {User} = fastify.db.models;
+		
+		//<editor-fold desc="Update auth details">
+		model.setJsonValue('login.history.lastIp', getRequestIP(request));
+		model.setJsonValue('login.history.lastDate', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+		model.setJsonValue('login.history.failed.counts', 0);
+		model.updateJsonCounter('login.history.successful.counts');
+		
+		await model.save();
+		//</editor-fold>
+		
+		/** @type {Object} */
+		const token = await issueToken(model, request, reply, cookie);
+		
+		fastify.authEvents.emit('login.succeeded', {user: model, ...getClientInfo(request)});
+		
+		return {
+			me: await User.toGraphMeObject(model, request.language),
+			token,
+			challenge: null,
+		};
+	};
+	
+	/**
+	 * @async
+	 * Revoke the token family of current request's token (the refresh token stops working too)
+	 * @param {FastifyRequest} request - Request instance
+	 * @returns {Promise<void>}
+	 */
+	const revokeCurrentToken = async request => {
+		try {
+			await RefreshToken.revokeFamily(decodeToken(getTokenFromAll(request))['jti']);
+		} catch ( e ) {
+			// Invalid token, nothing to revoke
+		}
+	};
+	
 	/**
 	 * @async
 	 * Logout current user
@@ -67,18 +163,19 @@ module.exports = ( fastify ) => {
 	 * @returns {Object} Response data
 	 */
 	const logout = async ( request, reply ) => {
-		if ( fastify.user.isGuest ) {
+		const {isGuest, /** @type {User} */ identity, sessionId} = getIdentity(request);
+		
+		if ( isGuest ) {
 			throw createError.Unauthorized();
 		}
 		
-		const { /** @type {User} */ identity} = fastify.user;
-		
 		// Clear loader
-		await authUsersLoader.clear(identity.auth_key);
+		await fastify.dataLoaders.clear('authUsers', identity.getAuthKey());
+		
+		// Revoke current session only
+		await revokeCurrentToken(request);
 		
-		// Invalidate token
-		identity.setJsonValue('security.token.invalidate', true);
-		await identity.save();
+		fastify.authEvents.emit('logout', {user: identity, ...getClientInfo(request), sessionId});
 		
 		// Delete auth cookie
 		Cookie.clearAuthCookie(request, reply);
@@ -95,7 +192,7 @@ module.exports = ( fastify ) => {
 	 * @returns {Object} Response data
 	 */
 	const currentToken = async request => {
-		if ( fastify.user.isGuest ) {
+		if ( getIdentity(request).isGuest ) {
 			throw createError.Unauthorized();
 		}
 		
@@ -112,7 +209,10 @@ module.exports = ( fastify ) => {
 	return {
 		currentToken,
 		clearAuthCookie,
+		completeLogin,
+		issueToken,
 		logout,
+		revokeCurrentToken,
 		setAuthCookie,
 	};
 };
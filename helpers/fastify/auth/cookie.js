@@ -49,6 +49,28 @@ module.exports = fastify => {
 		setCookie(reply, 'auth_token', token, expiry, options);
 	}
 	
+	/**
+	 * @public
+	 * Set refresh token cookie
+	 * @param {FastifyReply|FastifyResponse} reply - Fastify reply instance
+	 * @param {string} token - The refresh token value
+	 * @param {number} expiry - Expiry date (in seconds)
+	 * @param {CookieSerializeOptions} [options={}] - Cookie serialize options
+	 */
+	function setRefreshCookie ( reply, token, expiry, options = {} ) {
+		setCookie(reply, 'refresh_token', token, expiry, options);
+	}
+	
+	/**
+	 * @public
+	 * Get refresh token from cookie
+	 * @param {fastify#FastifyRequest|FastifyRequest} request - Fastify request instance
+	 * @returns {?string} - Refresh token / Not found
+	 */
+	function getRefreshCookie ( request ) {
+		return (request.cookies || {})['refresh_token'] || null;
+	}
+	
 	/**
 	 * @public
 	 * Clear auth cookies
@@ -57,11 +79,14 @@ module.exports = fastify => {
 	 */
 	function clearAuthCookie ( request, reply ) {
 		request.cookies.hasOwnProperty('auth_token') && setAuthCookie(reply, null, null);
+		request.cookies.hasOwnProperty('refresh_token') && setRefreshCookie(reply, null, null);
 	}
 	
 	return {
 		attributes,
 		clearAuthCookie,
+		getRefreshCookie,
 		setAuthCookie,
+		setRefreshCookie,
 	};
 };
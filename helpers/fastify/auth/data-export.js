@@ -0,0 +1,195 @@
+/**
+ * Personal data export (JSON archive stored by `fastify.fs`, downloaded by a secret link)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+const op = require('object-path');
+const {nanoid} = require('nanoid');
+
+// Utils
+const {createHash} = require('./../../crypto');
+
+/**
+ * Meta data paths which are never exported (secrets and pending tokens)
+ * @type {string[]}
+ */
+const PRIVATE_META = [
+	'activation.token',
+	'emailChange.token',
+	'password.resetCode',
+	'password.history',
+	'phone.verification',
+	'twoFactor.secret',
+	'twoFactor.recoveryCodes',
+	'twoFactor.lastStep',
+	'dataExport',
+];
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * @private
+	 * Format the date in ATOM format
+	 * @param {?string|Date} date - The date
+	 * @returns {?string}
+	 */
+	const toAtom = date => date ? moment.utc(date).format() : null;
+
+	/**
+	 * @public
+	 * Download URL of the archive
+	 * @param {string} token - Download token
+	 * @returns {string}
+	 */
+	const toDownloadUrl = token => `${fastify.config.get('uri.url')}/account/data-export/${token}`;
+
+	/**
+	 * @public
+	 * @async
+	 * Collect the personal data of the user
+	 * @param {User} model - User model
+	 * @returns {Promise<Object>} - Export data
+	 */
+	const build = async model => {
+		const {User, AuthEvent, ApiKey, UserIdentity} = fastify.db.models;
+
+		/** @type {Object} */
+		const meta = JSON.parse(JSON.stringify(model.get(User.jsonbAttribute) || {}));
+		PRIVATE_META.forEach(path => op.del(meta, path));
+
+		const [events, apiKeys, identities] = await Promise.all([
+			AuthEvent.findAll({where: {user_id: model.id}, order: [['id', 'ASC']]}),
+			ApiKey.findAll({where: {user_id: model.id}, order: [['id', 'ASC']]}),
+			UserIdentity.findAll({where: {user_id: model.id}, order: [['id', 'ASC']]}),
+		]);
+
+		return {
+			exportedAt: moment.utc().format(),
+			user: {
+				id: model.id,
+				name: model.name,
+				email: model.email,
+				role: User.typeToRole(model.get('role')),
+				status: User.getStatusName(model.get('status')),
+				createdAt: toAtom(model.created_at),
+			},
+			meta,
+			authEvents: events.map(event => ({
+				type: event.type,
+				reason: event.reason,
+				email: event.email,
+				ip: event.ip,
+				userAgent: event.user_agent,
+				sessionId: event.session_id,
+				createdAt: toAtom(event.created_at),
+			})),
+			apiKeys: apiKeys.map(apiKey => ({
+				...ApiKey.toGraphObject(apiKey),
+				revokedAt: toAtom(apiKey.revoked_at),
+			})),
+			identities: identities.map(identity => ({
+				provider: identity.provider,
+				email: identity.email,
+				createdAt: toAtom(identity.created_at),
+			})),
+		};
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Delete the stored archive (if any)
+	 * <br>The model must be saved afterwards
+	 * @param {User} model - User model
+	 * @returns {Promise<void>}
+	 */
+	const remove = async model => {
+		/** @type {?string} */
+		const path = model.getJsonValue('dataExport.path');
+
+		if ( path ) {
+			await fastify.fs.delete(path);
+		}
+
+		model.setJsonValue('dataExport', null);
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Build and store the archive (replaces the previous one)
+	 * @param {User} model - User model
+	 * @returns {Promise<string>} - Download token
+	 */
+	const create = async model => {
+		await remove(model);
+
+		/** @type {string} */
+		const token = nanoid(48);
+
+		/** @type {string} */
+		const path = `${fastify.config.get('account.dataExport.directory', 'exports')}/${model.id}/${nanoid(16)}.json`;
+
+		await fastify.fs.put(path, JSON.stringify(await build(model), null, 2), {
+			visibility: fastify.fs.VISIBILITY_PRIVATE,
+		});
+
+		model.setJsonValue('dataExport', {
+			token: createHash(token),
+			path,
+			requestedOn: moment.utc().format('YYYY-MM-DD HH:mm:ss'),
+			expiresOn: moment.utc()
+				.add(fastify.config.get('account.dataExport.linkExpire', 86400), 'seconds')
+				.format('YYYY-MM-DD HH:mm:ss'),
+		});
+
+		await model.save();
+
+		return token;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Find the archive by the download token
+	 * @param {string} token - Download token
+	 * @returns {Promise<?{model: User, path: string}>} - The archive / Invalid or expired token (or deleted account)
+	 */
+	const findByToken = async token => {
+		const {User} = fastify.db.models;
+
+		if ( !token || !String(token).trim() ) {
+			return null;
+		}
+
+		/** @type {?User} */
+		const model = await User.findOne({
+			where: {
+				[`${User.jsonbAttribute}.dataExport.token::VARCHAR`]: createHash(String(token).trim()),
+			},
+		});
+
+		if ( model === null
+			|| model.get('status') === User.STATUS_DELETED
+			|| moment.utc(model.getJsonValue('dataExport.expiresOn')).isBefore(moment.utc()) ) {
+			return null;
+		}
+
+		return {model, path: model.getJsonValue('dataExport.path')};
+	};
+
+	return {
+		build,
+		create,
+		remove,
+		findByToken,
+		toDownloadUrl,
+	};
+};
@@ -0,0 +1,83 @@
+/**
+ * Request-scoped user identity
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * User identifier (attached to each request as `request.auth`)
+ * @typedef {Object} FastifyIdentity
+ * @property {boolean} isGuest - Guest user or not
+ * @property {?User} identity - User model
+ * @property {?number} id - Current user ID
+ * @property {?string} sessionId - Current session ID (the token `jti` claim)
+ * @property {?number} apiKeyId - API key ID (authenticated by a personal API key)
+ * @property {?string[]} scopes - Granted scopes of the API key (null for unrestricted login session)
+ * @property {?User} impersonatedBy - The admin impersonating the user (null for the user's own session)
+ */
+
+/**
+ * @public
+ * @static
+ * Create a guest identity
+ * @returns {FastifyIdentity} - Guest identity
+ */
+function createGuest () {
+	return {
+		isGuest: true,
+		identity: null,
+		id: null,
+		sessionId: null,
+		apiKeyId: null,
+		scopes: null,
+		impersonatedBy: null,
+	};
+}
+
+/**
+ * @public
+ * @static
+ * Create an identity from user model
+ * @param {?User} model - User model (null for guest)
+ * @param {?Object} [decoded=null] - Decoded token data
+ * @param {?ApiKey} [apiKey=null] - API key model (authenticated by API key)
+ * @param {?User} [impersonator=null] - The admin impersonating the user
+ * @returns {FastifyIdentity} - User identity
+ */
+function createIdentity ( model, decoded = null, apiKey = null, impersonator = null ) {
+	if ( !model ) {
+		return createGuest();
+	}
+
+	return {
+		isGuest: false,
+		identity: model,
+		id: model.id,
+		sessionId: (decoded && decoded['jti']) || null,
+		apiKeyId: apiKey ? apiKey.id : null,
+		scopes: apiKey ? [...(apiKey.scopes || [])] : null,
+		impersonatedBy: impersonator || null,
+	};
+}
+
+/**
+ * @public
+ * @static
+ * Get current user identity from a request or a GraphQL context
+ * @param {FastifyRequest|Query~GraphQLContext|Mutation~GraphQLContext} source - Request / GraphQL context
+ * @returns {FastifyIdentity} - User identity (guest when none attached)
+ * @example
+ * const {isGuest, identity} = getIdentity(ctx);
+ */
+function getIdentity ( source ) {
+	return source && source.auth
+		? source.auth
+		: createGuest();
+}
+
+module.exports = {
+	createGuest,
+	createIdentity,
+	getIdentity,
+};
@@ -0,0 +1,209 @@
+/**
+ * Admin impersonation: time-limited sessions acting as other user
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+const {nanoid} = require('nanoid');
+
+// Utils
+const {getIdentity} = require('./identity');
+const {getClientInfo, getRequestIP} = require('./../request');
+
+/**
+ * Impersonation token
+ * @typedef {Object} ImpersonationToken
+ * @property {string} token - Access token (no refresh token is issued)
+ * @property {string} expiresAt - Expiry date (ATOM)
+ * @property {string} issuedAt - Issued date (ATOM)
+ */
+
+/**
+ * Active impersonation (kept until the stop is recorded)
+ * @typedef {Object} ImpersonationRecord
+ * @property {number} adminId - ID of the impersonating admin
+ * @property {number} userId - ID of the impersonated user
+ * @property {number} expiresAt - Token expiry (unix timestamp)
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	const Sessions = require('./session-store')(fastify);
+	const {createToken} = require('./jwt-identity')(fastify);
+	
+	/**
+	 * @private
+	 * Token lifetime in minutes
+	 * @returns {number}
+	 */
+	const getExpireMinutes = () => Number(fastify.config.get('session.impersonation.expireAfterMinutes', 30));
+	
+	/**
+	 * Redis key of the active impersonations set
+	 * @type {string} */
+	const ACTIVE_KEY = 'auth:impersonation:active';
+	
+	/**
+	 * @private
+	 * Redis key of the active impersonation
+	 * @param {string} sessionId - Session ID
+	 * @returns {string}
+	 */
+	const recordKey = sessionId => `auth:impersonation:${sessionId}`;
+	
+	/**
+	 * @public
+	 * @async
+	 * Start impersonating the user, the token carries both identities (`idt` and `imp` claims)
+	 * @param {User} admin - The impersonating admin
+	 * @param {User} model - The impersonated user
+	 * @param {FastifyRequest} request - Request instance
+	 * @returns {Promise<ImpersonationToken>}
+	 */
+	const start = async ( admin, model, request ) => {
+		const {AdminAction} = fastify.db.models;
+		
+		/** @type {string} */
+		const sessionId = nanoid(24);
+		
+		/** @type {number} */
+		const minutes = getExpireMinutes();
+		
+		await Sessions.create(sessionId, model, request, {ttl: minutes * 60, impersonatedBy: admin});
+		
+		/** @type {ImpersonationRecord} */
+		const record = {adminId: admin.id, userId: model.id, expiresAt: moment().add(minutes, 'minutes').unix()};
+		
+		// Outlives the token by a day, so the sweeper still finds the expired one
+		await fastify.redis.multi()
+			.set(recordKey(sessionId), JSON.stringify(record), 'EX', minutes * 60 + 86400)
+			.sadd(ACTIVE_KEY, sessionId)
+			.exec();
+		
+		/** @type {Object} */
+		const data = await createToken(model.getAuthKey(), model.get('role'), sessionId, {
+			expireAfterMinutes: minutes,
+			impersonator: admin.getAuthKey(),
+		});
+		
+		await AdminAction.record(AdminAction.ACTION_IMPERSONATION_START, {
+			adminId: admin.id,
+			userId: model.id,
+			changes: {sessionId, expiresAt: data.expires_at},
+			ip: getRequestIP(request),
+		});
+		
+		fastify.authEvents.emit('impersonation.started', {user: model, ...getClientInfo(request), sessionId});
+		
+		return {
+			token: data.auth_token,
+			expiresAt: data.expires_at,
+			issuedAt: data.issued_at,
+		};
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Record the end of the impersonation session (once, whichever way it ended)
+	 * @param {string} sessionId - Session ID
+	 * @param {string} reason - Reason code (e.g., EXPIRED, SESSION_REVOKED)
+	 * @param {?FastifyRequest} [request=null] - Request instance
+	 * @returns {Promise<boolean>} - True when recorded / False when not an active impersonation
+	 */
+	const end = async ( sessionId, reason, request = null ) => {
+		const {AdminAction} = fastify.db.models;
+		
+		/** @type {?string} */
+		const raw = sessionId ? await fastify.redis.get(recordKey(sessionId)) : null;
+		
+		// The one removing the record logs the stop
+		if ( raw === null || await fastify.redis.del(recordKey(sessionId)) !== 1 ) {
+			return false;
+		}
+		
+		await fastify.redis.srem(ACTIVE_KEY, sessionId);
+		
+		/** @type {ImpersonationRecord} */
+		const {adminId, userId} = JSON.parse(raw);
+		
+		await AdminAction.record(AdminAction.ACTION_IMPERSONATION_STOP, {
+			adminId,
+			userId,
+			changes: {sessionId, reason},
+			ip: request ? getRequestIP(request) : null,
+		});
+		
+		fastify.authEvents.emit('impersonation.stopped', {
+			userId, ...(request ? getClientInfo(request) : {}), sessionId, reason,
+		});
+		
+		return true;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Stop the impersonation of current request (the token stops working)
+	 * @param {FastifyRequest} request - Request instance
+	 * @param {string} [reason='STOPPED'] - Reason code (e.g., LOGOUT)
+	 * @returns {Promise<boolean>} - True when stopped / False when not impersonating
+	 */
+	const stop = async ( request, reason = 'STOPPED' ) => {
+		const {impersonatedBy, sessionId} = getIdentity(request);
+		
+		if ( !impersonatedBy ) {
+			return false;
+		}
+		
+		await Sessions.remove(sessionId);
+		await end(sessionId, reason, request);
+		
+		return true;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Record the end of the expired impersonations
+	 * @returns {Promise<number>} - Recorded impersonations count
+	 */
+	const sweepExpired = async () => {
+		/** @type {string[]} */
+		const ids = await fastify.redis.smembers(ACTIVE_KEY);
+		
+		/** @type {number} */
+		const now = moment().unix();
+		
+		let count = 0;
+		
+		for ( const id of ids ) {
+			/** @type {?string} */
+			const raw = await fastify.redis.get(recordKey(id));
+			
+			if ( raw === null ) {
+				await fastify.redis.srem(ACTIVE_KEY, id);
+				continue;
+			}
+			
+			if ( JSON.parse(raw).expiresAt <= now && await end(id, 'EXPIRED') ) {
+				count++;
+			}
+		}
+		
+		return count;
+	};
+	
+	return {
+		start,
+		end,
+		stop,
+		sweepExpired,
+	};
+};
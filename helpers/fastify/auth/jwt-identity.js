@@ -8,7 +8,6 @@
 /** Native/Installed modules */
 const moment = require('moment');
 const cookie = require('cookie');
-const {recursive} = require('merge');
 const objectPath = require('object-path');
 const {last: R_lastItem, has: R_has} = require('ramda');
 
@@ -87,9 +86,29 @@ function getTokenFromAuthBearer ( request ) {
 }
 
 /**
- * Get token from all sources
+ * Get personal API key from `X-API-Key` header
  * @param {fastify#FastifyRequest} request Fastify request instance
- * @return {string|Error} JWT Auth token / Error object
+ * @return {string|Error} API key / Error object
+ */
+function getTokenFromApiKeyHeader ( request ) {
+	/**
+	 * API key header value
+	 * @type {string}
+	 */
+	const header = String(request.headers['x-api-key'] || '').trim();
+
+	// Error: Missing or empty header
+	if ( !header ) {
+		return AuthError('Missing API key header', 401, 'Unauthorized');
+	}
+
+	return header;
+}
+
+/**
+ * Get token from all sources (Bearer header, `X-API-Key` header then cookie)
+ * @param {fastify#FastifyRequest} request Fastify request instance
+ * @return {string|Error} JWT Auth token or API key / Error object
  */
 function getTokenFromAll ( request ) {
 	/**
@@ -98,6 +117,10 @@ function getTokenFromAll ( request ) {
 	 */
 	let token = getTokenFromAuthBearer(request);
 
+	if ( token instanceof Error ) {
+		token = getTokenFromApiKeyHeader(request);
+	}
+
 	if ( token instanceof Error ) {
 		token = getTokenFromCookie(request);
 	}
@@ -113,6 +136,9 @@ function getTokenFromAll ( request ) {
 module.exports = fastify => {
 	const {User} = fastify.db.models;
 
+	const Sessions = require('./session-store')(fastify);
+	const ApiKeys = require('./api-key')(fastify);
+
 	/**
 	 * MomentJS; ATOM format
 	 * @type {string}
@@ -138,15 +164,15 @@ module.exports = fastify => {
 	 * @see FastifyJwt.JwtDecoded JwtDecoded
 	 * @see moment.Moment.format moment.format
 	 * @param {string} issuedAt Issue ATOM date
+	 * @param {?number} [minutes=null] Lifetime in minutes (defaults to configured)
 	 * @return {string}
 	 */
-	function getExpirationDateTime ( issuedAt ) {
-		/** @type {number} */
-		let days = Number(getConfig('expireAfterDays', 15));
+	function getExpirationDateTime ( issuedAt, minutes = null ) {
+		minutes = Number(minutes || getConfig('expireAfterMinutes', 15));
 
 		return moment(issuedAt)
 			.utc()
-			.add(days, 'days')
+			.add(minutes, 'minutes')
 			.format(DATE_ATOM);
 	}
 
@@ -179,11 +205,9 @@ module.exports = fastify => {
 	function decodeToken ( token ) {
 		try {
 			// to decode token data
-			return fastify.jwt.verify(token, {
-				algorithms: ['HS512'],
+			return fastify.jwtKeys.verify(token, {
 				issuer: fastify.config.get('uri.url'),
 				audience: fastify.config.get('uri.baseUrl'),
-				jwtid: fastify.config.get('auth.jwt.claims.jti'),
 				sub: fastify.config.get('auth.jwt.claims.sub'),
 			});
 		} catch (err) {
@@ -198,27 +222,32 @@ module.exports = fastify => {
 	 * Create JWT auth token
 	 * @param {string} authKey User auth key
 	 * @param {number} role User account type/role
+	 * @param {?string} [jti=null] Refresh token family ID
+	 * @param {Object} [options={}] (optional) {key:value} pairs of additional options
+	 * @param {?number} [options.expireAfterMinutes] Lifetime in minutes (defaults to configured)
+	 * @param {?string} [options.impersonator] Auth key of the impersonating admin (the `imp` claim)
 	 * @returns {FastifyJwt~TokenData} Token data
 	 * @throws {Error} Failed to create token
 	 */
-	async function createToken ( authKey, role ) {
+	async function createToken ( authKey, role, jti = null, options = {} ) {
+		const {expireAfterMinutes = null, impersonator = null} = options;
+
 		const issuedAt = moment().utc().format(DATE_ATOM),
 			notBefore = getNotBeforeDateTime(issuedAt),
-			expireOn = getExpirationDateTime(issuedAt);
+			expireOn = getExpirationDateTime(issuedAt, expireAfterMinutes);
 
 		/** @type {FastifyJwt#JwtDecoded} */
-		let token = await fastify.jwt.sign({
+		let token = fastify.jwtKeys.sign({
 			iss: fastify.config.get('uri.url'),
 			aud: fastify.config.get('uri.baseUrl'),
-			jti: getConfig('claims.jti'),
+			jti: jti || undefined,
 			sub: getConfig('claims.sub', 'auth'),
 			iat: moment(issuedAt).utc().unix(),
 			nbf: moment(notBefore).utc().unix(),
 			exp: moment(expireOn).utc().unix(),
 			idt: authKey,
 			rol: role,
-		}, {
-			algorithm: 'HS512',
+			imp: impersonator || undefined,
 		});
 
 		return {
@@ -242,7 +271,9 @@ module.exports = fastify => {
 	/**
 	 * @typedef {Object} FindIdentityToken
 	 * @property {User#} model User identity model
-	 * @property {Object|FastifyJwt~TokenData} decoded Decoded token data
+	 * @property {?Object|FastifyJwt~TokenData} decoded Decoded token data (null for API key)
+	 * @property {?ApiKey} [apiKey] API key model (authenticated by API key)
+	 * @property {?User} [impersonator] The admin impersonating the user (impersonation token)
 	 */
 
 	/**
@@ -251,58 +282,52 @@ module.exports = fastify => {
 	 * get user from data loader by auth key
 	 * @param {string} authKey - Authorization key
 	 * @param {Object} [options={}] (optional) {key:value} pairs of additional options
-	 * @param {(Object|sequelize.FindOptions)} [options.query] {key:value} pairs of Sequelize query options
+	 * @param {(Object|sequelize.FindOptions)} [options.query] {key:value} pairs of Sequelize query options (skips the loader)
+	 * @param {?Object.<string, DataLoader>} [options.loaders] Data loaders of current request (a new set otherwise)
 	 * @returns {Promise<User|null>} - The model / Not found
 	 */
-	const userFromDataLoader = async ( authKey, options ) => {
-		options = recursive(true, {
-			query: {},
-		}, options);
+	const userFromDataLoader = async ( authKey, options = {} ) => {
+		const {query = {}, loaders = null} = options;
+
+		if ( Object.keys(query).length ) {
+			return await User.findByAuthKey(authKey, query);
+		}
 
 		/**
 		 * User data loader
 		 * @type {DataLoader}
 		 */
-		const userLoader = fastify.dataLoaders.authUsers;
-
-		/** @type {User|null} */
-		let model;
-
-		try {
-			[model] = await userLoader.load(authKey);
-
-			if ( model ) {
-				/** @type {boolean} */
-				const invalidate = model.getJsonValue('security.token.invalidate');
-
-				if ( invalidate ) {
-					model = null;
-				}
-			}
-		} catch ( e ) {
-			model = null;
-		}
-
-		if ( !model ) {
-			model = await User.findByAuthKey(authKey, options.query);
-			userLoader.prime(authKey, model);
-		}
+		const userLoader = (loaders || fastify.dataLoaders.create()).authUsers;
 
-		return model;
+		return await userLoader.load(authKey);
 	};
 
 	/**
 	 * @public
 	 * @async
-	 * Find and get user identity from token
+	 * Find and get user identity from token (or personal API key)
 	 * <br> Note: required attributes are: id, email, authorization_key, role, status
-	 * @param {string} token JWT token
+	 * @param {string} token JWT token or API key
 	 * @param {Object} [options={}] (optional) {key:value} pairs of additional options
 	 * @param {(Object|sequelize.FindOptions)} [options.query] {key:value} pairs of Sequelize query options
+	 * @param {?string} [options.ip] Request IP address (recorded as API key last use)
+	 * @param {?Object.<string, DataLoader>} [options.loaders] Data loaders of current request
 	 * @return {Promise<FindIdentityToken>} - Promise instance
 	 * @throws {Error} When failed to authenticate
 	 */
 	async function findIdentityByToken ( token, options = {} ) {
+		if ( ApiKeys.isApiKey(token) ) {
+			/** @type {ApiKeyIdentity|null} */
+			const found = await ApiKeys.findIdentityByKey(token, options.ip || null);
+			
+			// Error: Unknown, revoked or expired key
+			if ( found === null ) {
+				throw AuthError('API key is invalid, revoked or expired', 401, 'Unauthorized');
+			}
+			
+			return {model: found.model, decoded: null, apiKey: found.apiKey};
+		}
+		
 		/**
 		 * Decoded token data
 		 * @type {Object}
@@ -325,8 +350,8 @@ module.exports = fastify => {
 			throw AuthError(`Your account has been ${model.toStatus().toLowerCase()}`, 401, 'Unauthorized');
 		}
 
-		// Error: User account was not active
-		if ( model.getJsonValue('security.token.invalidate') ) {
+		// Error: Session was revoked (e.g., logged out or refresh token reuse)
+		if ( !decoded['jti'] || !await Sessions.touch(decoded['jti']) ) {
 			throw AuthError('Access token is expired, disabled, or deleted, or the user has globally signed out', 400, 'Bad Request');
 		}
 		
@@ -335,7 +360,21 @@ module.exports = fastify => {
 			throw AuthError(`Ineligible user role`, 401, 'Unauthorized');
 		}
 
-		return { model, decoded };
+		if ( !decoded['imp'] ) {
+			return { model, decoded };
+		}
+
+		/** @type {User|null} */
+		const impersonator = await userFromDataLoader(decoded['imp'], options);
+
+		// Error: The admin was logged out, disabled or lost the permission
+		if ( null === impersonator
+			|| !User.validateStatusOnLogin(impersonator.status)
+			|| !fastify.rbac.hasPermissions(impersonator.role, ['users.impersonate']) ) {
+			throw AuthError('Impersonation is no longer allowed', 401, 'Unauthorized');
+		}
+
+		return { model, decoded, impersonator };
 	}
 
 	return {
@@ -344,6 +383,7 @@ module.exports = fastify => {
 		decodeToken,
 		AuthError,
 		getTokenFromAll,
+		getTokenFromApiKeyHeader,
 		getTokenFromCookie,
 		getTokenFromAuthBearer,
 		createToken,
@@ -0,0 +1,223 @@
+/**
+ * Failed logins lockout (redis), per account and per email+IP pair
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const {nanoid} = require('nanoid');
+const objectPath = require('object-path');
+
+/**
+ * Active lock
+ * @typedef {Object} LoginLock
+ * @property {'account'|'pair'} scope - Locked scope
+ * @property {number} retryAfter - Seconds until unlocked
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * @private
+	 * Get lockout configuration
+	 * @param {string} path - Deep property path (separated by .)
+	 * @param {*} defaultValue - Default value if none
+	 * @return {*} - The value if found, default value otherwise
+	 */
+	const getConfig = ( path, defaultValue ) => {
+		return objectPath.get(fastify.config.get('account.lockout', {}), path, defaultValue);
+	};
+
+	/**
+	 * @private
+	 * Redis key
+	 * @param {...string|number} parts - Key parts
+	 * @returns {string}
+	 */
+	const key = ( ...parts ) => `auth:lock:${parts.join(':')}`;
+
+	/**
+	 * @private
+	 * Lock subjects of the attempt
+	 * @param {?User} model - User model (null for unknown email)
+	 * @param {string} email - Email address
+	 * @param {string} ip - IP address
+	 * @returns {Array<{scope: string, id: string, maxAttempts: number}>}
+	 */
+	const subjects = ( model, email, ip ) => [
+		model && {scope: 'account', id: String(model.id), maxAttempts: getConfig('accountMaxAttempts', 10)},
+		{scope: 'pair', id: `${String(email).toLowerCase()}:${ip}`, maxAttempts: getConfig('pairMaxAttempts', 5)},
+	].filter(v => v);
+
+	/**
+	 * @public
+	 * @async
+	 * Get the active lock of the attempt (pair lock can be checked without the model)
+	 * @param {?User} model - User model
+	 * @param {string} email - Email address
+	 * @param {string} ip - IP address
+	 * @returns {Promise<LoginLock|null>} - Active lock / Not locked
+	 */
+	const findLock = async ( model, email, ip ) => {
+		if ( !getConfig('enabled', true) ) {
+			return null;
+		}
+
+		for ( const {scope, id} of subjects(model, email, ip) ) {
+			/** @type {number} */
+			const ttl = await fastify.redis.ttl(key('locked', scope, id));
+
+			if ( ttl > 0 ) {
+				return {scope, retryAfter: ttl};
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Record a failed attempt, locks the subject after too many failures within the window.
+	 * <br>Each repeated lock lasts twice as long as the previous one (capped by `maxLockSeconds`).
+	 * @param {?User} model - User model
+	 * @param {string} email - Email address
+	 * @param {string} ip - IP address
+	 * @returns {Promise<LoginLock|null>} - Lock just applied / Not locked yet
+	 */
+	const registerFailure = async ( model, email, ip ) => {
+		/** @type {LoginLock|null} */
+		let lock = null;
+
+		if ( !getConfig('enabled', true) ) {
+			return lock;
+		}
+
+		for ( const {scope, id, maxAttempts} of subjects(model, email, ip) ) {
+			/** @type {number} */
+			const failures = await fastify.redis.incr(key('failures', scope, id));
+
+			if ( failures === 1 ) {
+				await fastify.redis.expire(key('failures', scope, id), getConfig('window', 900));
+			}
+
+			if ( failures < maxAttempts ) {
+				continue;
+			}
+
+			/** @type {number} */
+			const level = await fastify.redis.incr(key('level', scope, id));
+			await fastify.redis.expire(key('level', scope, id), getConfig('backoffResetSeconds', 86400));
+
+			/** @type {number} */
+			const seconds = Math.min(
+				getConfig('lockSeconds', 300) * (2 ** (level - 1)),
+				getConfig('maxLockSeconds', 86400)
+			);
+
+			await fastify.redis.multi()
+				.set(key('locked', scope, id), String(level), 'EX', seconds)
+				.del(key('failures', scope, id))
+				.exec();
+
+			if ( scope === 'pair' ) {
+				// Remember the pairs, so unlocking the account releases them as well
+				await fastify.redis.sadd(key('pairs', String(email).toLowerCase()), id);
+				await fastify.redis.expire(key('pairs', String(email).toLowerCase()), getConfig('maxLockSeconds', 86400));
+			}
+
+			if ( !lock || seconds > lock.retryAfter ) {
+				lock = {scope, retryAfter: seconds};
+			}
+		}
+
+		return lock;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Clear the failures after a successful login
+	 * @param {User} model - User model
+	 * @param {string} email - Email address
+	 * @param {string} ip - IP address
+	 * @returns {Promise<void>}
+	 */
+	const clearFailures = async ( model, email, ip ) => {
+		await fastify.redis.del(...subjects(model, email, ip).map(({scope, id}) => key('failures', scope, id)));
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Create a one-time unlock token (sent by email)
+	 * @param {User} model - User model
+	 * @returns {Promise<string>} - Unlock token
+	 */
+	const createUnlockToken = async model => {
+		/** @type {string} */
+		const token = nanoid(32);
+
+		await fastify.redis.set(key('unlock', token), String(model.id), 'EX', getConfig('maxLockSeconds', 86400));
+
+		return token;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Consume the unlock token
+	 * @param {string} token - Unlock token
+	 * @returns {Promise<?number>} - User ID / Invalid or expired token
+	 */
+	const consumeUnlockToken = async token => {
+		/** @type {string} */
+		const theKey = key('unlock', String(token || '').trim());
+
+		/** @type {?string} */
+		const userId = await fastify.redis.get(theKey);
+
+		if ( !userId || !(await fastify.redis.del(theKey)) ) {
+			return null;
+		}
+
+		return Number(userId);
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Release all the locks of the account (and the email+IP pairs) and reset the back-off
+	 * @param {User} model - User model
+	 * @returns {Promise<void>}
+	 */
+	const unlock = async model => {
+		/** @type {string} */
+		const email = String(model.email).toLowerCase();
+
+		/** @type {string[]} */
+		const pairs = await fastify.redis.smembers(key('pairs', email));
+
+		/** @type {string[]} */
+		const keys = [
+			key('pairs', email),
+			...['locked', 'failures', 'level'].map(type => key(type, 'account', model.id)),
+			...pairs.flatMap(id => ['locked', 'failures', 'level'].map(type => key(type, 'pair', id))),
+		];
+
+		await fastify.redis.del(...keys);
+	};
+
+	return {
+		findLock,
+		registerFailure,
+		clearFailures,
+		createUnlockToken,
+		consumeUnlockToken,
+		unlock,
+	};
+};
@@ -0,0 +1,104 @@
+/**
+ * Passwordless login links (redis), single use and short-lived
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const {nanoid} = require('nanoid');
+
+// Utils
+const {createHash} = require('./../../crypto');
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * @private
+	 * Redis key
+	 * @param {...string|number} parts - Key parts
+	 * @returns {string}
+	 */
+	const key = ( ...parts ) => `auth:magic:${parts.join(':')}`;
+
+	/**
+	 * @private
+	 * Link lifetime in seconds
+	 * @returns {number}
+	 */
+	const getTtl = () => fastify.config.get('account.magicLink.tokenExpire', 900);
+
+	/**
+	 * @public
+	 * @async
+	 * Reserve the next request of the user (one link per throttle period)
+	 * @param {User} model - User model
+	 * @returns {Promise<boolean>} - True when allowed / False when requested too recently
+	 */
+	const acquireRequest = async model => {
+		/** @type {?string} */
+		const reserved = await fastify.redis.set(key('throttle', model.id), '1',
+			'EX', fastify.config.get('account.magicLink.throttleSeconds', 60), 'NX');
+
+		return reserved !== null;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Create a login token (replaces the previously issued one, only the hash is stored)
+	 * @param {User} model - User model
+	 * @returns {Promise<string>} - Login token
+	 */
+	const create = async model => {
+		/** @type {string} */
+		const token = nanoid(32);
+
+		/** @type {?string} */
+		const previous = await fastify.redis.get(key('user', model.id));
+
+		/** @type {Object} */
+		const multi = fastify.redis.multi();
+
+		previous && multi.del(key('token', previous));
+
+		await multi
+			.set(key('token', createHash(token)), String(model.id), 'EX', getTtl())
+			.set(key('user', model.id), createHash(token), 'EX', getTtl())
+			.exec();
+
+		return token;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Consume the login token (works only once)
+	 * @param {string} token - Login token
+	 * @returns {Promise<?number>} - User ID / Invalid or expired token
+	 */
+	const consume = async token => {
+		/** @type {string} */
+		const hash = createHash(String(token || '').trim());
+
+		/** @type {?string} */
+		const userId = await fastify.redis.get(key('token', hash));
+
+		if ( !userId || !(await fastify.redis.del(key('token', hash))) ) {
+			return null;
+		}
+
+		await fastify.redis.del(key('user', userId));
+
+		return Number(userId);
+	};
+
+	return {
+		acquireRequest,
+		create,
+		consume,
+	};
+};
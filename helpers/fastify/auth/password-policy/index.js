@@ -0,0 +1,197 @@
+/**
+ * Password policy (length, character classes, banned passwords, reuse and maximum age)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const objectPath = require('object-path');
+
+// Utils
+const PasswordHasher = require('./../../../password-hasher');
+const {resolvePath, directories} = require('./../../../../utils/path-resolver');
+
+/**
+ * Policy violation
+ * @typedef {Object} PasswordPolicyViolation
+ * @property {string} code - Error code (e.g., PASSWORD_TOO_SHORT)
+ * @property {string} message - Localized message
+ */
+
+/**
+ * Bundled banned passwords list
+ * @type {string} */
+const BANNED_LIST_FILE = path.join(__dirname, 'banned-passwords.txt');
+
+/**
+ * Loaded banned lists by file
+ * @type {Map<string, Set<string>>} */
+const bannedLists = new Map();
+
+/**
+ * @private
+ * Load the banned passwords list (lines starting with `#` are comments)
+ * @param {string} file - The file path
+ * @returns {Set<string>} - Lower cased passwords
+ */
+function loadBannedList ( file ) {
+	if ( !bannedLists.has(file) ) {
+		bannedLists.set(file, new Set(fs.readFileSync(file, 'utf8')
+			.split(/\r?\n/)
+			.map(v => v.trim().toLowerCase())
+			.filter(v => v && !v.startsWith('#'))));
+	}
+
+	return bannedLists.get(file);
+}
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * @private
+	 * Get policy configuration
+	 * @param {string} name - Deep property path (separated by .)
+	 * @param {*} defaultValue - Default value if none
+	 * @return {*} - The value if found, default value otherwise
+	 */
+	const getConfig = ( name, defaultValue ) => {
+		return objectPath.get(fastify.config.get('account.passwordPolicy', {}), name, defaultValue);
+	};
+
+	/**
+	 * @private
+	 * Banned passwords of the configured (or bundled) list
+	 * @returns {Set<string>}
+	 */
+	const getBannedList = () => {
+		/** @type {?string} */
+		const file = getConfig('bannedListFile', null);
+
+		if ( !file ) {
+			return loadBannedList(BANNED_LIST_FILE);
+		}
+
+		return loadBannedList(file.startsWith('@')
+			? resolvePath(file)
+			: path.resolve(directories.basePath, file));
+	};
+
+	/**
+	 * @public
+	 * Validate the password against the policy
+	 * @param {string} password - New password
+	 * @param {FastifyRequest} request - Request instance (to translate messages)
+	 * @param {?User} [model=null] - User model (checks the reuse of the previous passwords)
+	 * @returns {?PasswordPolicyViolation} - First violation / Valid password
+	 */
+	const validate = ( password, request, model = null ) => {
+		/** @type {string} */
+		const value = String(password || '');
+
+		/** @type {number} */
+		const minLength = getConfig('minLength', 8);
+
+		/** @type {number} */
+		const maxLength = getConfig('maxLength', 128);
+
+		//<editor-fold desc="Error: Length">
+		if ( value.length < minLength ) {
+			return {
+				code: 'PASSWORD_TOO_SHORT',
+				message: request.t('Password must be at least {{min}} characters long.', {min: minLength}),
+			};
+		}
+
+		if ( value.length > maxLength ) {
+			return {
+				code: 'PASSWORD_TOO_LONG',
+				message: request.t('Password must be at most {{max}} characters long.', {max: maxLength}),
+			};
+		}
+		//</editor-fold>
+
+		//<editor-fold desc="Error: Character classes">
+		/** @type {Array<[string, RegExp, string]>} */
+		const classes = [
+			['requireLowercase', /[a-z]/, 'Password must contain a lowercase letter.'],
+			['requireUppercase', /[A-Z]/, 'Password must contain an uppercase letter.'],
+			['requireDigit', /\d/, 'Password must contain a digit.'],
+			['requireSymbol', /[^a-zA-Z\d\s]/, 'Password must contain a symbol.'],
+		];
+
+		for ( const [option, pattern, message] of classes ) {
+			if ( getConfig(option, false) && !pattern.test(value) ) {
+				return {code: 'PASSWORD_TOO_WEAK', message: request.t(message)};
+			}
+		}
+		//</editor-fold>
+
+		//<editor-fold desc="Error: Commonly used password">
+		if ( getConfig('checkBanned', true) && getBannedList().has(value.toLowerCase()) ) {
+			return {
+				code: 'PASSWORD_BANNED',
+				message: request.t('This password is too common, please choose another one.'),
+			};
+		}
+		//</editor-fold>
+
+		//<editor-fold desc="Error: Recently used password">
+		/** @type {number} */
+		const historySize = getConfig('historySize', 0);
+
+		if ( model && historySize > 0 ) {
+			/** @type {string[]} */
+			const hashes = [model.get('password_hash'), ...model.getJsonValue('password.history', []) || []]
+				.filter(v => v)
+				.slice(0, historySize);
+
+			if ( hashes.some(hash => PasswordHasher.verify(value, hash)) ) {
+				return {
+					code: 'PASSWORD_REUSED',
+					message: request.t('Password must be different from the last {{count}} passwords.', {count: historySize}),
+				};
+			}
+		}
+		//</editor-fold>
+
+		return null;
+	};
+
+	/**
+	 * @public
+	 * Finds out the password is older than the maximum age (the change is required)
+	 * @param {User} model - User model
+	 * @returns {boolean} - True when expired / False otherwise (or no maximum age)
+	 */
+	const isExpired = model => {
+		/** @type {number} */
+		const maxAgeDays = getConfig('maxAgeDays', 0);
+
+		if ( !maxAgeDays ) {
+			return false;
+		}
+
+		/** @type {moment.Moment[]} */
+		const dates = [
+			model.getJsonValue('password.changed.lastChangedOn'),
+			model.getJsonValue('password.reset.lastResetOn'),
+		].filter(v => v).map(v => moment.utc(v));
+
+		/** @type {moment.Moment} */
+		const setOn = dates.length ? moment.max(dates) : moment.utc(model.created_at);
+
+		return setOn.clone().add(maxAgeDays, 'days').isBefore(moment.utc());
+	};
+
+	return {
+		validate,
+		isExpired,
+	};
+};
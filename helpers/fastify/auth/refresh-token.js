@@ -0,0 +1,227 @@
+/**
+ * Rotating refresh tokens (stored in redis)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const crypto = require('crypto');
+const moment = require('moment');
+const {nanoid} = require('nanoid');
+const objectPath = require('object-path');
+
+// Utils
+const SessionStore = require('./session-store');
+const Impersonation = require('./impersonation');
+
+/**
+ * Refresh token which was issued
+ * @typedef {Object} RefreshTokenData
+ * @property {string} token - Refresh token (sent to the client)
+ * @property {string} family - Token family ID (also the `jti` claim of the access token)
+ * @property {string} expiresAt - Expiry date (ATOM)
+ */
+
+/**
+ * Stored refresh token record
+ * @typedef {Object} RefreshTokenRecord
+ * @property {string} family - Token family ID
+ * @property {number} userId - User ID
+ * @property {string} authKey - User auth key at the time of issue
+ */
+
+/**
+ * @private
+ * Hash the token, so the raw token is never stored
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hash
+ */
+function hashToken ( token ) {
+	return crypto.createHash('sha256')
+		.update(String(token))
+		.digest('hex');
+}
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	const Sessions = SessionStore(fastify);
+	const {end: endImpersonation} = Impersonation(fastify);
+
+	/**
+	 * @private
+	 * Get refresh token configuration
+	 * @param {string} path - Deep property path (separated by .)
+	 * @param {*} [defaultValue=null] - Default value if none
+	 * @return {*} - The value if found, default value otherwise
+	 */
+	const getConfig = ( path, defaultValue = null ) => {
+		return objectPath.get(fastify.config.get('session.refresh', {}), path, defaultValue);
+	};
+
+	/**
+	 * @private
+	 * Refresh token lifetime in seconds
+	 * @returns {number}
+	 */
+	const getTtl = () => Number(getConfig('expireAfterDays', 15)) * 86400;
+
+	/**
+	 * @private
+	 * Redis key by the given type
+	 * @param {'token'|'used'|'family'} type - Key type
+	 * @param {string} id - Hashed token / Family ID
+	 * @returns {string}
+	 */
+	const key = ( type, id ) => `${getConfig('prefix', 'auth:refresh:')}${type}:${id}`;
+
+	/**
+	 * @private
+	 * @async
+	 * Store a new refresh token in the given family
+	 * @param {string} family - Token family ID
+	 * @param {RefreshTokenRecord} record - Token record
+	 * @returns {Promise<RefreshTokenData>}
+	 */
+	const store = async ( family, record ) => {
+		/** @type {string} */
+		const token = nanoid(48);
+
+		/** @type {number} */
+		const ttl = getTtl();
+
+		await fastify.redis.multi()
+			.set(key('token', hashToken(token)), JSON.stringify(record), 'EX', ttl)
+			.set(key('family', family), JSON.stringify({userId: record.userId}), 'EX', ttl)
+			.exec();
+
+		return {
+			token,
+			family,
+			expiresAt: moment().utc().add(ttl, 'seconds').format('YYYY-MM-DDTHH:mm:ssZ'),
+		};
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Issue a refresh token in a new family (e.g., on login)
+	 * @param {User} model - User model
+	 * @returns {Promise<RefreshTokenData>}
+	 */
+	const create = async model => {
+		/** @type {string} */
+		const family = nanoid(24);
+
+		return store(family, {
+			family,
+			userId: model.id,
+			authKey: model.getAuthKey(),
+		});
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Exchange a refresh token for the next one of the same family.
+	 * <br>A token can be used only once, using it again revokes the whole family.
+	 * @param {string} token - Refresh token
+	 * @returns {Promise<(RefreshTokenRecord&{next: function(): Promise<RefreshTokenData>})|null>} - Token record / Invalid token
+	 */
+	const rotate = async token => {
+		/** @type {string} */
+		const hash = hashToken(String(token || '').trim());
+
+		/** @type {?string} */
+		const raw = await fastify.redis.get(key('token', hash));
+
+		if ( !raw ) {
+			return null;
+		}
+
+		/** @type {RefreshTokenRecord} */
+		const record = JSON.parse(raw);
+
+		// The first one to mark it as used wins, anyone else is a reuse
+		/** @type {?string} */
+		const marked = await fastify.redis.set(key('used', hash), '1', 'EX', getTtl(), 'NX');
+
+		if ( marked === null ) {
+			fastify.log.warn({family: record.family, userId: record.userId}, 'Refresh token reuse detected, family revoked');
+			await revokeFamily(record.family);
+			fastify.authEvents.emit('token.revoked', {userId: record.userId, sessionId: record.family, reason: 'TOKEN_REUSE'});
+			return null;
+		}
+
+		if ( !await isFamilyActive(record.family) ) {
+			return null;
+		}
+
+		return {
+			...record,
+			next: () => store(record.family, record),
+		};
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Finds out the token family was not revoked or expired
+	 * @param {string} family - Token family ID
+	 * @returns {Promise<boolean>}
+	 */
+	const isFamilyActive = async family => {
+		return !!family && (await fastify.redis.exists(key('family', family))) === 1;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Revoke the token family (refresh and access tokens of the family stop working)
+	 * <br>The session of the family is removed as well, an impersonation session is recorded as stopped
+	 * @param {string} family - Token family ID
+	 * @param {string} [reason='REVOKED'] - Reason code (recorded for the impersonation session)
+	 * @returns {Promise<void>}
+	 */
+	const revokeFamily = async ( family, reason = 'REVOKED' ) => {
+		if ( !family ) {
+			return;
+		}
+
+		await fastify.redis.del(key('family', family));
+		await Sessions.remove(family);
+		await endImpersonation(family, reason);
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Revoke all the token families (sessions) of the user
+	 * @param {number} userId - User ID
+	 * @param {string} [reason='ALL_SESSIONS_REVOKED'] - Reason code (reported by `token.revoked` event)
+	 * @returns {Promise<number>} - Revoked families count
+	 */
+	const revokeAllByUser = async ( userId, reason = 'ALL_SESSIONS_REVOKED' ) => {
+		/** @type {SessionRecord[]} */
+		const sessions = await Sessions.findAllByUser(userId);
+
+		await Promise.all(sessions.map(session => revokeFamily(session.id, reason)));
+
+		for ( const session of sessions ) {
+			fastify.authEvents.emit('token.revoked', {userId, sessionId: session.id, reason});
+		}
+
+		return sessions.length;
+	};
+
+	return {
+		create,
+		rotate,
+		isFamilyActive,
+		revokeFamily,
+		revokeAllByUser,
+	};
+};
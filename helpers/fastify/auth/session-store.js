@@ -0,0 +1,214 @@
+/**
+ * Per-device sessions store (redis), a session for each issued token family
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+
+// Utils
+const {getRequestIP, getUserAgent, describeDevice} = require('./../request');
+
+/**
+ * Session record
+ * @typedef {Object} SessionRecord
+ * @property {string} id - Session ID (the `jti` claim / refresh token family)
+ * @property {number} userId - User ID
+ * @property {string} device - Device description (e.g., "Chrome 90 on Windows 10")
+ * @property {string} ip - IP address
+ * @property {string} userAgent - User agent
+ * @property {string} createdAt - Created date (ATOM)
+ * @property {string} lastSeen - Last seen date (ATOM)
+ * @property {?number} [impersonatedBy] - ID of the admin impersonating the user (impersonation session)
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * Write the last seen time at most once per these seconds
+	 * @type {number} */
+	const TOUCH_INTERVAL = 60;
+	
+	/**
+	 * @private
+	 * Redis key of the session
+	 * @param {string} id - Session ID
+	 * @returns {string}
+	 */
+	const sessionKey = id => `${fastify.config.get('session.store.prefix', 'auth:session:')}${id}`;
+	
+	/**
+	 * @private
+	 * Redis key of the user's sessions set
+	 * @param {number} userId - User ID
+	 * @returns {string}
+	 */
+	const userKey = userId => `${fastify.config.get('session.store.prefix', 'auth:session:')}user:${userId}`;
+	
+	/**
+	 * @private
+	 * Session lifetime in seconds (same as refresh token)
+	 * @returns {number}
+	 */
+	const getTtl = () => Number(fastify.config.get('session.refresh.expireAfterDays', 15)) * 86400;
+	
+	/**
+	 * @private
+	 * Current date
+	 * @returns {string}
+	 */
+	const now = () => moment().utc().format('YYYY-MM-DDTHH:mm:ssZ');
+	
+	/**
+	 * @public
+	 * @async
+	 * Record a new session
+	 * @param {string} id - Session ID (token family)
+	 * @param {User} model - User model
+	 * @param {FastifyRequest} request - Request instance
+	 * @param {Object} [options={}] - Additional options
+	 * @param {?number} [options.ttl] - Lifetime in seconds (defaults to the refresh token's)
+	 * @param {?User} [options.impersonatedBy] - The admin impersonating the user
+	 * @returns {Promise<SessionRecord>}
+	 */
+	const create = async ( id, model, request, options = {} ) => {
+		const {ttl = null, impersonatedBy = null} = options;
+		
+		/** @type {string} */
+		const userAgent = getUserAgent(request);
+		
+		/** @type {SessionRecord} */
+		const record = {
+			id,
+			userId: model.id,
+			device: describeDevice(userAgent),
+			ip: getRequestIP(request),
+			userAgent,
+			createdAt: now(),
+			lastSeen: now(),
+			...(impersonatedBy ? {impersonatedBy: impersonatedBy.id} : {}),
+		};
+		
+		await fastify.redis.multi()
+			.set(sessionKey(id), JSON.stringify(record), 'EX', ttl || getTtl())
+			.sadd(userKey(model.id), id)
+			.expire(userKey(model.id), getTtl())
+			.exec();
+		
+		return record;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Get session by ID
+	 * @param {string} id - Session ID
+	 * @returns {Promise<SessionRecord|null>} - Session / Not found (revoked or expired)
+	 */
+	const find = async id => {
+		/** @type {?string} */
+		const raw = id ? await fastify.redis.get(sessionKey(id)) : null;
+		return raw ? JSON.parse(raw) : null;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Mark the session as seen (optionally from a new IP address)
+	 * @param {string} id - Session ID
+	 * @param {?FastifyRequest} [request=null] - Request instance
+	 * @param {boolean} [renew=false] - Renew the session lifetime as well (e.g., token refreshed)
+	 * @returns {Promise<boolean>} - True when session is active / False otherwise
+	 */
+	const touch = async ( id, request = null, renew = false ) => {
+		/** @type {SessionRecord|null} */
+		const record = await find(id);
+		
+		if ( record === null ) {
+			return false;
+		}
+		
+		if ( !renew && moment.utc(record.lastSeen).add(TOUCH_INTERVAL, 'seconds').isAfter(moment.utc()) ) {
+			return true;
+		}
+		
+		record.lastSeen = now();
+		
+		if ( request ) {
+			record.ip = getRequestIP(request) || record.ip;
+		}
+		
+		/** @type {number} */
+		const ttl = renew
+			? getTtl()
+			: await fastify.redis.ttl(sessionKey(id));
+		
+		if ( ttl > 0 ) {
+			await fastify.redis.set(sessionKey(id), JSON.stringify(record), 'EX', ttl);
+		}
+		
+		renew && await fastify.redis.expire(userKey(record.userId), ttl);
+		
+		return true;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * List active sessions of the user (newest first)
+	 * @param {number} userId - User ID
+	 * @returns {Promise<SessionRecord[]>}
+	 */
+	const findAllByUser = async userId => {
+		/** @type {string[]} */
+		const ids = await fastify.redis.smembers(userKey(userId));
+		
+		/** @type {Array<SessionRecord|null>} */
+		const records = await Promise.all(ids.map(find));
+		
+		/** @type {string[]} */
+		const stale = ids.filter(( id, i ) => records[i] === null);
+		
+		if ( stale.length ) {
+			await fastify.redis.srem(userKey(userId), ...stale);
+		}
+		
+		return records
+			.filter(v => v !== null)
+			.sort(( a, b ) => String(b.lastSeen).localeCompare(a.lastSeen));
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Remove the session
+	 * @param {string} id - Session ID
+	 * @returns {Promise<void>}
+	 */
+	const remove = async id => {
+		/** @type {SessionRecord|null} */
+		const record = await find(id);
+		
+		if ( record === null ) {
+			return;
+		}
+		
+		await fastify.redis.multi()
+			.del(sessionKey(id))
+			.srem(userKey(record.userId), id)
+			.exec();
+	};
+	
+	return {
+		create,
+		find,
+		touch,
+		findAllByUser,
+		remove,
+	};
+};
@@ -0,0 +1,59 @@
+/**
+ * Minimal JSON over HTTP(S) client for the providers' APIs
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * @public
+ * @static
+ * Fetch JSON by GET request
+ * @param {string} url - The URL
+ * @param {Object.<string, string>} [headers={}] - Request headers
+ * @param {number} [timeout=10000] - Timeout in milliseconds
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {Error} - Request failed / Non 2xx status / Invalid JSON
+ */
+function getJson ( url, headers = {}, timeout = 10000 ) {
+	const client = String(url).startsWith('https:') ? https : http;
+	
+	return new Promise(( resolve, reject ) => {
+		const req = client.get(url, {
+			headers: {
+				'Accept': 'application/json',
+				'User-Agent': 'backend-apis',
+				...headers,
+			},
+			timeout,
+		}, res => {
+			let body = '';
+			res.setEncoding('utf8');
+			res.on('data', chunk => (body += chunk));
+			res.on('end', () => {
+				if ( res.statusCode < 200 || res.statusCode >= 300 ) {
+					reject(new Error(`Provider responded with ${res.statusCode}`));
+					return;
+				}
+				
+				try {
+					resolve(JSON.parse(body));
+				} catch ( e ) {
+					reject(new Error('Provider responded with invalid JSON'));
+				}
+			});
+		});
+		
+		req.on('timeout', () => req.destroy(new Error('Provider request timed out')));
+		req.on('error', reject);
+	});
+}
+
+module.exports = {
+	getJson,
+};
@@ -0,0 +1,270 @@
+/**
+ * Social login helper (providers, state and account linking)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const crypto = require('crypto');
+const {nanoid} = require('nanoid');
+const createError = require('http-errors');
+
+/**
+ * Normalized provider profile
+ * @typedef {Object} SocialProfile
+ * @property {string} id - User ID at the provider
+ * @property {?string} email - Email address
+ * @property {boolean} emailVerified - Email address is verified by the provider
+ * @property {string} name - Full name
+ */
+
+/**
+ * Provider adapter
+ * @typedef {Object} SocialProviderAdapter
+ * @property {Object} auth - fastify-oauth2 endpoints (authorizeHost, authorizePath, tokenHost, tokenPath)
+ * @property {string[]} scope - Default scopes
+ * @property {function(string): Promise<SocialProfile>} fetchProfile - Fetch profile by access token
+ */
+
+/**
+ * Built-in adapters (`generic` is created from the provider config)
+ * @type {Object.<string, (SocialProviderAdapter|function(Object): SocialProviderAdapter)>}
+ */
+const adapters = {
+	google: require('./providers/google'),
+	github: require('./providers/github'),
+	generic: require('./providers/generic'),
+};
+
+/**
+ * Name of the cookie binding the OAuth2 state to the browser which started the flow
+ * @type {string}
+ */
+const STATE_COOKIE = 'oauth_state';
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * @private
+	 * Secret to sign the state with
+	 * @returns {string}
+	 */
+	const getSecret = () => fastify.config.get('security.encryption.secret');
+	
+	/**
+	 * Any provider is enabled
+	 * @type {boolean} */
+	const available = Object.values(fastify.config.get('account.social.providers', {}) || {})
+		.some(options => options && options.enabled);
+	
+	//<editor-fold desc="Error: No encryption secret">
+	if ( available && !getSecret() ) {
+		throw new Error('Social login (`account.social.providers`) requires `security.encryption.secret` to be set');
+	}
+	//</editor-fold>
+	
+	/**
+	 * @private
+	 * Sign the state payload
+	 * @param {string} payload - The payload
+	 * @returns {string} - Signature
+	 */
+	const sign = payload => crypto
+		.createHmac('sha256', String(getSecret()))
+		.update(payload)
+		.digest('hex');
+
+	/**
+	 * @public
+	 * Get provider adapter
+	 * @param {string} name - Provider name (config key)
+	 * @param {Object} options - Provider configuration
+	 * @param {string} [options.adapter] - Adapter name (Defaults to provider name)
+	 * @returns {SocialProviderAdapter}
+	 * @throws {Error} - Unknown adapter
+	 */
+	const getAdapter = ( name, options ) => {
+		const adapter = adapters[options.adapter || name];
+
+		if ( !adapter ) {
+			throw new Error(`Unknown social login adapter for "${name}" provider`);
+		}
+
+		return typeof adapter === 'function'
+			? adapter(options)
+			: adapter;
+	};
+
+	/**
+	 * @public
+	 * Generate a signed, short-lived OAuth2 state
+	 * @returns {string} - State
+	 */
+	const generateState = () => {
+		/** @type {string} */
+		const payload = `${nanoid(16)}.${Math.floor(Date.now() / 1000)}`;
+		return `${payload}.${sign(payload)}`;
+	};
+
+	/**
+	 * @public
+	 * Check the OAuth2 state (signature and age)
+	 * @param {string} state - State
+	 * @returns {boolean} - True when valid / False otherwise
+	 */
+	const checkState = state => {
+		const [nonce, issuedAt, signature] = String(state || '').split('.');
+
+		if ( !nonce || !issuedAt || !signature ) {
+			return false;
+		}
+
+		/** @type {Buffer} */
+		const expected = Buffer.from(sign(`${nonce}.${issuedAt}`));
+
+		if ( expected.length !== Buffer.from(signature).length
+			|| !crypto.timingSafeEqual(expected, Buffer.from(signature)) ) {
+			return false;
+		}
+
+		return Number(issuedAt) + Number(fastify.config.get('account.social.stateExpire', 600))
+			> Math.floor(Date.now() / 1000);
+	};
+
+	/**
+	 * @public
+	 * Bind the state to the browser, the cookie is sent back to the callback route only
+	 * @param {FastifyReply|FastifyResponse} reply - Fastify reply instance
+	 * @param {string} state - State
+	 * @param {string} path - Cookie path (the provider's routes)
+	 */
+	const setStateCookie = ( reply, state, path ) => {
+		reply.setCookie(STATE_COOKIE, state, {
+			path,
+			httpOnly: true,
+			// The provider redirects back with a top-level navigation
+			sameSite: 'lax',
+			secure: String(fastify.config.get('uri.url', '')).startsWith('https:'),
+			maxAge: Number(fastify.config.get('account.social.stateExpire', 600)),
+		});
+	};
+
+	/**
+	 * @public
+	 * Remove the state cookie, a state is usable once
+	 * @param {FastifyReply|FastifyResponse} reply - Fastify reply instance
+	 * @param {string} path - Cookie path (the provider's routes)
+	 */
+	const clearStateCookie = ( reply, path ) => {
+		reply.clearCookie(STATE_COOKIE, {path});
+	};
+
+	/**
+	 * @public
+	 * Check the state of the callback against the cookie of the browser (login CSRF)
+	 * @param {fastify#FastifyRequest|FastifyRequest} request - Fastify request instance
+	 * @returns {boolean} - True when the browser started the flow / False otherwise
+	 */
+	const checkStateCookie = request => {
+		/** @type {Buffer} */
+		const state = Buffer.from(String((request.query || {}).state || ''));
+
+		/** @type {Buffer} */
+		const cookie = Buffer.from(String((request.cookies || {})[STATE_COOKIE] || ''));
+
+		return state.length > 0
+			&& state.length === cookie.length
+			&& crypto.timingSafeEqual(state, cookie)
+			&& checkState(String(state));
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Find the user linked to the provider's identity, link it by a verified email
+	 * address or create a new (activated) user
+	 * @param {string} provider - Provider name
+	 * @param {SocialProfile} profile - Provider profile
+	 * @param {string} [language='en-US'] - ISO Language [xx-XX] for new users
+	 * @returns {Promise<User>} - User model
+	 * @throws {HttpError} - Unable to login
+	 */
+	const findOrCreateUser = async ( provider, profile, language = 'en-US' ) => {
+		const {User, UserIdentity} = fastify.db.models;
+
+		/** @type {UserIdentity|null} */
+		const linked = await UserIdentity.findByProvider(provider, profile.id);
+
+		/** @type {User|null} */
+		let model = linked ? await User.findByPk(linked.user_id) : null;
+
+		if ( !model ) {
+			//<editor-fold desc="Error: No email address">
+			if ( !profile.email ) {
+				throw createError.UnprocessableEntity('The provider did not share an email address');
+			}
+			//</editor-fold>
+
+			model = await User.findByEmail(String(profile.email).toLowerCase());
+
+			//<editor-fold desc="Error: Unverified email of an existing account">
+			if ( model && !profile.emailVerified ) {
+				throw createError.Conflict('An account with this email address already exists');
+			}
+			//</editor-fold>
+
+			await fastify.db.transaction(async transaction => {
+				if ( !model ) {
+					model = User.build();
+					model.loadDefaults();
+					model.set('name', String(profile.name || profile.email.split('@')[0]).trim().substr(0, 40));
+					model.set('email', profile.email);
+					model.setPassword(nanoid(32));
+					model.generateAuthKey();
+					model.activate();
+					model.setJsonValue('language', language || 'en-US');
+					await model.save({transaction});
+				}
+
+				await UserIdentity.create({
+					user_id: model.id,
+					provider,
+					provider_uid: String(profile.id),
+					email: profile.email,
+					meta: {name: profile.name},
+				}, {transaction});
+			});
+		}
+
+		//<editor-fold desc="Error: Not a valid status">
+		if ( +model.get('status') === User.STATUS_INACTIVE && model.getJsonValue('activation.pending', false) ) {
+			if ( !profile.emailVerified ) {
+				throw createError.Forbidden('Your account is not activated.');
+			}
+
+			// The provider verified the email address
+			model.activate();
+		}
+
+		if ( !User.validateStatusOnLogin(model.get('status')) ) {
+			throw createError.Forbidden(`Your account has been ${model.toStatus().toLowerCase()}`);
+		}
+		//</editor-fold>
+
+		return model;
+	};
+
+	return {
+		getAdapter,
+		generateState,
+		checkState,
+		setStateCookie,
+		clearStateCookie,
+		checkStateCookie,
+		findOrCreateUser,
+	};
+};
@@ -0,0 +1,60 @@
+/**
+ * Generic (OpenID Connect like) social login provider, fully config driven
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const objectPath = require('object-path');
+
+// Utils
+const {getJson} = require('./../http');
+
+/**
+ * Provider's profile fields mapping
+ * @type {Object.<string, string>}
+ */
+const defaultFields = {
+	id: 'sub',
+	email: 'email',
+	emailVerified: 'email_verified',
+	name: 'name',
+};
+
+/**
+ * Create adapter from the provider config
+ * @param {Object} options - Provider configuration
+ * @param {Object} options.auth - Endpoints (authorizeHost, authorizePath, tokenHost, tokenPath)
+ * @param {string} options.userInfoUrl - Profile endpoint
+ * @param {string[]} [options.scope] - Scopes
+ * @param {Object.<string, string>} [options.profileFields] - Profile fields mapping
+ * @returns {SocialProviderAdapter}
+ */
+module.exports = options => {
+	/** @type {Object.<string, string>} */
+	const fields = {...defaultFields, ...options.profileFields};
+	
+	return {
+		auth: options.auth,
+		scope: options.scope || ['openid', 'email', 'profile'],
+		
+		/**
+		 * @async
+		 * Fetch the profile of the token owner
+		 * @param {string} accessToken - Access token
+		 * @returns {Promise<SocialProfile>}
+		 */
+		async fetchProfile ( accessToken ) {
+			const data = await getJson(options.userInfoUrl, {
+				Authorization: `Bearer ${accessToken}`,
+			});
+			
+			return {
+				id: String(objectPath.get(data, fields.id)),
+				email: objectPath.get(data, fields.email, null),
+				emailVerified: objectPath.get(data, fields.emailVerified) === true,
+				name: objectPath.get(data, fields.name, ''),
+			};
+		},
+	};
+};
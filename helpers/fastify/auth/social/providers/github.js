@@ -0,0 +1,45 @@
+/**
+ * GitHub social login provider
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {GITHUB_CONFIGURATION} = require('fastify-oauth2');
+
+// Utils
+const {getJson} = require('./../http');
+
+/**
+ * @type {SocialProviderAdapter}
+ */
+module.exports = {
+	auth: GITHUB_CONFIGURATION,
+	scope: ['read:user', 'user:email'],
+	
+	/**
+	 * @async
+	 * Fetch the profile of the token owner
+	 * @param {string} accessToken - Access token
+	 * @returns {Promise<SocialProfile>}
+	 */
+	async fetchProfile ( accessToken ) {
+		/** @type {Object.<string, string>} */
+		const headers = {Authorization: `token ${accessToken}`};
+		
+		const [user, emails] = await Promise.all([
+			getJson('https://api.github.com/user', headers),
+			getJson('https://api.github.com/user/emails', headers),
+		]);
+		
+		// Public profile email may not be verified, prefer the primary one
+		const primary = (Array.isArray(emails) ? emails : []).find(v => v.primary) || null;
+		
+		return {
+			id: String(user.id),
+			email: primary ? primary.email : (user.email || null),
+			emailVerified: !!(primary && primary.verified),
+			name: user.name || user.login || '',
+		};
+	},
+};
@@ -0,0 +1,38 @@
+/**
+ * Google social login provider
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {GOOGLE_CONFIGURATION} = require('fastify-oauth2');
+
+// Utils
+const {getJson} = require('./../http');
+
+/**
+ * @type {SocialProviderAdapter}
+ */
+module.exports = {
+	auth: GOOGLE_CONFIGURATION,
+	scope: ['openid', 'email', 'profile'],
+	
+	/**
+	 * @async
+	 * Fetch the profile of the token owner
+	 * @param {string} accessToken - Access token
+	 * @returns {Promise<SocialProfile>}
+	 */
+	async fetchProfile ( accessToken ) {
+		const data = await getJson('https://openidconnect.googleapis.com/v1/userinfo', {
+			Authorization: `Bearer ${accessToken}`,
+		});
+		
+		return {
+			id: String(data.sub),
+			email: data.email || null,
+			emailVerified: data.email_verified === true,
+			name: data.name || '',
+		};
+	},
+};
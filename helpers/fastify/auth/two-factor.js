@@ -0,0 +1,261 @@
+/**
+ * Two-factor (TOTP) authentication helper
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const moment = require('moment');
+const {nanoid, customAlphabet} = require('nanoid');
+
+// Utils
+const TOTP = require('./../../totp');
+const {createHash, encrypt, decrypt} = require('./../../crypto');
+
+/**
+ * Pending login challenge
+ * @typedef {Object} TwoFactorChallenge
+ * @property {number} userId - User ID
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ */
+module.exports = fastify => {
+	/**
+	 * Recovery code generator (e.g., `7KQ4M-XA9PZ`)
+	 * @type {function(): string} */
+	const generateRecoveryCode = customAlphabet('23456789ABCDEFGHJKLMNPQRSTUVWXYZ', 10);
+	
+	/**
+	 * @private
+	 * Secret to encrypt the TOTP secrets with
+	 * @returns {string}
+	 */
+	const getSecret = () => fastify.config.get('security.encryption.secret');
+	
+	/**
+	 * Two-factor authentication can be set up by the users
+	 * @type {boolean} */
+	const available = !!fastify.config.get('account.twoFactor.enabled', false);
+	
+	//<editor-fold desc="Error: No encryption secret">
+	if ( available && !getSecret() ) {
+		throw new Error('Two-factor authentication (`account.twoFactor.enabled`) requires `security.encryption.secret` to be set');
+	}
+	//</editor-fold>
+	
+	/**
+	 * @private
+	 * Redis key of the challenge
+	 * @param {string} id - Challenge ID
+	 * @returns {string}
+	 */
+	const challengeKey = id => `auth:2fa:${id}`;
+	
+	/**
+	 * @private
+	 * Redis key of the challenge attempts counter
+	 * @param {string} id - Challenge ID
+	 * @returns {string}
+	 */
+	const attemptsKey = id => `auth:2fa:${id}:attempts`;
+	
+	/**
+	 * @private
+	 * Normalize the recovery code before hashing
+	 * @param {string} code - Recovery code
+	 * @returns {string}
+	 */
+	const normalizeRecoveryCode = code => String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+	
+	/**
+	 * @public
+	 * Finds out two-factor authentication is enabled for the user
+	 * @param {User} model - User model
+	 * @returns {boolean}
+	 */
+	const isEnabled = model => !!model.getJsonValue('twoFactor.enabled', false);
+	
+	/**
+	 * @public
+	 * Finds out the users can set up two-factor authentication
+	 * @returns {boolean}
+	 */
+	const isAvailable = () => available;
+	
+	/**
+	 * @public
+	 * Generate a new (pending) TOTP secret, it gets active after `enable()`
+	 * @param {User} model - User model
+	 * @returns {{secret: string, uri: string}} - Plain secret and otpauth URI
+	 */
+	const setup = model => {
+		/** @type {string} */
+		const secret = TOTP.generateSecret();
+		
+		model.setJsonValue('twoFactor', {
+			enabled: false,
+			secret: encrypt(secret, getSecret()),
+			recoveryCodes: [],
+			lastStep: null,
+			enabledOn: null,
+		});
+		
+		return {
+			secret,
+			uri: TOTP.buildUri(secret, model.email, fastify.config.get('account.twoFactor.issuer', 'Backend APIs')),
+		};
+	};
+	
+	/**
+	 * @public
+	 * Verify TOTP code (or a recovery code, which then gets consumed)
+	 * @param {User} model - User model
+	 * @param {string} code - TOTP / Recovery code
+	 * @param {boolean} [allowRecovery=true] - Accept recovery codes as well
+	 * @returns {boolean} - True when valid / False otherwise (save the model after)
+	 */
+	const verify = ( model, code, allowRecovery = true ) => {
+		/** @type {?string} */
+		const encrypted = model.getJsonValue('twoFactor.secret');
+		
+		if ( !encrypted ) {
+			return false;
+		}
+		
+		/** @type {?number} */
+		const step = TOTP.verifyCode(decrypt(encrypted, getSecret()), code);
+		
+		if ( step !== null && step > Number(model.getJsonValue('twoFactor.lastStep') || 0) ) {
+			model.setJsonValue('twoFactor.lastStep', step);
+			return true;
+		}
+		
+		if ( !allowRecovery ) {
+			return false;
+		}
+		
+		/** @type {string[]} */
+		const hashes = model.getJsonValue('twoFactor.recoveryCodes', []);
+		
+		/** @type {string} */
+		const hash = createHash(normalizeRecoveryCode(code));
+		
+		if ( !normalizeRecoveryCode(code) || !hashes.includes(hash) ) {
+			return false;
+		}
+		
+		model.setJsonValue('twoFactor.recoveryCodes', hashes.filter(v => v !== hash));
+		return true;
+	};
+	
+	/**
+	 * @public
+	 * Enable two-factor authentication (after the first code was verified)
+	 * @param {User} model - User model
+	 * @returns {string[]} - Plain one-time recovery codes (shown once)
+	 */
+	const enable = model => {
+		/** @type {string[]} */
+		const codes = Array.from({length: fastify.config.get('account.twoFactor.recoveryCodes', 10)}, () => {
+			const code = generateRecoveryCode();
+			return `${code.slice(0, 5)}-${code.slice(5)}`;
+		});
+		
+		model.setJsonValue('twoFactor.enabled', true);
+		model.setJsonValue('twoFactor.enabledOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+		model.setJsonValue('twoFactor.recoveryCodes', codes.map(code => createHash(normalizeRecoveryCode(code))));
+		
+		return codes;
+	};
+	
+	/**
+	 * @public
+	 * Disable two-factor authentication
+	 * @param {User} model - User model
+	 */
+	const disable = model => {
+		model.setJsonValue('twoFactor', null);
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Create a login challenge (password was verified, code is pending)
+	 * @param {User} model - User model
+	 * @returns {Promise<string>} - Challenge ID
+	 */
+	const createChallenge = async model => {
+		/** @type {string} */
+		const id = nanoid(32);
+		
+		await fastify.redis.set(challengeKey(id), JSON.stringify({userId: model.id}),
+			'EX', fastify.config.get('account.twoFactor.challengeExpire', 300));
+		
+		return id;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Get the challenge
+	 * @param {string} id - Challenge ID
+	 * @returns {Promise<TwoFactorChallenge|null>} - Challenge / Not found or expired
+	 */
+	const findChallenge = async id => {
+		/** @type {?string} */
+		const raw = id ? await fastify.redis.get(challengeKey(id)) : null;
+		return raw ? JSON.parse(raw) : null;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Count an attempt before the code is verified (atomic, so the parallel attempts can't exceed the limit),
+	 * the challenge is removed once the attempts ran out
+	 * @param {string} id - Challenge ID
+	 * @returns {Promise<number>} - Attempts left after this one (negative: no attempt left, challenge removed)
+	 */
+	const attemptChallenge = async id => {
+		/** @type {number} */
+		const attempts = await fastify.redis.incr(attemptsKey(id));
+		
+		// The counter expires with the challenge (kept on removal, the attempts in flight still count)
+		attempts === 1 && await fastify.redis.expire(attemptsKey(id),
+			fastify.config.get('account.twoFactor.challengeExpire', 300));
+		
+		/** @type {number} */
+		const left = fastify.config.get('account.twoFactor.maxAttempts', 5) - attempts;
+		
+		left < 0 && await removeChallenge(id);
+		
+		return left;
+	};
+	
+	/**
+	 * @public
+	 * @async
+	 * Remove the challenge
+	 * @param {string} id - Challenge ID
+	 * @returns {Promise<void>}
+	 */
+	const removeChallenge = async id => {
+		await fastify.redis.del(challengeKey(id));
+	};
+	
+	return {
+		isEnabled,
+		isAvailable,
+		setup,
+		verify,
+		enable,
+		disable,
+		createChallenge,
+		findChallenge,
+		attemptChallenge,
+		removeChallenge,
+	};
+};
@@ -0,0 +1,77 @@
+/**
+ * Fastify request utility functions
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+'use strict';
+
+/** Native/Installed modules */
+const UAParser = require('ua-parser-js');
+
+/**
+ * @public
+ * @static
+ * Get request IP address
+ * @param {FastifyRequest} request - Request instance
+ * @returns {string} - IP address (empty when unknown)
+ */
+function getRequestIP ( request ) {
+	return request.ip
+		|| request.headers['x-forwarded-for']
+		|| (request.raw && request.raw.connection && request.raw.connection.remoteAddress)
+		|| '';
+}
+
+/**
+ * @public
+ * @static
+ * Get request user agent
+ * @param {FastifyRequest} request - Request instance
+ * @returns {string} - User agent (empty when unknown)
+ */
+function getUserAgent ( request ) {
+	return String(request.headers['user-agent'] || '');
+}
+
+/**
+ * @public
+ * @static
+ * Get request client details
+ * @param {FastifyRequest} request - Request instance
+ * @returns {{ip: string, userAgent: string}} - IP address and user agent
+ */
+function getClientInfo ( request ) {
+	return {
+		ip: getRequestIP(request),
+		userAgent: getUserAgent(request),
+	};
+}
+
+/**
+ * @public
+ * @static
+ * Describe the device from user agent
+ * @param {string} userAgent - User agent
+ * @returns {string} - Device description (e.g., "Chrome 90 on Windows 10")
+ */
+function describeDevice ( userAgent ) {
+	const {browser, os, device} = new UAParser(userAgent).getResult();
+	
+	/** @type {string} */
+	const client = [browser.name, browser.major].filter(v => v).join(' ') || 'Unknown client';
+	
+	/** @type {string} */
+	const platform = [device.vendor, device.model].filter(v => v).join(' ')
+		|| [os.name, os.version].filter(v => v).join(' ');
+	
+	return platform ? `${client} on ${platform}` : client;
+}
+
+module.exports = {
+	describeDevice,
+	getClientInfo,
+	getRequestIP,
+	getUserAgent,
+};
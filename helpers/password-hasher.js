@@ -0,0 +1,207 @@
+/**
+ * Password hashing (bcrypt or scrypt) Utility functions
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const bcryptjs = require('bcryptjs');
+const {recursive} = require('merge');
+
+/**
+ * Hashing options (`security.passwordHash` configuration)
+ * @typedef {Object} PasswordHashOptions
+ * @property {'bcrypt'|'scrypt'} algorithm - Algorithm of the new hashes (Defaults to bcrypt)
+ * @property {number} cost - Bcrypt cost (Defaults to 10)
+ * @property {Object} scrypt - Scrypt parameters
+ * @property {number} scrypt.cost - CPU/memory cost, a power of two (Defaults to 16384)
+ * @property {number} scrypt.blockSize - Block size (Defaults to 8)
+ * @property {number} scrypt.parallelization - Parallelization (Defaults to 1)
+ * @property {number} scrypt.keyLength - Derived key length in bytes (Defaults to 64)
+ */
+
+/**
+ * Scrypt hash prefix
+ * @type {string} */
+const SCRYPT_PREFIX = '$scrypt$';
+
+/**
+ * @private
+ * Merge the options with defaults
+ * @param {Object} options - Hashing options
+ * @returns {PasswordHashOptions} - Normalized options
+ */
+function normalizeOptions ( options = {} ) {
+	return recursive(true, {
+		algorithm: 'bcrypt',
+		cost: 10,
+		scrypt: {
+			cost: 16384,
+			blockSize: 8,
+			parallelization: 1,
+			keyLength: 64,
+		},
+	}, options || {});
+}
+
+/**
+ * @private
+ * Derive the scrypt key
+ * @param {string} password - Password
+ * @param {Buffer} salt - Salt
+ * @param {{N: number, r: number, p: number}} params - Scrypt parameters
+ * @param {number} keyLength - Key length in bytes
+ * @returns {Buffer} - Derived key
+ */
+function scrypt ( password, salt, {N, r, p}, keyLength ) {
+	return crypto.scryptSync(String(password), salt, keyLength, {
+		N, r, p,
+		maxmem: 256 * N * r + 1024 * 1024,
+	});
+}
+
+/**
+ * @private
+ * Parse a scrypt hash (`$scrypt$N=16384,r=8,p=1$<salt>$<key>`)
+ * @param {string} hash - The hash
+ * @returns {?{params: {N: number, r: number, p: number}, salt: Buffer, key: Buffer}} - Parsed hash / Malformed
+ */
+function parseScrypt ( hash ) {
+	const [, , rawParams = '', salt = '', key = ''] = String(hash).split('$');
+
+	/** @type {Object.<string, number>} */
+	const params = Object.fromEntries(rawParams.split(',')
+		.map(v => v.split('='))
+		.map(([name, value]) => [name, Number(value)]));
+
+	if ( !params.N || !params.r || !params.p || !salt || !key ) {
+		return null;
+	}
+
+	return {
+		params: {N: params.N, r: params.r, p: params.p},
+		salt: Buffer.from(salt, 'base64'),
+		key: Buffer.from(key, 'base64'),
+	};
+}
+
+/**
+ * @public
+ * @static
+ * Find out the algorithm of the hash
+ * @param {?string} hash - The hash
+ * @returns {?string} - bcrypt / scrypt / Unknown
+ */
+function getAlgorithm ( hash ) {
+	/** @type {string} */
+	const value = String(hash || '');
+
+	if ( value.startsWith(SCRYPT_PREFIX) ) {
+		return 'scrypt';
+	}
+
+	return /^\$2[abxy]?\$\d{2}\$/.test(value) ? 'bcrypt' : null;
+}
+
+/**
+ * @public
+ * @static
+ * Generates a secure hash from a password and a random salt
+ * @param {string} password - Password to hash
+ * @param {Object} [options={}] - Hashing options
+ * @returns {string} - The hash
+ * @throws {Error} - Unsupported algorithm
+ */
+function hash ( password, options = {} ) {
+	const {algorithm, cost, scrypt: sOptions} = normalizeOptions(options);
+
+	if ( algorithm === 'bcrypt' ) {
+		return bcryptjs.hashSync(String(password), bcryptjs.genSaltSync(cost));
+	}
+
+	if ( algorithm !== 'scrypt' ) {
+		throw new Error(`Unsupported password hash algorithm "${algorithm}"`);
+	}
+
+	/** @type {{N: number, r: number, p: number}} */
+	const params = {N: sOptions.cost, r: sOptions.blockSize, p: sOptions.parallelization};
+
+	/** @type {Buffer} */
+	const salt = crypto.randomBytes(16);
+
+	return [
+		SCRYPT_PREFIX.slice(0, -1),
+		`N=${params.N},r=${params.r},p=${params.p}`,
+		salt.toString('base64'),
+		scrypt(password, salt, params, sOptions.keyLength).toString('base64'),
+	].join('$');
+}
+
+/**
+ * @public
+ * @static
+ * Verifies a password against a hash (of any supported algorithm)
+ * @param {string} password - Password to verify
+ * @param {?string} hashed - The hash
+ * @returns {boolean} - Whether the password is correct
+ */
+function verify ( password, hashed ) {
+	switch ( getAlgorithm(hashed) ) {
+		case 'bcrypt':
+			return bcryptjs.compareSync(String(password), hashed);
+
+		case 'scrypt': {
+			const parsed = parseScrypt(hashed);
+
+			if ( !parsed ) {
+				return false;
+			}
+
+			/** @type {Buffer} */
+			const key = scrypt(password, parsed.salt, parsed.params, parsed.key.length);
+
+			return crypto.timingSafeEqual(key, parsed.key);
+		}
+
+		default:
+			return false;
+	}
+}
+
+/**
+ * @public
+ * @static
+ * Finds out the hash was generated by other algorithm or parameters than configured
+ * @param {?string} hashed - The hash
+ * @param {Object} [options={}] - Hashing options
+ * @returns {boolean} - True when outdated / False otherwise
+ */
+function needsRehash ( hashed, options = {} ) {
+	const {algorithm, cost, scrypt: sOptions} = normalizeOptions(options);
+
+	if ( getAlgorithm(hashed) !== algorithm ) {
+		return true;
+	}
+
+	if ( algorithm === 'bcrypt' ) {
+		return bcryptjs.getRounds(hashed) !== Number(cost);
+	}
+
+	const parsed = parseScrypt(hashed);
+
+	return !parsed
+		|| parsed.params.N !== Number(sOptions.cost)
+		|| parsed.params.r !== Number(sOptions.blockSize)
+		|| parsed.params.p !== Number(sOptions.parallelization)
+		|| parsed.key.length !== Number(sOptions.keyLength);
+}
+
+module.exports = {
+	getAlgorithm,
+	hash,
+	verify,
+	needsRehash,
+};
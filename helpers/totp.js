@@ -0,0 +1,170 @@
+/**
+ * TOTP (RFC 6238) Utility functions
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Base32 (RFC 4648) alphabet
+ * @type {string} */
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time step in seconds
+ * @type {number} */
+const PERIOD = 30;
+
+/**
+ * Code digits length
+ * @type {number} */
+const DIGITS = 6;
+
+/**
+ * @private
+ * Encode buffer into base32 (without padding)
+ * @param {Buffer} buffer - The buffer
+ * @returns {string} - Base32 string
+ */
+function base32Encode ( buffer ) {
+	let bits = '';
+	
+	for ( const byte of buffer ) {
+		bits += byte.toString(2).padStart(8, '0');
+	}
+	
+	return (bits.match(/.{1,5}/g) || [])
+		.map(chunk => ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+		.join('');
+}
+
+/**
+ * @private
+ * Decode base32 string into buffer
+ * @param {string} value - Base32 string
+ * @returns {Buffer} - Decoded buffer
+ */
+function base32Decode ( value ) {
+	let bits = '';
+	
+	for ( const char of String(value).toUpperCase().replace(/[=\s]/g, '') ) {
+		const index = ALPHABET.indexOf(char);
+		
+		if ( index === -1 ) {
+			throw new Error ('Invalid base32 character');
+		}
+		
+		bits += index.toString(2).padStart(5, '0');
+	}
+	
+	return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * @public
+ * @static
+ * Generate a new secret
+ * @param {number} [bytes=20] - Secret size in bytes
+ * @returns {string} - Base32 secret
+ */
+function generateSecret ( bytes = 20 ) {
+	return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * @public
+ * @static
+ * Current time step
+ * @param {number} [timestamp=Date.now()] - Timestamp in milliseconds
+ * @returns {number} - Time step
+ */
+function timeStep ( timestamp = Date.now() ) {
+	return Math.floor(timestamp / 1000 / PERIOD);
+}
+
+/**
+ * @public
+ * @static
+ * Generate the code for the given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} [step=timeStep()] - Time step
+ * @returns {string} - The code
+ */
+function generateCode ( secret, step = timeStep() ) {
+	const counter = Buffer.alloc(8);
+	counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+	counter.writeUInt32BE(step % 0x100000000, 4);
+	
+	const hmac = crypto.createHmac('sha1', base32Decode(secret))
+		.update(counter)
+		.digest();
+	
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	
+	return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * @public
+ * @static
+ * Verify the code against the current time (± window steps)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - The code
+ * @param {number} [window=1] - Allowed steps of clock drift
+ * @returns {?number} - Matched time step / Null when invalid
+ */
+function verifyCode ( secret, code, window = 1 ) {
+	const theCode = String(code || '').replace(/\s/g, '');
+	
+	if ( !/^\d+$/.test(theCode) || theCode.length !== DIGITS ) {
+		return null;
+	}
+	
+	const current = timeStep();
+	
+	for ( let step = current - window; step <= current + window; step++ ) {
+		const expected = generateCode(secret, step);
+		
+		if ( crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(theCode)) ) {
+			return step;
+		}
+	}
+	
+	return null;
+}
+
+/**
+ * @public
+ * @static
+ * Build otpauth URI (for authenticator apps / QR codes)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name (e.g., email address)
+ * @param {string} issuer - Issuer (e.g., application name)
+ * @returns {string} - otpauth URI
+ */
+function buildUri ( secret, account, issuer ) {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(DIGITS),
+		period: String(PERIOD),
+	});
+	
+	return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+	generateSecret,
+	timeStep,
+	generateCode,
+	verifyCode,
+	buildUri,
+};
@@ -0,0 +1,62 @@
+/**
+ * Fastify account cleanup Plugin
+ * @description Periodically anonymizes the deleted accounts whose grace period has ended
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fp = require('fastify-plugin');
+
+/** Custom modules */
+const AccountDeletion = require('./../../../helpers/fastify/auth/account-deletion');
+
+/**
+ * @private
+ * @async
+ * Register a main function
+ * @param {FastifyInstance|FastifyServer} fastify Fastify instance
+ * @param {Object} opts Plugin options
+ * @param {function(): void} next Next function
+ * @returns {Promise<void>}
+ */
+async function main ( fastify, opts, next ) {
+	/** @type {number} */
+	const cleanupInterval = +fastify.config.get('account.deletion.cleanupInterval', 3600);
+
+	if ( !fastify.config.get('db.enabled', false) || cleanupInterval <= 0 ) {
+		return next();
+	}
+
+	const {anonymizeExpired} = AccountDeletion(fastify);
+
+	/**
+	 * @private
+	 * @async
+	 * Anonymize the expired accounts
+	 * @returns {Promise<void>}
+	 */
+	const cleanup = async () => {
+		/** @type {number} */
+		const count = await anonymizeExpired();
+		count && fastify.log.info(`Anonymized ${count} deleted account(s)`);
+	};
+
+	const timer = setInterval(() => {
+		cleanup().catch(err => fastify.log.error(err));
+	}, cleanupInterval * 1000);
+
+	timer.unref();
+	fastify.addHook('onClose', ( instance, done ) => {
+		clearInterval(timer);
+		done();
+	});
+
+	next();
+}
+
+// Export plugin to module
+module.exports = fp(main, {
+	name: 'fastify-account-cleanup'
+});
@@ -0,0 +1,59 @@
+/**
+ * Fastify auth audit Plugin
+ * @description Persists the authentication events (`fastify.authEvents`) into `AuthEvent` model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fp = require('fastify-plugin');
+
+/**
+ * @private
+ * @async
+ * Register a main function
+ * @param {FastifyInstance|FastifyServer} fastify Fastify instance
+ * @param {Object} opts Plugin options
+ * @param {function(): void} next Next function
+ * @returns {Promise<void>}
+ */
+async function main ( fastify, opts, next ) {
+	if ( !fastify.config.get('account.audit.enabled', true) ) {
+		return next();
+	}
+	
+	const {AuthEvent} = fastify.db.models;
+	
+	/**
+	 * Recorded events and their types
+	 * @type {Object.<string, string>}
+	 */
+	const events = {
+		'login.succeeded': AuthEvent.TYPE_LOGIN,
+		'login.failed': AuthEvent.TYPE_LOGIN_FAILED,
+		'logout': AuthEvent.TYPE_LOGOUT,
+		'password.reset': AuthEvent.TYPE_PASSWORD_RESET,
+		'token.refreshed': AuthEvent.TYPE_TOKEN_REFRESH,
+		'token.revoked': AuthEvent.TYPE_TOKEN_REVOKE,
+		'impersonation.started': AuthEvent.TYPE_IMPERSONATION_START,
+		'impersonation.stopped': AuthEvent.TYPE_IMPERSONATION_STOP,
+	};
+	
+	for ( const [event, type] of Object.entries(events) ) {
+		fastify.authEvents.on(event, async ( {user = null, userId = null, ...payload} ) => {
+			await AuthEvent.record(type, {
+				...payload,
+				userId: user ? user.id : userId,
+				email: payload.email || (user ? user.email : null),
+			});
+		});
+	}
+	
+	next();
+}
+
+// Export plugin to module
+module.exports = fp(main, {
+	name: 'fastify-auth-audit'
+});
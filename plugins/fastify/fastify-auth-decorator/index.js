@@ -11,6 +11,8 @@ const fp = require('fastify-plugin');
 
 // Modules
 const {resolvePath} = require('./../../../utils/path-resolver');
+const {createGuest, createIdentity} = require('./../../../helpers/fastify/auth/identity');
+const {getRequestIP} = require('./../../../helpers/fastify/request');
 
 /**
  * Fastify mailer plugin
@@ -20,48 +22,35 @@ const {resolvePath} = require('./../../../utils/path-resolver');
  * @returns {Promise<any>} - Promise instance
  */
 async function main ( fastify, opts, next ) {
+	// Fail on startup when two-factor authentication is misconfigured (e.g., no encryption secret)
+	try {
+		require(resolvePath('@helpers/fastify/auth/two-factor'))(fastify);
+	} catch ( err ) {
+		return next(err);
+	}
+
 	const {findIdentityByToken, getTokenFromAll} = require(resolvePath('@helpers/fastify/auth/jwt-identity'))(fastify);
 
 	/**
-	 * User identifier
-	 * @class FastifyIdentity
+	 * @name FastifyRequest#auth
+	 * @member FastifyRequest
+	 * Current user identity (request-scoped)
+	 * @type {?FastifyIdentity}
 	 */
-	fastify.decorate('user', {
-		/**
-		 * @name FastifyIdentity#isGuest
-		 * @member FastifyIdentity
-		 * Guest user or not
-		 * @type {boolean}
-		 */
-		isGuest: true,
-		/**
-		 * @name FastifyIdentity#identity
-		 * @member FastifyIdentity
-		 * User model
-		 * @type {?User}
-		 */
-		identity: null,
-		/**
-		 * @name FastifyIdentity#id
-		 * @member FastifyIdentity
-		 * @property
-		 * Current user ID
-		 * @type {?number}
-		 */
-		id: null,
-	});
+	fastify.decorateRequest('auth', null);
 	
 	fastify.addHook('onRequest', async ( req ) => {
+		// Loaders of this request only (reused by the GraphQL context)
+		req.loaders = fastify.dataLoaders.create();
+		
 		try {
-			let {model} = await findIdentityByToken(getTokenFromAll(req));
-			fastify.user.isGuest = model === null;
-			fastify.user.id = fastify.user.isGuest ? null : model.id;
-			fastify.user.identity = model;
-			
+			let {model, decoded, apiKey, impersonator} = await findIdentityByToken(getTokenFromAll(req), {
+				ip: getRequestIP(req),
+				loaders: req.loaders,
+			});
+			req.auth = createIdentity(model, decoded, apiKey, impersonator);
 		} catch ( e ) {
-			fastify.user.isGuest = true;
-			fastify.user.identity = null;
-			fastify.user.id = null;
+			req.auth = createGuest();
 		}
 	});
 	
@@ -0,0 +1,61 @@
+/**
+ * Fastify auth events Plugin
+ * @description Emitter for the authentication events, other modules subscribe with `fastify.authEvents.on()`
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const {EventEmitter} = require('events');
+const fp = require('fastify-plugin');
+
+/**
+ * Auth event payload (the properties vary by the event)
+ * @typedef {Object} AuthEventPayload
+ * @property {?User} [user] - User model
+ * @property {?number} [userId] - User ID (when the model isn't loaded)
+ * @property {string} [email] - Email address
+ * @property {string} [ip] - IP address
+ * @property {string} [userAgent] - User agent
+ * @property {string} [reason] - Reason code (e.g., INVALID_PASSWORD)
+ * @property {string} [sessionId] - Session ID (token family)
+ */
+
+/**
+ * Auth events (listeners receive `AuthEventPayload`):
+ * - `login.succeeded`, `login.failed` (with `reason`), `logout`
+ * - `password.reset`, `token.refreshed`, `token.revoked` (with `reason`)
+ * - `account.locked` (with `scope` and `retryAfter`), `account.unlocked`
+ * - `account.deleted`
+ * - `impersonation.started`, `impersonation.stopped` (with `reason`)
+ * @class FastifyAuthEvents
+ * @mixes EventEmitter
+ */
+
+/**
+ * @private
+ * @async
+ * Register a main function
+ * @param {FastifyInstance|FastifyServer} fastify Fastify instance
+ * @param {Object} opts Plugin options
+ * @param {function(): void} next Next function
+ * @returns {Promise<void>}
+ */
+async function main ( fastify, opts, next ) {
+	/** @type {FastifyAuthEvents} */
+	const emitter = new EventEmitter({captureRejections: true});
+
+	// Log the failures of async listeners instead of crashing the process
+	emitter.on('error', err => fastify.log.error(err));
+
+	!fastify.hasDecorator('authEvents')
+		&& fastify.decorate('authEvents', emitter);
+
+	next();
+}
+
+// Export plugin to module
+module.exports = fp(main, {
+	name: 'fastify-auth-events'
+});
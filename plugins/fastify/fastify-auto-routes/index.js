@@ -24,6 +24,7 @@ const {resolvePath} = require('./../../../utils/path-resolver');
  * @property {{[string]: *}} cookies - Cookies
  * @property {string} id - The request id
  * @property {Object} log - The logger instance of the incoming request
+ * @property {FastifyIdentity} auth - Current user identity (request-scoped)
  *
  * @property {Array<string>} languages - List ISO codes (ee-FF)
  * @property {Array<string>} regions - List of ISO codes (ee-FF)
@@ -9,6 +9,9 @@
 const fp = require('fastify-plugin');
 const glob = require('glob');
 
+/** Custom modules */
+const createRegistry = require('./utils/registry');
+
 /**
  * @private
  * @async
@@ -19,14 +22,8 @@ const glob = require('glob');
  * @returns {Promise<void>}
  */
 async function main ( fastify, opts, next ) {
-	/**
-	 * Fastify Data Loaders
-	 * @class FastifyDataLoader
-	 * @mixes UsersDataLoader
-	 */
-
-	/** @type {Object} */
-	const loaders = {};
+	/** @type {FastifyDataLoader} */
+	const registry = createRegistry(fastify);
 
 	/**
 	 * Resolver files paths
@@ -35,12 +32,21 @@ async function main ( fastify, opts, next ) {
 	const files = glob.sync(`${__dirname}/loaders/**/*.js`);
 	
 	for ( let file of files ) {
-		require(file)(fastify, loaders);
+		require(file)(fastify, registry);
 	}
 
 	// Add decorate property
 	!fastify.hasDecorator('dataLoaders')
-		&& fastify.decorate('dataLoaders', loaders);
+		&& fastify.decorate('dataLoaders', registry);
+	
+	/**
+	 * @name FastifyRequest#loaders
+	 * @member FastifyRequest
+	 * Data loaders of current request (created by the first user)
+	 * @type {?Object.<string, DataLoader>}
+	 */
+	!fastify.hasRequestDecorator('loaders')
+		&& fastify.decorateRequest('loaders', null);
 	
 	// Way to go
 	next();
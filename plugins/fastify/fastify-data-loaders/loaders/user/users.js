@@ -5,15 +5,12 @@
  * @since 2021-06-17
  */
 
-const DataLoader = require('dataloader');
-
 /**
- * Initializes sequelize models and their relations.
+ * Registers the user loaders
  * @param {FastifyServer} fastify - Fastify instance
- * @param {object} loaders - Loaders container.
- * @returns {SequelizeModels} - Sequelize models.
+ * @param {FastifyDataLoader} registry - Loaders registry
  */
-module.exports = ( fastify, loaders ) => {
+module.exports = ( fastify, registry ) => {
 	const {User} = fastify.db.models;
 
 	/**
@@ -26,7 +23,7 @@ module.exports = ( fastify, loaders ) => {
 	 * @name UsersDataLoader.ownerUsers
 	 * @type {DataLoader}
 	 */
-	loaders.ownerUsers = new DataLoader(async ids => {
+	registry.register('ownerUsers', async ids => {
 		const rows = await User.findAll({
 			where: {
 				id: ids,
@@ -39,12 +36,30 @@ module.exports = ( fastify, loaders ) => {
 	});
 	
 	/**
-	 * Auth Users data Loader (Key: auth_key)
-	 * <br><b>Note:</b> This doesn't load anything, you have to fetch record manually then store via prime() method.
+	 * Auth Users data Loader (Key: authorization_key)
+	 * <br><b>Note:</b> Request-scoped by default. The shared value (`dataLoaders.loaders.authUsers.redis`) is the full
+	 * row (password hash, reset token and the two-factor secret in meta), enable it only for a private Redis.
+	 * <br><b>Note:</b> Clear the shared value when the user is changed, see `fastify.dataLoaders.clear('authUsers', key)`
 	 * @name UsersDataLoader.authUsers
 	 * @type {DataLoader}
 	 */
-	loaders.authUsers = new DataLoader(async keys => {
-		return {};
+	registry.register('authUsers', async keys => {
+		const rows = await User.findAll({
+			where: {
+				authorization_key: keys,
+			},
+		});
+		
+		return keys.map(key => rows.find(x => x.authorization_key === key) || null);
+	}, {
+		serialize: model => model.get({plain: true}),
+		deserialize: values => User.build(values, {isNewRecord: false, raw: true}),
+	});
+	
+	// Saved users are never served from the shared cache (the previous key too, when it's changed)
+	User.addHook('afterSave', 'clearAuthUsers', async model => {
+		await Promise.all([...new Set([model.getAuthKey(), model.previous('authorization_key')])]
+			.filter(v => v)
+			.map(key => registry.clear('authUsers', key)));
 	});
 };
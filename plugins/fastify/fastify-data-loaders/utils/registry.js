@@ -0,0 +1,202 @@
+/**
+ * Data loaders registry, creates a fresh set of the registered loaders for each request
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const DataLoader = require('dataloader');
+const objectPath = require('object-path');
+
+/**
+ * Loader options
+ * @typedef {Object} DataLoaderOptions
+ * @property {boolean} [redis=false] - Share the loaded values across the requests (cached in redis)
+ * @property {number} [ttl=60] - Lifetime of the shared values in seconds
+ * @property {function(*): string} [cacheKeyFn] - Produce the cache key for a given load key
+ * @property {function(*): *} [serialize] - Convert the value into JSON friendly data (stored in redis)
+ * @property {function(*): *} [deserialize] - Restore the value from the stored data
+ */
+
+/**
+ * Batch function, resolves the values in the same order as the keys (null / Error for the missing ones)
+ * @callback DataLoaderBatchFn
+ * @param {Array<*>} keys - Load keys
+ * @returns {Promise<Array<*>>} - Values
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @returns {FastifyDataLoader} - Registry
+ */
+module.exports = fastify => {
+	/**
+	 * Registered loaders
+	 * @type {Map<string, {batchFn: DataLoaderBatchFn, options: DataLoaderOptions}>}
+	 */
+	const definitions = new Map();
+
+	/**
+	 * @private
+	 * Get data loaders configuration
+	 * @param {string} path - Deep property path (separated by .)
+	 * @param {*} [defaultValue=null] - Default value if none
+	 * @returns {*} - The value if found, default value otherwise
+	 */
+	const getConfig = ( path, defaultValue = null ) => {
+		return objectPath.get(fastify.config.get('dataLoaders', {}), path, defaultValue);
+	};
+
+	/**
+	 * @private
+	 * Redis key of the shared value
+	 * @param {string} name - Loader name
+	 * @param {string} key - Cache key
+	 * @returns {string}
+	 */
+	const redisKey = ( name, key ) => `${getConfig('prefix', 'loader:')}${name}:${key}`;
+
+	/**
+	 * @private
+	 * Options of the loader, the configured ones (`dataLoaders.loaders.<name>`) take precedence
+	 * @param {string} name - Loader name
+	 * @returns {DataLoaderOptions}
+	 */
+	const getOptions = name => {
+		return {
+			redis: false,
+			ttl: 60,
+			cacheKeyFn: key => String(key),
+			serialize: value => value,
+			deserialize: value => value,
+			...definitions.get(name).options,
+			...getConfig(['loaders', name], {}),
+		};
+	};
+
+	/**
+	 * @private
+	 * Wrap the batch function to read the shared values first and store the loaded ones
+	 * @param {string} name - Loader name
+	 * @param {DataLoaderBatchFn} batchFn - Batch function
+	 * @param {DataLoaderOptions} options - Loader options
+	 * @returns {DataLoaderBatchFn}
+	 */
+	const withRedisCache = ( name, batchFn, options ) => async keys => {
+		const {ttl, cacheKeyFn, serialize, deserialize} = options;
+
+		/** @type {string[]} */
+		const cacheKeys = keys.map(key => redisKey(name, cacheKeyFn(key)));
+
+		/** @type {Array<?string>} */
+		const cached = await fastify.redis.mget(...cacheKeys);
+
+		/** @type {number[]} */
+		const missing = keys.map(( key, i ) => i).filter(i => cached[i] === null);
+
+		/** @type {Array<*>} */
+		const loaded = missing.length ? await batchFn(missing.map(i => keys[i])) : [];
+
+		/** @type {Array<*>} */
+		const values = cached.map(raw => raw === null ? null : deserialize(JSON.parse(raw)));
+
+		const multi = fastify.redis.multi();
+
+		missing.forEach(( index, i ) => {
+			values[index] = loaded[i];
+
+			// Errors and missing values are never shared
+			if ( loaded[i] !== null && loaded[i] !== undefined && !(loaded[i] instanceof Error) ) {
+				multi.set(cacheKeys[index], JSON.stringify(serialize(loaded[i])), 'EX', ttl);
+			}
+		});
+
+		await multi.exec();
+
+		return values;
+	};
+
+	/**
+	 * Fastify Data Loaders
+	 * @class FastifyDataLoader
+	 */
+	const registry = {
+		/**
+		 * @public
+		 * Register a loader
+		 * @memberOf FastifyDataLoader
+		 * @param {string} name - Loader name (e.g., authUsers)
+		 * @param {DataLoaderBatchFn} batchFn - Batch function
+		 * @param {DataLoaderOptions} [options={}] - Loader options
+		 * @returns {FastifyDataLoader} - Registry
+		 * @throws {Error} - Already registered
+		 */
+		register ( name, batchFn, options = {} ) {
+			if ( definitions.has(name) ) {
+				throw new Error(`Data loader "${name}" is already registered`);
+			}
+
+			definitions.set(name, {batchFn, options});
+			return registry;
+		},
+
+		/**
+		 * @public
+		 * Finds out the loader is registered
+		 * @memberOf FastifyDataLoader
+		 * @param {string} name - Loader name
+		 * @returns {boolean}
+		 */
+		has ( name ) {
+			return definitions.has(name);
+		},
+
+		/**
+		 * @public
+		 * Create a fresh set of the loaders (one per request, the values are cached for that request only)
+		 * @memberOf FastifyDataLoader
+		 * @returns {Object.<string, DataLoader>} - Loaders by name
+		 */
+		create () {
+			/** @type {Object.<string, DataLoader>} */
+			const loaders = {};
+
+			for ( const [name, {batchFn}] of definitions ) {
+				/** @type {DataLoaderOptions} */
+				const options = getOptions(name);
+
+				loaders[name] = new DataLoader(options.redis ? withRedisCache(name, batchFn, options) : batchFn, {
+					cacheKeyFn: options.cacheKeyFn,
+				});
+			}
+
+			return loaders;
+		},
+
+		/**
+		 * @public
+		 * @async
+		 * Remove the shared value (e.g., the record was changed), does nothing for the loaders without redis
+		 * @memberOf FastifyDataLoader
+		 * @param {string} name - Loader name
+		 * @param {*} key - Load key
+		 * @returns {Promise<void>}
+		 */
+		async clear ( name, key ) {
+			if ( !definitions.has(name) ) {
+				return;
+			}
+
+			/** @type {DataLoaderOptions} */
+			const options = getOptions(name);
+
+			if ( options.redis ) {
+				await fastify.redis.del(redisKey(name, options.cacheKeyFn(key)));
+			}
+		},
+	};
+
+	return registry;
+};
@@ -0,0 +1,62 @@
+/**
+ * Fastify impersonation sweeper Plugin
+ * @description Periodically records the end of the expired impersonation sessions
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fp = require('fastify-plugin');
+
+/** Custom modules */
+const Impersonation = require('./../../../helpers/fastify/auth/impersonation');
+
+/**
+ * @private
+ * @async
+ * Register a main function
+ * @param {FastifyInstance|FastifyServer} fastify Fastify instance
+ * @param {Object} opts Plugin options
+ * @param {function(): void} next Next function
+ * @returns {Promise<void>}
+ */
+async function main ( fastify, opts, next ) {
+	/** @type {number} */
+	const sweepInterval = +fastify.config.get('session.impersonation.sweepInterval', 60);
+
+	if ( !fastify.config.get('db.enabled', false) || sweepInterval <= 0 ) {
+		return next();
+	}
+
+	const {sweepExpired} = Impersonation(fastify);
+
+	/**
+	 * @private
+	 * @async
+	 * Record the expired impersonations
+	 * @returns {Promise<void>}
+	 */
+	const sweep = async () => {
+		/** @type {number} */
+		const count = await sweepExpired();
+		count && fastify.log.info(`Recorded ${count} expired impersonation(s)`);
+	};
+
+	const timer = setInterval(() => {
+		sweep().catch(err => fastify.log.error(err));
+	}, sweepInterval * 1000);
+
+	timer.unref();
+	fastify.addHook('onClose', ( instance, done ) => {
+		clearInterval(timer);
+		done();
+	});
+
+	next();
+}
+
+// Export plugin to module
+module.exports = fp(main, {
+	name: 'fastify-impersonation-sweeper'
+});
@@ -17,6 +17,15 @@ const fp = require('fastify-plugin');
  * @param {function(): function} next Next function
  */
 async function main ( fastify, opts, next ) {
+	/** @type {FastifyJwtKeys} */
+	let keys;
+	
+	try {
+		keys = require('./utils/keyring')(fastify.config.get('session.jwt'));
+	} catch ( err ) {
+		return next(err);
+	}
+	
 	// Warning: sequence matters, unless you are some troublemaker.
 	/**
 	 * JWT Token
@@ -24,8 +33,15 @@ async function main ( fastify, opts, next ) {
 	 * @class FastifyJwt
 	 */
 	fastify.register(require('fastify-jwt'), {
-		secret: fastify.config.get('session.jwt.secret'),
+		secret: keys.getSigningSecret(),
 	});
+	
+	/**
+	 * JWT signing/verification keys (HS512 secret or RS256/ES256 key pairs by `kid`)
+	 * @type {FastifyJwtKeys}
+	 */
+	!fastify.hasDecorator('jwtKeys')
+		&& fastify.decorate('jwtKeys', keys);
 
 	/**
 	 * @typedef {{string: string}} FastifyJwt~TokenData
@@ -0,0 +1,213 @@
+/**
+ * Fastify JWT signing/verification keys (HMAC secret or RS256/ES256 key pairs by `kid`)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/** Custom modules */
+const {resolvePath, directories} = require('./../../../../utils/path-resolver');
+
+/**
+ * Supported asymmetric algorithms
+ * @type {string[]}
+ */
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * Key configuration (`session.jwt.keys[]`)
+ * @typedef {Object} JwtKeyConfig
+ * @property {string} kid - Key ID
+ * @property {string} algorithm - RS256 or ES256
+ * @property {?string} [privateKey] - Private key file (PEM), required for the signing key only
+ * @property {?string} [publicKey] - Public key file (PEM), derived from the private key when omitted
+ */
+
+/**
+ * Loaded key
+ * @typedef {Object} JwtKey
+ * @property {string} kid - Key ID
+ * @property {string} algorithm - RS256 or ES256
+ * @property {?string} privateKey - Private key (PEM)
+ * @property {string} publicKey - Public key (PEM)
+ * @property {crypto.KeyObject} publicKeyObject - Public key object
+ */
+
+/**
+ * @private
+ * Read a key file (supports path aliases, relative to the base path otherwise)
+ * @param {string} file - The file path
+ * @returns {string} - PEM contents
+ */
+function readKeyFile ( file ) {
+	/** @type {string} */
+	const filePath = file.startsWith('@')
+		? resolvePath(file)
+		: path.resolve(directories.basePath, file);
+
+	return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * @private
+ * Load a key pair from configuration
+ * @param {JwtKeyConfig} config - Key configuration
+ * @returns {JwtKey} - Loaded key
+ * @throws {Error} - Invalid key configuration
+ */
+function loadKey ( config ) {
+	const {kid, algorithm, privateKey = null, publicKey = null} = config || {};
+
+	if ( !kid || !ASYMMETRIC_ALGORITHMS.includes(algorithm) ) {
+		throw new Error(`JWT key "${kid}" requires a kid and one of ${ASYMMETRIC_ALGORITHMS.join(', ')} algorithms`);
+	}
+
+	if ( !privateKey && !publicKey ) {
+		throw new Error(`JWT key "${kid}" has no key file`);
+	}
+
+	/** @type {?crypto.KeyObject} */
+	const privateKeyObject = privateKey ? crypto.createPrivateKey(readKeyFile(privateKey)) : null;
+
+	/** @type {crypto.KeyObject} */
+	const publicKeyObject = publicKey
+		? crypto.createPublicKey(readKeyFile(publicKey))
+		: crypto.createPublicKey(privateKeyObject);
+
+	return {
+		kid: String(kid),
+		algorithm,
+		privateKey: privateKeyObject ? privateKeyObject.export({type: 'pkcs8', format: 'pem'}) : null,
+		publicKey: publicKeyObject.export({type: 'spki', format: 'pem'}),
+		publicKeyObject,
+	};
+}
+
+/**
+ * @constructor
+ * @param {Object} options - `session.jwt` configuration
+ * @param {?string} options.secret - HMAC secret (HS512 mode)
+ * @param {string} [options.algorithm='HS512'] - Signing algorithm (HS512, RS256, ES256)
+ * @param {?string} [options.signingKey] - The `kid` of the signing key (asymmetric mode)
+ * @param {JwtKeyConfig[]} [options.keys] - Signing and verification keys (asymmetric mode)
+ * @returns {FastifyJwtKeys} - Keyring
+ * @throws {Error} - Invalid configuration
+ */
+module.exports = options => {
+	const {secret = null, algorithm = 'HS512', signingKey = null, keys = []} = options || {};
+
+	/** @type {boolean} */
+	const isHmac = algorithm === 'HS512';
+
+	if ( !isHmac && !ASYMMETRIC_ALGORITHMS.includes(algorithm) ) {
+		throw new Error(`Unsupported JWT algorithm "${algorithm}"`);
+	}
+
+	/** @type {Map<string, JwtKey>} */
+	const keyring = new Map();
+
+	if ( !isHmac ) {
+		(keys || []).map(loadKey).forEach(key => keyring.set(key.kid, key));
+	}
+
+	/** @type {?JwtKey} */
+	const signing = isHmac ? null : keyring.get(String(signingKey)) || null;
+
+	if ( !isHmac && (!signing || !signing.privateKey || signing.algorithm !== algorithm) ) {
+		throw new Error(`JWT signing key "${signingKey}" must have a private ${algorithm} key`);
+	}
+
+	/**
+	 * Fastify JWT keys
+	 * @class FastifyJwtKeys
+	 */
+	return {
+		/**
+		 * Signing algorithm
+		 * @memberOf FastifyJwtKeys
+		 * @type {string}
+		 */
+		algorithm,
+
+		/**
+		 * @public
+		 * Sign the payload (the `kid` header is set in asymmetric mode)
+		 * @memberOf FastifyJwtKeys
+		 * @param {Object} payload - Token claims
+		 * @returns {string} - Token
+		 */
+		sign ( payload ) {
+			return isHmac
+				? jwt.sign(payload, secret, {algorithm})
+				: jwt.sign(payload, signing.privateKey, {
+					algorithm,
+					keyid: signing.kid,
+				});
+		},
+
+		/**
+		 * @public
+		 * Verify the token by the key of its `kid` header
+		 * @memberOf FastifyJwtKeys
+		 * @param {string} token - Token
+		 * @param {jwt.VerifyOptions} [verifyOptions={}] - Claims verification options
+		 * @returns {Object} - Decoded payload
+		 * @throws {Error} - Invalid token or unknown key
+		 */
+		verify ( token, verifyOptions = {} ) {
+			if ( isHmac ) {
+				return jwt.verify(token, secret, {...verifyOptions, algorithms: [algorithm]});
+			}
+
+			/** @type {?{header: Object}} */
+			const decoded = jwt.decode(token, {complete: true});
+
+			/** @type {?JwtKey} */
+			const key = decoded && decoded.header.kid ? keyring.get(String(decoded.header.kid)) : null;
+
+			if ( !key ) {
+				throw new Error('Unknown signing key');
+			}
+
+			return jwt.verify(token, key.publicKey, {
+				...verifyOptions,
+				algorithms: [key.algorithm],
+			});
+		},
+
+		/**
+		 * @public
+		 * Secret for `fastify-jwt` plugin (the signing key pair in asymmetric mode)
+		 * @memberOf FastifyJwtKeys
+		 * @returns {string|{private: string, public: string}} - Secret / Key pair
+		 */
+		getSigningSecret () {
+			return isHmac
+				? secret
+				: {private: signing.privateKey, public: signing.publicKey};
+		},
+
+		/**
+		 * @public
+		 * Public verification keys as JSON Web Key Set (empty in HS512 mode)
+		 * @memberOf FastifyJwtKeys
+		 * @returns {{keys: Object[]}} - JWKS
+		 */
+		toJwks () {
+			return {
+				keys: [...keyring.values()].map(key => ({
+					...key.publicKeyObject.export({format: 'jwk'}),
+					kid: key.kid,
+					alg: key.algorithm,
+					use: 'sig',
+				})),
+			};
+		},
+	};
+};
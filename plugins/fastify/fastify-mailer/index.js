@@ -259,7 +259,9 @@ async function main ( fastify, opts, next ) {
 }
 
 const close = ( fastify, done ) => {
-	fastify.mailer.getMailer().close(done);
+	// Transports close synchronously (no callback)
+	fastify.mailer.getMailer().close();
+	done();
 };
 
 // Export plugin to module
@@ -41,7 +41,7 @@ module.exports = fastify => {
 		const basePath = op.get(
 			options,
 			'basePath',
-			path.resolve(`${__dirname}/../../../mail`)
+			path.resolve(`${__dirname}/../../../../mail`)
 		);
 
 		const toPath = 'string' === typeof to
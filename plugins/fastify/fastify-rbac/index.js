@@ -0,0 +1,74 @@
+/**
+ * Fastify RBAC Plugin
+ * @description Roles (with inheritance) and permissions registry loaded from `Role` model, see `fastify.rbac`
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fp = require('fastify-plugin');
+
+/** Custom modules */
+const createRegistry = require('./utils/registry');
+
+/**
+ * @private
+ * @async
+ * Register a main function
+ * @param {FastifyInstance|FastifyServer} fastify Fastify instance
+ * @param {Object} opts Plugin options
+ * @param {function(): void} next Next function
+ * @returns {Promise<void>}
+ */
+async function main ( fastify, opts, next ) {
+	/** @type {FastifyRbac} */
+	const rbac = createRegistry();
+
+	/**
+	 * @public
+	 * @async
+	 * Reload the roles and permissions from the database
+	 * @memberOf FastifyRbac
+	 * @returns {Promise<void>}
+	 */
+	rbac.reload = async () => {
+		rbac.load(await fastify.db.models.Role.loadDefinitions());
+	};
+
+	!fastify.hasDecorator('rbac')
+		&& fastify.decorate('rbac', rbac);
+
+	if ( !fastify.config.get('db.enabled', false) ) {
+		return next();
+	}
+
+	try {
+		await rbac.reload();
+	} catch ( err ) {
+		return next(err);
+	}
+
+	/** @type {number} */
+	const refreshInterval = +fastify.config.get('security.rbac.refreshInterval', 300);
+
+	if ( refreshInterval > 0 ) {
+		// Pick up the changes made in the database (or by other instances)
+		const timer = setInterval(() => {
+			rbac.reload().catch(err => fastify.log.error(err));
+		}, refreshInterval * 1000);
+
+		timer.unref();
+		fastify.addHook('onClose', ( instance, done ) => {
+			clearInterval(timer);
+			done();
+		});
+	}
+
+	next();
+}
+
+// Export plugin to module
+module.exports = fp(main, {
+	name: 'fastify-rbac'
+});
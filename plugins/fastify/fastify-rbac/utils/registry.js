@@ -0,0 +1,202 @@
+/**
+ * Roles and permissions registry (roles inherit the permissions of their parent)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Role definition (see `Role.loadDefinitions()`)
+ * @typedef {Object} RbacRoleDefinition
+ * @property {number} id - Role ID (stored in `User#role`)
+ * @property {string} name - Role name (e.g., CUSTOMER)
+ * @property {?string} [title] - Human readable title
+ * @property {?number} [parentId] - Inherited role ID
+ * @property {string[]} [permissions] - Own permissions
+ */
+
+/**
+ * @constructor
+ * @param {RbacRoleDefinition[]} [definitions=[]] - Initial roles
+ * @returns {FastifyRbac} - Registry
+ */
+module.exports = ( definitions = [] ) => {
+	/** @type {Map<number, RbacRoleDefinition>} */
+	let byId = new Map();
+
+	/** @type {Map<string, RbacRoleDefinition>} */
+	let byName = new Map();
+
+	/**
+	 * Resolved role chains (role itself first, then its ancestors)
+	 * @type {Map<number, RbacRoleDefinition[]>}
+	 */
+	let chains = new Map();
+
+	/**
+	 * @private
+	 * Find the role by ID or name
+	 * @param {number|string} role - Role ID / name
+	 * @returns {?RbacRoleDefinition} - Role / Not found
+	 */
+	const findRole = role => {
+		if ( typeof role === 'string' && byName.has(role) ) {
+			return byName.get(role);
+		}
+
+		return byId.get(Number(role)) || null;
+	};
+
+	/**
+	 * @private
+	 * Role and its ancestors (stops at a cycle or a missing parent)
+	 * @param {number|string} role - Role ID / name
+	 * @returns {RbacRoleDefinition[]} - Roles chain
+	 */
+	const getChain = role => {
+		/** @type {?RbacRoleDefinition} */
+		const found = findRole(role);
+
+		if ( !found ) {
+			return [];
+		}
+
+		if ( !chains.has(found.id) ) {
+			/** @type {RbacRoleDefinition[]} */
+			const chain = [];
+
+			for ( let current = found; current && !chain.includes(current); ) {
+				chain.push(current);
+				current = current.parentId ? byId.get(Number(current.parentId)) : null;
+			}
+
+			chains.set(found.id, chain);
+		}
+
+		return chains.get(found.id);
+	};
+
+	/**
+	 * Fastify roles and permissions registry
+	 * @class FastifyRbac
+	 */
+	const registry = {
+		/**
+		 * @public
+		 * Replace the roles
+		 * @memberOf FastifyRbac
+		 * @param {RbacRoleDefinition[]} roles - Roles definitions
+		 */
+		load ( roles ) {
+			/** @type {RbacRoleDefinition[]} */
+			const list = (roles || []).map(role => ({
+				id: Number(role.id),
+				name: String(role.name),
+				title: role.title || null,
+				parentId: role.parentId ? Number(role.parentId) : null,
+				permissions: [...new Set(role.permissions || [])],
+			}));
+
+			byId = new Map(list.map(role => [role.id, role]));
+			byName = new Map(list.map(role => [role.name, role]));
+			chains = new Map();
+		},
+
+		/**
+		 * @public
+		 * Find the role
+		 * @memberOf FastifyRbac
+		 * @param {number|string} role - Role ID / name
+		 * @returns {?RbacRoleDefinition} - Role / Not found
+		 */
+		getRole ( role ) {
+			return findRole(role);
+		},
+
+		/**
+		 * @public
+		 * Role names and their IDs
+		 * @memberOf FastifyRbac
+		 * @returns {Object.<string, number>} - {name: id} pairs
+		 */
+		getRoles () {
+			return Object.fromEntries([...byName.values()].map(role => [role.name, role.id]));
+		},
+
+		/**
+		 * @public
+		 * Role name by ID
+		 * @memberOf FastifyRbac
+		 * @param {number} id - Role ID
+		 * @returns {?string} - Role name / Not found
+		 */
+		getRoleName ( id ) {
+			const role = byId.get(Number(id));
+			return role ? role.name : null;
+		},
+
+		/**
+		 * @public
+		 * Role ID by name
+		 * @memberOf FastifyRbac
+		 * @param {string} name - Role name
+		 * @returns {?number} - Role ID / Not found
+		 */
+		getRoleId ( name ) {
+			const role = byName.get(String(name));
+			return role ? role.id : null;
+		},
+
+		/**
+		 * @public
+		 * Names of the role and the roles it inherits
+		 * @memberOf FastifyRbac
+		 * @param {number|string} role - Role ID / name
+		 * @returns {string[]} - Role names
+		 */
+		getInheritedRoles ( role ) {
+			return getChain(role).map(v => v.name);
+		},
+
+		/**
+		 * @public
+		 * Own and inherited permissions of the role
+		 * @memberOf FastifyRbac
+		 * @param {number|string} role - Role ID / name
+		 * @returns {string[]} - Permissions
+		 */
+		getPermissions ( role ) {
+			return [...new Set(getChain(role).flatMap(v => v.permissions))];
+		},
+
+		/**
+		 * @public
+		 * Finds out the role is (or inherits) any of the given roles
+		 * @memberOf FastifyRbac
+		 * @param {number|string} role - Role ID / name
+		 * @param {string[]} roles - Allowed role names
+		 * @returns {boolean}
+		 */
+		hasRole ( role, roles ) {
+			return getChain(role).some(v => roles.includes(v.name));
+		},
+
+		/**
+		 * @public
+		 * Finds out the role is granted all the given permissions
+		 * @memberOf FastifyRbac
+		 * @param {number|string} role - Role ID / name
+		 * @param {string[]} permissions - Required permissions
+		 * @returns {boolean}
+		 */
+		hasPermissions ( role, permissions ) {
+			/** @type {string[]} */
+			const granted = registry.getPermissions(role);
+			return permissions.every(permission => granted.includes(permission));
+		},
+	};
+
+	registry.load(definitions);
+
+	return registry;
+};
@@ -0,0 +1,119 @@
+/**
+ * Fastify SMS plugin
+ * @description Sends text messages through the configured transport (log, file, twilio or custom), see `fastify.sms`
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fp = require('fastify-plugin');
+
+/**
+ * Fastify SMS plugin
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @param {Object} opts - Plugin options
+ * @param {SmsTransport} [opts.transport] - Custom transport (overrides the configured one)
+ * @param {function(): void} next - Next function
+ * @returns {Promise<void>} - Promise instance
+ */
+async function main ( fastify, opts, next ) {
+	const transUtil = require('./utils/transport')(fastify);
+
+	/**
+	 * Fastify SMS
+	 * @class FastifySms
+	 */
+	const sms = {};
+
+	/**
+	 * SMS transport
+	 * @type {SmsTransport}
+	 */
+	let transport;
+
+	try {
+		transport = opts.transport || transUtil.createTransport();
+	} catch ( err ) {
+		return next(err);
+	}
+
+	/**
+	 * @public
+	 * Get configuration
+	 * @memberOf FastifySms
+	 * @name FastifySms#getConfig
+	 * @param {string|Array<string>} [key] - Configuration path to get
+	 * @param {?string} [defaultValue] - Default value in case of null
+	 * @returns {any} - The value
+	 */
+	sms.getConfig = ( key = null, defaultValue = null ) => {
+		return transUtil.getConfig(key, defaultValue);
+	};
+
+	/**
+	 * @public
+	 * Get the transport
+	 * @memberOf FastifySms
+	 * @name FastifySms#getTransport
+	 * @returns {SmsTransport} - Transport instance
+	 */
+	sms.getTransport = () => {
+		return transport;
+	};
+
+	/**
+	 * @public
+	 * Replace the transport (e.g., with a custom provider)
+	 * @memberOf FastifySms
+	 * @name FastifySms#setTransport
+	 * @param {SmsTransport} custom - Transport instance
+	 * @throws {Error} - Not a valid transport
+	 */
+	sms.setTransport = custom => {
+		if ( !transUtil.isTransport(custom) ) {
+			throw new Error('SMS transport must implement send()');
+		}
+
+		transport = custom;
+	};
+
+	/**
+	 * @public
+	 * @async
+	 * Send text message
+	 * @memberOf FastifySms
+	 * @name FastifySms#send
+	 * @param {string} to - Receiver phone number (E.164 format, e.g., +14155552671)
+	 * @param {string} body - Message text
+	 * @param {Object} [options={}] - {key:value} pairs of additional options
+	 * @param {string} [options.from] - Sender number or name (Defaults to `sms.from` configuration)
+	 * @returns {Promise<SmsSentInfo>} - Promise instance
+	 */
+	sms.send = async ( to, body, options = {} ) => {
+		return transport.send({
+			to: String(to),
+			from: options.from || transUtil.getConfig('from', null),
+			body: String(body),
+		});
+	};
+
+	fastify
+		.decorate('sms', sms)
+		.addHook('onClose', close);
+
+	next();
+}
+
+const close = ( fastify, done ) => {
+	/** @type {SmsTransport} */
+	const transport = fastify.sms.getTransport();
+
+	'function' === typeof transport.close && transport.close();
+	done();
+};
+
+// Export plugin to module
+module.exports = fp(main, {
+	name: 'fastify-sms'
+});
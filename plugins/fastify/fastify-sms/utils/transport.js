@@ -0,0 +1,215 @@
+/**
+ * Fastify SMS transport module
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const merge = require('merge');
+const op = require('object-path');
+const {nanoid} = require('nanoid');
+
+/** Custom modules */
+const {resolvePath, directories} = require('./../../../../utils/path-resolver');
+
+/**
+ * SMS message
+ * @typedef {Object} SmsMessage
+ * @property {string} to - Receiver phone number (E.164 format, e.g., +14155552671)
+ * @property {?string} from - Sender number or name
+ * @property {string} body - Message text
+ */
+
+/**
+ * Result of the sent message
+ * @typedef {Object} SmsSentInfo
+ * @property {string} messageId - Message ID (given by the provider)
+ * @property {string} transport - Transport name
+ */
+
+/**
+ * SMS transport, custom providers implement the same interface
+ * @typedef {Object} SmsTransport
+ * @property {string} name - Transport name
+ * @property {function(SmsMessage): Promise<SmsSentInfo>} send - Send the message
+ * @property {function(): void} [close] - Release the resources (optional)
+ */
+
+/**
+ * @constructor
+ * @param {FastifyInstance&FastifyServer} fastify Fastify instance
+ * @param {Object} [config={}] - {key:value} pairs of configuration options (Defaults to {})
+ */
+module.exports = ( fastify, config = {} ) => {
+	/**
+	 * @public
+	 * @static
+	 * Get configuration
+	 * @param {?string} [key=null] - Configuration path to get
+	 * @param {?any} [defaultValue=null] - Default value in case of null (Defaults to null)
+	 * @returns {any} The value
+	 */
+	const getConfig = ( key = null, defaultValue = null ) => {
+		const smsConfig = merge.recursive(
+			true,
+			fastify.config.get('sms', {}),
+			config.options || {}
+		);
+
+		return null === key || !key
+			? smsConfig
+			: op.get(smsConfig, key, defaultValue);
+	};
+
+	/**
+	 * @private
+	 * @static
+	 * Create log transport (writes the messages into the application log, for development)
+	 * @returns {SmsTransport} Transport instance
+	 */
+	const createLogTransport = () => ({
+		name: 'log',
+		send: async message => {
+			/** @type {string} */
+			const messageId = nanoid();
+
+			fastify.log.info({sms: {messageId, ...message}}, 'SMS message');
+
+			return {messageId, transport: 'log'};
+		},
+	});
+
+	/**
+	 * @private
+	 * @static
+	 * Create file transport (appends the messages as JSON lines, for development and tests)
+	 * @returns {SmsTransport} Transport instance
+	 */
+	const createFileTransport = () => {
+		/** @type {string} */
+		const file = String(getConfig('file.path', '@runtime/sms.log'));
+
+		/** @type {string} */
+		const filePath = file.startsWith('@')
+			? resolvePath(file)
+			: path.resolve(directories.basePath, file);
+
+		return {
+			name: 'file',
+			send: async message => {
+				/** @type {string} */
+				const messageId = nanoid();
+
+				await fs.promises.mkdir(path.dirname(filePath), {recursive: true});
+				await fs.promises.appendFile(filePath, JSON.stringify({
+					messageId,
+					...message,
+					sentOn: new Date().toISOString(),
+				}) + '\n', 'utf8');
+
+				return {messageId, transport: 'file'};
+			},
+		};
+	};
+
+	/**
+	 * @private
+	 * @static
+	 * Create Twilio transport (Programmable Messaging REST API)
+	 * @returns {SmsTransport} Transport instance
+	 */
+	const createTwilioTransport = () => {
+		/** @type {Object} */
+		const {accountSid = '', authToken = ''} = getConfig('twilio', {}) || {};
+
+		return {
+			name: 'twilio',
+			send: message => new Promise(( resolve, reject ) => {
+				/** @type {string} */
+				const payload = new URLSearchParams({
+					To: message.to,
+					From: message.from || '',
+					Body: message.body,
+				}).toString();
+
+				const req = https.request({
+					method: 'POST',
+					host: 'api.twilio.com',
+					path: `/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+					auth: `${accountSid}:${authToken}`,
+					headers: {
+						'Content-Type': 'application/x-www-form-urlencoded',
+						'Content-Length': Buffer.byteLength(payload),
+					},
+				}, res => {
+					let body = '';
+					res.on('data', chunk => (body += chunk));
+					res.on('end', () => {
+						/** @type {Object} */
+						let data = {};
+
+						try {
+							data = JSON.parse(body);
+						} catch ( err ) {
+							// Non-JSON response, handled by the status check
+						}
+
+						if ( res.statusCode >= 300 ) {
+							return reject(new Error(`Twilio error (${res.statusCode}): ${data.message || 'Unknown error'}`));
+						}
+
+						resolve({messageId: data.sid, transport: 'twilio'});
+					});
+				});
+
+				req.on('error', reject);
+				req.end(payload);
+			}),
+		};
+	};
+
+	/**
+	 * @public
+	 * @static
+	 * Finds out the object implements the transport interface
+	 * @param {*} transport - The object to check
+	 * @returns {boolean} - True when valid / False otherwise
+	 */
+	const isTransport = transport => !!transport && 'function' === typeof transport.send;
+
+	/**
+	 * @public
+	 * @static
+	 * Create SMS transport
+	 * @returns {SmsTransport} Transport instance
+	 * @throws {Error} when unknown SMS transport
+	 */
+	const createTransport = () => {
+		/** @type {string} */
+		const transportType = getConfig('transport', 'log');
+
+		if ( 'log' === transportType ) {
+			return createLogTransport();
+		}
+
+		if ( 'file' === transportType ) {
+			return createFileTransport();
+		}
+
+		if ( 'twilio' === transportType ) {
+			return createTwilioTransport();
+		}
+
+		throw new Error('Unknown SMS transport');
+	};
+
+	return {
+		createTransport,
+		isTransport,
+		getConfig,
+	};
+};
@@ -0,0 +1,149 @@
+/**
+ * Social login (OAuth2) Fastify Plugin
+ * @description Registers `fastify-oauth2` for each enabled provider with the login and callback routes
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const fp = require('fastify-plugin');
+const oauthPlugin = require('fastify-oauth2');
+const createError = require('http-errors');
+
+// Modules
+const {resolvePath} = require('./../../../utils/path-resolver');
+
+/**
+ * Fastify social login plugin
+ * @param {FastifyInstance&FastifyServer} fastify - Fastify instance
+ * @param {Object} opts - Plugin options
+ * @param {function():function} next - Next function
+ * @returns {Promise<any>} - Promise instance
+ */
+async function main ( fastify, opts, next ) {
+	/** @type {Object} */
+	let Social;
+
+	// Fail on startup when social login is misconfigured (e.g., no encryption secret)
+	try {
+		Social = require(resolvePath('@helpers/fastify/auth/social'))(fastify);
+	} catch ( err ) {
+		return next(err);
+	}
+
+	const {completeLogin} = require(resolvePath('@helpers/fastify/auth/authenticate'))(fastify);
+	const TwoFactor = require(resolvePath('@helpers/fastify/auth/two-factor'))(fastify);
+
+	/** @type {Object.<string, Object>} */
+	const providers = fastify.config.get('account.social.providers', {}) || {};
+
+	/** @type {string} */
+	const prefix = fastify.config.get('account.social.routePrefix', '/auth/social');
+
+	/** @type {boolean} */
+	const cookie = !!fastify.config.get('account.social.cookie', false);
+
+	/** @type {?string} */
+	const successRedirect = fastify.config.get('account.social.successRedirect', null);
+
+	for ( const [provider, options] of Object.entries(providers) ) {
+		if ( !options || !options.enabled ) {
+			continue;
+		}
+
+		/** @type {SocialProviderAdapter} */
+		const adapter = Social.getAdapter(provider, options);
+
+		/** @type {string} */
+		const name = `${provider}OAuth2`;
+
+		/** @type {string} */
+		const path = `${prefix}/${provider}`;
+
+		fastify.register(oauthPlugin, {
+			name,
+			scope: options.scope || adapter.scope,
+			credentials: {
+				client: {
+					id: options.clientId,
+					secret: options.clientSecret,
+				},
+				auth: adapter.auth,
+			},
+			callbackUri: `${fastify.config.get('uri.url')}${path}/callback`,
+			generateStateFunction: () => Social.generateState(),
+			checkStateFunction: ( state, callback ) => Social.checkState(state)
+				? callback()
+				: callback(new Error('Invalid state')),
+		});
+
+		/**
+		 * Redirects to the provider's consent screen, the state is bound to the browser by a cookie
+		 * @example GET /auth/social/google
+		 */
+		fastify.get(path, async ( request, reply ) => {
+			/** @type {string} */
+			const authorizationUri = fastify[name].generateAuthorizationUri(request);
+
+			Social.setStateCookie(reply, new URL(authorizationUri).searchParams.get('state'), path);
+			return reply.redirect(authorizationUri);
+		});
+
+		/**
+		 * Provider redirects back here, responds with the auth token
+		 * (or the two-factor challenge) like `login` mutation does
+		 * @example GET /auth/social/google/callback?code=...&state=...
+		 */
+		fastify.get(`${path}/callback`, async ( request, reply ) => {
+			//<editor-fold desc="Error: State of another browser">
+			if ( !Social.checkStateCookie(request) ) {
+				throw createError.BadRequest('Invalid state');
+			}
+			//</editor-fold>
+
+			Social.clearStateCookie(reply, path);
+
+			/** @type {Object} */
+			let token;
+
+			try {
+				token = await fastify[name].getAccessTokenFromAuthorizationCodeFlow(request);
+			} catch ( err ) {
+				request.log.warn(err, `${provider} authorization failed`);
+				throw createError.BadRequest('Authorization failed or was cancelled');
+			}
+
+			/** @type {SocialProfile} */
+			let profile;
+
+			try {
+				profile = await adapter.fetchProfile(token.access_token);
+			} catch ( err ) {
+				request.log.error(err, `${provider} profile request failed`);
+				throw createError.BadGateway('Failed to retrieve the profile');
+			}
+
+			/** @type {User} */
+			const model = await Social.findOrCreateUser(provider, profile, request.language);
+
+			if ( TwoFactor.isEnabled(model) ) {
+				return {challenge: await TwoFactor.createChallenge(model)};
+			}
+
+			const {token: authToken} = await completeLogin(model, request, reply, cookie);
+
+			if ( cookie && successRedirect ) {
+				return reply.redirect(successRedirect);
+			}
+
+			return {token: authToken};
+		});
+	}
+
+	next();
+}
+
+module.exports = fp(main, {
+	name: 'fastify-social-login'
+});
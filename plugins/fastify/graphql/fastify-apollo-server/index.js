@@ -15,6 +15,7 @@ const objectPath = require('object-path');
 /** Custom modules modules */
 const SchemaCompiler = require('./../lib/schema-compiler');
 const RequestError = require('./../../../../graphql/components/RequestError');
+const {getIdentity} = require('./../../../../helpers/fastify/auth/identity');
 const {isDev} = require('./../../../../utils/environment');
 
 /**
@@ -38,6 +39,8 @@ module.exports = fp(async (fastify, opts, next) => {
 		},
 		context: async ctx => {
 			ctx.app = fastify;
+			ctx.auth = getIdentity(ctx.request);
+			ctx.loaders = ctx.request.loaders || fastify.dataLoaders.create();
 			return ctx;
 		},
 		formatError ( error ) {
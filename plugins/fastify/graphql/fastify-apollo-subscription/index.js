@@ -6,37 +6,22 @@
  */
 
 const fp = require('fastify-plugin');
-const op = require('object-path');
-const {SubscriptionServer} = require('subscriptions-transport-ws');
+const WebSocket = require('ws');
+const {useServer} = require('graphql-ws/lib/use/ws');
+const {SubscriptionServer, GRAPHQL_WS} = require('subscriptions-transport-ws');
 const {execute, subscribe} = require('graphql');
 
 // Utils
 const schemaCompiler = require('./../lib/schema-compiler');
 const JWTIdentity = require('./../../../../helpers/fastify/auth/jwt-identity');
+const {createIdentity} = require('./../../../../helpers/fastify/auth/identity');
+const {getTokenFromParams, selectProtocol, formatError} = require('./../lib/subscription-transport');
 const {isDev} = require('./../../../../utils/environment');
 
 /**
- * @private
- * @static
- * Get auth token from connection params
- * @param {{string: string}} params - Connection params
- * @return {?string} - The token / Nothing
- */
-const getTokenFromParams = ( params ) => {
-	for ( let [k, v] of Object.entries(params) ) {
-		if ( /auth_?token/i.test(k) ) {
-			return v;
-		}
-		
-		if ( k.toLowerCase() === 'authorization' ) {
-			const [, token = ''] = String(v||'')
-				.match(/^Bearear (.+)$/);
-			return String(token||'').trim();
-		}
-	}
-	
-	return null;
-};
+ * Close code of the rejected `connection_init` (graphql-transport-ws)
+ * @type {number} */
+const CLOSE_FORBIDDEN = 4403;
 
 /**
  * @public
@@ -49,65 +34,134 @@ const getTokenFromParams = ( params ) => {
 module.exports = fp(async ( fastify, opts, next ) => {
 	// import required methods
 	const {findIdentityByToken, getTokenFromAll} = JWTIdentity(fastify);
-	
+
 	/**
 	 * Compiled schema
 	 * @type {Object} */
 	const schema = schemaCompiler(fastify, opts);
-	
+
+	/**
+	 * Subscriptions configuration
+	 * @type {{path: string, keepAlive: number, connectionInitWaitTimeout: number}} */
+	const {path, keepAlive, connectionInitWaitTimeout} = {
+		path: '/graphql',
+		keepAlive: 12000,
+		connectionInitWaitTimeout: 3000,
+		...fastify.config.get('graphql.subscriptions', {}),
+	};
+
 	/**
 	 * @private
 	 * @async
-	 * Get user identity by auth token from request
+	 * Get user identity by auth token from the connection params (or the upgrade request)
 	 * @param {Object} connectParams - Connection parameters
-	 * @param {Query~GraphQLContext} ctx - Fastify reply instance
-	 * @return {Promise<void>} - Promise instance
+	 * @param {http.IncomingMessage} request - Upgrade request
+	 * @return {Promise<FastifyIdentity>} - Promise instance
 	 * @throws {Error} - No token found
 	 */
-	const retrieveIdentity = async ( connectParams, {request} ) => {
+	const retrieveIdentity = async ( connectParams, request ) => {
 		/** @type {?string} */
 		let token = getTokenFromParams(connectParams);
-		
+
 		if ( !token ) {
 			token = getTokenFromAll(request);
 		}
-		
+
 		if ( token instanceof Error ) {
 			throw new Error(token.message);
 		}
-		
-		const {model} = await findIdentityByToken(token);
-		fastify.user.identity = model;
-		fastify.user.isGuest = false;
+
+		const {model, decoded, apiKey, impersonator} = await findIdentityByToken(token);
+		return createIdentity(model, decoded, apiKey, impersonator);
 	};
-	
-	SubscriptionServer.create({
+
+	/**
+	 * @private
+	 * Operation context, the identity is resolved once per connection, the loaders are per operation
+	 * @param {FastifyIdentity} auth - Connection identity
+	 * @returns {Object} - GraphQL context
+	 */
+	const createContext = auth => ({auth, app: fastify, loaders: fastify.dataLoaders.create()});
+
+	//<editor-fold desc="Legacy protocol (subscriptions-transport-ws)">
+	const legacyServer = new WebSocket.Server({noServer: true});
+
+	const legacy = SubscriptionServer.create({
 		schema,
 		execute,
 		subscribe,
+		keepAlive,
 		onOperation ( msg, params ) {
-			params.context = {app: fastify};
-			params.formatError = error => {
-				const exception = op.get(error, 'extensions.exception');
-				delete error.extensions.exception;
-				return {...error, ...exception};
-			};
+			params.context = createContext(params.context.auth);
+			params.formatError = formatError;
 			return params;
 		},
 		async onConnect ( connectionParams, webSocket, ctx ) {
-			isDev && console.log(`------ Graphql socket connected ------`);
-			await retrieveIdentity(connectionParams, ctx);
+			isDev && console.log(`------ Graphql socket connected (${GRAPHQL_WS}) ------`);
+			return {
+				auth: await retrieveIdentity(connectionParams, ctx.request),
+			};
 		},
 		async onDisconnect () {
-			isDev && console.log(`------ Graphql socket disconnected ------`);
+			isDev && console.log(`------ Graphql socket disconnected (${GRAPHQL_WS}) ------`);
 		},
-	}, {
-		server: fastify.server,
-		path: '/graphql',
+	}, legacyServer);
+	//</editor-fold>
+
+	//<editor-fold desc="graphql-transport-ws protocol (graphql-ws)">
+	const wsServer = new WebSocket.Server({noServer: true});
+
+	const server = useServer({
+		schema,
+		execute,
+		subscribe,
+		connectionInitWaitTimeout,
+		context: ctx => createContext(ctx.extra.auth),
+		async onConnect ( ctx ) {
+			try {
+				ctx.extra.auth = await retrieveIdentity(ctx.connectionParams, ctx.extra.request);
+			} catch ( e ) {
+				// Close reason is limited to 123 bytes
+				ctx.extra.socket.close(CLOSE_FORBIDDEN, String(e.message).slice(0, 123));
+				return false;
+			}
+
+			isDev && console.log(`------ Graphql socket connected (${ctx.extra.socket.protocol}) ------`);
+			return true;
+		},
+		onDisconnect ( ctx ) {
+			isDev && console.log(`------ Graphql socket disconnected (${ctx.extra.socket.protocol}) ------`);
+		},
+		onNext ( ctx, message, args, result ) {
+			return result.errors
+				? {...result, errors: result.errors.map(formatError)}
+				: result;
+		},
+		onError ( ctx, message, errors ) {
+			return errors.map(formatError);
+		},
+	}, wsServer, keepAlive);
+	//</editor-fold>
+
+	// Delegate the upgrade requests by the sub-protocol
+	fastify.server.on('upgrade', ( request, socket, head ) => {
+		if ( String(request.url).split('?')[0] !== path ) {
+			return;
+		}
+
+		const wss = selectProtocol(request) === GRAPHQL_WS ? legacyServer : wsServer;
+
+		wss.handleUpgrade(request, socket, head, ws => {
+			wss.emit('connection', ws, request);
+		});
 	});
-	
+
+	fastify.addHook('onClose', async () => {
+		legacy.close();
+		await server.dispose();
+	});
+
 	next();
 }, {
 	name: 'fastify-apollo-subscription',
 });
-
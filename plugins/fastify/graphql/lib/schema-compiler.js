@@ -11,11 +11,44 @@ const {loadSchemaSync} = require('@graphql-tools/load');
 const {GraphQLFileLoader} = require('@graphql-tools/graphql-file-loader');
 const {addResolversToSchema} = require('@graphql-tools/schema');
 
+/** Custom modules */
+const {checkSchemaContract} = require('./schema-contract');
+
 /**
  * Schema file absolute path
  * @type {string} */
 const SCHEMA_PATH = normalize(`${__dirname}/../../../../graphql/schema/**/*.graphql`);
 
+/**
+ * @private
+ * Report the mismatches between the schema and the resolvers
+ * @param {FastifyInstance|FastifyServer} fastify - Fastify instance
+ * @param {GraphQLSchema} schema - Schema (without resolvers)
+ * @param {Object} resolvers - Resolvers map
+ * @throws {Error} - Contract issues found (strict mode only)
+ */
+function verifyContract ( fastify, schema, resolvers ) {
+	/** @type {Object.<string, Object>} */
+	let sources = {};
+	
+	try {
+		sources = require('./../../../../graphql/components/contract-sources')(fastify);
+	} catch ( e ) {
+		fastify.log.warn(e, 'GraphQL contract sources are unavailable');
+	}
+	
+	/** @type {SchemaContractIssue[]} */
+	const issues = checkSchemaContract(schema, resolvers, {sources});
+	
+	for ( const {code, path, message} of issues ) {
+		fastify.log.warn({code, path}, message);
+	}
+	
+	if ( issues.length && fastify.config.get('graphql.contractCheck.strict', false) ) {
+		throw new Error(`GraphQL schema contract failed:\n${issues.map(v => `- ${v.message}`).join('\n')}`);
+	}
+}
+
 /**
  * Make schema
  * @param {FastifyInstance|FastifyServer} fastify - Fastify instance
@@ -35,9 +68,16 @@ module.exports = ( fastify, opts ) => {
 	/** @type {Object} */
 	const resolvers = require(`./../../../../graphql/resolvers/definitions`)(fastify, opts);
 	
+	/** @type {boolean} */
+	const checkContract = fastify.config.get('graphql.contractCheck.enabled', true);
+	
+	checkContract && verifyContract(fastify, schema, resolvers);
+	
 	const schemaWithResolvers = addResolversToSchema({
 		schema,
 		resolvers,
+		// Reported by the contract checker along with the other issues
+		resolverValidationOptions: {allowResolversNotInSchema: checkContract},
 	});
 	
 	SchemaDirectiveVisitor.visitSchemaDirectives(schemaWithResolvers, schemaDirectives);
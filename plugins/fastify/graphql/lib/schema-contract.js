@@ -0,0 +1,216 @@
+/**
+ * GraphQL schema/resolvers contract checker
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {
+	isObjectType,
+	isInterfaceType,
+	isUnionType,
+	isInputObjectType,
+	isEnumType,
+	isScalarType,
+	isNonNullType,
+	isSpecifiedScalarType,
+	isIntrospectionType,
+	getNamedType,
+} = require('graphql');
+
+/**
+ * Contract issue
+ * @typedef {Object} SchemaContractIssue
+ * @property {string} code - UNKNOWN_TYPE / UNKNOWN_FIELD / MISSING_RESOLVER / MISSING_SOURCE / UNREACHABLE_TYPE
+ * @property {string} path - Type or field path (e.g., Me.username)
+ * @property {string} message - Description
+ */
+
+/**
+ * Resolver map keys which aren't fields
+ * @type {string[]} */
+const RESERVED_KEYS = ['__resolveType', '__isTypeOf', '__resolveReference'];
+
+/**
+ * @private
+ * Root types of the schema
+ * @param {GraphQLSchema} schema - Schema
+ * @returns {GraphQLObjectType[]}
+ */
+const getRootTypes = schema => [schema.getQueryType(), schema.getMutationType(), schema.getSubscriptionType()]
+	.filter(v => v);
+
+/**
+ * @private
+ * Resolvers for unknown types and fields
+ * @param {GraphQLSchema} schema - Schema
+ * @param {Object} resolvers - Resolvers map
+ * @returns {SchemaContractIssue[]}
+ */
+const checkResolvers = ( schema, resolvers ) => {
+	/** @type {SchemaContractIssue[]} */
+	const issues = [];
+
+	for ( const [typeName, fields] of Object.entries(resolvers) ) {
+		const type = schema.getType(typeName);
+
+		if ( !type ) {
+			issues.push({code: 'UNKNOWN_TYPE', path: typeName, message: `Resolvers defined for unknown type "${typeName}"`});
+			continue;
+		}
+
+		if ( isScalarType(type) || !fields || typeof fields !== 'object' ) {
+			continue;
+		}
+
+		/** @type {string[]} */
+		const known = isEnumType(type)
+			? type.getValues().map(v => v.name)
+			: Object.keys(type.getFields ? type.getFields() : {});
+
+		for ( const name of Object.keys(fields) ) {
+			if ( !RESERVED_KEYS.includes(name) && !known.includes(name) ) {
+				issues.push({
+					code: 'UNKNOWN_FIELD',
+					path: `${typeName}.${name}`,
+					message: `Resolver defined for unknown field "${typeName}.${name}"`,
+				});
+			}
+		}
+	}
+
+	return issues;
+};
+
+/**
+ * @private
+ * Fields which have nothing to resolve them: root fields without resolver,
+ * and the non-null fields missing in the sample source objects
+ * @param {GraphQLSchema} schema - Schema
+ * @param {Object} resolvers - Resolvers map
+ * @param {Object.<string, Object>} sources - Sample source objects by type name (e.g., `User.toGraphMeObject()` for `Me`)
+ * @returns {SchemaContractIssue[]}
+ */
+const checkSources = ( schema, resolvers, sources ) => {
+	/** @type {SchemaContractIssue[]} */
+	const issues = [];
+
+	/**
+	 * @param {string} typeName - Type name
+	 * @param {string} name - Field name
+	 * @returns {boolean}
+	 */
+	const hasResolver = ( typeName, name ) => !!resolvers[typeName] && resolvers[typeName][name] !== undefined;
+
+	for ( const type of getRootTypes(schema) ) {
+		for ( const name of Object.keys(type.getFields()) ) {
+			if ( !hasResolver(type.name, name) ) {
+				issues.push({
+					code: 'MISSING_RESOLVER',
+					path: `${type.name}.${name}`,
+					message: `Root field "${type.name}.${name}" has no resolver`,
+				});
+			}
+		}
+	}
+
+	for ( const [typeName, source] of Object.entries(sources) ) {
+		const type = schema.getType(typeName);
+
+		if ( !isObjectType(type) || !source ) {
+			continue;
+		}
+
+		for ( const [name, field] of Object.entries(type.getFields()) ) {
+			if ( isNonNullType(field.type) && !hasResolver(typeName, name)
+				&& (source[name] === undefined || source[name] === null) ) {
+				issues.push({
+					code: 'MISSING_SOURCE',
+					path: `${typeName}.${name}`,
+					message: `Non-null field "${typeName}.${name}" has neither a resolver nor a source value`,
+				});
+			}
+		}
+	}
+
+	return issues;
+};
+
+/**
+ * @private
+ * Types which can't be reached from the root types (nor the directive arguments)
+ * @param {GraphQLSchema} schema - Schema
+ * @returns {SchemaContractIssue[]}
+ */
+const checkReachability = schema => {
+	/** @type {Set<string>} */
+	const reached = new Set();
+
+	/** @type {GraphQLNamedType[]} */
+	const queue = [
+		...getRootTypes(schema),
+		...schema.getDirectives().flatMap(d => d.args.map(arg => getNamedType(arg.type))),
+	];
+
+	while ( queue.length ) {
+		const type = queue.shift();
+
+		if ( reached.has(type.name) ) {
+			continue;
+		}
+
+		reached.add(type.name);
+
+		if ( isObjectType(type) || isInterfaceType(type) ) {
+			for ( const field of Object.values(type.getFields()) ) {
+				queue.push(getNamedType(field.type), ...field.args.map(arg => getNamedType(arg.type)));
+			}
+
+			queue.push(...type.getInterfaces());
+		}
+
+		if ( isInterfaceType(type) ) {
+			queue.push(...schema.getPossibleTypes(type));
+		}
+
+		if ( isUnionType(type) ) {
+			queue.push(...type.getTypes());
+		}
+
+		if ( isInputObjectType(type) ) {
+			queue.push(...Object.values(type.getFields()).map(field => getNamedType(field.type)));
+		}
+	}
+
+	return Object.values(schema.getTypeMap())
+		// Scalars are a toolbox, unused ones are fine
+		.filter(type => !isIntrospectionType(type) && !isSpecifiedScalarType(type) && !isScalarType(type))
+		.filter(type => !reached.has(type.name))
+		.map(type => ({
+			code: 'UNREACHABLE_TYPE',
+			path: type.name,
+			message: `Type "${type.name}" is not reachable from the root types`,
+		}));
+};
+
+/**
+ * @public
+ * @static
+ * Compare the compiled schema against the resolvers map
+ * @param {GraphQLSchema} schema - Schema (without resolvers)
+ * @param {Object} resolvers - Resolvers map
+ * @param {Object} [options={}] - Additional options
+ * @param {Object.<string, Object>} [options.sources={}] - Sample source objects by type name
+ * @returns {SchemaContractIssue[]} - Found issues
+ */
+function checkSchemaContract ( schema, resolvers, {sources = {}} = {} ) {
+	return [
+		...checkResolvers(schema, resolvers),
+		...checkSources(schema, resolvers, sources),
+		...checkReachability(schema),
+	];
+}
+
+module.exports = {
+	checkSchemaContract,
+};
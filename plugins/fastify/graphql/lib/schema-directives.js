@@ -7,8 +7,12 @@
 
 const AuthDirective = require(`./../../../../graphql/directives/auth-directive`);
 const GuestDirective = require(`./../../../../graphql/directives/guest-directive`);
+const HasPermissionDirective = require(`./../../../../graphql/directives/has-permission-directive`);
+const NoImpersonationDirective = require(`./../../../../graphql/directives/no-impersonation-directive`);
 
 module.exports = {
 	auth: AuthDirective,
 	guest: GuestDirective,
+	hasPermission: HasPermissionDirective,
+	noImpersonation: NoImpersonationDirective,
 };
@@ -0,0 +1,85 @@
+/**
+ * GraphQL subscriptions transport utils (sub-protocol negotiation, connection params, error frames)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** Native/Installed modules */
+const {GRAPHQL_TRANSPORT_WS_PROTOCOL} = require('graphql-ws');
+const {GRAPHQL_WS} = require('subscriptions-transport-ws');
+
+/**
+ * @public
+ * @static
+ * Get auth token from connection params (`authToken` / `auth_token` or `Authorization: Bearer <token>`)
+ * @param {?Object.<string, string>} params - Connection params
+ * @return {?string} - The token / Nothing
+ */
+function getTokenFromParams ( params ) {
+	for ( let [k, v] of Object.entries(params || {}) ) {
+		if ( /auth_?token/i.test(k) ) {
+			return String(v || '').trim() || null;
+		}
+
+		if ( k.toLowerCase() === 'authorization' ) {
+			const [, token = ''] = String(v || '').trim().match(/^Bearer\s+(.+)$/i) || [];
+			return token.trim() || null;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * @public
+ * @static
+ * Choose the sub-protocol of the upgrade request, `graphql-transport-ws` wins when the client supports both
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @return {string} - graphql-transport-ws / graphql-ws (legacy `subscriptions-transport-ws`)
+ */
+function selectProtocol ( request ) {
+	/** @type {string|string[]} */
+	const header = request.headers['sec-websocket-protocol'] || '';
+
+	/** @type {string[]} */
+	const protocols = (Array.isArray(header) ? header : String(header).split(','))
+		.map(v => v.trim());
+
+	return protocols.includes(GRAPHQL_WS) && !protocols.includes(GRAPHQL_TRANSPORT_WS_PROTOCOL)
+		? GRAPHQL_WS
+		: GRAPHQL_TRANSPORT_WS_PROTOCOL;
+}
+
+/**
+ * @public
+ * @static
+ * Convert the error into the frame data (the `RequestError` code and state are kept, the stack trace is not)
+ * @param {GraphQLError} error - Error instance
+ * @return {Object} - Error data
+ */
+function formatError ( error ) {
+	/** @type {Error} */
+	const original = error.originalError || error;
+
+	/** @type {string} */
+	const code = original.code || (error.extensions || {}).code || (error.originalError
+		? 'INTERNAL_SERVER_ERROR'
+		// Syntax and validation errors have no original error
+		: 'GRAPHQL_VALIDATION_FAILED');
+
+	return {
+		message: error.message,
+		...(error.locations ? {locations: error.locations} : {}),
+		...(error.path ? {path: error.path} : {}),
+		extensions: {code},
+		code,
+		...(original.state ? {state: original.state} : {}),
+	};
+}
+
+module.exports = {
+	getTokenFromParams,
+	selectProtocol,
+	formatError,
+};
@@ -0,0 +1,29 @@
+/**
+ * Sequelize CLI database configuration (reads `db` section of the application configuration)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+require('dotenv').config();
+
+// Utils
+const {loadSync} = require('./../utils/file-config');
+
+const {db = {}} = loadSync();
+
+/** @type {Object} */
+const options = {
+	dialect: 'postgres',
+	host: db.server || 'localhost',
+	username: db.username,
+	password: db.password,
+	database: db.database,
+	migrationStorageTableSchema: 'public',
+};
+
+module.exports = {
+	development: options,
+	test: options,
+	production: options,
+};
@@ -0,0 +1,195 @@
+/**
+ * Admin actions audit log model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * This is the model class for table "user.admin_actions".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class AdminAction
+	 * Change made by an admin to a user account
+	 * @mixes sequelize#Instance
+	 */
+	const AdminAction = sequelize.define('AdminAction', {
+		/**
+		 * ID
+		 * @memberOf AdminAction#
+		 * @type {number} */
+		id: {
+			type: DataTypes.INTEGER,
+			field: 'id',
+			allowNull: false,
+			primaryKey: true,
+			autoIncrement: true,
+			comment: 'ID',
+		},
+
+		/**
+		 * Acting admin ID
+		 * @memberOf AdminAction#
+		 * @type {number} */
+		admin_id: {
+			type: DataTypes.INTEGER,
+			field: 'admin_id',
+			allowNull: false,
+			comment: 'Admin ID',
+		},
+
+		/**
+		 * Target user ID
+		 * @memberOf AdminAction#
+		 * @type {number} */
+		user_id: {
+			type: DataTypes.INTEGER,
+			field: 'user_id',
+			allowNull: false,
+			comment: 'User ID',
+		},
+
+		/**
+		 * Action (see `AdminAction.ACTION_*`)
+		 * @memberOf AdminAction#
+		 * @type {string} */
+		action: {
+			type: DataTypes.STRING(40),
+			field: 'action',
+			allowNull: false,
+			comment: 'Action',
+		},
+
+		/**
+		 * Changed values (e.g., `{status: {from: 10, to: 3}}`)
+		 * @memberOf AdminAction#
+		 * @type {Object} */
+		changes: {
+			type: DataTypes.JSONB,
+			field: 'changes',
+			allowNull: true,
+			defaultValue: '{}',
+			comment: 'Changes',
+		},
+
+		/**
+		 * IP address of the admin
+		 * @memberOf AdminAction#
+		 * @type {?string} */
+		ip: {
+			type: DataTypes.STRING(45),
+			field: 'ip',
+			allowNull: true,
+			comment: 'IP Address',
+		},
+
+		/**
+		 * Created At
+		 * @memberOf AdminAction#
+		 * @type {string} */
+		created_at: {
+			type: DataTypes.DATE,
+			field: 'created_at',
+			allowNull: true,
+			comment: 'Created At'
+		}
+	}, {
+		schema: 'user',
+		tableName: 'admin_actions',
+		timestamps: true,
+		createdAt: 'created_at',
+		updatedAt: false,
+		indexes: [
+			{fields: ['user_id', 'created_at']},
+			{fields: ['admin_id']},
+		],
+	});
+
+	//<editor-fold desc="Action constants">
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'UPDATE_STATUS'
+	 */
+	AdminAction.ACTION_UPDATE_STATUS = 'UPDATE_STATUS';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'UPDATE_ROLE'
+	 */
+	AdminAction.ACTION_UPDATE_ROLE = 'UPDATE_ROLE';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'FORCE_LOGOUT'
+	 */
+	AdminAction.ACTION_FORCE_LOGOUT = 'FORCE_LOGOUT';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'RESET_PASSWORD'
+	 */
+	AdminAction.ACTION_RESET_PASSWORD = 'RESET_PASSWORD';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'IMPERSONATION_START'
+	 */
+	AdminAction.ACTION_IMPERSONATION_START = 'IMPERSONATION_START';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'IMPERSONATION_STOP'
+	 */
+	AdminAction.ACTION_IMPERSONATION_STOP = 'IMPERSONATION_STOP';
+	//</editor-fold>
+
+	/**
+	 * @public
+	 * @async
+	 * @static
+	 * Record an action
+	 * @param {string} action - Action (see `AdminAction.ACTION_*`)
+	 * @param {Object} values - Action details
+	 * @param {number} values.adminId - Acting admin ID
+	 * @param {number} values.userId - Target user ID
+	 * @param {Object} [values.changes] - Changed values
+	 * @param {?string} [values.ip] - IP address
+	 * @returns {Promise<AdminAction>} - Created model
+	 */
+	AdminAction.record = async ( action, values ) => {
+		const {adminId, userId, changes = {}, ip = null} = values;
+
+		return await AdminAction.create({
+			admin_id: adminId,
+			user_id: userId,
+			action,
+			changes,
+			ip: ip || null,
+		});
+	};
+
+	return AdminAction;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+
+	const {User, AdminAction} = require('./../../index');
+
+	AdminAction.belongsTo(User, {foreignKey: 'admin_id', as: 'admin'});
+	AdminAction.belongsTo(User, {foreignKey: 'user_id', as: 'user'});
+	User.hasMany(AdminAction, {foreignKey: 'user_id', as: 'adminActions'});
+};
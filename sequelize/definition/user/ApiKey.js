@@ -0,0 +1,232 @@
+/**
+ * Personal API key model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+const {recursive} = require('merge');
+
+/**
+ * This is the model class for table "user.api_keys".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class ApiKey
+	 * Personal API key (only the hash of the key is stored)
+	 * @mixes sequelize#Instance
+	 */
+	const ApiKey = sequelize.define('ApiKey', {
+		/**
+		 * ID
+		 * @memberOf ApiKey#
+		 * @type {number} */
+		id: {
+			type: DataTypes.INTEGER,
+			field: 'id',
+			allowNull: false,
+			primaryKey: true,
+			autoIncrement: true,
+			comment: 'ID',
+		},
+
+		/**
+		 * User ID
+		 * @memberOf ApiKey#
+		 * @type {number} */
+		user_id: {
+			type: DataTypes.INTEGER,
+			field: 'user_id',
+			allowNull: false,
+			comment: 'User ID',
+		},
+
+		/**
+		 * Name (e.g., CI deploy script)
+		 * @memberOf ApiKey#
+		 * @type {string} */
+		name: {
+			type: DataTypes.STRING(60),
+			field: 'name',
+			allowNull: false,
+			comment: 'Name',
+		},
+
+		/**
+		 * Visible beginning of the key (to recognize it in the list)
+		 * @memberOf ApiKey#
+		 * @type {string} */
+		prefix: {
+			type: DataTypes.STRING(20),
+			field: 'prefix',
+			allowNull: false,
+			comment: 'Prefix',
+		},
+
+		/**
+		 * SHA-256 hash of the key
+		 * @memberOf ApiKey#
+		 * @type {string} */
+		key_hash: {
+			type: DataTypes.STRING(64),
+			field: 'key_hash',
+			allowNull: false,
+			unique: true,
+			comment: 'Key Hash',
+		},
+
+		/**
+		 * Granted scopes
+		 * @memberOf ApiKey#
+		 * @type {string[]} */
+		scopes: {
+			type: DataTypes.JSONB,
+			field: 'scopes',
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Scopes',
+		},
+
+		/**
+		 * Expires At (null for never)
+		 * @memberOf ApiKey#
+		 * @type {?string} */
+		expires_at: {
+			type: DataTypes.DATE,
+			field: 'expires_at',
+			allowNull: true,
+			comment: 'Expires At',
+		},
+
+		/**
+		 * Last Used At
+		 * @memberOf ApiKey#
+		 * @type {?string} */
+		last_used_at: {
+			type: DataTypes.DATE,
+			field: 'last_used_at',
+			allowNull: true,
+			comment: 'Last Used At',
+		},
+
+		/**
+		 * Last used from IP address
+		 * @memberOf ApiKey#
+		 * @type {?string} */
+		last_used_ip: {
+			type: DataTypes.STRING(45),
+			field: 'last_used_ip',
+			allowNull: true,
+			comment: 'Last Used IP',
+		},
+
+		/**
+		 * Revoked At
+		 * @memberOf ApiKey#
+		 * @type {?string} */
+		revoked_at: {
+			type: DataTypes.DATE,
+			field: 'revoked_at',
+			allowNull: true,
+			comment: 'Revoked At',
+		},
+
+		/**
+		 * Created At
+		 * @memberOf ApiKey#
+		 * @type {string} */
+		created_at: {
+			type: DataTypes.DATE,
+			field: 'created_at',
+			allowNull: true,
+			comment: 'Created At'
+		}
+	}, {
+		schema: 'user',
+		tableName: 'api_keys',
+		timestamps: true,
+		createdAt: 'created_at',
+		updatedAt: false,
+		indexes: [
+			{fields: ['user_id']},
+		],
+	});
+
+	/**
+	 * @public
+	 * @async
+	 * @static
+	 * Find key by hash
+	 * @param {string} hash - SHA-256 hash of the key
+	 * @param {sequelize~FindOptions} findOptions={} - Sequelize find options
+	 * @returns {Promise<ApiKey|null>} - Promise instance (Model / Not found)
+	 */
+	ApiKey.findByHash = async ( hash, findOptions = {} ) => {
+		return await ApiKey.findOne(recursive(true, {
+			where: {key_hash: String(hash)},
+		}, findOptions));
+	};
+
+	/**
+	 * @public
+	 * Finds out the key is usable (not revoked or expired)
+	 * @returns {boolean} - True when usable / False otherwise
+	 */
+	ApiKey.prototype.isActive = function () {
+		return !this.revoked_at
+			&& (!this.expires_at || moment.utc(this.expires_at).isAfter(moment.utc()));
+	};
+
+	/**
+	 * @public
+	 * Finds out the key grants all the given scopes
+	 * @param {string[]} scopes - Required scopes
+	 * @returns {boolean} - True when granted / False otherwise
+	 */
+	ApiKey.prototype.hasScopes = function ( scopes ) {
+		/** @type {string[]} */
+		const granted = Array.isArray(this.scopes) ? this.scopes : [];
+		return scopes.every(scope => granted.includes(scope));
+	};
+
+	/**
+	 * @public
+	 * @static
+	 * Convert the model into `ApiKey` graphql type
+	 * @param {ApiKey} model - API key model
+	 * @returns {Object} - Key data
+	 */
+	ApiKey.toGraphObject = model => {
+		/** @type {function(?string): ?string} */
+		const toAtom = date => date ? moment.utc(date).format() : null;
+
+		return {
+			id: model.id,
+			name: model.name,
+			prefix: model.prefix,
+			scopes: Array.isArray(model.scopes) ? model.scopes : [],
+			expiresAt: toAtom(model.expires_at),
+			lastUsedAt: toAtom(model.last_used_at),
+			lastUsedIp: model.last_used_ip || null,
+			createdAt: toAtom(model.created_at),
+		};
+	};
+
+	return ApiKey;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+
+	const {User, ApiKey} = require('./../../index');
+
+	ApiKey.belongsTo(User, {foreignKey: 'user_id', as: 'user'});
+	User.hasMany(ApiKey, {foreignKey: 'user_id', as: 'apiKeys'});
+};
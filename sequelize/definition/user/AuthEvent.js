@@ -0,0 +1,245 @@
+/**
+ * Authentication audit log model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+// Utils
+const Traits = require('./../../utils/traits-helper');
+
+/**
+ * This is the model class for table "user.auth_events".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class AuthEvent
+	 * Authentication event (login, logout, password reset, token refresh/revocation)
+	 * @mixes sequelize#Instance
+	 * @mixes CursorPaginationTrait
+	 * @mixes NumberPaginationTrait
+	 */
+	const AuthEvent = sequelize.define('AuthEvent', {
+		/**
+		 * ID
+		 * @memberOf AuthEvent#
+		 * @type {number} */
+		id: {
+			type: DataTypes.INTEGER,
+			field: 'id',
+			allowNull: false,
+			primaryKey: true,
+			autoIncrement: true,
+			comment: 'ID',
+		},
+
+		/**
+		 * User ID (null for an unknown email address)
+		 * @memberOf AuthEvent#
+		 * @type {?number} */
+		user_id: {
+			type: DataTypes.INTEGER,
+			field: 'user_id',
+			allowNull: true,
+			comment: 'User ID',
+		},
+
+		/**
+		 * Event type (see `AuthEvent.TYPE_*`)
+		 * @memberOf AuthEvent#
+		 * @type {string} */
+		type: {
+			type: DataTypes.STRING(40),
+			field: 'type',
+			allowNull: false,
+			comment: 'Type',
+		},
+
+		/**
+		 * Reason code (e.g., INVALID_PASSWORD, SESSION_REVOKED)
+		 * @memberOf AuthEvent#
+		 * @type {?string} */
+		reason: {
+			type: DataTypes.STRING(60),
+			field: 'reason',
+			allowNull: true,
+			comment: 'Reason Code',
+		},
+
+		/**
+		 * Email address used in the attempt
+		 * @memberOf AuthEvent#
+		 * @type {?string} */
+		email: {
+			type: DataTypes.STRING(255),
+			field: 'email',
+			allowNull: true,
+			comment: 'Email Address',
+		},
+
+		/**
+		 * IP address
+		 * @memberOf AuthEvent#
+		 * @type {?string} */
+		ip: {
+			type: DataTypes.STRING(45),
+			field: 'ip',
+			allowNull: true,
+			comment: 'IP Address',
+		},
+
+		/**
+		 * User agent
+		 * @memberOf AuthEvent#
+		 * @type {?string} */
+		user_agent: {
+			type: DataTypes.STRING(512),
+			field: 'user_agent',
+			allowNull: true,
+			comment: 'User Agent',
+		},
+
+		/**
+		 * Session ID (token family)
+		 * @memberOf AuthEvent#
+		 * @type {?string} */
+		session_id: {
+			type: DataTypes.STRING(64),
+			field: 'session_id',
+			allowNull: true,
+			comment: 'Session ID',
+		},
+
+		/**
+		 * Created At
+		 * @memberOf AuthEvent#
+		 * @type {string} */
+		created_at: {
+			type: DataTypes.DATE,
+			field: 'created_at',
+			allowNull: true,
+			comment: 'Created At'
+		}
+	}, {
+		schema: 'user',
+		tableName: 'auth_events',
+		timestamps: true,
+		createdAt: 'created_at',
+		updatedAt: false,
+		indexes: [
+			{fields: ['user_id', 'created_at']},
+			{fields: ['ip']},
+		],
+	});
+
+	//<editor-fold desc="Type constants">
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'LOGIN'
+	 */
+	AuthEvent.TYPE_LOGIN = 'LOGIN';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'LOGIN_FAILED'
+	 */
+	AuthEvent.TYPE_LOGIN_FAILED = 'LOGIN_FAILED';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'LOGOUT'
+	 */
+	AuthEvent.TYPE_LOGOUT = 'LOGOUT';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'PASSWORD_RESET'
+	 */
+	AuthEvent.TYPE_PASSWORD_RESET = 'PASSWORD_RESET';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'TOKEN_REFRESH'
+	 */
+	AuthEvent.TYPE_TOKEN_REFRESH = 'TOKEN_REFRESH';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'TOKEN_REVOKE'
+	 */
+	AuthEvent.TYPE_TOKEN_REVOKE = 'TOKEN_REVOKE';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'IMPERSONATION_START'
+	 */
+	AuthEvent.TYPE_IMPERSONATION_START = 'IMPERSONATION_START';
+
+	/**
+	 * @readonly
+	 * @const {string}
+	 * @default 'IMPERSONATION_STOP'
+	 */
+	AuthEvent.TYPE_IMPERSONATION_STOP = 'IMPERSONATION_STOP';
+	//</editor-fold>
+
+	//<editor-fold desc="Bind traits to ORM">
+	Traits.bind(AuthEvent, [
+		Traits.TRAIT_PAGINATION_CURSOR,
+		Traits.TRAIT_PAGINATION_NUMBER,
+	]);
+	//</editor-fold>
+
+	/**
+	 * @public
+	 * @async
+	 * @static
+	 * Record an event
+	 * @param {string} type - Event type (see `AuthEvent.TYPE_*`)
+	 * @param {Object} values - Event details
+	 * @param {?number} [values.userId] - User ID
+	 * @param {?string} [values.reason] - Reason code
+	 * @param {?string} [values.email] - Email address
+	 * @param {?string} [values.ip] - IP address
+	 * @param {?string} [values.userAgent] - User agent
+	 * @param {?string} [values.sessionId] - Session ID
+	 * @returns {Promise<AuthEvent>} - Created model
+	 */
+	AuthEvent.record = async ( type, values = {} ) => {
+		const {userId = null, reason = null, email = null, ip = null, userAgent = null, sessionId = null} = values;
+
+		return await AuthEvent.create({
+			user_id: userId,
+			type,
+			reason,
+			email: email ? String(email).toLowerCase() : null,
+			ip: ip || null,
+			user_agent: userAgent ? String(userAgent).substr(0, 512) : null,
+			session_id: sessionId,
+		});
+	};
+
+	return AuthEvent;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+
+	const {User, AuthEvent} = require('./../../index');
+
+	AuthEvent.belongsTo(User, {foreignKey: 'user_id', as: 'user'});
+	User.hasMany(AuthEvent, {foreignKey: 'user_id', as: 'authEvents'});
+};
@@ -0,0 +1,70 @@
+/**
+ * Permission model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * This is the model class for table "user.permissions".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class Permission
+	 * Permission granted to the roles (e.g., `users.manage`)
+	 * @mixes sequelize#Instance
+	 */
+	const Permission = sequelize.define('Permission', {
+		/**
+		 * ID
+		 * @memberOf Permission#
+		 * @type {number} */
+		id: {
+			type: DataTypes.INTEGER,
+			field: 'id',
+			allowNull: false,
+			primaryKey: true,
+			autoIncrement: true,
+			comment: 'ID',
+		},
+
+		/**
+		 * Name (e.g., users.manage)
+		 * @memberOf Permission#
+		 * @type {string} */
+		name: {
+			type: DataTypes.STRING(80),
+			field: 'name',
+			allowNull: false,
+			unique: true,
+			comment: 'Name',
+		},
+
+		/**
+		 * Description
+		 * @memberOf Permission#
+		 * @type {?string} */
+		description: {
+			type: DataTypes.STRING(255),
+			field: 'description',
+			allowNull: true,
+			comment: 'Description',
+		},
+	}, {
+		schema: 'user',
+		tableName: 'permissions',
+		timestamps: false,
+	});
+
+	return Permission;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+};
@@ -0,0 +1,127 @@
+/**
+ * User role model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * This is the model class for table "user.roles".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class Role
+	 * User role, the ID is stored in `User#role` (e.g., 3 for `User.ROLE_CUSTOMER`)
+	 * @mixes sequelize#Instance
+	 */
+	const Role = sequelize.define('Role', {
+		/**
+		 * ID
+		 * @memberOf Role#
+		 * @type {number} */
+		id: {
+			type: DataTypes.INTEGER,
+			field: 'id',
+			allowNull: false,
+			primaryKey: true,
+			autoIncrement: true,
+			comment: 'ID',
+		},
+
+		/**
+		 * Name (e.g., CUSTOMER)
+		 * @memberOf Role#
+		 * @type {string} */
+		name: {
+			type: DataTypes.STRING(40),
+			field: 'name',
+			allowNull: false,
+			unique: true,
+			comment: 'Name',
+		},
+
+		/**
+		 * Title
+		 * @memberOf Role#
+		 * @type {?string} */
+		title: {
+			type: DataTypes.STRING(60),
+			field: 'title',
+			allowNull: true,
+			comment: 'Title',
+		},
+
+		/**
+		 * Inherited role ID (permissions of the parent are granted too)
+		 * @memberOf Role#
+		 * @type {?number} */
+		parent_id: {
+			type: DataTypes.INTEGER,
+			field: 'parent_id',
+			allowNull: true,
+			comment: 'Parent Role ID',
+		},
+
+		/**
+		 * Created At
+		 * @memberOf Role#
+		 * @type {string} */
+		created_at: {
+			type: DataTypes.DATE,
+			field: 'created_at',
+			allowNull: true,
+			comment: 'Created At'
+		}
+	}, {
+		schema: 'user',
+		tableName: 'roles',
+		timestamps: true,
+		createdAt: 'created_at',
+		updatedAt: false,
+	});
+
+	/**
+	 * @public
+	 * @async
+	 * @static
+	 * Load all roles with their own permissions (for `fastify.rbac`)
+	 * @returns {Promise<RbacRoleDefinition[]>} - Roles definitions
+	 */
+	Role.loadDefinitions = async () => {
+		/** @type {Role[]} */
+		const roles = await Role.findAll({
+			include: [{
+				association: 'permissions',
+				attributes: ['name'],
+				through: {attributes: []},
+			}],
+		});
+
+		return roles.map(role => ({
+			id: role.id,
+			name: role.name,
+			title: role.title,
+			parentId: role.parent_id,
+			permissions: (role.permissions || []).map(permission => permission.name),
+		}));
+	};
+
+	return Role;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+
+	const {User, Role, Permission, RolePermission} = require('./../../index');
+
+	Role.belongsTo(Role, {foreignKey: 'parent_id', as: 'parent'});
+	Role.belongsToMany(Permission, {through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id', as: 'permissions'});
+	Permission.belongsToMany(Role, {through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id', as: 'roles'});
+	User.belongsTo(Role, {foreignKey: 'role', as: 'userRole', constraints: false});
+};
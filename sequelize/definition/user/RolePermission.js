@@ -0,0 +1,58 @@
+/**
+ * Role permissions (junction) model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * This is the model class for table "user.role_permissions".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class RolePermission
+	 * Permission granted to the role
+	 * @mixes sequelize#Instance
+	 */
+	const RolePermission = sequelize.define('RolePermission', {
+		/**
+		 * Role ID
+		 * @memberOf RolePermission#
+		 * @type {number} */
+		role_id: {
+			type: DataTypes.INTEGER,
+			field: 'role_id',
+			allowNull: false,
+			primaryKey: true,
+			comment: 'Role ID',
+		},
+
+		/**
+		 * Permission ID
+		 * @memberOf RolePermission#
+		 * @type {number} */
+		permission_id: {
+			type: DataTypes.INTEGER,
+			field: 'permission_id',
+			allowNull: false,
+			primaryKey: true,
+			comment: 'Permission ID',
+		},
+	}, {
+		schema: 'user',
+		tableName: 'role_permissions',
+		timestamps: false,
+	});
+
+	return RolePermission;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+};
@@ -27,21 +27,55 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 	 * @property {string} language - Language ISO code (xx-XX)
 	 * @property {string} timezone - Timezone
 	 *
-	 * @property {Object} security - Security options
-	 * @property {boolean} security.token.invalidate - Invalidated token
-	 *
 	 * @property {Object} activation - Activation options
 	 * @property {boolean} activation.pending - Pending
 	 * @property {?string} activation.requestedOn - Requested date (YYYY-MM-DD HH:mm:ss)
 	 * @property {?string} activation.completedOn - Completed date (YYYY-MM-DD HH:mm:ss)
+	 * @property {?string} activation.token - Activation token
+	 *
+	 * @property {?Object} twoFactor - Two-factor (TOTP) authentication options
+	 * @property {boolean} twoFactor.enabled - Enabled (confirmed) or pending
+	 * @property {string} twoFactor.secret - Encrypted TOTP secret
+	 * @property {string[]} twoFactor.recoveryCodes - Hashed one-time recovery codes
+	 * @property {?number} twoFactor.lastStep - Last used time step (prevents replaying a code)
+	 * @property {?string} twoFactor.enabledOn - Enabled date (YYYY-MM-DD HH:mm:ss)
+	 *
+	 * @property {Object} phone - Phone number options
+	 * @property {?string} phone.number - Verified phone number (E.164 format)
+	 * @property {boolean} phone.isVerified - Verified
+	 * @property {?string} phone.verifiedOn - Verified date (YYYY-MM-DD HH:mm:ss)
+	 * @property {?string} phone.requestedOn - Last code requested date (YYYY-MM-DD HH:mm:ss)
+	 * @property {?Object} phone.verification - Pending verification (number, code and failed attempts)
+	 *
+	 * @property {?Object} deletion - Account deletion options (status is `User.STATUS_DELETED`)
+	 * @property {string} deletion.requestedOn - Requested date (YYYY-MM-DD HH:mm:ss)
+	 * @property {string} deletion.anonymizeOn - Personal data anonymization date (YYYY-MM-DD HH:mm:ss)
+	 * @property {?string} deletion.anonymizedOn - Anonymized date (YYYY-MM-DD HH:mm:ss)
+	 *
+	 * @property {?Object} dataExport - Personal data export options
+	 * @property {string} dataExport.token - Hashed download token
+	 * @property {string} dataExport.path - Archive path (`fastify.fs`)
+	 * @property {string} dataExport.requestedOn - Requested date (YYYY-MM-DD HH:mm:ss)
+	 * @property {string} dataExport.expiresOn - Download link expiry date (YYYY-MM-DD HH:mm:ss)
+	 *
+	 * @property {?Object} emailChange - Pending email change options
+	 * @property {string} emailChange.email - New (unconfirmed) email address
+	 * @property {string} emailChange.token - Confirmation token
+	 * @property {string} emailChange.requestedOn - Requested date (YYYY-MM-DD HH:mm:ss)
 	 *
 	 * @property {Object} password - Password options
 	 * @property {Object} password.reset - Password reset options
 	 * @property {Object} password.reset.lastResetOn - Last reset date (YYYY-MM-DD HH:mm:ss)
+	 * @property {?string} password.reset.requestedOn - Last requested date (YYYY-MM-DD HH:mm:ss)
 	 * @property {number} password.reset.counts - Reset counts
+	 * @property {?Object} password.resetCode - Password reset code options
+	 * @property {string} password.resetCode.code - Reset code
+	 * @property {string} password.resetCode.requestedOn - Requested date (YYYY-MM-DD HH:mm:ss)
+	 * @property {number} password.resetCode.attempts - Failed attempts
 	 * @property {Object} password.changed - Password changed options
 	 * @property {?string} password.changed.lastChangedOn - Last changed date (YYYY-MM-DD HH:mm:ss)
 	 * @property {number} password.changed.counts - Changed counts
+	 * @property {string[]} [password.history] - Previous password hashes (newest first)
 	 *
 	 * @property {Object} login - Login options
 	 * @property {Object} login.history Login - history options
@@ -120,17 +154,6 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 			comment: 'User Role'
 		},
 		
-		/**
-		 * Password
-		 * @memberOf User#
-		 * @type {string} */
-		password: {
-			type: DataTypes.STRING(50),
-			field: 'password',
-			allowNull: false,
-			comment: 'Password'
-		},
-		
 		/**
 		 * Password Hash
 		 * @memberOf User#
@@ -269,6 +292,10 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 		Traits.TRAIT_TYPE_ATTRIBUTE,
 		Traits.TRAIT_USER_SECURITY,
 	]);
+	
+	User.jsonbAttribute = 'meta';
+	User.passwordHashOptions = fastify.config.get('security.passwordHash', {});
+	User.passwordHistorySize = fastify.config.get('account.passwordPolicy.historySize', 0);
 	//</editor-fold>
 	
 	/**
@@ -281,19 +308,18 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 		this.set('meta', {
 			language: 'en-US',
 			timezone: 'UTC',
-			security: {
-				token: {
-					invalidate: false,
-				},
-			},
 			activation: {
 				pending: true,
 				requestedOn: null,
 				completedOn: null,
+				token: null,
 			},
+			emailChange: null,
+			twoFactor: null,
 			password: {
 				reset: {
 					lastResetOn: null,
+					requestedOn: null,
 					counts: 0,
 				},
 				changed: {
@@ -316,6 +342,19 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 		});
 	};
 	
+	/**
+	 * @public
+	 * Activates the account and removes the activation token
+	 */
+	User.prototype.activate = function () {
+		this.set('status', User.STATUS_ACTIVE);
+		this.removeActivationToken();
+		this.setJsonValue('activation', {
+			pending: false,
+			completedOn: moment().utc().format('YYYY-MM-DD HH:mm:ss'),
+		});
+	};
+	
 	/**
 	 * @public
 	 * Returns an ID that can uniquely identify a user identity.
@@ -387,14 +426,12 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 	/**
 	 * @public
 	 * @static
-	 * Get user roles
+	 * Get user roles (see `fastify.rbac`)
 	 * @param {boolean} flip=false - Flip Type values with role keys
 	 * @returns {{string: number}|{number: string}} - User roles {role:type|type:role}
 	 */
 	User.getRoles = ( flip = false ) => {
-		const roles = {
-			[User.ROLE_CUSTOMER]: User.TYPE_CUSTOMER,
-		};
+		const roles = fastify.rbac.getRoles();
 		
 		return flip
 			? R_invertObj(roles)
@@ -406,16 +443,10 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 	 * @static
 	 * Get user role by account type
 	 * @param {number} type - Account type
-	 * @returns {?number} - User role / Not found
+	 * @returns {?string} - User role / Not found
 	 */
 	User.typeToRole = ( type ) => {
-		const roles = {
-			[User.TYPE_CUSTOMER]: User.ROLE_CUSTOMER,
-		};
-		
-		return roles.hasOwnProperty(type)
-			? roles[type]
-			: null;
+		return fastify.rbac.getRoleName(type);
 	};
 	
 	/**
@@ -426,54 +457,85 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 	 * @returns {number|null} - Account Type / Not found
 	 */
 	User.roleToAccountType = ( role ) => {
-		const types = {
-			[User.ROLE_CUSTOMER]: User.TYPE_CUSTOMER,
-		};
+		return fastify.rbac.getRoleId(role);
+	};
+	
+	/**
+	 * @public
+	 * @static
+	 * Get status name by value (e.g., `10` to `ACTIVE`)
+	 * @param {number} status - The status
+	 * @returns {?string} - Status name (`User.STATUS_*` without prefix) / Not found
+	 */
+	User.getStatusName = ( status ) => {
+		/** @type {?string} */
+		const name = Object.keys(User).find(key => /^STATUS_[A-Z_]+$/.test(key)
+			&& +User[key] === +status);
 		
-		return types.hasOwnProperty(role)
-			? types[role]
-			: null;
+		return name ? name.replace(/^STATUS_/, '') : null;
 	};
 	
 	/**
 	 * @public
-	 * Check that current user has given role or not
+	 * Check that current user has given role (or inherits it)
 	 * @param {string} role - User type to check (e.g., User.ROLE_*)
 	 * @returns {boolean} - True when ok / false otherwise
 	 */
 	User.prototype.isRole = function ( role ) {
-		/** @type {string} */
-		const currentRole = User.typeToRole(+this.get('role'));
-		
-		return currentRole === role;
+		return fastify.rbac.hasRole(+this.get('role'), [role]);
+	};
+	
+	/**
+	 * @public
+	 * Check that current user's role grants all the given permissions
+	 * @param {string|string[]} permissions - Required permission(s)
+	 * @returns {boolean} - True when granted / false otherwise
+	 */
+	User.prototype.hasPermission = function ( permissions ) {
+		return fastify.rbac.hasPermissions(+this.get('role'), [].concat(permissions));
 	};
 	
 	/**
 	 * @public
 	 * @static
-	 * Transform raw record into graphql object
-	 * @param {Object|User} record - Record to transform
+	 * Transform raw record into graphql object (`User` type, as seen by the admins)
+	 * @param {User} record - Record to transform
 	 * @param {string} language=null - The Locale ISO to localize data (e.g., ur-PK)
 	 * @return {Object} - Transformed object
 	 */
 	User.toGraphObject = ( record, language = null ) => {
+		/** @type {?string} */
+		const lastLogin = record.getJsonValue('login.history.lastDate');
+		
 		return {
-			id: record.id,
-			// TODO: Add fields
+			id: +record.id,
+			name: record.name,
+			email: record.email,
+			role: {
+				value: record.role,
+				title: record.toType(),
+				type: record.toUserRole(),
+			},
+			status: {
+				value: record.status,
+				title: record.toStatus(),
+			},
+			activated: !record.getJsonValue('activation.pending', false),
+			lastLoginAt: lastLogin ? moment.utc(lastLogin).format() : null,
+			created: moment(record.created_at).utc(true).toISOString(),
 		};
 	};
 	
 	/**
 	 * @public
 	 * @static
-	 * @async
-	 * Transform raw record into graphql owner object (filters basic user info)
+	 * Transform raw record into graphql owner object (`Me` type, filters basic user info)
 	 * @param {User} model - User model to transform
 	 * @param {string} language=null - The Locale ISO to localize data (e.g., ur-PK)
-	 * @return {Promise<Object>} - Promise instance - Transformed object
+	 * @return {Object} - Transformed object
 	 */
-	User.toGraphMeObject = async ( model, language = null ) => {
-		const [firstName, lastName] = model.name.split(' ');
+	User.toGraphMeObject = ( model, language = null ) => {
+		const [firstName, ...lastName] = String(model.name || '').split(' ');
 		
 		const meta = {
 			login: model.getJsonValue('login'),
@@ -499,21 +561,23 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 		return {
 			id: +model.id,
 			firstName,
-			lastName,
+			lastName: lastName.join(' '),
 			email: model.email,
-			accountType: {
+			// Accounts are identified by the email address
+			username: model.email,
+			role: {
 				value: model.role,
 				title: model.toType(),
 				type: model.toUserRole(),
 			},
-			language: model.getJsonValue('language'),
-			timezone: model.getJsonValue('timezone'),
+			language: model.getJsonValue('language') || 'en-US',
+			timezone: model.getJsonValue('timezone') || 'UTC',
 			created: moment(model.created_at).utc(true).toISOString(),
 			status: {
 				value: model.status,
 				title: model.toStatus(),
 			},
-			meta,
+			metaMapped: meta,
 		};
 	};
 	
@@ -521,13 +585,14 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 	 * @public
 	 * @static
 	 * Filter the User id and return proper ID.
+	 * @param {FastifyIdentity} user - Current user identity (e.g., `getIdentity(request)`)
 	 * @param {number} [userId] - (optional) integer User ID | null Use current logged in User ID
 	 * @param {boolean} allowGuest=true - False will throw exception when no logged in user.
 	 * @returns {number|null} - User ID / Not found
 	 * @throws {Error} - When guest user is not allowed.
 	 */
-	User.getProperId = ( userId = null, allowGuest = true ) => {
-		if ( fastify.user.isGuest && userId === null ) {
+	User.getProperId = ( user, userId = null, allowGuest = true ) => {
+		if ( user.isGuest && userId === null ) {
 			if ( allowGuest ) {
 				return null;
 			}
@@ -536,7 +601,7 @@ module.exports = ( sequelize, DataTypes, fastify ) => {
 		}
 		
 		return !userId
-			? fastify.user.id
+			? user.id
 			: userId;
 	};
 	
@@ -0,0 +1,145 @@
+/**
+ * User external (social login) identity model
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {recursive} = require('merge');
+
+/**
+ * This is the model class for table "user.identities".
+ * @param {sequelize~Sequelize} sequelize - Sequelize instance
+ * @param {sequelize~DataTypes} DataTypes - Sequelize data types
+ * @param {FastifyServer} fastify - Fastify instance
+ */
+module.exports = ( sequelize, DataTypes, fastify ) => {
+	/**
+	 * @class UserIdentity
+	 * User external identity model (one per linked provider account)
+	 * @mixes sequelize#Instance
+	 */
+	const UserIdentity = sequelize.define('UserIdentity', {
+		/**
+		 * ID
+		 * @memberOf UserIdentity#
+		 * @type {number} */
+		id: {
+			type: DataTypes.INTEGER,
+			field: 'id',
+			allowNull: false,
+			primaryKey: true,
+			autoIncrement: true,
+			comment: 'ID',
+		},
+
+		/**
+		 * User ID
+		 * @memberOf UserIdentity#
+		 * @type {number} */
+		user_id: {
+			type: DataTypes.INTEGER,
+			field: 'user_id',
+			allowNull: false,
+			comment: 'User ID',
+		},
+
+		/**
+		 * Provider name (e.g., google, github)
+		 * @memberOf UserIdentity#
+		 * @type {string} */
+		provider: {
+			type: DataTypes.STRING(40),
+			field: 'provider',
+			allowNull: false,
+			comment: 'Provider',
+		},
+
+		/**
+		 * User ID at the provider
+		 * @memberOf UserIdentity#
+		 * @type {string} */
+		provider_uid: {
+			type: DataTypes.STRING(255),
+			field: 'provider_uid',
+			allowNull: false,
+			comment: 'Provider User ID',
+		},
+
+		/**
+		 * Email address at the provider
+		 * @memberOf UserIdentity#
+		 * @type {?string} */
+		email: {
+			type: DataTypes.STRING(255),
+			field: 'email',
+			allowNull: true,
+			comment: 'Email Address',
+		},
+
+		/**
+		 * Metadata (profile name, last login)
+		 * @memberOf UserIdentity#
+		 * @type {Object} */
+		meta: {
+			type: DataTypes.JSONB,
+			field: 'meta',
+			allowNull: true,
+			defaultValue: '{}',
+			comment: 'Metadata'
+		},
+
+		/**
+		 * Created At
+		 * @memberOf UserIdentity#
+		 * @type {string} */
+		created_at: {
+			type: DataTypes.DATE,
+			field: 'created_at',
+			allowNull: true,
+			comment: 'Created At'
+		}
+	}, {
+		schema: 'user',
+		tableName: 'identities',
+		timestamps: true,
+		createdAt: 'created_at',
+		updatedAt: false,
+		indexes: [
+			{unique: true, fields: ['provider', 'provider_uid']},
+		],
+	});
+
+	/**
+	 * @public
+	 * @async
+	 * @static
+	 * Find identity by provider's user ID
+	 * @param {string} provider - Provider name
+	 * @param {string|number} uid - User ID at the provider
+	 * @param {sequelize~FindOptions} findOptions={} - Sequelize find options
+	 * @returns {Promise<UserIdentity|null>} - Promise instance (Model / Not found)
+	 */
+	UserIdentity.findByProvider = async ( provider, uid, findOptions = {} ) => {
+		return await UserIdentity.findOne(recursive(true, {
+			where: {
+				provider: String(provider),
+				provider_uid: String(uid),
+			},
+		}, findOptions));
+	};
+
+	return UserIdentity;
+};
+
+/**
+ * Initialize relations
+ */
+module.exports.initRelations = () => {
+	delete module.exports.initRelations; // Destroy itself to prevent repeated calls.
+
+	const {User, UserIdentity} = require('./../../index');
+
+	UserIdentity.belongsTo(User, {foreignKey: 'user_id', as: 'user'});
+	User.hasMany(UserIdentity, {foreignKey: 'user_id', as: 'identities'});
+};
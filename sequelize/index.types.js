@@ -8,5 +8,12 @@
  * @typedef SequelizeModels
  * Sequelize models
  *
+ * @property {sequelize.Model&AdminAction.} AdminAction model
+ * @property {sequelize.Model&ApiKey.} ApiKey model
+ * @property {sequelize.Model&AuthEvent.} AuthEvent model
+ * @property {sequelize.Model&Permission.} Permission model
+ * @property {sequelize.Model&Role.} Role model
+ * @property {sequelize.Model&RolePermission.} RolePermission model
  * @property {sequelize.Model&User.} User model
+ * @property {sequelize.Model&UserIdentity.} UserIdentity model
  */
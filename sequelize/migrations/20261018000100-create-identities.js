@@ -0,0 +1,70 @@
+/**
+ * Create the social login identities table
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** @type {{tableName: string, schema: string}} */
+const table = {tableName: 'identities', schema: 'user'};
+
+module.exports = {
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @param {sequelize~Sequelize} Sequelize - Sequelize
+	 * @returns {Promise<void>}
+	 */
+	up: async ( queryInterface, Sequelize ) => {
+		await queryInterface.createTable(table, {
+			id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				primaryKey: true,
+				autoIncrement: true,
+				comment: 'ID',
+			},
+			user_id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				comment: 'User ID',
+			},
+			provider: {
+				type: Sequelize.STRING(40),
+				allowNull: false,
+				comment: 'Provider',
+			},
+			provider_uid: {
+				type: Sequelize.STRING(255),
+				allowNull: false,
+				comment: 'Provider User ID',
+			},
+			email: {
+				type: Sequelize.STRING(255),
+				allowNull: true,
+				comment: 'Email Address',
+			},
+			meta: {
+				type: Sequelize.JSONB,
+				allowNull: true,
+				defaultValue: {},
+				comment: 'Metadata',
+			},
+			created_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Created At',
+			},
+		});
+
+		await queryInterface.addIndex(table, ['provider', 'provider_uid'], {unique: true});
+		await queryInterface.addIndex(table, ['user_id']);
+	},
+
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @returns {Promise<void>}
+	 */
+	down: async queryInterface => {
+		await queryInterface.dropTable(table);
+	},
+};
@@ -0,0 +1,79 @@
+/**
+ * Create the authentication audit log table
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** @type {{tableName: string, schema: string}} */
+const table = {tableName: 'auth_events', schema: 'user'};
+
+module.exports = {
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @param {sequelize~Sequelize} Sequelize - Sequelize
+	 * @returns {Promise<void>}
+	 */
+	up: async ( queryInterface, Sequelize ) => {
+		await queryInterface.createTable(table, {
+			id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				primaryKey: true,
+				autoIncrement: true,
+				comment: 'ID',
+			},
+			user_id: {
+				type: Sequelize.INTEGER,
+				allowNull: true,
+				comment: 'User ID',
+			},
+			type: {
+				type: Sequelize.STRING(40),
+				allowNull: false,
+				comment: 'Type',
+			},
+			reason: {
+				type: Sequelize.STRING(60),
+				allowNull: true,
+				comment: 'Reason Code',
+			},
+			email: {
+				type: Sequelize.STRING(255),
+				allowNull: true,
+				comment: 'Email Address',
+			},
+			ip: {
+				type: Sequelize.STRING(45),
+				allowNull: true,
+				comment: 'IP Address',
+			},
+			user_agent: {
+				type: Sequelize.STRING(512),
+				allowNull: true,
+				comment: 'User Agent',
+			},
+			session_id: {
+				type: Sequelize.STRING(64),
+				allowNull: true,
+				comment: 'Session ID',
+			},
+			created_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Created At',
+			},
+		});
+
+		await queryInterface.addIndex(table, ['user_id', 'created_at']);
+		await queryInterface.addIndex(table, ['ip']);
+	},
+
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @returns {Promise<void>}
+	 */
+	down: async queryInterface => {
+		await queryInterface.dropTable(table);
+	},
+};
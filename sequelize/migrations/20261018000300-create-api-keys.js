@@ -0,0 +1,90 @@
+/**
+ * Create the personal API keys table
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** @type {{tableName: string, schema: string}} */
+const table = {tableName: 'api_keys', schema: 'user'};
+
+module.exports = {
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @param {sequelize~Sequelize} Sequelize - Sequelize
+	 * @returns {Promise<void>}
+	 */
+	up: async ( queryInterface, Sequelize ) => {
+		await queryInterface.createTable(table, {
+			id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				primaryKey: true,
+				autoIncrement: true,
+				comment: 'ID',
+			},
+			user_id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				comment: 'User ID',
+			},
+			name: {
+				type: Sequelize.STRING(60),
+				allowNull: false,
+				comment: 'Name',
+			},
+			prefix: {
+				type: Sequelize.STRING(20),
+				allowNull: false,
+				comment: 'Prefix',
+			},
+			key_hash: {
+				type: Sequelize.STRING(64),
+				allowNull: false,
+				unique: true,
+				comment: 'Key Hash',
+			},
+			scopes: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: [],
+				comment: 'Scopes',
+			},
+			expires_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Expires At',
+			},
+			last_used_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Last Used At',
+			},
+			last_used_ip: {
+				type: Sequelize.STRING(45),
+				allowNull: true,
+				comment: 'Last Used IP',
+			},
+			revoked_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Revoked At',
+			},
+			created_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Created At',
+			},
+		});
+
+		await queryInterface.addIndex(table, ['user_id']);
+	},
+
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @returns {Promise<void>}
+	 */
+	down: async queryInterface => {
+		await queryInterface.dropTable(table);
+	},
+};
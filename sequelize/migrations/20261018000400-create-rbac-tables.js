@@ -0,0 +1,148 @@
+/**
+ * Create the roles, permissions and role permissions tables, seeds the built-in roles and permissions
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** @type {Object.<string, {tableName: string, schema: string}>} */
+const tables = {
+	roles: {tableName: 'roles', schema: 'user'},
+	permissions: {tableName: 'permissions', schema: 'user'},
+	rolePermissions: {tableName: 'role_permissions', schema: 'user'},
+};
+
+/**
+ * Built-in roles (CUSTOMER is `User.TYPE_CUSTOMER`, the role of the new accounts)
+ * @type {Array<{id: number, name: string, title: string, parent_id: ?number}>} */
+const roles = [
+	{id: 3, name: 'CUSTOMER', title: 'Customer', parent_id: null},
+	{id: 10, name: 'ADMIN', title: 'Administrator', parent_id: 3},
+];
+
+/**
+ * Permissions referenced by the schema (`@hasPermission`) and the code
+ * @type {Array<{id: number, name: string, description: string}>} */
+const permissions = [
+	{id: 1, name: 'users.read', description: 'Find the users'},
+	{id: 2, name: 'users.manage', description: 'Change the status, role and password of the users'},
+	{id: 3, name: 'users.impersonate', description: 'Act as the users'},
+];
+
+/**
+ * Permissions granted to the roles
+ * @type {Array<{role_id: number, permission_id: number}>} */
+const rolePermissions = [
+	{role_id: 10, permission_id: 1},
+	{role_id: 10, permission_id: 2},
+	{role_id: 10, permission_id: 3},
+];
+
+module.exports = {
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @param {sequelize~Sequelize} Sequelize - Sequelize
+	 * @returns {Promise<void>}
+	 */
+	up: async ( queryInterface, Sequelize ) => {
+		await queryInterface.sequelize.transaction(async transaction => {
+			await queryInterface.createTable(tables.roles, {
+				id: {
+					type: Sequelize.INTEGER,
+					allowNull: false,
+					primaryKey: true,
+					autoIncrement: true,
+					comment: 'ID',
+				},
+				name: {
+					type: Sequelize.STRING(40),
+					allowNull: false,
+					unique: true,
+					comment: 'Name',
+				},
+				title: {
+					type: Sequelize.STRING(60),
+					allowNull: true,
+					comment: 'Title',
+				},
+				parent_id: {
+					type: Sequelize.INTEGER,
+					allowNull: true,
+					references: {model: tables.roles, key: 'id'},
+					onDelete: 'SET NULL',
+					comment: 'Parent Role ID',
+				},
+				created_at: {
+					type: Sequelize.DATE,
+					allowNull: true,
+					comment: 'Created At',
+				},
+			}, {transaction});
+
+			await queryInterface.createTable(tables.permissions, {
+				id: {
+					type: Sequelize.INTEGER,
+					allowNull: false,
+					primaryKey: true,
+					autoIncrement: true,
+					comment: 'ID',
+				},
+				name: {
+					type: Sequelize.STRING(80),
+					allowNull: false,
+					unique: true,
+					comment: 'Name',
+				},
+				description: {
+					type: Sequelize.STRING(255),
+					allowNull: true,
+					comment: 'Description',
+				},
+			}, {transaction});
+
+			await queryInterface.createTable(tables.rolePermissions, {
+				role_id: {
+					type: Sequelize.INTEGER,
+					allowNull: false,
+					primaryKey: true,
+					references: {model: tables.roles, key: 'id'},
+					onDelete: 'CASCADE',
+					comment: 'Role ID',
+				},
+				permission_id: {
+					type: Sequelize.INTEGER,
+					allowNull: false,
+					primaryKey: true,
+					references: {model: tables.permissions, key: 'id'},
+					onDelete: 'CASCADE',
+					comment: 'Permission ID',
+				},
+			}, {transaction});
+
+			/** @type {Date} */
+			const now = new Date();
+
+			await queryInterface.bulkInsert(tables.roles, roles.map(role => ({...role, created_at: now})), {transaction});
+			await queryInterface.bulkInsert(tables.permissions, permissions, {transaction});
+			await queryInterface.bulkInsert(tables.rolePermissions, rolePermissions, {transaction});
+
+			// The IDs were given explicitly, the sequences continue after them
+			for ( const table of [tables.roles, tables.permissions] ) {
+				await queryInterface.sequelize.query(
+					`SELECT setval(pg_get_serial_sequence('"${table.schema}"."${table.tableName}"', 'id'), (SELECT MAX(id) FROM "${table.schema}"."${table.tableName}"))`,
+					{transaction},
+				);
+			}
+		});
+	},
+
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @returns {Promise<void>}
+	 */
+	down: async queryInterface => {
+		await queryInterface.dropTable(tables.rolePermissions);
+		await queryInterface.dropTable(tables.permissions);
+		await queryInterface.dropTable(tables.roles);
+	},
+};
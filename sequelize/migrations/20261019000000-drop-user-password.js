@@ -0,0 +1,33 @@
+/**
+ * Drop the legacy unsalted sha1 `password` column (`password_hash` is used instead)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** @type {{tableName: string, schema: string}} */
+const table = {tableName: 'users', schema: 'user'};
+
+module.exports = {
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @returns {Promise<void>}
+	 */
+	up: async queryInterface => {
+		await queryInterface.removeColumn(table, 'password');
+	},
+
+	/**
+	 * The old values can't be restored, the column is added back as nullable
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @param {sequelize~Sequelize} Sequelize - Sequelize
+	 * @returns {Promise<void>}
+	 */
+	down: async ( queryInterface, Sequelize ) => {
+		await queryInterface.addColumn(table, 'password', {
+			type: Sequelize.STRING(50),
+			allowNull: true,
+			comment: 'Password',
+		});
+	},
+};
@@ -0,0 +1,70 @@
+/**
+ * Create the admin actions audit log table
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/** @type {{tableName: string, schema: string}} */
+const table = {tableName: 'admin_actions', schema: 'user'};
+
+module.exports = {
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @param {sequelize~Sequelize} Sequelize - Sequelize
+	 * @returns {Promise<void>}
+	 */
+	up: async ( queryInterface, Sequelize ) => {
+		await queryInterface.createTable(table, {
+			id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				primaryKey: true,
+				autoIncrement: true,
+				comment: 'ID',
+			},
+			admin_id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				comment: 'Admin ID',
+			},
+			user_id: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				comment: 'User ID',
+			},
+			action: {
+				type: Sequelize.STRING(40),
+				allowNull: false,
+				comment: 'Action',
+			},
+			changes: {
+				type: Sequelize.JSONB,
+				allowNull: true,
+				defaultValue: {},
+				comment: 'Changes',
+			},
+			ip: {
+				type: Sequelize.STRING(45),
+				allowNull: true,
+				comment: 'IP Address',
+			},
+			created_at: {
+				type: Sequelize.DATE,
+				allowNull: true,
+				comment: 'Created At',
+			},
+		});
+
+		await queryInterface.addIndex(table, ['user_id', 'created_at']);
+		await queryInterface.addIndex(table, ['admin_id']);
+	},
+
+	/**
+	 * @param {sequelize~QueryInterface} queryInterface - Query interface
+	 * @returns {Promise<void>}
+	 */
+	down: async queryInterface => {
+		await queryInterface.dropTable(table);
+	},
+};
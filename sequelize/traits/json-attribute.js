@@ -82,9 +82,19 @@ module.exports = model => {
 	 * Set json value
 	 * @name JsonbTrait#setJsonValue
 	 * @param {Array<number|string>|number|string} path Key name of the property followed by dots (.) element
-	 * @param {(string|number|object|array|*)} value the value to be written
+	 * @param {(string|number|object|array|*)} value the value to be written (null clears the property)
 	 */
 	model.prototype.setJsonValue = function ( path, value ) {
+		// Merging skips the null values over objects
+		if ( value === null ) {
+			let newData = merge.recursive(true, this[model.jsonbAttribute], {});
+			objectPath.set(newData, path, null);
+
+			this.set(model.jsonbAttribute, newData);
+			this.changed(model.jsonbAttribute, true);
+			return;
+		}
+
 		let newData = {};
 		objectPath.set(newData, path, value);
 
@@ -5,12 +5,13 @@
  * @since 2021-06-17
  */
 
-const bcryptjs = require('bcryptjs');
-const {nanoid} = require('nanoid');
-const sha1 = require('sha1');
+const {nanoid, customAlphabet} = require('nanoid');
 const moment = require('moment');
 const {recursive} = require('merge');
 
+// Utils
+const PasswordHasher = require('./../../../helpers/password-hasher');
+
 /**
  * @private
  * Return current Unix timestamp
@@ -23,29 +24,28 @@ function time ( utc = false ) {
 		: moment().unix();
 }
 
-/**
- * Method `generatePasswordHash` accepts the following options:
- * @typedef GeneratePasswordHashOptions
- * @property {number} cost - Which denotes the algorithmic cost that should be used. (Defaults to 10)
- */
-
 /**
  * @private
- * Generates a secure hash from a password and a random salt.
- * @param {string} password - Password to verify
- * @param {GeneratePasswordHashOptions} options={} - Additional options
- * @returns {boolean} - Whether the password is correct
+ * Finds out if a timestamp suffixed token (e.g., `xxxx_1624000000`) is still valid
+ * @param {string} token - The token
+ * @param {number} expire - Token expiry in seconds
+ * @return {boolean} - True when valid / False otherwise
  */
-function generatePasswordHash ( password, options = {} ) {
-	/** @type {GeneratePasswordHashOptions} */
-	options = recursive(true, {
-		cost: 10,
-	}, options);
-
+function isTimedTokenValid ( token, expire ) {
 	/** @type {string} */
-	const salt = bcryptjs.genSaltSync(options.cost);
+	const theToken = String(token || '').trim();
+
+	if ( !theToken ) {
+		return false;
+	}
 
-	return bcryptjs.hashSync(password, salt);
+	const [timestamp] = theToken.split('_').slice(-1);
+
+	if ( !timestamp || !Number(timestamp) || isNaN(timestamp) ) {
+		return false;
+	}
+
+	return Number(timestamp) + Number(expire) > time();
 }
 
 /**
@@ -56,27 +56,65 @@ function generatePasswordHash ( password, options = {} ) {
 module.exports = model => {
 	/**
 	 * Configuration params
-	 * @type {{PasswordResetTokenLength: number, authKeyLength: number, passwordResetTokenExpire: number}}
+	 * @type {{PasswordResetTokenLength: number, authKeyLength: number, passwordResetTokenExpire: number,
+	 * activationTokenExpire: number, activationTokenLength: number, emailChangeTokenExpire: number,
+	 * emailChangeTokenLength: number, phoneVerificationCodeExpire: number, phoneVerificationCodeLength: number}}
 	 */
 	const params = {
 		/** Password token expiry in seconds */
 		passwordResetTokenExpire: 3600, // 3600 = 1 hour
 		/** Password token chars length */
 		PasswordResetTokenLength: 32,
+		/** Password reset code digits length */
+		passwordResetCodeLength: 8,
 		/** Authorization key chars length */
 		authKeyLength: 32,
+		/** Activation token expiry in seconds */
+		activationTokenExpire: 86400, // 86400 = 1 day
+		/** Activation token chars length */
+		activationTokenLength: 32,
+		/** Email change token expiry in seconds */
+		emailChangeTokenExpire: 86400, // 86400 = 1 day
+		/** Email change token chars length */
+		emailChangeTokenLength: 32,
+		/** Phone verification code expiry in seconds */
+		phoneVerificationCodeExpire: 600, // 600 = 10 minutes
+		/** Phone verification code digits length */
+		phoneVerificationCodeLength: 6,
 	};
 
 	/**
 	 * @public
 	 * Generates password hash from password and sets it to the model
+	 * <br>Uses `model.passwordHashOptions` (see `PasswordHashOptions`), the previous hash is kept
+	 * in `password.history` (the current one and `model.passwordHistorySize - 1` previous hashes)
 	 * @name UserSecurityTrait.setPassword
 	 * @param {string} password - Password to set
-	 * @returns {boolean} - Whether the password is correct
 	 */
 	model.prototype.setPassword = function ( password ) {
-		this.set('password', sha1(password));
-		this.set('password_hash', generatePasswordHash(password));
+		/** @type {?string} */
+		const previous = this.get('password_hash');
+
+		/** @type {number} */
+		const keep = Math.max(Number(model.passwordHistorySize || 0) - 1, 0);
+
+		if ( previous && keep ) {
+			this.setJsonValue('password.history',
+				[previous, ...this.getJsonValue('password.history', []) || []].slice(0, keep));
+		}
+
+		this.set('password_hash', PasswordHasher.hash(password, model.passwordHashOptions));
+	};
+
+	/**
+	 * @public
+	 * Replaces the password hash with the one of the current algorithm and parameters
+	 * <br>Same password, so the history is kept as is
+	 * @name UserSecurityTrait.rehashPassword
+	 * @param {string} password - Current (verified) password
+	 */
+	model.prototype.rehashPassword = function ( password ) {
+		this.set('password_hash', PasswordHasher.hash(password, model.passwordHashOptions));
 	};
 
 	/**
@@ -87,7 +125,17 @@ module.exports = model => {
 	 * @returns {boolean} - Whether the password is correct
 	 */
 	model.prototype.validatePassword = function ( password ) {
-		return bcryptjs.compareSync(password, this.get('password_hash'));
+		return PasswordHasher.verify(password, this.get('password_hash'));
+	};
+
+	/**
+	 * @public
+	 * Finds out the password hash was made by an outdated algorithm or parameters
+	 * @name UserSecurityTrait.needsPasswordRehash
+	 * @returns {boolean} - True when outdated / False otherwise
+	 */
+	model.prototype.needsPasswordRehash = function () {
+		return PasswordHasher.needsRehash(this.get('password_hash'), model.passwordHashOptions);
 	};
 
 	/**
@@ -101,6 +149,22 @@ module.exports = model => {
 		this.set('password_reset_token', `${code}_${time()}`);
 	};
 
+	/**
+	 * @public
+	 * Generates new password reset code (sent along with the token)
+	 * @name UserSecurityTrait.generatePasswordResetCode
+	 */
+	model.prototype.generatePasswordResetCode = function () {
+		/** @type {function(): string} */
+		const generate = customAlphabet('0123456789', params.passwordResetCodeLength);
+
+		this.setJsonValue('password.resetCode', {
+			code: generate(),
+			requestedOn: moment().utc().format('YYYY-MM-DD HH:mm:ss'),
+			attempts: 0,
+		});
+	};
+
 	/**
 	 * Method `findByPasswordResetToken` accepts the following options:
 	 * @typedef FindByPasswordResetTokenOptions
@@ -162,69 +226,134 @@ module.exports = model => {
 			expire: params.passwordResetTokenExpire,
 		}, options);
 
+		return isTimedTokenValid(token, options.expire);
+	};
+
+	/**
+	 * @public
+	 * Removes password reset token
+	 * @name UserSecurityTrait.removePasswordResetToken
+	 */
+	model.prototype.removePasswordResetToken = function () {
+		this.set('password_reset_token', null);
+	};
+
+	/**
+	 * Method `isPasswordResetCodeExpired` accepts the following options:
+	 * @typedef IsPasswordResetCodeExpiredOptions
+	 * @property {number} expire - password reset code expire in seconds (Defaults to 3600)
+	 */
+
+	/**
+	 * @public
+	 * Finds out if the pending password reset code has expired
+	 * @name UserSecurityTrait.isPasswordResetCodeExpired
+	 * @param {IsPasswordResetCodeExpiredOptions} options={} - Additional options
+	 * @return {boolean} - True when expired / False otherwise
+	 */
+	model.prototype.isPasswordResetCodeExpired = function ( options = {} ) {
+		/** @type {IsPasswordResetCodeExpiredOptions} */
+		options = recursive(true, {
+			expire: params.passwordResetTokenExpire,
+		}, options);
+
 		/** @type {string} */
-		const theToken = String(token).trim();
+		const requestedOn = this.getJsonValue('password.resetCode.requestedOn', '');
 
-		if ( !theToken ) {
-			return false;
-		}
+		const reqDate = moment(requestedOn)
+			.utc(true)
+			.add(options.expire, 'seconds');
 
-		const [timestamp] = theToken.split('_').slice(-1);
+		return moment().utc().isAfter(reqDate, 'seconds');
+	};
 
-		if ( !timestamp || !Number(timestamp) || isNaN(timestamp) ) {
-			return false;
-		}
+	/**
+	 * @public
+	 * Finds out if the given code matches the pending password reset code (the expiry is not checked)
+	 * @name UserSecurityTrait.isPasswordResetCodeValid
+	 * @param {string} code - Password reset code
+	 * @return {boolean} - True when valid / False otherwise
+	 */
+	model.prototype.isPasswordResetCodeValid = function ( code ) {
+		/** @type {string} */
+		const theCode = String(code || '').trim();
 
-		/** @type {number} */
-		const expire = Number(timestamp) + Number(options.expire);
+		/** @type {string} */
+		const pending = String(this.getJsonValue('password.resetCode.code', '') || '');
 
-		return expire > time();
+		return !!theCode && !!pending && theCode === pending;
 	};
 
 	/**
 	 * @public
-	 * Removes password reset token
-	 * @name UserSecurityTrait.removePasswordResetToken
+	 * Removes password reset code
+	 * @name UserSecurityTrait.removePasswordResetCode
+	 * @see UserSecurityTrait.removePasswordResetToken
 	 */
-	model.prototype.removePasswordResetToken = function () {
-		this.set('password_reset_token', null);
+	model.prototype.removePasswordResetCode = function () {
+		this.removePasswordResetToken();
+		this.setJsonValue('password.resetCode', null);
 	};
 
 	/**
-	 * Method `findByPasswordResetCode` accepts the following options:
-	 * @typedef FindByPasswordResetCodeOptions
-	 * @property {number} expire - password reset token expire in seconds (Defaults to 3600)
+	 * @public
+	 * Generates new account activation token
+	 * @name UserSecurityTrait.generateActivationToken
+	 */
+	model.prototype.generateActivationToken = function () {
+		/** @type {string} */
+		const code = nanoid(params.activationTokenLength);
+		this.setJsonValue('activation.token', `${code}_${time()}`);
+		this.setJsonValue('activation.requestedOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+	};
+
+	/**
+	 * Method `isActivationTokenValid` accepts the following options:
+	 * @typedef IsActivationTokenValidOptions
+	 * @property {number} expire - Activation token expire in seconds (Defaults to 86400)
 	 */
 
 	/**
 	 * @public
 	 * @static
-	 * @async
-	 * Finds user by password reset code
-	 * @name UserSecurityTrait.findByPasswordResetCode
-	 * @param {string} code - Password reset code
-	 * @param {sequelize~FindOptions} findOptions={} - Sequelize find options
-	 * @param {IsPasswordResetTokenValidOptions} options={} - Additional options
-	 * @return {Promise<User|null|boolean>} - Promise instance (Model instance / Not found)
+	 * Finds out if account activation token is valid
+	 * @name UserSecurityTrait.isActivationTokenValid
+	 * @param {string} token - Activation token
+	 * @param {IsActivationTokenValidOptions} options={} - Additional options
+	 * @return {boolean} - True when valid / False otherwise
 	 */
-	model.findByPasswordResetCode = async ( code, findOptions = {}, options = {} ) => {
-		/** @type {IsPasswordResetTokenValidOptions} */
+	model.isActivationTokenValid = ( token, options = {} ) => {
+		/** @type {IsActivationTokenValidOptions} */
 		options = recursive(true, {
-			expire: params.passwordResetTokenExpire,
+			expire: params.activationTokenExpire,
 		}, options);
 
+		return isTimedTokenValid(token, options.expire);
+	};
+
+	/**
+	 * @public
+	 * @static
+	 * @async
+	 * Finds user by account activation token
+	 * @name UserSecurityTrait.findByActivationToken
+	 * @param {string} token - Activation token
+	 * @param {sequelize~FindOptions} findOptions={} - Sequelize find options
+	 * @param {IsActivationTokenValidOptions} options={} - Additional options
+	 * @return {Promise<User|null|boolean>} - Promise instance (Model instance / Not found / Expired)
+	 */
+	model.findByActivationToken = async ( token, findOptions = {}, options = {} ) => {
 		/** @type {string} */
-		const theCode = String(code).trim();
+		const theToken = String(token || '').trim();
 
-		if ( !theCode ) {
+		if ( !theToken ) {
 			return null;
 		}
 
 		/** @type {sequelize~FindOptions} */
 		const seqFindOptions = recursive(true, {
 			where: {
-				password_reset_token: theCode,
-				'config.password.resetCode.code::VARCHAR': theCode
+				[`${model.jsonbAttribute}.activation.token`]: theToken,
 			},
 		}, findOptions);
 
@@ -235,27 +364,170 @@ module.exports = model => {
 			return null;
 		}
 
+		return model.isActivationTokenValid(theToken, options)
+			? record
+			: false;
+	};
+
+	/**
+	 * @public
+	 * Removes account activation token
+	 * @name UserSecurityTrait.removeActivationToken
+	 */
+	model.prototype.removeActivationToken = function () {
+		this.setJsonValue('activation.token', null);
+	};
+
+	/**
+	 * @public
+	 * Generates new email change token for the given (unconfirmed) email address
+	 * @name UserSecurityTrait.generateEmailChangeToken
+	 * @param {string} email - New email address
+	 */
+	model.prototype.generateEmailChangeToken = function ( email ) {
 		/** @type {string} */
-		const requestedOn = record.getJsonValue ('password.resetCode.requestedOn', '');
-		
-		const reqDate = moment(requestedOn)
-			.utc(true)
-			.add(options.expire, 'seconds');
-		
-		return moment().utc().isAfter(reqDate, 'seconds')
-			? false
-			: record;
+		const code = nanoid(params.emailChangeTokenLength);
+
+		this.setJsonValue('emailChange', {
+			email: String(email).toLowerCase(),
+			token: `${code}_${time()}`,
+			requestedOn: moment().utc().format('YYYY-MM-DD HH:mm:ss'),
+		});
+	};
+
+	/**
+	 * Method `isEmailChangeTokenValid` accepts the following options:
+	 * @typedef IsEmailChangeTokenValidOptions
+	 * @property {number} expire - Email change token expire in seconds (Defaults to 86400)
+	 */
+
+	/**
+	 * @public
+	 * Finds out if the given email change token matches the pending one and is not expired
+	 * @name UserSecurityTrait.isEmailChangeTokenValid
+	 * @param {string} token - Email change token
+	 * @param {IsEmailChangeTokenValidOptions} options={} - Additional options
+	 * @return {boolean} - True when valid / False otherwise
+	 */
+	model.prototype.isEmailChangeTokenValid = function ( token, options = {} ) {
+		/** @type {IsEmailChangeTokenValidOptions} */
+		options = recursive(true, {
+			expire: params.emailChangeTokenExpire,
+		}, options);
+
+		/** @type {string} */
+		const theToken = String(token || '').trim();
+
+		return !!theToken
+			&& theToken === this.getJsonValue('emailChange.token')
+			&& isTimedTokenValid(theToken, options.expire);
 	};
 
 	/**
 	 * @public
-	 * Removes password reset code
-	 * @name UserSecurityTrait.removePasswordResetCode
-	 * @see UserSecurityTrait.removePasswordResetToken
+	 * Removes pending email change
+	 * @name UserSecurityTrait.removeEmailChangeToken
 	 */
-	model.prototype.removePasswordResetCode = function () {
-		this.removePasswordResetToken();
-		this.setJsonValue('password.resetCode', null);
+	model.prototype.removeEmailChangeToken = function () {
+		this.setJsonValue('emailChange', null);
+	};
+
+	/**
+	 * @public
+	 * @static
+	 * @async
+	 * Find user by the verified phone number
+	 * @name UserSecurityTrait.findByPhoneNumber
+	 * @param {string} number - Phone number (E.164 format)
+	 * @param {sequelize~FindOptions} findOptions={} - Sequelize find options
+	 * @return {Promise<User|null>} - Promise instance (User model / Not found)
+	 */
+	model.findByPhoneNumber = async ( number, findOptions = {} ) => {
+		return await model.findOne(recursive(true, {
+			where: {
+				[`${model.jsonbAttribute}.phone.number::VARCHAR`]: String(number),
+			},
+		}, findOptions));
+	};
+
+	/**
+	 * @public
+	 * Generates new verification code for the given (unverified) phone number
+	 * <br>The verified number (if any) is kept until the new one is verified
+	 * @name UserSecurityTrait.generatePhoneVerificationCode
+	 * @param {string} number - New phone number (E.164 format)
+	 * @returns {string} - The code to send
+	 */
+	model.prototype.generatePhoneVerificationCode = function ( number ) {
+		/** @type {function(): string} */
+		const generate = customAlphabet('0123456789', params.phoneVerificationCodeLength);
+
+		/** @type {string} */
+		const code = generate();
+
+		this.setJsonValue('phone.verification', {
+			number: String(number),
+			code: `${code}_${time()}`,
+			attempts: 0,
+		});
+
+		this.setJsonValue('phone.requestedOn', moment().utc().format('YYYY-MM-DD HH:mm:ss'));
+
+		return code;
+	};
+
+	/**
+	 * Method `isPhoneVerificationCodeValid` accepts the following options:
+	 * @typedef IsPhoneVerificationCodeValidOptions
+	 * @property {number} expire - Phone verification code expire in seconds (Defaults to 600)
+	 */
+
+	/**
+	 * @public
+	 * Finds out if the given code matches the pending phone verification and is not expired
+	 * @name UserSecurityTrait.isPhoneVerificationCodeValid
+	 * @param {string} code - Verification code
+	 * @param {IsPhoneVerificationCodeValidOptions} options={} - Additional options
+	 * @return {boolean} - True when valid / False otherwise
+	 */
+	model.prototype.isPhoneVerificationCodeValid = function ( code, options = {} ) {
+		/** @type {IsPhoneVerificationCodeValidOptions} */
+		options = recursive(true, {
+			expire: params.phoneVerificationCodeExpire,
+		}, options);
+
+		/** @type {string} */
+		const theCode = String(code || '').trim();
+
+		/** @type {string} */
+		const pending = String(this.getJsonValue('phone.verification.code', '') || '');
+
+		return !!theCode
+			&& `${theCode}_${pending.split('_').pop()}` === pending
+			&& isTimedTokenValid(pending, options.expire);
+	};
+
+	/**
+	 * @public
+	 * Marks the pending phone number as verified
+	 * @name UserSecurityTrait.verifyPhoneNumber
+	 */
+	model.prototype.verifyPhoneNumber = function () {
+		this.setJsonValue('phone', {
+			number: this.getJsonValue('phone.verification.number'),
+			isVerified: true,
+			verifiedOn: moment().utc().format('YYYY-MM-DD HH:mm:ss'),
+			requestedOn: this.getJsonValue('phone.requestedOn'),
+		});
+	};
+
+	/**
+	 * @public
+	 * Removes pending phone verification
+	 * @name UserSecurityTrait.removePhoneVerificationCode
+	 */
+	model.prototype.removePhoneVerificationCode = function () {
+		this.setJsonValue('phone.verification', null);
 	};
 
 	/**
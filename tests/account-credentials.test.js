@@ -0,0 +1,163 @@
+/**
+ * Change password and change email of the logged-in user tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Revoked sessions `[userId, reason]`
+ * @type {Array<[number, string]>}
+ */
+const revoked = [];
+
+/**
+ * Sent emails `[name, email]`
+ * @type {Array<[string, string]>}
+ */
+const mails = [];
+
+jest.mock('./../helpers/fastify/auth/refresh-token', () => () => ({
+	revokeAllByUser: async ( userId, reason ) => revoked.push([userId, reason]),
+}));
+
+jest.mock('./../helpers/fastify/auth/account-mailer', () => () => ({
+	sendEmailChangeMail: async model => mails.push(['email-change', model.getJsonValue('emailChange.email')]),
+	sendEmailChangedMail: async ( model, oldEmail ) => mails.push(['email-changed', oldEmail]),
+}));
+
+jest.mock('./../helpers/fastify/auth/authenticate', () => () => ({
+	issueToken: async model => ({token: `token-${model.getAuthKey()}`}),
+}));
+
+const changePassword = require('./../graphql/resolvers/account/mutation/change-password');
+const requestEmailChange = require('./../graphql/resolvers/account/mutation/request-email-change');
+const confirmEmailChange = require('./../graphql/resolvers/account/mutation/confirm-email-change');
+const {createServer: createModels} = require('./fixtures/models');
+
+/** @type {string} */
+const PASSWORD = 'Current-pass1';
+
+/**
+ * @private
+ * Server with the logged-in user (ID: 7) and another user (ID: 8)
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const cleared = [];
+	const user = {name: 'John', role: 3, status: 10, meta: {}};
+
+	return {
+		...createModels({
+			config: {security: {passwordHash: {algorithm: 'bcrypt', cost: 4}}},
+			rows: {
+				User: [
+					{...user, id: 7, email: 'john@example.com', authorization_key: 'key-7'},
+					{...user, id: 8, email: 'jane@example.com', authorization_key: 'key-8'},
+				],
+			},
+		}),
+		cleared,
+		log: {error: () => {}},
+		dataLoaders: {clear: async ( name, key ) => cleared.push(`${name}:${key}`)},
+	};
+};
+
+/**
+ * @private
+ * Register the mutations and log the user in
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<{Mutation: Object, ctx: Object, identity: User}>}
+ */
+const createResolvers = async fastify => {
+	const defs = {Mutation: {}};
+
+	for ( const register of [changePassword, requestEmailChange, confirmEmailChange] ) {
+		await register(defs, fastify);
+	}
+
+	/** @type {User} */
+	const identity = await fastify.db.models.User.findByPk(7);
+	identity.setPassword(PASSWORD);
+
+	return {
+		Mutation: defs.Mutation,
+		identity,
+		ctx: {
+			auth: {isGuest: false, id: 7, identity},
+			request: {t: message => message, ip: '10.0.0.1', headers: {}, language: 'en-US'},
+			reply: {},
+		},
+	};
+};
+
+describe('change password', () => {
+	beforeEach(() => revoked.splice(0));
+
+	test('validates the current and the new password', async () => {
+		const {Mutation, ctx} = await createResolvers(createServer());
+
+		await expect(Mutation.changePassword(null, {current: 'wrong', next: 'New-pass123'}, ctx))
+			.rejects.toMatchObject({code: 'INVALID_PASSWORD', state: {current: expect.any(String)}});
+		await expect(Mutation.changePassword(null, {current: PASSWORD, next: PASSWORD}, ctx))
+			.rejects.toMatchObject({code: 'SAME_PASSWORD'});
+		await expect(Mutation.changePassword(null, {current: PASSWORD, next: 'short'}, ctx))
+			.rejects.toMatchObject({state: {next: expect.any(String)}});
+	});
+
+	test('changes the password and logs out the other sessions', async () => {
+		const fastify = createServer();
+		const {Mutation, ctx, identity} = await createResolvers(fastify);
+
+		const result = await Mutation.changePassword(null, {current: PASSWORD, next: 'New-pass123'}, ctx);
+
+		expect(identity.validatePassword('New-pass123')).toBe(true);
+		expect(identity.validatePassword(PASSWORD)).toBe(false);
+		expect(identity.getJsonValue('password.changed.counts')).toBe(1);
+		expect(identity.getAuthKey()).not.toBe('key-7');
+		expect(fastify.cleared).toEqual(['authUsers:key-7']);
+		expect(revoked).toEqual([[7, 'PASSWORD_CHANGED']]);
+		expect(result).toMatchObject({me: {id: 7}, token: {token: `token-${identity.getAuthKey()}`}});
+	});
+});
+
+describe('change email', () => {
+	beforeEach(() => {
+		revoked.splice(0);
+		mails.splice(0);
+	});
+
+	test('validates and throttles the request', async () => {
+		const {Mutation, ctx} = await createResolvers(createServer());
+
+		await expect(Mutation.requestEmailChange(null, {newEmail: 'John@example.com'}, ctx))
+			.rejects.toMatchObject({code: 'SAME_EMAIL'});
+		await expect(Mutation.requestEmailChange(null, {newEmail: 'jane@example.com'}, ctx))
+			.rejects.toMatchObject({code: 'EMAIL_EXISTS'});
+
+		expect(await Mutation.requestEmailChange(null, {newEmail: 'New@example.com'}, ctx)).toBe(true);
+		await expect(Mutation.requestEmailChange(null, {newEmail: 'other@example.com'}, ctx))
+			.rejects.toMatchObject({code: 'TOO_MANY_REQUESTS'});
+
+		expect(mails).toEqual([['email-change', 'new@example.com']]);
+	});
+
+	test('changes the email by the token and notifies the old address', async () => {
+		const fastify = createServer();
+		const {Mutation, ctx, identity} = await createResolvers(fastify);
+
+		await Mutation.requestEmailChange(null, {newEmail: 'new@example.com'}, ctx);
+
+		await expect(Mutation.confirmEmailChange(null, {token: 'invalid'}, ctx))
+			.rejects.toMatchObject({code: 'INVALID_TOKEN'});
+
+		const result = await Mutation.confirmEmailChange(null, {token: identity.getJsonValue('emailChange.token')}, ctx);
+
+		expect(identity.get('email')).toBe('new@example.com');
+		expect(identity.getJsonValue('emailChange')).toBeFalsy();
+		expect(identity.getAuthKey()).not.toBe('key-7');
+		expect(revoked).toEqual([[7, 'EMAIL_CHANGED']]);
+		expect(mails).toEqual([['email-change', 'new@example.com'], ['email-changed', 'john@example.com']]);
+		expect(result).toMatchObject({me: {id: 7, email: 'new@example.com'}});
+	});
+});
@@ -0,0 +1,166 @@
+/**
+ * Personal data export and account deletion (soft delete, anonymization) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+
+/**
+ * Revoked sessions `[userId, reason]`
+ * @type {Array<[number, string]>}
+ */
+const revoked = [];
+
+jest.mock('./../helpers/fastify/auth/refresh-token', () => () => ({
+	revokeAllByUser: async ( userId, reason ) => revoked.push([userId, reason]),
+}));
+
+const DataExport = require('./../helpers/fastify/auth/data-export');
+const AccountDeletion = require('./../helpers/fastify/auth/account-deletion');
+const {createServer: createModels} = require('./fixtures/models');
+
+/**
+ * @private
+ * Server with the user's records and an in-memory storage
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const files = new Map();
+
+	const fastify = createModels({
+		config: {uri: {url: 'https://api.test'}},
+		rows: {
+			AuthEvent: [
+				{id: 1, user_id: 5, type: 'LOGIN', ip: '10.0.0.1', user_agent: 'jest', email: 'jane@example.com', created_at: '2026-10-01'},
+			],
+			ApiKey: [{id: 7, user_id: 5, name: 'CI', prefix: 'ak_1234', scopes: [], revoked_at: null}],
+			UserIdentity: [{id: 1, user_id: 5, provider: 'github', email: 'jane@example.com'}],
+		},
+	});
+
+	return Object.assign(fastify, {
+		files,
+		dataLoaders: {clear: async ( name, key ) => fastify.queries.push([name, 'clear', key])},
+		fs: {
+			VISIBILITY_PRIVATE: 'private',
+			put: async ( path, content ) => files.set(path, content),
+			get: async path => ({content: files.get(path)}),
+			delete: async path => files.delete(path),
+		},
+	});
+};
+
+/**
+ * @private
+ * Create the user
+ * @param {Object} fastify - Fastify instance
+ * @returns {User} - User model
+ */
+const createUser = fastify => fastify.db.models.User.build({
+	id: 5,
+	name: 'Jane Doe',
+	email: 'jane@example.com',
+	status: 10,
+	role: 3,
+	password_hash: '$2a$04$hash',
+	authorization_key: 'key-1',
+	created_at: '2026-01-01 00:00:00',
+	meta: {
+		timezone: 'UTC',
+		password: {history: ['$2a$04$old'], changed: {counts: 1}},
+		twoFactor: {enabled: true, secret: 'secret', recoveryCodes: ['code']},
+		phone: {number: '+14155552671', isVerified: true},
+	},
+}, {isNewRecord: false});
+
+describe('data export', () => {
+	test('exports the personal data without secrets', async () => {
+		const fastify = createServer();
+		const data = await DataExport(fastify).build(createUser(fastify));
+
+		expect(data.user).toEqual(expect.objectContaining({id: 5, email: 'jane@example.com', role: 'CUSTOMER', status: 'ACTIVE'}));
+		expect(data.meta).toEqual({
+			timezone: 'UTC',
+			password: {changed: {counts: 1}},
+			twoFactor: {enabled: true},
+			phone: {number: '+14155552671', isVerified: true},
+		});
+		expect(data.authEvents).toEqual([expect.objectContaining({type: 'LOGIN', ip: '10.0.0.1', userAgent: 'jest'})]);
+		expect(data.apiKeys).toEqual([expect.objectContaining({id: 7, name: 'CI', prefix: 'ak_1234', revokedAt: null})]);
+		expect(data.identities).toEqual([{provider: 'github', email: 'jane@example.com', createdAt: null}]);
+	});
+
+	test('stores the archive and replaces the previous one', async () => {
+		const fastify = createServer();
+		const model = createUser(fastify);
+		const {create, toDownloadUrl} = DataExport(fastify);
+
+		const first = await create(model);
+		const firstPath = model.getJsonValue('dataExport.path');
+		const second = await create(model);
+
+		expect(second).not.toBe(first);
+		expect([...fastify.files.keys()]).toEqual([model.getJsonValue('dataExport.path')]);
+		expect(firstPath).toMatch(/^exports\/5\/[\w-]+\.json$/);
+		expect(model.getJsonValue('dataExport.token')).not.toBe(second);
+		expect(JSON.parse(fastify.files.get(model.getJsonValue('dataExport.path'))).user.id).toBe(5);
+		expect(toDownloadUrl(second)).toBe(`https://api.test/account/data-export/${second}`);
+	});
+
+	test('finds the archive by the token of an active account only', async () => {
+		const fastify = createServer();
+		const model = createUser(fastify);
+		const {create, findByToken} = DataExport(fastify);
+
+		// The token is looked up in the JSON column
+		fastify.db.models.User.findOne = async () => model;
+
+		const token = await create(model);
+
+		expect(await findByToken(token)).toEqual({model, path: model.getJsonValue('dataExport.path')});
+		expect(await findByToken(' ')).toBeNull();
+
+		model.set('status', fastify.db.models.User.STATUS_DELETED);
+		expect(await findByToken(token)).toBeNull();
+	});
+});
+
+describe('account deletion', () => {
+	test('soft deletes and anonymizes after the grace period', async () => {
+		const fastify = createServer();
+		const model = createUser(fastify);
+		const {softDelete, anonymize} = AccountDeletion(fastify);
+
+		await DataExport(fastify).create(model);
+		await softDelete(model);
+
+		expect(model.get('status')).toBe(0);
+		expect(model.getAuthKey()).not.toBe('key-1');
+		expect(moment.utc(model.getJsonValue('deletion.anonymizeOn')).diff(moment.utc(), 'days')).toBe(29);
+		expect(revoked).toEqual([[5, 'ACCOUNT_DELETED']]);
+		expect(model.getJsonValue('dataExport')).toBeNull();
+		expect(fastify.files.size).toBe(0);
+		expect(fastify.queries).toEqual([
+			['authUsers', 'clear', 'key-1'],
+			['ApiKey', 'update', {revoked_at: expect.any(Date)}, {user_id: 5, revoked_at: null}],
+		]);
+
+		await anonymize(model);
+
+		expect(model.get({plain: true})).toEqual(expect.objectContaining({
+			email: 'deleted-5@deleted.invalid',
+			name: 'Deleted User',
+			password_hash: null,
+			status: 0,
+		}));
+		expect(Object.keys(model.get('meta'))).toEqual(['deletion']);
+		expect(model.getJsonValue('deletion.anonymizedOn')).toEqual(expect.any(String));
+		expect(fastify.queries.slice(2)).toEqual([
+			['UserIdentity', 'destroy', {user_id: 5}],
+			['ApiKey', 'update', {last_used_ip: null}, {user_id: 5}],
+			['AuthEvent', 'update', {email: null, ip: null, user_agent: null}, {user_id: 5}],
+		]);
+	});
+});
@@ -0,0 +1,91 @@
+/**
+ * Account emails (bundled templates rendered by the mailer) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+const Fastify = require('fastify');
+
+const AccountMailer = require('./../helpers/fastify/auth/account-mailer');
+
+describe('account mailer', () => {
+	/** @type {FastifyInstance} */
+	let fastify;
+
+	/** @type {Object[]} */
+	const sent = [];
+
+	/** @type {Object} */
+	const model = {
+		name: 'John <b>Doe</b>',
+		email: 'john@example.com',
+		get: key => ({password_reset_token: 'reset-token'})[key],
+		getJsonValue: path => op.get({
+			activation: {token: 'activation-token'},
+			password: {resetCode: {code: '12345678'}},
+			emailChange: {email: 'new@example.com', token: 'change-token'},
+		}, path),
+	};
+
+	beforeAll(async () => {
+		const config = {
+			app: {name: 'Acme'},
+			uri: {baseUrl: 'https://acme.test'},
+			account: {magicLink: {tokenExpire: 900}, dataExport: {linkExpire: 86400}},
+			email: {mailer: 'mailer', fromEmail: 'noreply@acme.test', fromName: 'Acme'},
+		};
+
+		fastify = Fastify();
+		fastify.decorate('config', {get: ( path, defaultValue ) => op.get(config, path, defaultValue)});
+		fastify.decorate('db', {models: {}});
+		await fastify.register(require('./../plugins/fastify/fastify-mailer'));
+		await fastify.ready();
+
+		jest.spyOn(fastify.mailer.getMailer(), 'sendMail').mockImplementation(async message => sent.push(message));
+	});
+
+	afterAll(() => fastify.close());
+
+	test('renders every account email from the bundled templates', async () => {
+		const mailer = AccountMailer(fastify);
+
+		await mailer.sendActivationMail(model, 'th-TH');
+		await mailer.sendPasswordResetMail(model);
+		await mailer.sendPasswordResetCompleteMail(model);
+		await mailer.sendEmailChangeMail(model);
+		await mailer.sendEmailChangedMail(model, 'old@example.com');
+		await mailer.sendAccountLockedMail(model, 'unlock-token', 600);
+		await mailer.sendMagicLinkMail(model, 'magic-token');
+		await mailer.sendDataExportMail(model, 'https://acme.test/account/data-export/abc');
+
+		expect(sent.map(({to, subject}) => [to, subject])).toEqual([
+			['"John <b>Doe</b>" <john@example.com>', 'Activate your account'],
+			['"John <b>Doe</b>" <john@example.com>', 'Reset your password'],
+			['"John <b>Doe</b>" <john@example.com>', 'Your password has been changed'],
+			['"John <b>Doe</b>" <new@example.com>', 'Confirm your new email address'],
+			['"John <b>Doe</b>" <old@example.com>', 'Your email address has been changed'],
+			['"John <b>Doe</b>" <john@example.com>', 'Your account has been locked'],
+			['"John <b>Doe</b>" <john@example.com>', 'Your sign in link'],
+			['"John <b>Doe</b>" <john@example.com>', 'Your data export is ready'],
+		]);
+
+		const [activation, reset, , change, changed, locked, magicLink, dataExport] = sent.map(v => v.html);
+
+		expect(activation).toContain('<html xmlns="http://www.w3.org/1999/xhtml" lang="th-TH">');
+		expect(activation).toContain('<title>Activate your account</title>');
+		expect(activation).toContain('Hi John &lt;b&gt;Doe&lt;/b&gt;,');
+		expect(activation).toContain('with Acme');
+		expect(activation).toContain('activation-token');
+		expect(reset).toContain('12345678');
+		expect(reset).toContain('reset-token');
+		expect(change).toContain('change-token');
+		expect(changed).toContain('from old@example.com to john@example.com');
+		expect(locked).toContain('locked for 10 minutes');
+		expect(locked).toContain('unlock-token');
+		expect(magicLink).toContain('expires in 15 minutes');
+		expect(dataExport).toContain('href="https://acme.test/account/data-export/abc"');
+		expect(dataExport).toContain('expires in 24 hours');
+	});
+});
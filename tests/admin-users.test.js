@@ -0,0 +1,262 @@
+/**
+ * Admin user management (self protection, role checks, forced logout, audit) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Revoked sessions `[userId, reason]`
+ * @type {Array<[number, string]>}
+ */
+const revoked = [];
+
+jest.mock('./../helpers/fastify/auth/refresh-token', () => () => ({
+	revokeAllByUser: async ( userId, reason ) => revoked.push([userId, reason]),
+}));
+
+/**
+ * Password reset emails (user IDs)
+ * @type {number[]}
+ */
+const mails = [];
+
+jest.mock('./../helpers/fastify/auth/account-mailer', () => () => ({
+	sendPasswordResetMail: async model => mails.push(model.id),
+}));
+
+const {Op} = require('sequelize');
+
+const AdminUtils = require('./../graphql/resolvers/admin/utils/admin-utils');
+const users = require('./../graphql/resolvers/admin/query/users');
+const updateUserStatus = require('./../graphql/resolvers/admin/mutation/update-user-status');
+const updateUserRole = require('./../graphql/resolvers/admin/mutation/update-user-role');
+const resetUserPassword = require('./../graphql/resolvers/admin/mutation/reset-user-password');
+const forceLogout = require('./../graphql/resolvers/admin/mutation/force-logout');
+const impersonateUser = require('./../graphql/resolvers/admin/mutation/impersonate-user');
+const {createServer: createModels, findActions} = require('./fixtures/models');
+
+/**
+ * @private
+ * Server with an admin (ID: 1), a customer (ID: 2) and a support agent (ID: 3, manages the customers only)
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const cleared = [];
+
+	const user = {name: 'John', status: 10, meta: {}, created_at: '2026-01-01 00:00:00'};
+
+	return {
+		...createModels({
+			roles: [
+				{id: 3, name: 'CUSTOMER'},
+				{id: 5, name: 'SUPPORT', parentId: 3, permissions: ['users.read', 'users.manage']},
+				{id: 10, name: 'ADMIN', parentId: 5, permissions: ['users.impersonate']},
+			],
+			rows: {
+				User: [
+					{...user, id: 1, email: 'admin@example.com', role: 10, authorization_key: 'admin'},
+					{...user, id: 2, email: 'john@example.com', role: 3, authorization_key: 'user'},
+					{...user, id: 3, email: 'support@example.com', role: 5, authorization_key: 'support'},
+				],
+			},
+		}),
+		cleared,
+		dataLoaders: {clear: async ( name, key ) => cleared.push(`${name}:${key}`)},
+	};
+};
+
+/**
+ * @private
+ * GraphQL context of the admin
+ * @param {number} [id=1] - Admin ID
+ * @param {number} [role=10] - Admin role ID
+ * @returns {Object}
+ */
+const createContext = ( id = 1, role = 10 ) => ({
+	auth: {id, identity: {id, role}},
+	request: {t: message => message, ip: '127.0.0.1', headers: {}, language: 'en-US'},
+});
+
+/**
+ * @private
+ * Register the resolvers
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<{Query: Object, Mutation: Object}>} - Resolvers
+ */
+const createResolvers = async fastify => {
+	const defs = {Query: {}, Mutation: {}};
+
+	for ( const register of [users, updateUserStatus, updateUserRole, resetUserPassword, forceLogout, impersonateUser] ) {
+		await register(defs, fastify);
+	}
+
+	return defs;
+};
+
+describe('admin user management', () => {
+	beforeEach(() => {
+		revoked.splice(0);
+		mails.splice(0);
+	});
+
+	test('rejects unknown users and own account', async () => {
+		const fastify = createServer();
+		const {findUser, validateNotSelf} = AdminUtils(fastify);
+		const ctx = createContext();
+
+		await expect(findUser(99, ctx.request, 'userId')).rejects.toMatchObject({
+			code: 'UNKNOWN_USER',
+			state: {userId: 'User not found.'},
+		});
+
+		const admin = await findUser(1, ctx.request), user = await findUser(2, ctx.request);
+
+		expect(() => validateNotSelf(admin, ctx)).toThrow('You can not change your own account.');
+		expect(() => validateNotSelf(user, ctx)).not.toThrow();
+	});
+
+	test('disabling logs the user out and records the change', async () => {
+		const fastify = createServer();
+		const defs = {Mutation: {}};
+		await updateUserStatus(defs, fastify);
+
+		await expect(defs.Mutation.updateUserStatus(null, {id: 2, status: 0}, createContext()))
+			.rejects.toMatchObject({code: 'INVALID_STATUS'});
+
+		expect(await defs.Mutation.updateUserStatus(null, {id: 2, status: 4}, createContext()))
+			.toMatchObject({id: 2, status: {value: 4}});
+		expect((await fastify.db.models.User.findByPk(2)).getAuthKey()).not.toBe('user');
+		expect(fastify.cleared).toEqual(['authUsers:user']);
+		expect(revoked).toEqual([[2, 'ACCOUNT_DISABLED']]);
+		expect(await findActions(fastify)).toEqual([{
+			action: 'UPDATE_STATUS',
+			admin_id: 1,
+			user_id: 2,
+			changes: {status: {from: 10, to: 4}},
+			ip: '127.0.0.1',
+		}]);
+
+		// Unchanged status isn't recorded again
+		await defs.Mutation.updateUserStatus(null, {id: 2, status: 4}, createContext());
+		expect(await findActions(fastify)).toHaveLength(1);
+	});
+
+	test('admins only manage the users of the roles they have or inherit', async () => {
+		const fastify = createServer();
+		const {Mutation} = await createResolvers(fastify);
+		const ctx = createContext(3, 5);
+
+		for ( const [name, args, field] of [
+			['updateUserStatus', {id: 1, status: 4}, 'id'],
+			['updateUserRole', {id: 1, role: 'CUSTOMER'}, 'id'],
+			['resetUserPassword', {id: 1}, 'id'],
+			['forceLogout', {userId: 1}, 'userId'],
+			['impersonateUser', {id: 1}, 'id'],
+		] ) {
+			await expect(Mutation[name](null, args, ctx)).rejects.toMatchObject({
+				code: 'ROLE_NOT_ALLOWED',
+				state: {[field]: 'You are not allowed to manage this user.'},
+			});
+		}
+
+		// The customer is managed, but can't be given a role above the support agent
+		await expect(Mutation.updateUserRole(null, {id: 2, role: 'ADMIN'}, ctx)).rejects.toMatchObject({
+			code: 'ROLE_NOT_ALLOWED',
+			state: {role: 'You are not allowed to manage this role.'},
+		});
+
+		expect((await fastify.db.models.User.findByPk(1)).get('status')).toBe(10);
+		expect(revoked).toEqual([]);
+		expect(mails).toEqual([]);
+		expect(await findActions(fastify)).toEqual([]);
+	});
+
+	test('changing the role records the change', async () => {
+		const fastify = createServer();
+		const {Mutation} = await createResolvers(fastify);
+
+		await expect(Mutation.updateUserRole(null, {id: 2, role: 'ROOT'}, createContext()))
+			.rejects.toMatchObject({code: 'UNKNOWN_ROLE'});
+
+		expect(await Mutation.updateUserRole(null, {id: 2, role: 'SUPPORT'}, createContext()))
+			.toMatchObject({id: 2, role: {value: 5, type: 'SUPPORT'}});
+		expect(fastify.cleared).toEqual(['authUsers:user']);
+		expect(await findActions(fastify)).toEqual([{
+			action: 'UPDATE_ROLE',
+			admin_id: 1,
+			user_id: 2,
+			changes: {role: {from: 'CUSTOMER', to: 'SUPPORT'}},
+			ip: '127.0.0.1',
+		}]);
+
+		// Unchanged role isn't recorded again
+		await Mutation.updateUserRole(null, {id: 2, role: 'SUPPORT'}, createContext());
+		expect(await findActions(fastify)).toHaveLength(1);
+	});
+
+	test('resetting the password invalidates it and emails the reset link', async () => {
+		const fastify = createServer();
+		const {Mutation} = await createResolvers(fastify);
+
+		/** @type {User} */
+		const model = await fastify.db.models.User.findByPk(2);
+		model.set('password_hash', '$2a$04$hash');
+
+		expect(await Mutation.resetUserPassword(null, {id: 2}, createContext())).toBe(true);
+		expect(model.get('password_hash')).toBeNull();
+		expect(model.get('password_reset_token')).toEqual(expect.any(String));
+		expect(model.getJsonValue('password.resetCode.code')).toMatch(/^\d+$/);
+		expect(model.getAuthKey()).not.toBe('user');
+		expect(revoked).toEqual([[2, 'PASSWORD_RESET_BY_ADMIN']]);
+		expect(mails).toEqual([2]);
+		expect(await findActions(fastify)).toMatchObject([{action: 'RESET_PASSWORD', admin_id: 1, user_id: 2}]);
+	});
+
+	test('forced logout invalidates the sessions of the user', async () => {
+		const fastify = createServer();
+		const {Mutation} = await createResolvers(fastify);
+
+		await expect(Mutation.forceLogout(null, {userId: 1}, createContext())).rejects.toMatchObject({
+			code: 'CANNOT_MODIFY_SELF',
+			state: {userId: 'You can not change your own account.'},
+		});
+
+		expect(await Mutation.forceLogout(null, {userId: 3}, createContext())).toBe(true);
+		expect((await fastify.db.models.User.findByPk(3)).getAuthKey()).not.toBe('support');
+		expect(fastify.cleared).toEqual(['authUsers:support']);
+		expect(revoked).toEqual([[3, 'FORCED_LOGOUT']]);
+		expect(await findActions(fastify)).toMatchObject([{action: 'FORCE_LOGOUT', admin_id: 1, user_id: 3}]);
+	});
+
+	test('filters the users', async () => {
+		const fastify = createServer();
+		const {Query} = await createResolvers(fastify);
+		const {User} = fastify.db.models;
+
+		User.numberPagination = jest.fn(async () => ({total: 0, rows: [], pager: {}}));
+
+		await Query.users(null, {
+			filter: {
+				status: [10],
+				role: ['ADMIN', 'ROOT'],
+				email: ' 50%_off ',
+				createdFrom: '2026-01-01T00:00:00Z',
+				createdTo: '2026-02-01T00:00:00Z',
+			},
+			pager: {type: 'NUMBER'},
+		}, createContext());
+
+		const [[{where}]] = User.numberPagination.mock.calls;
+
+		expect(where).toEqual({
+			status: [10],
+			role: [10],
+			email: {[Op.iLike]: '%50\\%\\_off%'},
+			created_at: {[Op.gte]: new Date('2026-01-01T00:00:00Z'), [Op.lt]: new Date('2026-02-01T00:00:00Z')},
+		});
+
+		await Query.users(null, {pager: {type: 'NUMBER'}}, createContext());
+		expect(User.numberPagination.mock.calls[1][0].where).toEqual({});
+	});
+});
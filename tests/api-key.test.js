@@ -0,0 +1,126 @@
+/**
+ * Personal API keys (hashed secret, expiry, revocation, token sources, scopes) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const ApiKeys = require('./../helpers/fastify/auth/api-key');
+const JwtIdentity = require('./../helpers/fastify/auth/jwt-identity');
+const AuthDirective = require('./../graphql/directives/auth-directive');
+const {createHash} = require('./../helpers/crypto');
+const {createIdentity} = require('./../helpers/fastify/auth/identity');
+const {createServer: createModels} = require('./fixtures/models');
+const {createRedis} = require('./fixtures/redis');
+
+/**
+ * @private
+ * Server with an active (ID: 7) and a disabled (ID: 8) user
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const user = {name: 'John', role: 3, meta: {}};
+
+	return {
+		...createModels({
+			rows: {
+				User: [
+					{...user, id: 7, email: 'john@example.com', status: 10},
+					{...user, id: 8, email: 'jane@example.com', status: 4},
+				],
+			},
+		}),
+		redis: createRedis(),
+	};
+};
+
+describe('API keys', () => {
+	test('stores the hash of the secret only', async () => {
+		const fastify = createServer();
+		const {create, isApiKey} = ApiKeys(fastify);
+
+		const {apiKey, secret} = await create({id: 7}, {name: ' CI ', scopes: ['profile:read', 'profile:read']});
+
+		expect(isApiKey(secret)).toBe(true);
+		expect(apiKey.get({plain: true})).toMatchObject({
+			user_id: 7,
+			name: 'CI',
+			prefix: secret.substr(0, 9),
+			key_hash: createHash(secret),
+			scopes: ['profile:read'],
+			expires_at: null,
+		});
+		expect(JSON.stringify(apiKey.get({plain: true}))).not.toContain(secret);
+	});
+
+	test('rejects the revoked and expired keys', async () => {
+		const fastify = createServer();
+		const {create, findIdentityByKey, revoke} = ApiKeys(fastify);
+
+		const {apiKey, secret} = await create({id: 7}, {name: 'CI', scopes: []});
+
+		const found = await findIdentityByKey(secret, '10.0.0.1');
+
+		expect(found.model.id).toBe(7);
+		expect(found.apiKey).toBe(apiKey);
+		expect(apiKey.last_used_ip).toBe('10.0.0.1');
+
+		await revoke(apiKey);
+		expect(await findIdentityByKey(secret)).toBeNull();
+
+		const expired = await create({id: 7}, {name: 'Old', scopes: [], expiresAt: '2020-01-01T00:00:00Z'});
+		expect(await findIdentityByKey(expired.secret)).toBeNull();
+
+		// Keys of the disabled accounts and values which aren't keys
+		expect(await findIdentityByKey((await create({id: 8}, {name: 'CI', scopes: []})).secret)).toBeNull();
+		expect(await findIdentityByKey('jwt.token.value')).toBeNull();
+	});
+
+	test('authenticates the request by the key', async () => {
+		const fastify = createServer();
+		const {findIdentityByToken} = JwtIdentity(fastify);
+		const {secret} = await ApiKeys(fastify).create({id: 7}, {name: 'CI', scopes: ['profile:read']});
+
+		const {model, apiKey} = await findIdentityByToken(secret, {ip: '10.0.0.1'});
+
+		expect(createIdentity(model, null, apiKey)).toMatchObject({id: 7, apiKeyId: apiKey.id, scopes: ['profile:read']});
+		await expect(findIdentityByToken(`${secret}x`)).rejects.toThrow('API key is invalid, revoked or expired');
+	});
+
+	test('reads the token from the bearer header, the API key header then the cookie', () => {
+		const {getTokenFromAll} = JwtIdentity(createServer());
+
+		expect(getTokenFromAll({headers: {authorization: 'Bearer jwt', 'x-api-key': 'ak_key', cookie: 'auth_token=cookie'}}))
+			.toBe('jwt');
+		expect(getTokenFromAll({headers: {'x-api-key': ' ak_key ', cookie: 'auth_token=cookie'}})).toBe('ak_key');
+		expect(getTokenFromAll({headers: {cookie: 'auth_token=cookie'}})).toBe('cookie');
+		expect(getTokenFromAll({headers: {}})).toBeInstanceOf(Error);
+	});
+});
+
+describe('@auth directive scopes', () => {
+	/**
+	 * @private
+	 * GraphQL context of the key with the given scopes
+	 * @param {?string[]} scopes - Granted scopes (null: login session)
+	 * @returns {Object} - Context
+	 */
+	const createContext = scopes => ({
+		request: {t: message => message},
+		auth: createIdentity({id: 7}, null, scopes ? {id: 1, scopes} : null),
+	});
+
+	test('refuses the keys on the fields without a scope', () => {
+		expect(() => AuthDirective.checkPermission(createContext(['profile:read']), {}))
+			.toThrow(expect.objectContaining({code: 'INSUFFICIENT_SCOPE'}));
+		expect(() => AuthDirective.checkPermission(createContext(null), {})).not.toThrow();
+	});
+
+	test('requires all the scopes of the field', () => {
+		expect(() => AuthDirective.checkPermission(createContext(['profile:read']), {scope: ['profile:read', 'profile:write']}))
+			.toThrow(expect.objectContaining({code: 'INSUFFICIENT_SCOPE'}));
+		expect(() => AuthDirective.checkPermission(createContext(['profile:read', 'profile:write']), {scope: ['profile:read']}))
+			.not.toThrow();
+		expect(() => AuthDirective.checkPermission(createContext(null), {scope: ['profile:read']})).not.toThrow();
+	});
+});
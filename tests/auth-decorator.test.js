@@ -0,0 +1,97 @@
+/**
+ * Request-scoped identity tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const Fastify = require('fastify');
+
+const {getIdentity} = require('./../helpers/fastify/auth/identity');
+
+/**
+ * @private
+ * Resolve after a random delay to interleave concurrent requests
+ * @param {number} [max=25] - Maximum delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const randomDelay = ( max = 25 ) => new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * max)));
+
+// Token `user-<id>` resolves to the user `<id>`, anything else fails
+jest.mock('./../helpers/fastify/auth/jwt-identity', () => () => ({
+	getTokenFromAll: request => String(request.headers['authorization'] || '').replace(/^Bearer /, ''),
+	findIdentityByToken: async token => {
+		await randomDelay();
+
+		const [, id] = String(token).match(/^user-(\d+)$/) || [];
+
+		if ( !id ) {
+			throw new Error('Token was empty');
+		}
+
+		return {model: {id: +id}, decoded: {}};
+	},
+}));
+
+/**
+ * @private
+ * @async
+ * Create a server which echoes the identity seen by the handler
+ * @returns {Promise<FastifyInstance>}
+ */
+const createServer = async () => {
+	const fastify = Fastify();
+
+	fastify.decorate('config', {get: ( path, defaultValue ) => defaultValue});
+	fastify.decorate('dataLoaders', {create: () => ({})});
+	await fastify.register(require('./../plugins/fastify/fastify-auth-decorator'));
+
+	fastify.get('/whoami', async request => {
+		// Let other requests resolve their identities in between
+		await randomDelay();
+
+		const {isGuest, id} = getIdentity(request);
+		return {isGuest, id};
+	});
+
+	await fastify.ready();
+	return fastify;
+};
+
+describe('fastify-auth-decorator', () => {
+	/** @type {FastifyInstance} */
+	let fastify;
+
+	beforeAll(async () => {
+		fastify = await createServer();
+	});
+
+	afterAll(async () => {
+		await fastify.close();
+	});
+
+	test('identities never leak between concurrent requests', async () => {
+		const ids = Array.from({length: 100}, ( v, i ) => i % 10 === 0 ? null : i + 1);
+
+		const responses = await Promise.all(ids.map(id => fastify.inject({
+			method: 'GET',
+			url: '/whoami',
+			headers: id === null ? {} : {authorization: `Bearer user-${id}`},
+		})));
+
+		responses.forEach(( response, i ) => {
+			expect(response.json()).toEqual({
+				isGuest: ids[i] === null,
+				id: ids[i],
+			});
+		});
+	});
+
+	test('identity is exposed through the GraphQL context accessor', () => {
+		const request = {auth: {isGuest: false, identity: {id: 7}, id: 7}};
+
+		expect(getIdentity({request, auth: request.auth}).id).toBe(7);
+		expect(getIdentity({request: {}}).isGuest).toBe(true);
+		expect(getIdentity(null).isGuest).toBe(true);
+	});
+});
@@ -0,0 +1,175 @@
+/**
+ * Authentication audit log (recorded events, myLoginHistory) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {EventEmitter} = require('events');
+
+const authAudit = require('./../plugins/fastify/fastify-auth-audit');
+const myLoginHistory = require('./../graphql/resolvers/me/query/my-login-history');
+const {createServer: createModels} = require('./fixtures/models');
+
+/** @type {string} */
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.93 Safari/537.36';
+
+/**
+ * @private
+ * Server with the audit log plugin registered
+ * @param {Object} [config={}] - Configuration
+ * @returns {Promise<Object>} - Fastify instance
+ */
+const createServer = async ( config = {} ) => {
+	const fastify = {
+		...createModels({config}),
+		authEvents: new EventEmitter(),
+	};
+
+	await new Promise(resolve => authAudit(fastify, {}, resolve));
+
+	return fastify;
+};
+
+/**
+ * @private
+ * Recorded events
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object[]>} - Events `{user_id, type, reason, email, ip, user_agent, session_id}`
+ */
+const findEvents = async fastify => {
+	// The listeners are async
+	await new Promise(resolve => setImmediate(resolve));
+
+	return (await fastify.db.models.AuthEvent.findAll())
+		.map(({user_id, type, reason, email, ip, user_agent, session_id}) => ({user_id, type, reason, email, ip, user_agent, session_id}));
+};
+
+describe('auth audit log', () => {
+	test('records the events by their types', async () => {
+		const fastify = await createServer();
+		const user = {id: 7, email: 'john@example.com'};
+		const client = {ip: '10.0.0.1', userAgent: CHROME};
+
+		fastify.authEvents.emit('login.succeeded', {user, ...client, sessionId: 'family-1'});
+		fastify.authEvents.emit('login.failed', {email: 'Nobody@Example.com', ...client, reason: 'UNKNOWN_EMAIL'});
+		fastify.authEvents.emit('token.revoked', {userId: 7, sessionId: 'family-1', reason: 'SESSION_REVOKED'});
+		fastify.authEvents.emit('logout', {user, ...client, userAgent: 'x'.repeat(600)});
+
+		expect(await findEvents(fastify)).toEqual([
+			{user_id: 7, type: 'LOGIN', reason: null, email: 'john@example.com', ip: '10.0.0.1', user_agent: CHROME, session_id: 'family-1'},
+			{user_id: null, type: 'LOGIN_FAILED', reason: 'UNKNOWN_EMAIL', email: 'nobody@example.com', ip: '10.0.0.1', user_agent: CHROME, session_id: null},
+			{user_id: 7, type: 'TOKEN_REVOKE', reason: 'SESSION_REVOKED', email: null, ip: null, user_agent: null, session_id: 'family-1'},
+			{user_id: 7, type: 'LOGOUT', reason: null, email: 'john@example.com', ip: '10.0.0.1', user_agent: 'x'.repeat(512), session_id: null},
+		]);
+	});
+
+	test('ignores the events out of the audit log', async () => {
+		const fastify = await createServer();
+
+		fastify.authEvents.emit('account.locked', {userId: 7, scope: 'account', retryAfter: 60});
+
+		expect(await findEvents(fastify)).toEqual([]);
+	});
+
+	test('is disabled by the configuration', async () => {
+		const fastify = await createServer({account: {audit: {enabled: false}}});
+
+		fastify.authEvents.emit('login.succeeded', {user: {id: 7, email: 'john@example.com'}});
+
+		expect(fastify.authEvents.listenerCount('login.succeeded')).toBe(0);
+		expect(await findEvents(fastify)).toEqual([]);
+	});
+});
+
+describe('myLoginHistory query', () => {
+	/**
+	 * @private
+	 * Server with the user (ID: 7) and the recorded events of two users
+	 * @returns {Promise<{fastify: Object, Query: Object, ctx: Object, finds: Object[]}>}
+	 */
+	const createResolver = async () => {
+		const fastify = await createServer();
+		const {AuthEvent, User} = fastify.db.models;
+
+		/** @type {Object[]} */
+		const finds = [];
+
+		/** @type {Object[]} */
+		const events = [
+			{id: 1, user_id: 7, type: 'LOGIN', reason: null, ip: '10.0.0.1', user_agent: CHROME, created_at: '2026-10-18T10:00:00Z'},
+			{id: 2, user_id: 8, type: 'LOGIN', reason: null, ip: '10.0.0.2', user_agent: null, created_at: '2026-10-18T11:00:00Z'},
+			{id: 3, user_id: 7, type: 'LOGIN_FAILED', reason: 'INVALID_PASSWORD', ip: '10.0.0.3', user_agent: null, created_at: '2026-10-19T10:00:00Z'},
+		].map(values => AuthEvent.build(values, {isNewRecord: false, raw: true}));
+
+		/**
+		 * @param {Object} where - Where clause (`user_id` and the optional `type` list)
+		 * @returns {AuthEvent[]}
+		 */
+		const filter = where => events
+			.filter(model => model.user_id === where.user_id && (!where.type || where.type.includes(model.type)))
+			.sort(( a, b ) => b.id - a.id);
+
+		AuthEvent.findAll = async options => {
+			finds.push(options);
+			return filter(options.where).slice(options.offset || 0, (options.offset || 0) + options.limit);
+		};
+		AuthEvent.count = async ( {where} ) => filter(where).length;
+
+		const identity = User.build({
+			id: 7,
+			meta: {login: {history: {lastIp: '10.0.0.1', lastDate: '2026-10-18 10:00:00', successful: {counts: 4}, failed: {counts: 1}}}},
+		}, {isNewRecord: false});
+
+		const defs = {Query: {}};
+		await myLoginHistory(defs, fastify);
+
+		return {
+			fastify,
+			finds,
+			Query: defs.Query,
+			ctx: {auth: {isGuest: false, id: 7, identity}, request: {t: message => message}},
+		};
+	};
+
+	test('returns the summary and the events of the user', async () => {
+		const {Query, ctx, finds} = await createResolver();
+
+		/** @type {Object} */
+		const result = await Query.myLoginHistory(null, {pager: {type: 'NUMBER'}}, ctx);
+
+		expect(result).toMatchObject({
+			lastIp: '10.0.0.1',
+			lastDate: '2026-10-18T10:00:00Z',
+			successful: {counts: 4},
+			failed: {counts: 1},
+			pageInfo: {total: 2},
+		});
+		expect(result.events).toEqual([
+			{id: 3, type: 'LOGIN_FAILED', reason: 'INVALID_PASSWORD', ip: '10.0.0.3', userAgent: null, device: null, createdAt: '2026-10-19T10:00:00Z'},
+			{id: 1, type: 'LOGIN', reason: null, ip: '10.0.0.1', userAgent: CHROME, device: 'Chrome 90 on Windows 10', createdAt: '2026-10-18T10:00:00Z'},
+		]);
+		expect(finds[0].where).toEqual({user_id: 7});
+	});
+
+	test('filters the events by the types', async () => {
+		const {Query, ctx} = await createResolver();
+
+		/** @type {Object} */
+		const result = await Query.myLoginHistory(null, {pager: {type: 'NUMBER'}, types: ['LOGIN']}, ctx);
+
+		expect(result.events.map(v => v.id)).toEqual([1]);
+	});
+
+	test('reports the empty history', async () => {
+		const {Query, ctx} = await createResolver();
+		ctx.auth.identity.set('meta', {});
+
+		expect(await Query.myLoginHistory(null, {pager: {type: 'NUMBER'}}, ctx)).toMatchObject({
+			lastIp: null,
+			lastDate: null,
+			successful: {counts: 0},
+			failed: {counts: 0},
+		});
+	});
+});
@@ -0,0 +1,92 @@
+/**
+ * Connection helper (cursor and number pagination, stable cursors) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {Op} = require('sequelize');
+
+const CursorPaginationTrait = require('./../sequelize/traits/pagination-cursor');
+const NumberPaginationTrait = require('./../sequelize/traits/pagination-number');
+const {paginate, createCursor} = require('./../graphql/components/connection');
+
+/**
+ * @private
+ * Fake model with the pagination traits (records the find options)
+ * @param {Object[]} records - Rows data
+ * @returns {Object} - Model
+ */
+const createModel = records => {
+	const toModel = values => ({...values, get: name => values[name]});
+
+	const Model = {
+		queries: [],
+		findAll: async ( options = {} ) => {
+			Model.queries.push(options);
+			const offset = options.offset || 0;
+			return records.slice(offset, offset + (options.limit || records.length)).map(toModel);
+		},
+		count: async () => records.length,
+	};
+
+	CursorPaginationTrait(Model);
+	NumberPaginationTrait(Model);
+
+	return Model;
+};
+
+/** @type {Object[]} */
+const records = [
+	{id: 3, name: 'Carol', created_at: '2026-10-19T10:00:00.000Z'},
+	{id: 1, name: 'Alice', created_at: '2026-10-18T10:00:00.000Z'},
+	{id: 2, name: 'Bob', created_at: '2026-10-18T10:00:00.000Z'},
+];
+
+describe('connection helper', () => {
+	test('paginates by page numbers with the node cursors', async () => {
+		const Model = createModel(records);
+
+		const {edges, nodes, pageInfo} = await paginate(Model, {where: {}}, {type: 'NUMBER', page: 1, limit: 2}, {
+			order: [['created_at', 'desc']],
+			toNode: model => model.name,
+		});
+
+		expect(Model.queries[0].order).toEqual([['created_at', 'DESC'], ['id', 'ASC']]);
+		expect(nodes).toEqual(['Carol', 'Alice']);
+		expect(edges[1]).toEqual({
+			node: 'Alice',
+			cursor: createCursor({get: name => records[1][name]}, [['created_at', 'DESC'], ['id', 'ASC']]),
+		});
+		expect(pageInfo).toMatchObject({
+			cursors: {before: edges[0].cursor, after: edges[1].cursor, hasNext: true, hasPrevious: false},
+			pager: {pageCount: 2, current: 1},
+			total: 3,
+		});
+	});
+
+	test('continues after the cursor of any style by the sort columns', async () => {
+		const Model = createModel(records);
+		const options = {order: [['created_at', 'DESC']], maxLimit: 2};
+
+		const {pageInfo} = await paginate(Model, {where: {}}, {type: 'NUMBER', limit: 1}, options);
+
+		const page = await paginate(Model, {where: {status: 10}}, {after: pageInfo.cursors.after, limit: 50}, options);
+
+		/** @type {Object} */
+		const query = Model.queries[Model.queries.length - 1];
+
+		expect(query.limit).toBe(2);
+		expect(query.where[Op.and]).toEqual([{
+			[Op.or]: [
+				{created_at: {[Op.lt]: '2026-10-19T10:00:00.000Z'}},
+				{created_at: '2026-10-19T10:00:00.000Z', id: {[Op.gt]: 3}},
+			],
+		}, {status: 10}]);
+		expect(page.pageInfo.pager).toBeNull();
+		expect(page.pageInfo.total).toBe(3);
+
+		await expect(paginate(Model, {}, {after: 'bm90LWEtY3Vyc29y'}, options))
+			.rejects.toMatchObject({code: 'INVALID_CURSOR', state: {after: 'Invalid pagination cursor.'}});
+	});
+});
@@ -0,0 +1,57 @@
+/**
+ * Encryption (AES-256-GCM round-trip, tampering) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const {encrypt, decrypt} = require('./../helpers/crypto');
+
+/**
+ * @private
+ * Flip the first byte of the payload part
+ * @param {string} payload - Encrypted payload
+ * @param {number} index - Part index (0: iv, 1: tag, 2: data)
+ * @returns {string} - Tampered payload
+ */
+const tamper = ( payload, index ) => payload
+	.split('.')
+	.map(( part, i ) => {
+		if ( i !== index ) {
+			return part;
+		}
+
+		const bytes = Buffer.from(part, 'base64');
+		bytes[0] ^= 0x01;
+		return bytes.toString('base64');
+	})
+	.join('.');
+
+describe('crypto', () => {
+	test('encrypts and decrypts the value', () => {
+		const payload = encrypt('JBSWY3DPEHPK3PXP', 'secret');
+
+		expect(payload.split('.')).toHaveLength(3);
+		expect(payload).not.toContain('JBSWY3DPEHPK3PXP');
+		expect(decrypt(payload, 'secret')).toBe('JBSWY3DPEHPK3PXP');
+
+		// Random IV
+		expect(encrypt('JBSWY3DPEHPK3PXP', 'secret')).not.toBe(payload);
+		expect(decrypt(encrypt('', 'secret'), 'secret')).toBe('');
+	});
+
+	test('rejects the tampered payload and the wrong secret', () => {
+		const payload = encrypt('JBSWY3DPEHPK3PXP', 'secret');
+
+		expect(() => decrypt(tamper(payload, 0), 'secret')).toThrow();
+		expect(() => decrypt(tamper(payload, 1), 'secret')).toThrow();
+		expect(() => decrypt(tamper(payload, 2), 'secret')).toThrow();
+		expect(() => decrypt(payload, 'other secret')).toThrow();
+	});
+
+	test('rejects the malformed payload and the empty secret', () => {
+		expect(() => decrypt('not-encrypted', 'secret')).toThrow('Malformed encrypted payload');
+		expect(() => encrypt('value', null)).toThrow('Encryption secret was empty');
+		expect(() => decrypt(encrypt('value', 'secret'), '')).toThrow('Encryption secret was empty');
+	});
+});
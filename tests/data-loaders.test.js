@@ -0,0 +1,108 @@
+/**
+ * Data loaders registry (per-request loaders, shared redis cache) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+
+const createRegistry = require('./../plugins/fastify/fastify-data-loaders/utils/registry');
+
+/**
+ * @private
+ * In-memory redis (only the commands used by the registry)
+ * @returns {Object} - Redis client
+ */
+const createRedis = () => {
+	const store = new Map();
+
+	return {
+		store,
+		mget: async ( ...keys ) => keys.map(key => store.has(key) ? store.get(key) : null),
+		del: async key => store.delete(key),
+		multi () {
+			const commands = [];
+			const multi = {
+				set: ( key, value ) => commands.push([key, value]) && multi,
+				exec: async () => commands.forEach(([key, value]) => store.set(key, value)),
+			};
+			return multi;
+		},
+	};
+};
+
+/**
+ * @private
+ * Registry with the given `dataLoaders` configuration
+ * @param {Object} [config={}] - Configuration
+ * @returns {{registry: FastifyDataLoader, redis: Object}}
+ */
+const createServer = ( config = {} ) => {
+	const redis = createRedis();
+
+	const registry = createRegistry({
+		redis,
+		config: {get: ( path, defaultValue ) => op.get({dataLoaders: config}, path, defaultValue)},
+	});
+
+	return {registry, redis};
+};
+
+describe('data loaders registry', () => {
+	test('creates separate loaders for each request', async () => {
+		const {registry} = createServer();
+		const batches = [];
+
+		registry.register('users', async keys => {
+			batches.push(keys);
+			return keys.map(key => ({key}));
+		});
+
+		expect(() => registry.register('users', async keys => keys)).toThrow('already registered');
+
+		const first = registry.create(), second = registry.create();
+
+		await Promise.all([first.users.load('a'), first.users.load('b'), first.users.load('a')]);
+		await second.users.load('a');
+
+		expect(first.users).not.toBe(second.users);
+		expect(batches).toEqual([['a', 'b'], ['a']]);
+	});
+
+	test('shares the loaded values through redis until cleared', async () => {
+		const {registry, redis} = createServer({prefix: 'test:', loaders: {users: {redis: true, ttl: 30}}});
+		const batches = [];
+
+		registry.register('users', async keys => {
+			batches.push(keys);
+			return keys.map(key => key === 'missing' ? null : {key});
+		}, {
+			serialize: value => value.key,
+			deserialize: key => ({key, cached: true}),
+		});
+
+		expect(await registry.create().users.loadMany(['a', 'missing'])).toEqual([{key: 'a'}, null]);
+		expect(await registry.create().users.loadMany(['a', 'missing'])).toEqual([{key: 'a', cached: true}, null]);
+		expect(redis.store).toEqual(new Map([['test:users:a', '"a"']]));
+
+		await registry.clear('users', 'a');
+
+		expect(await registry.create().users.load('a')).toEqual({key: 'a'});
+		expect(batches).toEqual([['a', 'missing'], ['missing'], ['a']]);
+	});
+
+	test('keeps the auth users out of redis with the default configuration', async () => {
+		const {registry, redis} = createServer(require('./../config/main.json').dataLoaders);
+
+		const User = {
+			findAll: async ( {where} ) => where.authorization_key.map(key => ({authorization_key: key, password_hash: 'hash'})),
+			addHook: () => {},
+		};
+
+		require('./../plugins/fastify/fastify-data-loaders/loaders/user/users')({db: {models: {User}}}, registry);
+
+		expect(await registry.create().authUsers.load('key-1')).toEqual({authorization_key: 'key-1', password_hash: 'hash'});
+		expect(redis.store.size).toBe(0);
+	});
+});
@@ -0,0 +1,93 @@
+/**
+ * Test fixture: the real model definitions with the queries stubbed (no database connection)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const Sequelize = require('sequelize');
+const objectPath = require('object-path');
+
+const createRegistry = require('./../../plugins/fastify/fastify-rbac/utils/registry');
+
+/**
+ * Built-in roles (as seeded by the `create-rbac-tables` migration)
+ * @type {RbacRoleDefinition[]}
+ */
+const roles = [
+	{id: 3, name: 'CUSTOMER', permissions: []},
+	{id: 10, name: 'ADMIN', parentId: 3, permissions: ['users.read', 'users.manage', 'users.impersonate']},
+];
+
+/**
+ * Models the fixture defines
+ * @type {string[]}
+ */
+const modelNames = ['User', 'AdminAction', 'AuthEvent', 'ApiKey', 'UserIdentity'];
+
+/**
+ * @private
+ * Finds out the record matches the (equality only) where clause
+ * @param {Sequelize.Model} record - Record
+ * @param {Object} [where={}] - Where clause
+ * @returns {boolean}
+ */
+const matches = ( record, where = {} ) => Object.keys(where).every(key => record.get(key) === where[key]);
+
+/**
+ * Create the models of a fake server, the records are kept in memory and the bulk writes are recorded
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.config={}] - Configuration (read by `fastify.config.get()`)
+ * @param {Object.<string, Object[]>} [options.rows={}] - Initial records by the model name
+ * @param {RbacRoleDefinition[]} [options.roles=roles] - Roles
+ * @returns {{config: {get: function(string, *=): *}, rbac: FastifyRbac, db: {models: Object}, queries: Array<Array>}}
+ *    - Fastify instance stub (`queries` lists the bulk writes: `[model, 'update', values, where]`, `[model, 'destroy', where]`)
+ */
+const createServer = ( {config = {}, rows = {}, roles: definitions = roles} = {} ) => {
+	const sequelize = new Sequelize('postgres://localhost:5432/test', {logging: false});
+
+	/** @type {Array<Array>} */
+	const queries = [];
+
+	const fastify = {
+		config: {get: ( path, defaultValue ) => objectPath.get(config, path, defaultValue)},
+		rbac: createRegistry(definitions),
+		db: {models: {}},
+		queries,
+	};
+
+	for ( const name of modelNames ) {
+		const Model = require(`./../../sequelize/definition/user/${name}`)(sequelize, Sequelize, fastify);
+
+		/** @type {Sequelize.Model[]} */
+		const records = (rows[name] || []).map(values => Model.build(values, {isNewRecord: false}));
+
+		Model.findByPk = async id => records.find(record => +record.get('id') === +id) || null;
+		Model.findOne = async ( {where} = {} ) => records.find(record => matches(record, where)) || null;
+		Model.findAll = async ( {where} = {} ) => records.filter(record => matches(record, where));
+		Model.create = async values => {
+			const record = Model.build(values);
+			records.push(record);
+			return record;
+		};
+		Model.update = async ( values, {where} ) => queries.push([name, 'update', values, where]);
+		Model.destroy = async ( {where} ) => queries.push([name, 'destroy', where]);
+		Model.prototype.save = async function () {
+			return this;
+		};
+
+		fastify.db.models[name] = Model;
+	}
+
+	return fastify;
+};
+
+/**
+ * Recorded admin actions (`AdminAction.record()`)
+ * @param {Object} fastify - Fastify instance (see `createServer()`)
+ * @returns {Promise<Object[]>} - Actions `{action, admin_id, user_id, changes, ip}`
+ */
+const findActions = async fastify => (await fastify.db.models.AdminAction.findAll())
+	.map(({action, admin_id, user_id, changes, ip}) => ({action, admin_id, user_id, changes, ip}));
+
+module.exports = {roles, createServer, findActions};
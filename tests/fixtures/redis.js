@@ -0,0 +1,160 @@
+/**
+ * Test fixture: in-memory redis (the commands the helpers use, with the key expiry)
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Create the redis client stub
+ * @returns {Object} - Client (`advance(seconds)` moves its clock forward, the expired keys are gone)
+ */
+const createRedis = () => {
+	/** @type {Map<string, {value: *, expiresAt: ?number}>} */
+	const store = new Map();
+
+	/** @type {number} */
+	let clock = 0;
+
+	/**
+	 * @private
+	 * Get the live entry
+	 * @param {string} key - Key
+	 * @returns {?{value: *, expiresAt: ?number}}
+	 */
+	const entry = key => {
+		/** @type {?{value: *, expiresAt: ?number}} */
+		const item = store.get(key) || null;
+
+		if ( item && item.expiresAt !== null && item.expiresAt <= clock ) {
+			store.delete(key);
+			return null;
+		}
+
+		return item;
+	};
+
+	/**
+	 * @private
+	 * Set the entry (keeps the expiry unless given)
+	 * @param {string} key - Key
+	 * @param {*} value - Value
+	 * @param {?number} [seconds] - Expire after (undefined: keep)
+	 */
+	const put = ( key, value, seconds ) => {
+		/** @type {?{value: *, expiresAt: ?number}} */
+		const item = entry(key);
+
+		store.set(key, {
+			value,
+			expiresAt: seconds === undefined ? (item ? item.expiresAt : null) : (seconds === null ? null : clock + seconds),
+		});
+	};
+
+	const commands = {
+		get: async key => {
+			const item = entry(key);
+			return item ? String(item.value) : null;
+		},
+		mget: async ( ...keys ) => Promise.all([].concat(...keys).map(commands.get)),
+		set: async ( key, value, ...args ) => {
+			/** @type {string[]} */
+			const flags = args.map(v => String(v).toUpperCase());
+
+			if ( (flags.includes('NX') && entry(key)) || (flags.includes('XX') && !entry(key)) ) {
+				return null;
+			}
+
+			/** @type {number} */
+			const ex = flags.indexOf('EX'), px = flags.indexOf('PX');
+
+			put(key, String(value), ex !== -1 ? Number(args[ex + 1]) : (px !== -1 ? Number(args[px + 1]) / 1000 : null));
+			return 'OK';
+		},
+		del: async ( ...keys ) => keys.filter(key => entry(key) && store.delete(key)).length,
+		exists: async ( ...keys ) => keys.filter(key => entry(key)).length,
+		expire: async ( key, seconds ) => {
+			/** @type {?{value: *, expiresAt: ?number}} */
+			const item = entry(key);
+
+			if ( !item ) {
+				return 0;
+			}
+
+			item.expiresAt = clock + Number(seconds);
+			return 1;
+		},
+		ttl: async key => {
+			/** @type {?{value: *, expiresAt: ?number}} */
+			const item = entry(key);
+			return !item ? -2 : (item.expiresAt === null ? -1 : Math.ceil(item.expiresAt - clock));
+		},
+		incr: async key => {
+			/** @type {?{value: *, expiresAt: ?number}} */
+			const item = entry(key);
+
+			/** @type {number} */
+			const value = Number(item ? item.value : 0) + 1;
+
+			put(key, String(value));
+			return value;
+		},
+		sadd: async ( key, ...members ) => {
+			/** @type {Set<string>} */
+			const set = entry(key) ? entry(key).value : new Set();
+
+			/** @type {number} */
+			const size = set.size;
+
+			members.forEach(member => set.add(String(member)));
+			put(key, set);
+
+			return set.size - size;
+		},
+		srem: async ( key, ...members ) => {
+			/** @type {?{value: *, expiresAt: ?number}} */
+			const item = entry(key);
+			return item ? members.filter(member => item.value.delete(String(member))).length : 0;
+		},
+		smembers: async key => {
+			/** @type {?{value: *, expiresAt: ?number}} */
+			const item = entry(key);
+			return item ? [...item.value] : [];
+		},
+	};
+
+	return {
+		...commands,
+		multi () {
+			/** @type {Array<function(): Promise<*>>} */
+			const queue = [];
+
+			const chain = {
+				exec: async () => {
+					/** @type {Array<[null, *]>} */
+					const results = [];
+
+					for ( const command of queue ) {
+						results.push([null, await command()]);
+					}
+
+					return results;
+				},
+			};
+
+			Object.keys(commands).forEach(name => {
+				chain[name] = ( ...args ) => {
+					queue.push(() => commands[name](...args));
+					return chain;
+				};
+			});
+
+			return chain;
+		},
+		advance ( seconds ) {
+			clock += seconds;
+		},
+	};
+};
+
+module.exports = {createRedis};
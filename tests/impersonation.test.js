@@ -0,0 +1,176 @@
+/**
+ * Admin impersonation (token, audit trail, blocked actions) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Session store calls `[method, ...args]`
+ * @type {Array<Array>}
+ */
+const sessions = [];
+
+jest.mock('./../helpers/fastify/auth/session-store', () => () => ({
+	create: async ( id, model, request, options ) => sessions.push(['create', id, model.id, options]),
+	remove: async id => sessions.push(['remove', id]),
+	findAllByUser: async userId => sessions
+		.filter(([method, , id]) => method === 'create' && id === userId)
+		.map(([, id]) => ({id, userId})),
+}));
+
+// Token carries the claims as JSON
+jest.mock('./../helpers/fastify/auth/jwt-identity', () => () => ({
+	createToken: async ( authKey, role, jti, {expireAfterMinutes, impersonator} ) => ({
+		auth_token: JSON.stringify({idt: authKey, rol: role, jti, imp: impersonator}),
+		issued_at: '2026-10-19T10:00:00+00:00',
+		expires_at: `2026-10-19T10:${expireAfterMinutes}:00+00:00`,
+	}),
+}));
+
+const Impersonation = require('./../helpers/fastify/auth/impersonation');
+const RefreshToken = require('./../helpers/fastify/auth/refresh-token');
+const NoImpersonationDirective = require('./../graphql/directives/no-impersonation-directive');
+const {createIdentity} = require('./../helpers/fastify/auth/identity');
+const {createServer: createModels, findActions} = require('./fixtures/models');
+const {createRedis} = require('./fixtures/redis');
+
+/**
+ * @private
+ * Server with the recorded actions and events
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const events = [];
+
+	return {
+		...createModels({config: {session: {impersonation: {expireAfterMinutes: 20}}}}),
+		events,
+		redis: createRedis(),
+		authEvents: {emit: ( event, payload ) => events.push([event, payload.user ? payload.user.id : payload.userId, payload.reason])},
+	};
+};
+
+/**
+ * @private
+ * Create the user
+ * @param {Object} fastify - Fastify instance
+ * @param {number} id - User ID
+ * @param {number} role - Role ID
+ * @returns {User} - Model
+ */
+const createUser = ( fastify, id, role ) => fastify.db.models.User.build({
+	id, role, name: 'John', email: `user-${id}@example.com`, status: 10, authorization_key: `key-${id}`, meta: {},
+});
+
+/** @type {Object} */
+const request = {ip: '127.0.0.1', headers: {'user-agent': 'jest'}, t: v => v};
+
+describe('impersonation', () => {
+	beforeEach(() => sessions.splice(0));
+	afterEach(() => jest.useRealTimers());
+
+	test('issues a time-limited token carrying both identities', async () => {
+		const fastify = createServer();
+		const admin = createUser(fastify, 1, 10), user = createUser(fastify, 2, 3);
+
+		const {token, expiresAt} = await Impersonation(fastify).start(admin, user, request);
+		const claims = JSON.parse(token);
+
+		expect(claims).toMatchObject({idt: 'key-2', rol: 3, imp: 'key-1'});
+		expect(expiresAt).toBe('2026-10-19T10:20:00+00:00');
+		expect(sessions).toEqual([['create', claims.jti, 2, {ttl: 1200, impersonatedBy: admin}]]);
+		expect(await findActions(fastify)).toEqual([{
+			action: 'IMPERSONATION_START',
+			admin_id: 1,
+			user_id: 2,
+			changes: {sessionId: claims.jti, expiresAt},
+			ip: '127.0.0.1',
+		}]);
+		expect(fastify.events).toEqual([['impersonation.started', 2, undefined]]);
+	});
+
+	test('stops the impersonated session only', async () => {
+		const fastify = createServer();
+		const {start, stop} = Impersonation(fastify);
+		const admin = createUser(fastify, 1, 10), user = createUser(fastify, 2, 3);
+
+		expect(await stop({...request, auth: createIdentity(user, {jti: 'own'})})).toBe(false);
+		expect(sessions).toEqual([]);
+
+		const {jti} = JSON.parse((await start(admin, user, request)).token);
+		const auth = createIdentity(user, {jti}, null, admin);
+
+		expect(await stop({...request, auth}, 'LOGOUT')).toBe(true);
+		expect(sessions.pop()).toEqual(['remove', jti]);
+		expect((await findActions(fastify)).pop()).toEqual({
+			action: 'IMPERSONATION_STOP',
+			admin_id: 1,
+			user_id: 2,
+			changes: {sessionId: jti, reason: 'LOGOUT'},
+			ip: '127.0.0.1',
+		});
+		expect(fastify.events.pop()).toEqual(['impersonation.stopped', 2, 'LOGOUT']);
+
+		// Recorded once
+		await RefreshToken(fastify).revokeFamily(jti, 'SESSION_REVOKED');
+		expect((await findActions(fastify)).map(v => v.action)).toEqual(['IMPERSONATION_START', 'IMPERSONATION_STOP']);
+	});
+
+	test('records the stop when the session is revoked', async () => {
+		const fastify = createServer();
+		const {start} = Impersonation(fastify);
+		const {revokeFamily, revokeAllByUser} = RefreshToken(fastify);
+		const admin = createUser(fastify, 1, 10), user = createUser(fastify, 2, 3);
+
+		const {jti: first} = JSON.parse((await start(admin, user, request)).token);
+		const {jti: second} = JSON.parse((await start(admin, user, request)).token);
+
+		await revokeFamily(first, 'SESSION_REVOKED');
+		await revokeAllByUser(2, 'FORCED_LOGOUT');
+
+		expect((await findActions(fastify)).filter(v => v.action === 'IMPERSONATION_STOP').map(v => v.changes)).toEqual([
+			{sessionId: first, reason: 'SESSION_REVOKED'},
+			{sessionId: second, reason: 'FORCED_LOGOUT'},
+		]);
+		expect(fastify.events.filter(([event]) => event === 'impersonation.stopped')).toEqual([
+			['impersonation.stopped', 2, 'SESSION_REVOKED'],
+			['impersonation.stopped', 2, 'FORCED_LOGOUT'],
+		]);
+	});
+
+	test('records the stop of the expired sessions', async () => {
+		jest.useFakeTimers('modern');
+		jest.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+
+		const fastify = createServer();
+		const {start, sweepExpired} = Impersonation(fastify);
+		const admin = createUser(fastify, 1, 10), user = createUser(fastify, 2, 3);
+
+		const {jti} = JSON.parse((await start(admin, user, request)).token);
+
+		jest.setSystemTime(new Date('2026-10-19T10:19:59Z'));
+		expect(await sweepExpired()).toBe(0);
+
+		jest.setSystemTime(new Date('2026-10-19T10:20:00Z'));
+		expect(await sweepExpired()).toBe(1);
+		expect(await sweepExpired()).toBe(0);
+
+		expect((await findActions(fastify)).pop()).toMatchObject({
+			action: 'IMPERSONATION_STOP',
+			changes: {sessionId: jti, reason: 'EXPIRED'},
+			ip: null,
+		});
+		expect(fastify.events.pop()).toEqual(['impersonation.stopped', 2, 'EXPIRED']);
+	});
+
+	test('blocks the sensitive actions while impersonating', () => {
+		const fastify = createServer();
+		const user = createUser(fastify, 2, 3);
+
+		expect(() => NoImpersonationDirective.checkPermission({request, auth: createIdentity(user, {jti: 'own'})}))
+			.not.toThrow();
+		expect(() => NoImpersonationDirective.checkPermission({request, auth: createIdentity(user, {jti: 'imp'}, null, createUser(fastify, 1, 10))}))
+			.toThrow('This action is not allowed while impersonating a user');
+	});
+});
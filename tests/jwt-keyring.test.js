@@ -0,0 +1,131 @@
+/**
+ * JWT keyring (HS512 fallback, RS256/ES256 keys by kid, JWKS) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const createKeyring = require('./../plugins/fastify/fastify-jwt/utils/keyring');
+
+/** @type {string} */
+let dir;
+
+/**
+ * @private
+ * Write a generated key pair into the temporary directory
+ * @param {string} name - File name prefix
+ * @param {'rsa'|'ec'} type - Key type
+ * @returns {{privateKey: string, publicKey: string}} - Files paths
+ */
+const writeKeyPair = ( name, type ) => {
+	const {privateKey, publicKey} = crypto.generateKeyPairSync(type, type === 'rsa'
+		? {modulusLength: 2048}
+		: {namedCurve: 'P-256'});
+
+	const files = {
+		privateKey: path.join(dir, `${name}.pem`),
+		publicKey: path.join(dir, `${name}.pub.pem`),
+	};
+
+	fs.writeFileSync(files.privateKey, privateKey.export({type: 'pkcs8', format: 'pem'}));
+	fs.writeFileSync(files.publicKey, publicKey.export({type: 'spki', format: 'pem'}));
+
+	return files;
+};
+
+describe('fastify-jwt keyring', () => {
+	/** @type {Object} */
+	let files;
+
+	beforeAll(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+
+		files = {
+			old: writeKeyPair('old', 'rsa'),
+			current: writeKeyPair('current', 'ec'),
+		};
+	});
+
+	afterAll(() => {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+
+	test('signs and verifies with the HS512 secret by default', () => {
+		const keys = createKeyring({secret: 'test-secret'});
+
+		const token = keys.sign({sub: 'auth'});
+
+		expect(jwt.decode(token, {complete: true}).header).toEqual({alg: 'HS512', typ: 'JWT'});
+		expect(keys.verify(token).sub).toBe('auth');
+		expect(keys.toJwks()).toEqual({keys: []});
+	});
+
+	test('signs with the signing key and verifies rotated keys by kid', () => {
+		const previous = createKeyring({
+			algorithm: 'RS256',
+			signingKey: 'old',
+			keys: [{kid: 'old', algorithm: 'RS256', privateKey: files.old.privateKey}],
+		});
+
+		const keys = createKeyring({
+			algorithm: 'ES256',
+			signingKey: 'current',
+			keys: [
+				{kid: 'current', algorithm: 'ES256', privateKey: files.current.privateKey},
+				{kid: 'old', algorithm: 'RS256', publicKey: files.old.publicKey},
+			],
+		});
+
+		const token = keys.sign({sub: 'auth'});
+
+		expect(jwt.decode(token, {complete: true}).header).toMatchObject({alg: 'ES256', kid: 'current'});
+		expect(keys.verify(token).sub).toBe('auth');
+
+		// Issued before the rotation
+		expect(keys.verify(previous.sign({sub: 'old'})).sub).toBe('old');
+	});
+
+	test('rejects unknown kid and HS512 tokens in asymmetric mode', () => {
+		const keys = createKeyring({
+			algorithm: 'ES256',
+			signingKey: 'current',
+			keys: [{kid: 'current', algorithm: 'ES256', privateKey: files.current.privateKey}],
+		});
+
+		expect(() => keys.verify(createKeyring({secret: 'test-secret'}).sign({}))).toThrow('Unknown signing key');
+		expect(() => keys.verify(jwt.sign({}, 'test-secret', {keyid: 'current'}))).toThrow();
+	});
+
+	test('publishes the public keys as JWKS', () => {
+		const keys = createKeyring({
+			algorithm: 'ES256',
+			signingKey: 'current',
+			keys: [
+				{kid: 'current', algorithm: 'ES256', privateKey: files.current.privateKey},
+				{kid: 'old', algorithm: 'RS256', publicKey: files.old.publicKey},
+			],
+		});
+
+		const {keys: jwks} = keys.toJwks();
+
+		expect(jwks).toEqual([
+			expect.objectContaining({kid: 'current', alg: 'ES256', use: 'sig', kty: 'EC', crv: 'P-256'}),
+			expect.objectContaining({kid: 'old', alg: 'RS256', use: 'sig', kty: 'RSA'}),
+		]);
+		expect(jwks[0]).not.toHaveProperty('d');
+	});
+
+	test('refuses a signing key without the private key', () => {
+		expect(() => createKeyring({
+			algorithm: 'RS256',
+			signingKey: 'old',
+			keys: [{kid: 'old', algorithm: 'RS256', publicKey: files.old.publicKey}],
+		})).toThrow('must have a private RS256 key');
+	});
+});
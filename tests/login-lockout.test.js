@@ -0,0 +1,174 @@
+/**
+ * Failed logins lockout (account and email+IP pair locks, back-off, unlock token) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+
+/**
+ * Account locked emails `[userId, unlockToken, retryAfter]`
+ * @type {Array<[number, string, number]>}
+ */
+const mails = [];
+
+jest.mock('./../helpers/fastify/auth/account-mailer', () => () => ({
+	sendAccountLockedMail: async ( model, token, retryAfter ) => mails.push([model.id, token, retryAfter]),
+}));
+
+const LoginLockout = require('./../helpers/fastify/auth/login-lockout');
+const LoginChecks = require('./../graphql/resolvers/authenticate/utils/login-checks');
+const unlockAccount = require('./../graphql/resolvers/authenticate/mutation/unlock-account');
+const {createRedis} = require('./fixtures/redis');
+
+/**
+ * @private
+ * Server with the user (ID: 7)
+ * @param {Object} [lockout={}] - Lockout configuration (`account.lockout`)
+ * @returns {Object} - Fastify instance
+ */
+const createServer = ( lockout = {} ) => {
+	const config = {account: {lockout}};
+	const events = [];
+
+	const model = {
+		id: 7,
+		email: 'john@example.com',
+		getJsonValue: ( path, defaultValue ) => defaultValue,
+	};
+
+	return {
+		model,
+		events,
+		config: {get: ( path, defaultValue ) => op.get(config, path, defaultValue)},
+		redis: createRedis(),
+		log: {error: () => {}},
+		authEvents: {emit: ( name, payload ) => events.push([name, payload.reason || payload.scope])},
+		db: {
+			models: {
+				User: {findByPk: async id => id === model.id ? model : null},
+			},
+		},
+	};
+};
+
+/** @type {Object} */
+const request = {
+	ip: '10.0.0.1',
+	headers: {'user-agent': 'jest'},
+	language: 'en-US',
+	t: ( message, params = {} ) => message.replace(/{{(\w+)}}/g, ( match, name ) => params[name]),
+};
+
+describe('login lockout', () => {
+	beforeEach(() => mails.splice(0));
+
+	test('locks the account after too many failures within the window', async () => {
+		const fastify = createServer({accountMaxAttempts: 3, pairMaxAttempts: 100, window: 900, lockSeconds: 300});
+		const {registerFailure, findLock} = LoginLockout(fastify);
+		const {model} = fastify;
+
+		// The failures outside the window are forgotten
+		await registerFailure(model, model.email, '10.0.0.1');
+		await registerFailure(model, model.email, '10.0.0.2');
+		fastify.redis.advance(900);
+
+		expect(await registerFailure(model, model.email, '10.0.0.3')).toBeNull();
+		expect(await registerFailure(model, model.email, '10.0.0.4')).toBeNull();
+		expect(await findLock(model, model.email, '10.0.0.5')).toBeNull();
+
+		expect(await registerFailure(model, model.email, '10.0.0.5')).toEqual({scope: 'account', retryAfter: 300});
+
+		// Locked from any IP address until the lock expires
+		fastify.redis.advance(100);
+		expect(await findLock(model, model.email, '10.0.0.9')).toEqual({scope: 'account', retryAfter: 200});
+
+		fastify.redis.advance(200);
+		expect(await findLock(model, model.email, '10.0.0.9')).toBeNull();
+	});
+
+	test('locks the email+IP pair', async () => {
+		const fastify = createServer({accountMaxAttempts: 100, pairMaxAttempts: 2, lockSeconds: 60});
+		const {registerFailure, findLock} = LoginLockout(fastify);
+
+		// Unknown email addresses are locked by the pair only
+		expect(await registerFailure(null, 'Nobody@example.com', '10.0.0.1')).toBeNull();
+		expect(await registerFailure(null, 'nobody@example.com', '10.0.0.1')).toEqual({scope: 'pair', retryAfter: 60});
+
+		expect(await findLock(null, 'NOBODY@example.com', '10.0.0.1')).toEqual({scope: 'pair', retryAfter: 60});
+		expect(await findLock(null, 'nobody@example.com', '10.0.0.2')).toBeNull();
+		expect(await findLock(fastify.model, fastify.model.email, '10.0.0.1')).toBeNull();
+	});
+
+	test('doubles each repeated lock up to the maximum', async () => {
+		const fastify = createServer({accountMaxAttempts: 1, pairMaxAttempts: 100, lockSeconds: 60, maxLockSeconds: 200});
+		const {registerFailure} = LoginLockout(fastify);
+		const {model} = fastify;
+
+		/** @type {number[]} */
+		const locks = [];
+
+		for ( let i = 0; i < 4; i++ ) {
+			const {retryAfter} = await registerFailure(model, model.email, '10.0.0.1');
+			locks.push(retryAfter);
+			fastify.redis.advance(retryAfter);
+		}
+
+		expect(locks).toEqual([60, 120, 200, 200]);
+	});
+
+	test('is disabled by the configuration', async () => {
+		const fastify = createServer({enabled: false, accountMaxAttempts: 1});
+		const {registerFailure, findLock} = LoginLockout(fastify);
+
+		expect(await registerFailure(fastify.model, fastify.model.email, '10.0.0.1')).toBeNull();
+		expect(await findLock(fastify.model, fastify.model.email, '10.0.0.1')).toBeNull();
+	});
+});
+
+describe('locked login', () => {
+	beforeEach(() => mails.splice(0));
+
+	test('reports the retry-after in ACCOUNT_LOCKED', () => {
+		const {lockedError} = LoginChecks(createServer());
+
+		expect(lockedError({scope: 'account', retryAfter: 150}, request)).toMatchObject({
+			message: 'Too many failed login attempts, try again in 3 minutes.',
+			code: 'ACCOUNT_LOCKED',
+			state: {email: 'Too many failed login attempts, try again in 3 minutes.', retryAfter: 150},
+		});
+	});
+
+	test('emails the unlock token which releases all the locks once', async () => {
+		const fastify = createServer({accountMaxAttempts: 2, pairMaxAttempts: 2, lockSeconds: 60});
+		const {registerFailure} = LoginChecks(fastify);
+		const {findLock} = LoginLockout(fastify);
+		const {model} = fastify;
+
+		const defs = {Mutation: {}};
+		await unlockAccount(defs, fastify);
+
+		expect(await registerFailure(model, model.email, request, 'INVALID_PASSWORD')).toBeNull();
+		expect(await registerFailure(model, model.email, request, 'INVALID_PASSWORD')).toEqual({scope: 'account', retryAfter: 60});
+
+		expect(fastify.events).toEqual([
+			['login.failed', 'INVALID_PASSWORD'],
+			['login.failed', 'INVALID_PASSWORD'],
+			['account.locked', 'account'],
+		]);
+		expect(mails).toEqual([[7, expect.any(String), 60]]);
+
+		const [[, token]] = mails;
+
+		expect(await defs.Mutation.unlockAccount(null, {token}, {request})).toBe(true);
+		expect(await findLock(model, model.email, request.ip)).toBeNull();
+		expect(fastify.events.pop()).toEqual(['account.unlocked', undefined]);
+
+		// The token works once, the back-off starts over
+		await expect(defs.Mutation.unlockAccount(null, {token}, {request})).rejects.toMatchObject({code: 'INVALID_TOKEN'});
+
+		await registerFailure(model, model.email, request, 'INVALID_PASSWORD');
+		expect(await registerFailure(model, model.email, request, 'INVALID_PASSWORD')).toEqual({scope: 'account', retryAfter: 60});
+	});
+});
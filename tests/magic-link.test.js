@@ -0,0 +1,131 @@
+/**
+ * Passwordless magic-link login (single use, expiry, two-factor challenge) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+/**
+ * Login links emailed `[userId, token]`
+ * @type {Array<[number, string]>}
+ */
+const mails = [];
+
+jest.mock('./../helpers/fastify/auth/account-mailer', () => () => ({
+	sendMagicLinkMail: async ( model, token ) => mails.push([model.id, token]),
+}));
+
+jest.mock('./../helpers/fastify/auth/authenticate', () => () => ({
+	completeLogin: async model => ({me: {id: model.id}, token: `token-${model.id}`, challenge: null}),
+}));
+
+const requestMagicLink = require('./../graphql/resolvers/authenticate/mutation/request-magic-link');
+const loginWithMagicLink = require('./../graphql/resolvers/authenticate/mutation/login-with-magic-link');
+const {createServer: createModels} = require('./fixtures/models');
+const {createRedis} = require('./fixtures/redis');
+
+/**
+ * @private
+ * Server with the user (ID: 7), two-factor authentication enabled by `twoFactor`
+ * @param {boolean} [twoFactor=false] - The user has two-factor authentication enabled
+ * @returns {Object} - Fastify instance
+ */
+const createServer = ( twoFactor = false ) => {
+	const events = [];
+
+	return {
+		...createModels({
+			config: {account: {magicLink: {tokenExpire: 900, throttleSeconds: 60}}},
+			rows: {
+				User: [{
+					id: 7, name: 'John', email: 'john@example.com', role: 3, status: 10,
+					meta: twoFactor ? {twoFactor: {enabled: true}} : {},
+				}],
+			},
+		}),
+		events,
+		redis: createRedis(),
+		authEvents: {emit: ( name, payload ) => events.push([name, payload.reason])},
+	};
+};
+
+/**
+ * @private
+ * Register the mutations
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} - Mutations
+ */
+const createMutations = async fastify => {
+	const defs = {Mutation: {}};
+
+	await requestMagicLink(defs, fastify);
+	await loginWithMagicLink(defs, fastify);
+
+	return defs.Mutation;
+};
+
+/** @type {Object} */
+const ctx = {request: {ip: '10.0.0.1', headers: {}, language: 'en-US', t: message => message}, reply: {}};
+
+describe('magic link', () => {
+	beforeEach(() => mails.splice(0));
+
+	test('logs in once by the emailed link', async () => {
+		const fastify = createServer();
+		const Mutation = await createMutations(fastify);
+
+		await expect(Mutation.requestMagicLink(null, {email: 'nobody@example.com'}, ctx))
+			.rejects.toMatchObject({code: 'UNKNOWN_EMAIL'});
+
+		expect(await Mutation.requestMagicLink(null, {email: 'John@Example.com'}, ctx)).toBe(true);
+
+		const [[userId, token]] = mails;
+
+		expect(userId).toBe(7);
+		expect(await fastify.redis.exists(`auth:magic:token:${token}`)).toBe(0);
+		expect(await Mutation.loginWithMagicLink(null, {token}, ctx)).toEqual({me: {id: 7}, token: 'token-7', challenge: null});
+
+		await expect(Mutation.loginWithMagicLink(null, {token}, ctx)).rejects.toMatchObject({code: 'INVALID_TOKEN'});
+		expect(fastify.events).toEqual([['login.failed', 'INVALID_MAGIC_LINK']]);
+	});
+
+	test('throttles the requests and replaces the previous link', async () => {
+		const fastify = createServer();
+		const Mutation = await createMutations(fastify);
+
+		await Mutation.requestMagicLink(null, {email: 'john@example.com'}, ctx);
+		await expect(Mutation.requestMagicLink(null, {email: 'john@example.com'}, ctx))
+			.rejects.toMatchObject({code: 'TOO_MANY_REQUESTS'});
+
+		fastify.redis.advance(60);
+		await Mutation.requestMagicLink(null, {email: 'john@example.com'}, ctx);
+
+		const [[, first], [, second]] = mails;
+
+		await expect(Mutation.loginWithMagicLink(null, {token: first}, ctx)).rejects.toMatchObject({code: 'INVALID_TOKEN'});
+		expect(await Mutation.loginWithMagicLink(null, {token: second}, ctx)).toMatchObject({token: 'token-7'});
+	});
+
+	test('expires the link', async () => {
+		const fastify = createServer();
+		const Mutation = await createMutations(fastify);
+
+		await Mutation.requestMagicLink(null, {email: 'john@example.com'}, ctx);
+		fastify.redis.advance(900);
+
+		await expect(Mutation.loginWithMagicLink(null, {token: mails[0][1]}, ctx)).rejects.toMatchObject({code: 'INVALID_TOKEN'});
+	});
+
+	test('returns the two-factor challenge instead of the token', async () => {
+		const fastify = createServer(true);
+		const Mutation = await createMutations(fastify);
+
+		await Mutation.requestMagicLink(null, {email: 'john@example.com'}, ctx);
+
+		/** @type {Object} */
+		const result = await Mutation.loginWithMagicLink(null, {token: mails[0][1]}, ctx);
+
+		expect(result).toEqual({me: null, token: null, challenge: expect.any(String)});
+		expect(JSON.parse(await fastify.redis.get(`auth:2fa:${result.challenge}`))).toEqual({userId: 7});
+	});
+});
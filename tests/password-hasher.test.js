@@ -0,0 +1,57 @@
+/**
+ * Password hashing (bcrypt, scrypt, rehash detection) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const bcryptjs = require('bcryptjs');
+
+const PasswordHasher = require('./../helpers/password-hasher');
+
+/** @type {Object} */
+const bcrypt = {algorithm: 'bcrypt', cost: 4};
+
+/** @type {Object} */
+const scrypt = {algorithm: 'scrypt', scrypt: {cost: 1024, blockSize: 8, parallelization: 1, keyLength: 32}};
+
+describe('password hasher', () => {
+	test('hashes and verifies with bcrypt', () => {
+		const hash = PasswordHasher.hash('s3cret', bcrypt);
+
+		expect(PasswordHasher.getAlgorithm(hash)).toBe('bcrypt');
+		expect(bcryptjs.getRounds(hash)).toBe(4);
+		expect(PasswordHasher.verify('s3cret', hash)).toBe(true);
+		expect(PasswordHasher.verify('wrong', hash)).toBe(false);
+	});
+
+	test('hashes and verifies with scrypt', () => {
+		const hash = PasswordHasher.hash('s3cret', scrypt);
+
+		expect(hash).toMatch(/^\$scrypt\$N=1024,r=8,p=1\$[^$]+\$[^$]+$/);
+		expect(PasswordHasher.hash('s3cret', scrypt)).not.toBe(hash);
+		expect(PasswordHasher.verify('s3cret', hash)).toBe(true);
+		expect(PasswordHasher.verify('wrong', hash)).toBe(false);
+	});
+
+	test('detects the outdated hashes', () => {
+		const hash = PasswordHasher.hash('s3cret', bcrypt);
+
+		expect(PasswordHasher.needsRehash(hash, bcrypt)).toBe(false);
+		expect(PasswordHasher.needsRehash(hash, {...bcrypt, cost: 5})).toBe(true);
+		expect(PasswordHasher.needsRehash(hash, scrypt)).toBe(true);
+
+		const sHash = PasswordHasher.hash('s3cret', scrypt);
+
+		expect(PasswordHasher.needsRehash(sHash, scrypt)).toBe(false);
+		expect(PasswordHasher.needsRehash(sHash, {...scrypt, scrypt: {...scrypt.scrypt, cost: 2048}})).toBe(true);
+	});
+
+	test('rejects unknown and malformed hashes', () => {
+		expect(PasswordHasher.verify('s3cret', null)).toBe(false);
+		expect(PasswordHasher.verify('s3cret', 'e5e9fa1ba31ecd1ae84f75caaa474f3a663f05f4')).toBe(false);
+		expect(PasswordHasher.verify('s3cret', '$scrypt$N=1024$broken')).toBe(false);
+		expect(PasswordHasher.needsRehash(null, bcrypt)).toBe(true);
+		expect(() => PasswordHasher.hash('s3cret', {algorithm: 'md5'})).toThrow('Unsupported');
+	});
+});
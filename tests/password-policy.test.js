@@ -0,0 +1,95 @@
+/**
+ * Password policy (length, classes, banned list, reuse, maximum age) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+const op = require('object-path');
+
+const PasswordHasher = require('./../helpers/password-hasher');
+const PasswordPolicy = require('./../helpers/fastify/auth/password-policy');
+
+/**
+ * @private
+ * Create the policy with the given configuration
+ * @param {Object} policy - `account.passwordPolicy` configuration
+ * @returns {Object} - Password policy
+ */
+const createPolicy = policy => PasswordPolicy({
+	config: {get: ( path, defaultValue = null ) => op.get({account: {passwordPolicy: policy}}, path, defaultValue)},
+});
+
+/**
+ * Request which renders the `{{name}}` placeholders
+ * @type {Object} */
+const request = {
+	t: ( message, params = {} ) => message.replace(/{{(\w+)}}/g, ( m, name ) => params[name]),
+};
+
+/**
+ * @private
+ * Fake user model
+ * @param {Object} meta - Metadata
+ * @param {Object} [attributes={}] - Attributes
+ * @returns {Object} - Model
+ */
+const createModel = ( meta, attributes = {} ) => ({
+	...attributes,
+	get: name => attributes[name],
+	getJsonValue: ( path, defaultValue = null ) => op.get(meta, path, defaultValue),
+});
+
+describe('password policy', () => {
+	/** @type {Object} */
+	const defaults = {minLength: 8, requireLowercase: true, requireUppercase: true, requireDigit: true};
+
+	test('checks the length and character classes', () => {
+		const {validate} = createPolicy(defaults);
+
+		expect(validate('Ab1', request)).toEqual({
+			code: 'PASSWORD_TOO_SHORT',
+			message: 'Password must be at least 8 characters long.',
+		});
+		expect(validate('abcdefgh1', request)).toMatchObject({code: 'PASSWORD_TOO_WEAK'});
+		expect(validate('Abcdefghi', request)).toMatchObject({code: 'PASSWORD_TOO_WEAK'});
+		expect(validate('Tr0ub4dor&3', request)).toBeNull();
+		expect(createPolicy({...defaults, requireSymbol: true}).validate('Tr0ub4dor3', request))
+			.toMatchObject({code: 'PASSWORD_TOO_WEAK', message: 'Password must contain a symbol.'});
+	});
+
+	test('rejects the bundled common passwords', () => {
+		expect(createPolicy(defaults).validate('Password123', request)).toMatchObject({code: 'PASSWORD_BANNED'});
+		expect(createPolicy({...defaults, checkBanned: false}).validate('Password123', request)).toBeNull();
+	});
+
+	test('rejects the recently used passwords', () => {
+		const options = {algorithm: 'bcrypt', cost: 4};
+
+		const model = createModel({
+			password: {history: [PasswordHasher.hash('0ld-Passw0rd', options), PasswordHasher.hash('0lder-Passw0rd', options)]},
+		}, {password_hash: PasswordHasher.hash('Curr3nt-Pass', options)});
+
+		const {validate} = createPolicy({...defaults, historySize: 2});
+
+		expect(validate('Curr3nt-Pass', request, model)).toEqual({
+			code: 'PASSWORD_REUSED',
+			message: 'Password must be different from the last 2 passwords.',
+		});
+		expect(validate('0ld-Passw0rd', request, model)).toMatchObject({code: 'PASSWORD_REUSED'});
+		expect(validate('0lder-Passw0rd', request, model)).toBeNull();
+	});
+
+	test('expires the passwords older than the maximum age', () => {
+		const format = days => moment.utc().subtract(days, 'days').format('YYYY-MM-DD HH:mm:ss');
+
+		expect(createPolicy({maxAgeDays: 0}).isExpired(createModel({}, {created_at: format(400)}))).toBe(false);
+
+		const {isExpired} = createPolicy({maxAgeDays: 90});
+
+		expect(isExpired(createModel({}, {created_at: format(91)}))).toBe(true);
+		expect(isExpired(createModel({password: {changed: {lastChangedOn: format(10)}}}, {created_at: format(400)}))).toBe(false);
+		expect(isExpired(createModel({password: {reset: {lastResetOn: format(100)}}}, {created_at: format(400)}))).toBe(true);
+	});
+});
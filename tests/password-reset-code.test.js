@@ -0,0 +1,113 @@
+/**
+ * Password reset code verification (expiry, failed attempts, IP throttle) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const moment = require('moment');
+const op = require('object-path');
+const Sequelize = require('sequelize');
+
+const createRegistry = require('./../plugins/fastify/fastify-rbac/utils/registry');
+const verifyPasswordResetCode = require('./../graphql/resolvers/password/mutation/verify-password-reset-code');
+
+/**
+ * @private
+ * Server with a single user who requested the password reset
+ * @param {Object} [config={}] - `account.passwordReset` configuration
+ * @returns {Promise<{fastify: Object, model: User, Mutation: Object}>}
+ */
+const createServer = async ( config = {} ) => {
+	const sequelize = new Sequelize('postgres://localhost:5432/test', {logging: false});
+	const fastifyConfig = {get: ( path, defaultValue ) => op.get({account: {passwordReset: config}}, path, defaultValue)};
+
+	const User = require('./../sequelize/definition/user/User')(sequelize, Sequelize, {
+		rbac: createRegistry([{id: 3, name: 'CUSTOMER'}]),
+		config: fastifyConfig,
+	});
+
+	const model = User.build({id: 1, email: 'john@example.com', role: 3, status: User.STATUS_ACTIVE, meta: {}});
+	model.save = async () => model;
+	model.generatePasswordResetToken();
+	model.generatePasswordResetCode();
+
+	User.findByEmail = async email => email === 'john@example.com' ? model : null;
+
+	const counters = new Map();
+
+	const fastify = {
+		config: fastifyConfig,
+		db: {models: {User}},
+		redis: {
+			incr: async key => counters.set(key, (counters.get(key) || 0) + 1).get(key),
+			expire: async () => 1,
+		},
+	};
+
+	const defs = {Mutation: {}};
+	await verifyPasswordResetCode(defs, fastify);
+
+	return {fastify, model, Mutation: defs.Mutation};
+};
+
+/**
+ * @private
+ * GraphQL context of the guest
+ * @param {string} [ip='127.0.0.1'] - IP address
+ * @returns {Object}
+ */
+const createContext = ( ip = '127.0.0.1' ) => ({request: {t: message => message, ip, headers: {}}});
+
+describe('password reset code', () => {
+	test('exchanges the code of the given email only', async () => {
+		const {model, Mutation} = await createServer();
+		const code = model.getJsonValue('password.resetCode.code');
+		const token = model.get('password_reset_token');
+
+		await expect(Mutation.verifyPasswordResetCode(null, {email: 'jane@example.com', code}, createContext()))
+			.rejects.toMatchObject({code: 'INVALID_CODE'});
+
+		expect(await Mutation.verifyPasswordResetCode(null, {email: 'JOHN@example.com', code}, createContext())).toBe(token);
+
+		// Single use
+		await expect(Mutation.verifyPasswordResetCode(null, {email: 'john@example.com', code}, createContext()))
+			.rejects.toMatchObject({code: 'INVALID_CODE'});
+	});
+
+	test('reports the expired code', async () => {
+		const {model, Mutation} = await createServer({tokenExpire: 60});
+		model.setJsonValue('password.resetCode.requestedOn', moment.utc().subtract(2, 'minutes').format('YYYY-MM-DD HH:mm:ss'));
+
+		await expect(Mutation.verifyPasswordResetCode(null, {
+			email: 'john@example.com',
+			code: model.getJsonValue('password.resetCode.code'),
+		}, createContext())).rejects.toMatchObject({code: 'CODE_EXPIRED'});
+	});
+
+	test('invalidates the code after too many failed attempts', async () => {
+		const {model, Mutation} = await createServer({maxAttempts: 3});
+		const code = model.getJsonValue('password.resetCode.code');
+		const args = {email: 'john@example.com', code: 'x'};
+
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext())).rejects.toMatchObject({code: 'INVALID_CODE'});
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext())).rejects.toMatchObject({code: 'INVALID_CODE'});
+		expect(model.getJsonValue('password.resetCode.attempts')).toBe(2);
+
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext())).rejects.toMatchObject({code: 'TOO_MANY_ATTEMPTS'});
+		expect(model.get('password_reset_token')).toBeNull();
+
+		await expect(Mutation.verifyPasswordResetCode(null, {...args, code}, createContext()))
+			.rejects.toMatchObject({code: 'INVALID_CODE'});
+	});
+
+	test('throttles the attempts of the IP address', async () => {
+		const {Mutation} = await createServer({ipMaxAttempts: 2, maxAttempts: 10});
+		const args = {email: 'jane@example.com', code: '12345678'};
+
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext())).rejects.toMatchObject({code: 'INVALID_CODE'});
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext())).rejects.toMatchObject({code: 'INVALID_CODE'});
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext())).rejects.toMatchObject({code: 'TOO_MANY_REQUESTS'});
+		await expect(Mutation.verifyPasswordResetCode(null, args, createContext('10.0.0.2'))).rejects.toMatchObject({code: 'INVALID_CODE'});
+	});
+});
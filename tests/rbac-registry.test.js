@@ -0,0 +1,87 @@
+/**
+ * RBAC registry (role inheritance, permissions) and @hasPermission checks tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const createRegistry = require('./../plugins/fastify/fastify-rbac/utils/registry');
+const HasPermissionDirective = require('./../graphql/directives/has-permission-directive');
+
+/** @type {RbacRoleDefinition[]} */
+const roles = [
+	{id: 3, name: 'CUSTOMER', permissions: ['profile.update']},
+	{id: 5, name: 'SUPPORT', parentId: 3, permissions: ['users.read']},
+	{id: 7, name: 'ADMIN', parentId: 5, permissions: ['users.manage', 'users.read']},
+];
+
+/**
+ * @private
+ * GraphQL context of the user with the given role
+ * @param {FastifyRbac} rbac - Registry
+ * @param {number} role - Role ID
+ * @param {?string[]} [scopes=null] - API key scopes
+ * @returns {Object} - Context
+ */
+const createContext = ( rbac, role, scopes = null ) => ({
+	app: {rbac},
+	auth: {isGuest: false, id: 1, identity: {id: 1, role}, scopes},
+});
+
+describe('fastify-rbac registry', () => {
+	test('resolves the inherited roles and permissions', () => {
+		const rbac = createRegistry(roles);
+
+		expect(rbac.getInheritedRoles(7)).toEqual(['ADMIN', 'SUPPORT', 'CUSTOMER']);
+		expect(rbac.getPermissions('ADMIN').sort()).toEqual(['profile.update', 'users.manage', 'users.read']);
+		expect(rbac.getPermissions(3)).toEqual(['profile.update']);
+		expect(rbac.getRoles()).toEqual({CUSTOMER: 3, SUPPORT: 5, ADMIN: 7});
+		expect(rbac.getRoleName(5)).toBe('SUPPORT');
+		expect(rbac.getRoleId('ADMIN')).toBe(7);
+	});
+
+	test('checks roles and permissions through inheritance', () => {
+		const rbac = createRegistry(roles);
+
+		expect(rbac.hasRole(7, ['CUSTOMER'])).toBe(true);
+		expect(rbac.hasRole(3, ['ADMIN', 'SUPPORT'])).toBe(false);
+		expect(rbac.hasPermissions(5, ['users.read', 'profile.update'])).toBe(true);
+		expect(rbac.hasPermissions(5, ['users.manage'])).toBe(false);
+		expect(rbac.hasPermissions(99, [])).toBe(true);
+		expect(rbac.hasRole(99, ['CUSTOMER'])).toBe(false);
+	});
+
+	test('stops at inheritance cycles and reloads the roles', () => {
+		const rbac = createRegistry([
+			{id: 1, name: 'A', parentId: 2, permissions: ['a']},
+			{id: 2, name: 'B', parentId: 1, permissions: ['b']},
+		]);
+
+		expect(rbac.getInheritedRoles(1)).toEqual(['A', 'B']);
+		expect(rbac.getPermissions(2).sort()).toEqual(['a', 'b']);
+
+		rbac.load(roles);
+
+		expect(rbac.getRole('A')).toBeNull();
+		expect(rbac.getInheritedRoles(5)).toEqual(['SUPPORT', 'CUSTOMER']);
+	});
+});
+
+describe('@hasPermission directive', () => {
+	const rbac = createRegistry(roles);
+
+	test('allows the roles granting the permissions', () => {
+		expect(() => HasPermissionDirective.checkPermission(createContext(rbac, 7), ['users.manage'], {})).not.toThrow();
+		expect(() => HasPermissionDirective.checkPermission(createContext(rbac, 5), ['users.manage'], {}))
+			.toThrow(expect.objectContaining({code: 'MISSING_PERMISSION'}));
+	});
+
+	test('rejects guests and API keys without a scope', () => {
+		expect(() => HasPermissionDirective.checkPermission({app: {rbac}, auth: {isGuest: true}}, ['users.read'], {}))
+			.toThrow(expect.objectContaining({code: 'UNAUTHORIZED'}));
+		expect(() => HasPermissionDirective.checkPermission(createContext(rbac, 7, ['profile:read']), ['users.read'], {}))
+			.toThrow(expect.objectContaining({code: 'INSUFFICIENT_SCOPE'}));
+		expect(() => HasPermissionDirective.checkPermission(createContext(rbac, 7, ['users:read']), ['users.read'], {scope: ['users:read']}))
+			.not.toThrow();
+	});
+});
@@ -0,0 +1,181 @@
+/**
+ * Refresh tokens (rotation, reuse detection, cookie) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+
+/**
+ * Issued tokens `{userId, cookie, refreshToken}`
+ * @type {Object[]}
+ */
+const issued = [];
+
+// Issues the access token of the rotated refresh token only
+jest.mock('./../helpers/fastify/auth/authenticate', () => () => ({
+	issueToken: async ( model, request, reply, cookie, refresh ) => {
+		issued.push({userId: model.id, cookie, refreshToken: refresh.token});
+		return {token: `token-${model.id}`, refreshToken: refresh.token};
+	},
+}));
+
+const RefreshToken = require('./../helpers/fastify/auth/refresh-token');
+const SessionStore = require('./../helpers/fastify/auth/session-store');
+const refreshTokenMutation = require('./../graphql/resolvers/authenticate/mutation/refresh-token');
+const {createRedis} = require('./fixtures/redis');
+
+/**
+ * @private
+ * Server with the user (ID: 7, auth key: `key-7`)
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const config = {session: {refresh: {expireAfterDays: 1}}};
+	const events = [];
+
+	const model = {
+		id: 7,
+		authKey: 'key-7',
+		status: 10,
+		get: key => model[key],
+		getAuthKey: () => model.authKey,
+		validateAuthKey: key => key === model.authKey,
+	};
+
+	return {
+		model,
+		events,
+		config: {get: ( path, defaultValue ) => op.get(config, path, defaultValue)},
+		redis: createRedis(),
+		log: {warn: () => {}},
+		authEvents: {emit: ( name, {reason} ) => events.push([name, reason])},
+		db: {
+			models: {
+				User: {
+					findByPk: async id => id === model.id ? model : null,
+					validateStatusOnLogin: status => status === 10,
+				},
+			},
+		},
+	};
+};
+
+/** @type {Object} */
+const request = {ip: '127.0.0.1', headers: {'user-agent': 'jest'}, t: message => message};
+
+describe('refresh token', () => {
+	beforeEach(() => issued.splice(0));
+
+	test('rotates the token within the family', async () => {
+		const fastify = createServer();
+		const {create, rotate, isFamilyActive} = RefreshToken(fastify);
+
+		const first = await create(fastify.model);
+		const record = await rotate(first.token);
+
+		expect(record).toMatchObject({family: first.family, userId: 7, authKey: 'key-7'});
+
+		const second = await record.next();
+
+		expect(second.family).toBe(first.family);
+		expect(second.token).not.toBe(first.token);
+		expect(await rotate(second.token)).toMatchObject({family: first.family});
+		expect(await isFamilyActive(first.family)).toBe(true);
+
+		// The raw token is never stored
+		expect(await fastify.redis.exists(`auth:refresh:token:${first.token}`)).toBe(0);
+	});
+
+	test('reusing a spent token revokes the whole family', async () => {
+		const fastify = createServer();
+		const {create, rotate, isFamilyActive} = RefreshToken(fastify);
+		const Sessions = SessionStore(fastify);
+
+		const first = await create(fastify.model);
+		await Sessions.create(first.family, fastify.model, request);
+
+		const second = await (await rotate(first.token)).next();
+
+		expect(await rotate(first.token)).toBeNull();
+		expect(fastify.events).toEqual([['token.revoked', 'TOKEN_REUSE']]);
+		expect(await isFamilyActive(first.family)).toBe(false);
+		expect(await Sessions.find(first.family)).toBeNull();
+
+		// The token issued after the spent one is revoked as well
+		expect(await rotate(second.token)).toBeNull();
+	});
+
+	test('rejects the unknown and expired tokens', async () => {
+		const fastify = createServer();
+		const {create, rotate} = RefreshToken(fastify);
+
+		expect(await rotate('unknown')).toBeNull();
+		expect(await rotate(null)).toBeNull();
+
+		const {token} = await create(fastify.model);
+		fastify.redis.advance(86400);
+
+		expect(await rotate(token)).toBeNull();
+	});
+});
+
+describe('refreshToken mutation', () => {
+	/**
+	 * @private
+	 * Register the mutation
+	 * @param {Object} fastify - Fastify instance
+	 * @returns {Promise<Object>} - Mutations
+	 */
+	const createMutation = async fastify => {
+		const defs = {Mutation: {}};
+		await refreshTokenMutation(defs, fastify);
+		return defs.Mutation;
+	};
+
+	beforeEach(() => issued.splice(0));
+
+	test('exchanges the token given in the argument', async () => {
+		const fastify = createServer();
+		const Mutation = await createMutation(fastify);
+		const {token} = await RefreshToken(fastify).create(fastify.model);
+
+		const result = await Mutation.refreshToken(null, {token}, {request, reply: {}});
+
+		expect(result.refreshToken).not.toBe(token);
+		expect(issued).toEqual([{userId: 7, cookie: false, refreshToken: result.refreshToken}]);
+		expect(fastify.events).toEqual([['token.refreshed', undefined]]);
+
+		await expect(Mutation.refreshToken(null, {token}, {request, reply: {}}))
+			.rejects.toMatchObject({code: 'INVALID_TOKEN'});
+	});
+
+	test('reads the token from the cookie and replaces it there', async () => {
+		const fastify = createServer();
+		const Mutation = await createMutation(fastify);
+		const {token} = await RefreshToken(fastify).create(fastify.model);
+
+		const result = await Mutation.refreshToken(null, {}, {request: {...request, cookies: {refresh_token: token}}, reply: {}});
+
+		expect(issued).toEqual([{userId: 7, cookie: true, refreshToken: result.refreshToken}]);
+
+		await expect(Mutation.refreshToken(null, {}, {request: {...request, cookies: {}}, reply: {}}))
+			.rejects.toMatchObject({code: 'INVALID_TOKEN'});
+	});
+
+	test('revokes the family once the credentials changed', async () => {
+		const fastify = createServer();
+		const Mutation = await createMutation(fastify);
+		const {create, isFamilyActive} = RefreshToken(fastify);
+		const {token, family} = await create(fastify.model);
+
+		fastify.model.authKey = 'key-changed';
+
+		await expect(Mutation.refreshToken(null, {token}, {request, reply: {}}))
+			.rejects.toMatchObject({code: 'INVALID_TOKEN'});
+		expect(await isFamilyActive(family)).toBe(false);
+		expect(fastify.events).toEqual([['token.revoked', 'CREDENTIALS_CHANGED']]);
+		expect(issued).toEqual([]);
+	});
+});
@@ -0,0 +1,62 @@
+/**
+ * GraphQL schema/resolvers contract checker tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const path = require('path');
+const {buildSchema} = require('graphql');
+const Sequelize = require('sequelize');
+const {loadSchemaSync} = require('@graphql-tools/load');
+const {GraphQLFileLoader} = require('@graphql-tools/graphql-file-loader');
+
+const {checkSchemaContract} = require('./../plugins/fastify/graphql/lib/schema-contract');
+const createRegistry = require('./../plugins/fastify/fastify-rbac/utils/registry');
+
+describe('schema contract', () => {
+	test('reports the mismatches between the schema and the resolvers', () => {
+		const schema = buildSchema(`
+			type Profile { id: Int!, name: String!, bio: String }
+			type Orphan { id: Int! }
+			type Query { profile: Profile!, version: String }
+		`);
+
+		const issues = checkSchemaContract(schema, {
+			Query: {profile: () => null, legacy: () => null},
+			Account: {id: () => 1},
+		}, {
+			sources: {Profile: {id: 1, fullName: 'John Doe'}},
+		});
+
+		expect(issues.map(v => [v.code, v.path])).toEqual([
+			['UNKNOWN_FIELD', 'Query.legacy'],
+			['UNKNOWN_TYPE', 'Account'],
+			['MISSING_RESOLVER', 'Query.version'],
+			['MISSING_SOURCE', 'Profile.name'],
+			['UNREACHABLE_TYPE', 'Orphan'],
+		]);
+	});
+
+	test('`Me` type matches `User.toGraphMeObject()`', () => {
+		const schema = loadSchemaSync(path.join(__dirname, '../graphql/schema/**/*.graphql'), {
+			loaders: [new GraphQLFileLoader()],
+		});
+
+		const sequelize = new Sequelize('postgres://localhost:5432/test', {logging: false});
+		const rbac = createRegistry([{id: 1, name: 'CUSTOMER', title: 'Customer'}]);
+		const User = require('./../sequelize/definition/user/User')(sequelize, Sequelize, {
+			rbac,
+			config: {get: ( key, defaultValue ) => defaultValue},
+		});
+
+		const model = User.build({
+			id: 1, name: 'John', email: 'john@example.com', role: 1, status: User.STATUS_ACTIVE, meta: {},
+		});
+
+		const issues = checkSchemaContract(schema, {}, {sources: {Me: User.toGraphMeObject(model)}})
+			.filter(v => v.code !== 'MISSING_RESOLVER');
+
+		expect(issues).toEqual([]);
+	});
+});
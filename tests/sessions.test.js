@@ -0,0 +1,197 @@
+/**
+ * Per-device sessions (store, mySessions, revokeSession, revokeOtherSessions) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+
+const RefreshToken = require('./../helpers/fastify/auth/refresh-token');
+const SessionStore = require('./../helpers/fastify/auth/session-store');
+const mySessions = require('./../graphql/resolvers/session/query/my-sessions');
+const revokeSession = require('./../graphql/resolvers/session/mutation/revoke-session');
+const revokeOtherSessions = require('./../graphql/resolvers/session/mutation/revoke-other-sessions');
+const {createRedis} = require('./fixtures/redis');
+
+/** @type {string} */
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.93 Safari/537.36';
+
+/**
+ * @private
+ * Server with the users (ID: 7, 8)
+ * @returns {Object} - Fastify instance
+ */
+const createServer = () => {
+	const config = {session: {refresh: {expireAfterDays: 1}}};
+	const events = [];
+
+	return {
+		events,
+		config: {get: ( path, defaultValue ) => op.get(config, path, defaultValue)},
+		redis: createRedis(),
+		db: {models: {}},
+		authEvents: {emit: ( name, {userId, sessionId, reason} ) => events.push([name, userId, sessionId, reason])},
+	};
+};
+
+/**
+ * @private
+ * Request from the device
+ * @param {string} [ip='10.0.0.1'] - IP address
+ * @returns {Object} - Request instance
+ */
+const createRequest = ( ip = '10.0.0.1' ) => ({ip, headers: {'user-agent': CHROME}, t: message => message});
+
+/**
+ * @private
+ * Log the user in on a new device
+ * @param {Object} fastify - Fastify instance
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} - Session ID
+ */
+const login = async ( fastify, userId ) => {
+	const {family} = await RefreshToken(fastify).create({id: userId, getAuthKey: () => `key-${userId}`});
+	await SessionStore(fastify).create(family, {id: userId}, createRequest());
+	return family;
+};
+
+/**
+ * @private
+ * Register the resolvers
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<{Query: Object, Mutation: Object}>}
+ */
+const createResolvers = async fastify => {
+	const defs = {Query: {}, Mutation: {}};
+
+	for ( const register of [mySessions, revokeSession, revokeOtherSessions] ) {
+		await register(defs, fastify);
+	}
+
+	return defs;
+};
+
+/**
+ * @private
+ * GraphQL context of the user's session
+ * @param {number} id - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object}
+ */
+const createContext = ( id, sessionId ) => ({auth: {isGuest: false, id, sessionId}, request: createRequest()});
+
+describe('session store', () => {
+	afterEach(() => jest.useRealTimers());
+
+	test('records the device and lists the user sessions', async () => {
+		const fastify = createServer();
+		const Sessions = SessionStore(fastify);
+
+		const record = await Sessions.create('family-1', {id: 7}, createRequest());
+
+		expect(record).toMatchObject({id: 'family-1', userId: 7, device: 'Chrome 90 on Windows 10', ip: '10.0.0.1', userAgent: CHROME});
+		expect(await Sessions.find('family-1')).toEqual(record);
+		expect(await Sessions.find(null)).toBeNull();
+
+		await Sessions.create('family-2', {id: 8}, createRequest());
+
+		expect((await Sessions.findAllByUser(7)).map(v => v.id)).toEqual(['family-1']);
+	});
+
+	test('touches the last seen at most once a minute', async () => {
+		jest.useFakeTimers('modern');
+		jest.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+
+		const fastify = createServer();
+		const Sessions = SessionStore(fastify);
+
+		await Sessions.create('family-1', {id: 7}, createRequest());
+
+		jest.setSystemTime(new Date('2026-10-19T10:00:30Z'));
+		expect(await Sessions.touch('family-1', createRequest('10.0.0.2'))).toBe(true);
+		expect(await Sessions.find('family-1')).toMatchObject({lastSeen: '2026-10-19T10:00:00+00:00', ip: '10.0.0.1'});
+
+		jest.setSystemTime(new Date('2026-10-19T10:01:00Z'));
+		expect(await Sessions.touch('family-1', createRequest('10.0.0.2'))).toBe(true);
+		expect(await Sessions.find('family-1')).toMatchObject({lastSeen: '2026-10-19T10:01:00+00:00', ip: '10.0.0.2'});
+
+		expect(await Sessions.touch('unknown')).toBe(false);
+	});
+
+	test('forgets the expired sessions', async () => {
+		const fastify = createServer();
+		const Sessions = SessionStore(fastify);
+
+		await Sessions.create('family-1', {id: 7}, createRequest(), {ttl: 60});
+		await Sessions.create('family-2', {id: 7}, createRequest());
+
+		fastify.redis.advance(60);
+
+		expect(await Sessions.touch('family-1')).toBe(false);
+		expect((await Sessions.findAllByUser(7)).map(v => v.id)).toEqual(['family-2']);
+		expect(await fastify.redis.smembers('auth:session:user:7')).toEqual(['family-2']);
+	});
+});
+
+describe('session resolvers', () => {
+	test('lists the sessions and marks the current one', async () => {
+		const fastify = createServer();
+		const {Query} = await createResolvers(fastify);
+
+		const current = await login(fastify, 7);
+		const other = await login(fastify, 7);
+		await login(fastify, 8);
+
+		/** @type {Object[]} */
+		const sessions = await Query.mySessions(null, {}, createContext(7, current));
+
+		expect(sessions).toHaveLength(2);
+		expect(sessions.find(v => v.id === current)).toMatchObject({current: true, device: 'Chrome 90 on Windows 10'});
+		expect(sessions.find(v => v.id === other)).toMatchObject({current: false});
+	});
+
+	test('revokes the session of the user only', async () => {
+		const fastify = createServer();
+		const {Mutation} = await createResolvers(fastify);
+		const {isFamilyActive} = RefreshToken(fastify);
+
+		const current = await login(fastify, 7);
+		const other = await login(fastify, 7);
+		const foreign = await login(fastify, 8);
+
+		await expect(Mutation.revokeSession(null, {id: foreign}, createContext(7, current)))
+			.rejects.toMatchObject({code: 'UNKNOWN_SESSION'});
+		await expect(Mutation.revokeSession(null, {id: 'unknown'}, createContext(7, current)))
+			.rejects.toMatchObject({code: 'UNKNOWN_SESSION'});
+
+		expect(await Mutation.revokeSession(null, {id: other}, createContext(7, current))).toBe(true);
+
+		expect(await isFamilyActive(other)).toBe(false);
+		expect(await SessionStore(fastify).find(other)).toBeNull();
+		expect(await isFamilyActive(current)).toBe(true);
+		expect(await isFamilyActive(foreign)).toBe(true);
+		expect(fastify.events).toEqual([['token.revoked', 7, other, 'SESSION_REVOKED']]);
+	});
+
+	test('revokes the other sessions and keeps the current one', async () => {
+		const fastify = createServer();
+		const {Query, Mutation} = await createResolvers(fastify);
+		const {isFamilyActive} = RefreshToken(fastify);
+
+		const current = await login(fastify, 7);
+		const others = [await login(fastify, 7), await login(fastify, 7)];
+		const foreign = await login(fastify, 8);
+
+		expect(await Mutation.revokeOtherSessions(null, {}, createContext(7, current))).toBe(2);
+
+		for ( const id of others ) {
+			expect(await isFamilyActive(id)).toBe(false);
+		}
+
+		expect(await isFamilyActive(current)).toBe(true);
+		expect(await isFamilyActive(foreign)).toBe(true);
+		expect((await Query.mySessions(null, {}, createContext(7, current))).map(v => v.id)).toEqual([current]);
+		expect(fastify.events.map(v => v[3])).toEqual(['OTHER_SESSIONS_REVOKED', 'OTHER_SESSIONS_REVOKED']);
+	});
+});
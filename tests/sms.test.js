@@ -0,0 +1,114 @@
+/**
+ * SMS plugin (file and custom transports) and phone verification code tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fastify = require('fastify');
+const objectPath = require('object-path');
+
+const SecurityTrait = require('./../sequelize/traits/user/security');
+
+/**
+ * @private
+ * Create the server with the SMS plugin
+ * @param {Object} sms - `sms` configuration
+ * @returns {Promise<FastifyInstance>}
+ */
+const createServer = async sms => {
+	const fastify = Fastify();
+	fastify.decorate('config', {get: ( key, def ) => objectPath.get({sms}, key, def)});
+
+	await fastify.register(require('./../plugins/fastify/fastify-sms'));
+	await fastify.ready();
+
+	return fastify;
+};
+
+describe('fastify-sms', () => {
+	test('appends the messages to the file', async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+		const file = path.join(dir, 'sms.log');
+
+		const fastify = await createServer({transport: 'file', from: 'Backend', file: {path: file}});
+
+		const info = await fastify.sms.send('+14155552671', 'Code 123456');
+		await fastify.sms.send('+14155552672', 'Code 654321', {from: '+15005550006'});
+		await fastify.close();
+
+		const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(v => JSON.parse(v));
+		fs.rmSync(dir, {recursive: true});
+
+		expect(info.transport).toBe('file');
+		expect(lines).toEqual([
+			expect.objectContaining({messageId: info.messageId, to: '+14155552671', from: 'Backend', body: 'Code 123456'}),
+			expect.objectContaining({to: '+14155552672', from: '+15005550006', body: 'Code 654321'}),
+		]);
+	});
+
+	test('sends through a custom transport', async () => {
+		const fastify = await createServer({transport: 'log'});
+		const sent = [];
+
+		expect(() => fastify.sms.setTransport({})).toThrow('send()');
+
+		fastify.sms.setTransport({
+			name: 'memory',
+			send: async message => sent.push(message) && {messageId: `m-${sent.length}`, transport: 'memory'},
+		});
+
+		expect(await fastify.sms.send('+14155552671', 'Hello')).toEqual({messageId: 'm-1', transport: 'memory'});
+		expect(sent).toEqual([{to: '+14155552671', from: null, body: 'Hello'}]);
+
+		await fastify.close();
+	});
+
+	test('rejects an unknown transport', async () => {
+		await expect(createServer({transport: 'pigeon'})).rejects.toThrow('Unknown SMS transport');
+	});
+});
+
+describe('phone verification code', () => {
+	/**
+	 * @private
+	 * Fake user model with the security trait
+	 * @returns {Object} - Model
+	 */
+	const createModel = () => {
+		class User {
+			constructor () { this.meta = {}; }
+			getJsonValue ( key, def ) { return objectPath.get(this.meta, key, def); }
+			setJsonValue ( key, value ) { objectPath.set(this.meta, key, value); }
+		}
+
+		SecurityTrait(User);
+
+		return new User();
+	};
+
+	test('verifies the pending number by the code', () => {
+		const model = createModel();
+		const code = model.generatePhoneVerificationCode('+14155552671');
+
+		expect(code).toMatch(/^\d{6}$/);
+		expect(model.getJsonValue('phone.number')).toBeUndefined();
+		expect(model.isPhoneVerificationCodeValid('000000x')).toBe(false);
+		expect(model.isPhoneVerificationCodeValid('')).toBe(false);
+		expect(model.isPhoneVerificationCodeValid(code)).toBe(true);
+		expect(model.isPhoneVerificationCodeValid(code, {expire: -1})).toBe(false);
+
+		model.verifyPhoneNumber();
+
+		expect(model.meta.phone).toEqual({
+			number: '+14155552671',
+			isVerified: true,
+			verifiedOn: expect.any(String),
+			requestedOn: expect.any(String),
+		});
+		expect(model.isPhoneVerificationCodeValid(code)).toBe(false);
+	});
+});
@@ -0,0 +1,303 @@
+/**
+ * Social login (OAuth2) tests against a local mock provider
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const http = require('http');
+const Fastify = require('fastify');
+const objectPath = require('object-path');
+
+// Login completion issues `token-<user id>` instead of a real JWT
+jest.mock('./../helpers/fastify/auth/authenticate', () => () => ({
+	completeLogin: async model => ({token: {token: `token-${model.id}`}}),
+}));
+
+jest.mock('./../helpers/fastify/auth/two-factor', () => () => ({
+	isEnabled: model => !!model.meta.twoFactor,
+	createChallenge: async model => `challenge-${model.id}`,
+}));
+
+/**
+ * Profile returned by the mock provider
+ * @type {Object}
+ */
+let profile;
+
+/**
+ * @private
+ * Start a mock OAuth2 provider (token and userinfo endpoints)
+ * @returns {Promise<http.Server>}
+ */
+const createProvider = () => new Promise(resolve => {
+	const server = http.createServer(( req, res ) => {
+		let body = '';
+		req.on('data', chunk => (body += chunk));
+		req.on('end', () => {
+			res.setHeader('Content-Type', 'application/json');
+
+			if ( req.method === 'POST' && req.url === '/token' ) {
+				const code = new URLSearchParams(body).get('code');
+
+				if ( code !== 'valid-code' ) {
+					res.statusCode = 400;
+					res.end(JSON.stringify({error: 'invalid_grant'}));
+					return;
+				}
+
+				res.end(JSON.stringify({access_token: 'provider-token', token_type: 'bearer'}));
+				return;
+			}
+
+			if ( req.method === 'GET' && req.url === '/userinfo' ) {
+				res.statusCode = req.headers['authorization'] === 'Bearer provider-token' ? 200 : 401;
+				res.end(JSON.stringify(profile));
+				return;
+			}
+
+			res.statusCode = 404;
+			res.end('{}');
+		});
+	});
+
+	server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+/**
+ * @private
+ * In-memory models (only what the social login uses)
+ * @returns {{User: Object, UserIdentity: Object, users: Object[], identities: Object[]}}
+ */
+const createModels = () => {
+	const users = [];
+	const identities = [];
+
+	class User {
+		static build () { return new User(); }
+		static async findByPk ( id ) { return users.find(v => v.id === id) || null; }
+		static async findByEmail ( email ) { return users.find(v => v.email === email) || null; }
+		static validateStatusOnLogin ( status ) { return status === User.STATUS_ACTIVE; }
+
+		constructor () { this.meta = {}; }
+		loadDefaults () { this.status = User.STATUS_INACTIVE; this.meta = {activation: {pending: true}}; }
+		get ( key ) { return this[key]; }
+		set ( key, value ) { this[key] = key === 'email' ? value.toLowerCase() : value; }
+		setPassword () {}
+		generateAuthKey () {}
+		activate () { this.status = User.STATUS_ACTIVE; this.meta.activation = {pending: false}; }
+		getJsonValue ( path, def ) { return objectPath.get(this.meta, path, def); }
+		setJsonValue ( path, value ) { objectPath.set(this.meta, path, value); }
+		toStatus () { return 'Blocked'; }
+		async save () { !this.id && users.push(Object.assign(this, {id: users.length + 1})); }
+	}
+
+	User.STATUS_ACTIVE = 10;
+	User.STATUS_INACTIVE = 2;
+
+	const UserIdentity = {
+		async findByProvider ( provider, uid ) {
+			return identities.find(v => v.provider === provider && v.provider_uid === uid) || null;
+		},
+		async create ( values ) {
+			identities.push(values);
+			return values;
+		},
+	};
+
+	return {User, UserIdentity, users, identities};
+};
+
+describe('fastify-social-login', () => {
+	/** @type {http.Server} */
+	let provider;
+
+	/** @type {FastifyInstance} */
+	let fastify;
+
+	/** @type {Object} */
+	let models;
+
+	beforeAll(async () => {
+		provider = await createProvider();
+
+		/** @type {string} */
+		const providerUrl = `http://127.0.0.1:${provider.address().port}`;
+
+		const config = {
+			uri: {url: 'http://localhost'},
+			security: {encryption: {secret: 'test-secret'}},
+			account: {
+				social: {
+					routePrefix: '/auth/social',
+					providers: {
+						mock: {
+							enabled: true,
+							adapter: 'generic',
+							clientId: 'client-id',
+							clientSecret: 'client-secret',
+							auth: {
+								authorizeHost: providerUrl,
+								authorizePath: '/authorize',
+								tokenHost: providerUrl,
+								tokenPath: '/token',
+							},
+							userInfoUrl: `${providerUrl}/userinfo`,
+						},
+						disabled: {enabled: false},
+					},
+				},
+			},
+		};
+
+		models = createModels();
+
+		fastify = Fastify();
+		fastify.decorate('config', {get: ( path, def ) => objectPath.get(config, path, def)});
+		fastify.decorate('db', {
+			models: {User: models.User, UserIdentity: models.UserIdentity},
+			transaction: async callback => callback(null),
+		});
+		fastify.decorateRequest('language', 'en-US');
+
+		await fastify.register(require('fastify-cookie'));
+		await fastify.register(require('./../plugins/fastify/fastify-social-login'));
+		await fastify.ready();
+	});
+
+	afterAll(async () => {
+		await fastify.close();
+		await new Promise(resolve => provider.close(resolve));
+	});
+
+	beforeEach(() => {
+		profile = {sub: 'p-42', email: 'Jane@Example.com', email_verified: true, name: 'Jane Doe'};
+	});
+
+	/**
+	 * Start the flow and return the state sent to the provider (and bound to the browser)
+	 * @returns {Promise<{state: string, cookie: string}>}
+	 */
+	const startFlow = async () => {
+		const response = await fastify.inject({method: 'GET', url: '/auth/social/mock'});
+		expect(response.statusCode).toBe(302);
+
+		const location = new URL(response.headers.location);
+		expect(location.pathname).toBe('/authorize');
+		expect(location.searchParams.get('redirect_uri')).toBe('http://localhost/auth/social/mock/callback');
+
+		const cookie = response.cookies.find(v => v.name === 'oauth_state');
+		expect(cookie).toMatchObject({path: '/auth/social/mock', httpOnly: true, sameSite: 'Lax'});
+
+		return {state: location.searchParams.get('state'), cookie: cookie.value};
+	};
+
+	/**
+	 * Call the callback route
+	 * @param {{state: string, cookie: ?string}} flow - OAuth2 state and the state cookie of the browser
+	 * @param {string} [code='valid-code'] - Authorization code
+	 * @returns {Promise<Object>}
+	 */
+	const callback = ( {state, cookie}, code = 'valid-code' ) => fastify.inject({
+		method: 'GET',
+		url: `/auth/social/mock/callback?code=${code}&state=${encodeURIComponent(state)}`,
+		cookies: cookie ? {oauth_state: cookie} : {},
+	});
+
+	test('registers enabled providers only', async () => {
+		expect((await fastify.inject({method: 'GET', url: '/auth/social/disabled'})).statusCode).toBe(404);
+	});
+
+	test('creates a user, links the identity and issues the token', async () => {
+		const response = await callback(await startFlow());
+
+		expect(response.statusCode).toBe(200);
+		expect(response.json()).toEqual({token: {token: 'token-1'}});
+
+		expect(models.users).toHaveLength(1);
+		expect(models.users[0].email).toBe('jane@example.com');
+		expect(models.users[0].status).toBe(models.User.STATUS_ACTIVE);
+		expect(models.identities).toEqual([
+			expect.objectContaining({user_id: 1, provider: 'mock', provider_uid: 'p-42'}),
+		]);
+	});
+
+	test('logs in the linked user again without duplicates', async () => {
+		profile.email = 'changed@example.com';
+
+		const response = await callback(await startFlow());
+
+		expect(response.json()).toEqual({token: {token: 'token-1'}});
+		expect(models.users).toHaveLength(1);
+		expect(models.identities).toHaveLength(1);
+	});
+
+	test('refuses to link an existing account by an unverified email', async () => {
+		profile = {sub: 'p-43', email: 'jane@example.com', email_verified: false, name: 'Jane'};
+
+		const response = await callback(await startFlow());
+
+		expect(response.statusCode).toBe(409);
+		expect(models.identities).toHaveLength(1);
+	});
+
+	test('returns the two-factor challenge instead of the token', async () => {
+		models.users[0].meta.twoFactor = {enabled: true};
+
+		const response = await callback(await startFlow());
+
+		expect(response.json()).toEqual({challenge: 'challenge-1'});
+		delete models.users[0].meta.twoFactor;
+	});
+
+	test('rejects a forged state and a bad code', async () => {
+		expect((await callback({state: 'forged.state.value', cookie: 'forged.state.value'})).statusCode).toBe(400);
+		expect((await callback(await startFlow(), 'bad-code')).statusCode).toBe(400);
+	});
+
+	test('rejects the state of another browser (login CSRF)', async () => {
+		const {state} = await startFlow();
+		const victim = await startFlow();
+
+		expect((await callback({state, cookie: null})).statusCode).toBe(400);
+		expect((await callback({state, cookie: victim.cookie})).statusCode).toBe(400);
+		expect(models.users).toHaveLength(1);
+	});
+
+	test('clears the state cookie in the callback', async () => {
+		const response = await callback(await startFlow());
+
+		expect(response.statusCode).toBe(200);
+		expect(response.cookies.find(v => v.name === 'oauth_state')).toMatchObject({value: '', path: '/auth/social/mock'});
+	});
+});
+
+describe('fastify-social-login configuration', () => {
+	/**
+	 * @private
+	 * Register the plugin with the configuration
+	 * @param {Object} config - Configuration
+	 * @returns {Promise<void>}
+	 */
+	const register = async config => {
+		const fastify = Fastify();
+		fastify.decorate('config', {get: ( path, def ) => objectPath.get(config, path, def)});
+		fastify.decorate('db', {models: createModels()});
+
+		try {
+			await fastify.register(require('fastify-cookie'));
+			await fastify.register(require('./../plugins/fastify/fastify-social-login'));
+			await fastify.ready();
+		} finally {
+			await fastify.close();
+		}
+	};
+
+	test('requires the encryption secret to sign the state', async () => {
+		const providers = {mock: {enabled: true, adapter: 'generic', auth: {}}};
+
+		await expect(register({account: {social: {providers}}}))
+			.rejects.toThrow('Social login (`account.social.providers`) requires `security.encryption.secret` to be set');
+		await expect(register({account: {social: {providers: {mock: {enabled: false}}}}})).resolves.toBeUndefined();
+	});
+});
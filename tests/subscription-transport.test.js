@@ -0,0 +1,195 @@
+/**
+ * GraphQL subscriptions transport (graphql-transport-ws and legacy protocols, connection auth, keepalive) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+const Fastify = require('fastify');
+const WebSocket = require('ws');
+
+// Greets the connection user, `fail` throws the request error
+jest.mock('./../plugins/fastify/graphql/lib/schema-compiler', () => () => {
+	const {makeExecutableSchema} = require('graphql-tools');
+	const RequestError = require('./../graphql/components/RequestError');
+
+	return makeExecutableSchema({
+		typeDefs: 'type Query { hello: String } type Subscription { greeting: String fail: String }',
+		resolvers: {
+			Subscription: {
+				greeting: {
+					subscribe: async function* ( root, args, ctx ) {
+						yield {greeting: `Hello ${ctx.auth.id}`};
+					},
+				},
+				fail: {
+					subscribe: async function* () {
+						yield {fail: 'value'};
+					},
+					resolve: () => {
+						throw new RequestError('Not allowed', 'NOT_ALLOWED', {id: 'Not allowed'});
+					},
+				},
+			},
+		},
+	});
+});
+
+// Only the `valid` token belongs to a user
+jest.mock('./../helpers/fastify/auth/jwt-identity', () => () => ({
+	getTokenFromAll: () => new Error('Authorization required'),
+	findIdentityByToken: async token => {
+		if ( token !== 'valid' ) {
+			throw new Error('Token may invalidated or user not found');
+		}
+
+		return {model: {id: 7}, decoded: {jti: 'session-1'}};
+	},
+}));
+
+const SubscriptionPlugin = require('./../plugins/fastify/graphql/fastify-apollo-subscription');
+const {getTokenFromParams, selectProtocol} = require('./../plugins/fastify/graphql/lib/subscription-transport');
+
+/**
+ * @private
+ * Open the socket, the received messages are queued
+ * @param {number} port - Server port
+ * @param {string} protocol - Sub-protocol
+ * @returns {Promise<{socket: WebSocket, receive: function(): Promise<Object>, send: function(Object): void, closed: Promise<Array>, pings: number[]}>}
+ */
+const connect = ( port, protocol ) => new Promise(( resolve, reject ) => {
+	const socket = new WebSocket(`ws://127.0.0.1:${port}/graphql`, protocol);
+	const queue = [];
+	const waiting = [];
+	const pings = [];
+
+	socket.on('message', data => {
+		const message = JSON.parse(String(data));
+		waiting.length ? waiting.shift()(message) : queue.push(message);
+	});
+
+	socket.on('ping', () => pings.push(Date.now()));
+
+	const closed = new Promise(done => socket.on('close', ( code, reason ) => done([code, String(reason)])));
+
+	socket.on('error', reject);
+	socket.on('open', () => resolve({
+		socket,
+		closed,
+		pings,
+		send: message => socket.send(JSON.stringify(message)),
+		receive: () => queue.length ? Promise.resolve(queue.shift()) : new Promise(done => waiting.push(done)),
+	}));
+});
+
+describe('subscriptions transport', () => {
+	/** @type {FastifyInstance} */
+	let app;
+
+	/** @type {number} */
+	let port;
+
+	beforeAll(async () => {
+		app = Fastify();
+		app.decorate('config', {
+			get: ( path, defaultValue ) => op.get({graphql: {subscriptions: {keepAlive: 50}}}, path, defaultValue),
+		});
+		app.decorate('dataLoaders', {create: () => ({})});
+		await app.register(SubscriptionPlugin);
+		await app.listen(0, '127.0.0.1');
+		port = app.server.address().port;
+	});
+
+	afterAll(() => app.close());
+
+	test('parses the connection params and negotiates the sub-protocol', () => {
+		expect(getTokenFromParams({Authorization: 'Bearer abc '})).toBe('abc');
+		expect(getTokenFromParams({authorization: 'Basic abc'})).toBeNull();
+		expect(getTokenFromParams({authToken: 'xyz'})).toBe('xyz');
+		expect(getTokenFromParams(null)).toBeNull();
+
+		const request = protocol => ({headers: {'sec-websocket-protocol': protocol}});
+
+		expect(selectProtocol(request('graphql-ws'))).toBe('graphql-ws');
+		expect(selectProtocol(request('graphql-ws, graphql-transport-ws'))).toBe('graphql-transport-ws');
+		expect(selectProtocol(request(undefined))).toBe('graphql-transport-ws');
+	});
+
+	test('serves graphql-transport-ws with connection init auth and clean error frames', async () => {
+		const client = await connect(port, 'graphql-transport-ws');
+
+		expect(client.socket.protocol).toBe('graphql-transport-ws');
+
+		client.send({type: 'connection_init', payload: {Authorization: 'Bearer valid'}});
+		expect(await client.receive()).toEqual({type: 'connection_ack'});
+
+		client.send({id: '1', type: 'subscribe', payload: {query: 'subscription { greeting }'}});
+		expect(await client.receive()).toEqual({id: '1', type: 'next', payload: {data: {greeting: 'Hello 7'}}});
+		expect(await client.receive()).toEqual({id: '1', type: 'complete'});
+
+		client.send({id: '2', type: 'subscribe', payload: {query: 'subscription { fail }'}});
+		expect(await client.receive()).toEqual({
+			id: '2',
+			type: 'next',
+			payload: {
+				data: {fail: null},
+				errors: [{
+					message: 'Not allowed',
+					locations: [{line: 1, column: 16}],
+					path: ['fail'],
+					extensions: {code: 'NOT_ALLOWED'},
+					code: 'NOT_ALLOWED',
+					state: {id: 'Not allowed'},
+				}],
+			},
+		});
+		expect(await client.receive()).toEqual({id: '2', type: 'complete'});
+
+		client.send({id: '3', type: 'subscribe', payload: {query: 'subscription { unknown }'}});
+		expect(await client.receive()).toMatchObject({
+			id: '3',
+			type: 'error',
+			payload: [{message: 'Cannot query field "unknown" on type "Subscription".', code: 'GRAPHQL_VALIDATION_FAILED'}],
+		});
+
+		// Keepalive pings
+		await new Promise(resolve => setTimeout(resolve, 120));
+		expect(client.pings.length).toBeGreaterThan(0);
+
+		client.socket.close();
+		await client.closed;
+	});
+
+	test('rejects the connection init without a valid token', async () => {
+		const client = await connect(port, 'graphql-transport-ws');
+
+		client.send({type: 'connection_init', payload: {authToken: 'expired'}});
+
+		expect(await client.closed).toEqual([4403, 'Token may invalidated or user not found']);
+	});
+
+	test('serves the legacy protocol with keepalive messages', async () => {
+		const client = await connect(port, 'graphql-ws');
+
+		expect(client.socket.protocol).toBe('graphql-ws');
+
+		client.send({type: 'connection_init', payload: {authorization: 'Bearer valid'}});
+		expect(await client.receive()).toEqual({type: 'connection_ack'});
+		expect(await client.receive()).toEqual({type: 'ka'});
+
+		client.send({id: '1', type: 'start', payload: {query: 'subscription { greeting }'}});
+
+		/** @type {Object} */
+		let message;
+
+		do {
+			message = await client.receive();
+		} while ( message.type === 'ka' );
+
+		expect(message).toEqual({id: '1', type: 'data', payload: {data: {greeting: 'Hello 7'}}});
+
+		client.socket.close();
+		await client.closed;
+	});
+});
@@ -0,0 +1,113 @@
+/**
+ * Filtered subscriptions (user, role and topic targets, per event authorization) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+// In-memory pub-sub, the iterators receive the events published after they're created
+jest.mock('graphql-redis-subscriptions', () => ({
+	RedisPubSub: class {
+		constructor () {
+			this.iterators = [];
+		}
+
+		async publish ( trigger, payload ) {
+			this.iterators.filter(v => v.trigger === trigger).forEach(v => v.queue.push(payload));
+		}
+
+		asyncIterator ( trigger ) {
+			const entry = {trigger, queue: []};
+			this.iterators.push(entry);
+
+			return {
+				next: async () => entry.queue.length
+					? {done: false, value: entry.queue.shift()}
+					: {done: true, value: undefined},
+			};
+		}
+	},
+}));
+
+const createRegistry = require('./../plugins/fastify/fastify-rbac/utils/registry');
+const {isTargeted} = require('./../graphql/subscription/filter');
+const Subscription = require('./../graphql/subscription');
+
+/**
+ * @private
+ * Subscription context of the user
+ * @param {number} id - User ID
+ * @param {number} role - Role ID
+ * @param {?string[]} [scopes=null] - API key scopes
+ * @returns {Object} - Context
+ */
+const createContext = ( id, role, scopes = null ) => ({
+	auth: {isGuest: false, id, identity: {id, role}, scopes},
+});
+
+/**
+ * @private
+ * Read all the delivered events
+ * @param {AsyncIterator} iterator - Subscription iterator
+ * @returns {Promise<Object[]>} - Payloads
+ */
+const drain = async iterator => {
+	const values = [];
+
+	for ( let result = await iterator.next(); !result.done; result = await iterator.next() ) {
+		values.push(result.value);
+	}
+
+	return values;
+};
+
+describe('filtered subscriptions', () => {
+	const rbac = createRegistry([
+		{id: 3, name: 'CUSTOMER', permissions: []},
+		{id: 7, name: 'ADMIN', parentId: 3, permissions: []},
+	]);
+
+	test('delivers userLogout to the own connections of the user', async () => {
+		const {publish, subscribe, USER_LOGOUT} = Subscription({config: {get: () => ({})}, rbac});
+		const resolver = subscribe(USER_LOGOUT, {auth: {scope: ['profile:read']}});
+
+		const alice = resolver({}, {}, createContext(1, 3));
+		const aliceKey = resolver({}, {}, createContext(1, 3, ['sessions:read']));
+		const bob = resolver({}, {}, createContext(2, 3));
+		const guest = resolver({}, {}, {});
+
+		await publish(USER_LOGOUT, {id: 2, firstName: 'Bob'}, {userIds: [2]});
+		await publish(USER_LOGOUT, {id: 1, firstName: 'Alice'}, {userIds: [1]});
+
+		expect(await drain(alice)).toEqual([{[USER_LOGOUT]: {id: 1, firstName: 'Alice'}}]);
+		expect(await drain(bob)).toEqual([{[USER_LOGOUT]: {id: 2, firstName: 'Bob'}}]);
+		expect(await drain(aliceKey)).toEqual([]);
+		expect(await drain(guest)).toEqual([]);
+	});
+
+	test('matches the role and topic targets', async () => {
+		const customer = createContext(1, 3).auth;
+		const admin = createContext(2, 7).auth;
+
+		expect(isTargeted({}, customer)).toBe(true);
+		expect(isTargeted({roles: ['ADMIN']}, customer, null, rbac)).toBe(false);
+		expect(isTargeted({roles: ['CUSTOMER']}, admin, null, rbac)).toBe(true);
+		expect(isTargeted({roles: ['ADMIN']}, {isGuest: true}, null, rbac)).toBe(false);
+		expect(isTargeted({topic: 'session:15'}, customer, 'session:16')).toBe(false);
+		expect(isTargeted({topic: 'session:15', userIds: [1]}, customer, 'session:15')).toBe(true);
+
+		const {publish, subscribe} = Subscription({config: {get: () => ({})}, rbac});
+		const resolver = subscribe('sessionChanged', {
+			topic: ( args, ctx ) => `session:${args.id}`,
+			filter: payload => payload.sessionChanged.visible,
+		});
+
+		const watcher = resolver({}, {id: 15}, createContext(1, 3));
+
+		await publish('sessionChanged', {id: 15, visible: false}, {topic: 'session:15'});
+		await publish('sessionChanged', {id: 16, visible: true}, {topic: 'session:16'});
+		await publish('sessionChanged', {id: 15, visible: true}, {topic: 'session:15'});
+
+		expect(await drain(watcher)).toEqual([{sessionChanged: {id: 15, visible: true}}]);
+	});
+});
@@ -0,0 +1,69 @@
+/**
+ * TOTP (RFC 6238 test vectors, clock drift window) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const TOTP = require('./../helpers/totp');
+
+/**
+ * Base32 of the RFC 6238 SHA1 seed `12345678901234567890`
+ * @type {string} */
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * RFC 6238 Appendix B (SHA1), the 6 digits codes are the last digits of the 8 digits ones
+ * @type {Array<[number, string]>} */
+const vectors = [
+	[59, '94287082'],
+	[1111111109, '07081804'],
+	[1111111111, '14050471'],
+	[1234567890, '89005924'],
+	[2000000000, '69279037'],
+	[20000000000, '65353130'],
+];
+
+describe('totp', () => {
+	afterEach(() => jest.restoreAllMocks());
+
+	test.each(vectors)('generates the RFC 6238 code at %i', ( time, code ) => {
+		expect(TOTP.generateCode(secret, TOTP.timeStep(time * 1000))).toBe(code.slice(-6));
+	});
+
+	test('verifies the code within the clock drift window', () => {
+		jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+
+		/** @type {number} */
+		const step = TOTP.timeStep();
+
+		expect(TOTP.verifyCode(secret, '050471')).toBe(step);
+		expect(TOTP.verifyCode(secret, '050 471')).toBe(step);
+		expect(TOTP.verifyCode(secret, TOTP.generateCode(secret, step - 1))).toBe(step - 1);
+		expect(TOTP.verifyCode(secret, TOTP.generateCode(secret, step + 1))).toBe(step + 1);
+		expect(TOTP.verifyCode(secret, TOTP.generateCode(secret, step - 2))).toBeNull();
+		expect(TOTP.verifyCode(secret, '05047')).toBeNull();
+		expect(TOTP.verifyCode(secret, 'abcdef')).toBeNull();
+	});
+
+	test('generates the secrets and the otpauth URI', () => {
+		/** @type {string} */
+		const generated = TOTP.generateSecret();
+
+		expect(generated).toMatch(/^[A-Z2-7]{32}$/);
+		expect(TOTP.generateCode(generated)).toMatch(/^\d{6}$/);
+
+		const uri = new URL(TOTP.buildUri(secret, 'john@example.com', 'Backend APIs'));
+
+		expect(uri.protocol).toBe('otpauth:');
+		expect(uri.host).toBe('totp');
+		expect(decodeURIComponent(uri.pathname)).toBe('/Backend APIs:john@example.com');
+		expect(Object.fromEntries(uri.searchParams)).toEqual({
+			secret,
+			issuer: 'Backend APIs',
+			algorithm: 'SHA1',
+			digits: '6',
+			period: '30',
+		});
+	});
+});
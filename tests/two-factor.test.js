@@ -0,0 +1,161 @@
+/**
+ * Two-factor authentication (configuration, login challenge lockout) tests
+ * @author Junaid Atari <mj.atari@gmail.com>
+ * @link https://github.com/blacksmoke26 Author Website
+ * @since 2026-10-19
+ */
+
+const op = require('object-path');
+const Fastify = require('fastify');
+
+// Lockout records the failures only, the lock is applied on the second one
+jest.mock('./../helpers/fastify/auth/login-lockout', () => {
+	const failures = [];
+
+	return Object.assign(() => ({
+		findLock: async () => failures.length >= 2 ? {scope: 'account', retryAfter: 300} : null,
+		registerFailure: async ( model, email, ip ) => {
+			failures.push({userId: model.id, email, ip});
+			return failures.length >= 2 ? {scope: 'account', retryAfter: 300} : null;
+		},
+		createUnlockToken: async () => 'unlock-token',
+	}), {failures});
+});
+
+jest.mock('./../helpers/fastify/auth/account-mailer', () => () => ({
+	sendAccountLockedMail: async () => true,
+}));
+
+jest.mock('./../helpers/fastify/auth/authenticate', () => () => ({
+	completeLogin: async model => ({token: `token-${model.id}`}),
+}));
+
+const TwoFactor = require('./../helpers/fastify/auth/two-factor');
+const LoginLockout = require('./../helpers/fastify/auth/login-lockout');
+const verifyTwoFactorLogin = require('./../graphql/resolvers/two-factor/mutation/verify-two-factor-login');
+const {createRedis} = require('./fixtures/redis');
+
+/**
+ * @private
+ * Fastify instance stub with the given configuration
+ * @param {Object} config - Configuration
+ * @returns {{config: {get: function(string, *=): *}}}
+ */
+const createFastify = config => ({
+	config: {get: ( path, defaultValue ) => op.get(config, path, defaultValue)},
+});
+
+describe('two-factor configuration', () => {
+	test('is not available unless enabled', () => {
+		expect(TwoFactor(createFastify({})).isAvailable()).toBe(false);
+		expect(TwoFactor(createFastify({
+			account: {twoFactor: {enabled: true}},
+			security: {encryption: {secret: 'secret'}},
+		})).isAvailable()).toBe(true);
+	});
+
+	test('fails on startup without the encryption secret', async () => {
+		const fastify = Fastify();
+
+		fastify.decorate('config', createFastify({account: {twoFactor: {enabled: true}}}).config);
+		fastify.decorate('dataLoaders', {create: () => ({})});
+
+		await expect(fastify.register(require('./../plugins/fastify/fastify-auth-decorator')).ready())
+			.rejects.toThrow('requires `security.encryption.secret` to be set');
+
+		await fastify.close();
+	});
+});
+
+describe('two-factor login challenge', () => {
+	/** @type {Object} */
+	let fastify, model, helper, ctx;
+
+	/** @type {string[]} */
+	let events;
+
+	/** @type {Object} */
+	const defs = {Mutation: {}};
+
+	beforeEach(async () => {
+		LoginLockout.failures.length = 0;
+		events = [];
+
+		fastify = {
+			...createFastify({
+				account: {twoFactor: {enabled: true, maxAttempts: 2}},
+				security: {encryption: {secret: 'secret'}},
+			}),
+			redis: createRedis(),
+			authEvents: {emit: name => events.push(name)},
+			log: {error: () => {}},
+		};
+
+		const meta = {};
+
+		model = {
+			id: 7,
+			get: key => ({email: 'john@example.com', status: 10})[key],
+			getJsonValue: ( path, defaultValue ) => op.get(meta, path, defaultValue),
+			setJsonValue: ( path, value ) => op.set(meta, path, value),
+		};
+
+		fastify.db = {
+			models: {
+				User: {
+					findByPk: async id => id === model.id ? model : null,
+					validateStatusOnLogin: status => status === 10,
+				},
+			},
+		};
+
+		helper = TwoFactor(fastify);
+		helper.setup(model);
+		helper.enable(model);
+
+		await verifyTwoFactorLogin(defs, fastify);
+
+		ctx = {request: {t: message => message, ip: '127.0.0.1', headers: {}}, reply: {}};
+	});
+
+	test('running out of the attempts counts towards the login lockout', async () => {
+		/**
+		 * Exhaust a new challenge with invalid codes
+		 * @returns {Promise<Error>} - Error of the last attempt
+		 */
+		const exhaust = async () => {
+			const challenge = await helper.createChallenge(model);
+			const args = {challenge, code: 'invalid'};
+
+			await expect(defs.Mutation.verifyTwoFactorLogin(null, args, ctx)).rejects.toMatchObject({code: 'INVALID_CODE'});
+			return defs.Mutation.verifyTwoFactorLogin(null, args, ctx).catch(e => e);
+		};
+
+		expect(await exhaust()).toMatchObject({code: 'INVALID_CODE'});
+		expect(LoginLockout.failures).toEqual([{userId: 7, email: 'john@example.com', ip: '127.0.0.1'}]);
+
+		expect(await exhaust()).toMatchObject({code: 'ACCOUNT_LOCKED'});
+		expect(LoginLockout.failures).toHaveLength(2);
+		expect(events).toContain('account.locked');
+
+		// A pending challenge can't be used while the account is locked
+		await expect(defs.Mutation.verifyTwoFactorLogin(null, {
+			challenge: await helper.createChallenge(model),
+			code: 'invalid',
+		}, ctx)).rejects.toMatchObject({code: 'ACCOUNT_LOCKED'});
+	});
+
+	test('parallel attempts can not exceed the limit', async () => {
+		const challenge = await helper.createChallenge(model);
+
+		/** @type {Error[]} */
+		const errors = await Promise.all(Array.from({length: 10}, () => (
+			defs.Mutation.verifyTwoFactorLogin(null, {challenge, code: 'invalid'}, ctx).catch(e => e)
+		)));
+
+		expect(errors.filter(e => e.code === 'INVALID_CODE')).toHaveLength(2);
+		expect(errors.filter(e => e.code === 'INVALID_CHALLENGE')).toHaveLength(8);
+		expect(LoginLockout.failures).toHaveLength(1);
+		expect(await helper.findChallenge(challenge)).toBeNull();
+	});
+});